@@ -7,16 +7,28 @@ import { logger } from 'hono/logger';
 import { secureHeaders } from 'hono/secure-headers';
 
 import socialRoutes from './routes/social';
-import { rateLimit } from './middleware/rateLimit';
+import adminRoutes from './routes/admin';
+import mediaRoutes from './routes/media';
+import { rateLimit, getClientIp } from './middleware/rateLimit';
 import { getCacheStats } from '../services/cache';
 import { lemmyService } from '../services/lemmy';
+import { lemmyPool } from '../services/lemmyPool';
 import { isLocalAuthEnabled } from './middleware/auth';
 import { initStorage, getStorageStats } from '../services/storage';
+import { initMediaCache } from '../services/media';
+import { initTrending } from '../services/trending';
 
 const app = new Hono();
 
 // Global middleware
 app.use('*', logger());
+
+// Proxied images are embedded by the web app, which may be served from another origin
+app.use('/api/social/media', async (c, next) => {
+  await next();
+  c.res.headers.set('Cross-Origin-Resource-Policy', 'cross-origin');
+});
+
 app.use('*', secureHeaders());
 
 // CORS configuration for PreSuite domains
@@ -32,7 +44,7 @@ app.use('*', cors({
     'http://localhost:3000',
     'http://localhost:5173',
   ],
-  allowMethods: ['GET', 'POST', 'OPTIONS'],
+  allowMethods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
   allowHeaders: ['Content-Type', 'Authorization'],
   exposeHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset'],
   maxAge: 86400,
@@ -40,10 +52,21 @@ app.use('*', cors({
 }));
 
 // Rate limiting
-app.use('/api/*', rateLimit());
+// A page can load dozens of images, so media has its own, larger budget
+const apiRateLimit = rateLimit();
+const mediaRateLimit = rateLimit({
+  max: parseInt(process.env.MEDIA_RATE_LIMIT_MAX || '600'),
+  keyGenerator: (c) => `media:${getClientIp(c) || 'unknown'}`,
+});
+
+app.use('/api/*', (c, next) => (
+  c.req.path === '/api/social/media' ? mediaRateLimit(c, next) : apiRateLimit(c, next)
+));
 
 // Mount routes
 app.route('/api/social', socialRoutes);
+app.route('/api/social/admin', adminRoutes);
+app.route('/api/social/media', mediaRoutes);
 
 // Root endpoint
 app.get('/', (c) => {
@@ -56,7 +79,14 @@ app.get('/', (c) => {
       search: 'GET /api/social/search?q=<query>',
       post: 'GET /api/social/post/:id',
       communities: 'GET /api/social/communities',
-      trending: 'GET /api/social/trending',
+      community: 'GET /api/social/community/:name',
+      person: 'GET /api/social/person/:name',
+      trending: 'GET /api/social/trending?window=<1h|24h|7d>&community=<name@host>',
+      feed: 'GET /api/social/feed?sort=<Hot|Active|New|TopDay|TopWeek|TopMonth|TopAll>',
+      suggest: 'GET /api/social/suggest?q=<prefix>',
+      discussions: 'GET /api/social/discussions?url=<page url>',
+      insights: 'GET /api/social/insights?q=<query>',
+      media: 'GET /api/social/media?url=<image url>&w=<160|320|640|1280>',
       health: 'GET /api/social/health',
     },
   });
@@ -65,14 +95,16 @@ app.get('/', (c) => {
 // System health endpoint
 app.get('/health', async (c) => {
   const cacheStats = await getCacheStats();
+  const circuits = lemmyPool.getCircuitStatuses();
 
   return c.json({
-    status: 'healthy',
+    status: lemmyService.isCircuitOpen() ? 'degraded' : 'healthy',
     service: 'presocial',
     version: '0.1.0',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     cache: cacheStats,
+    circuits,
   });
 });
 
@@ -136,13 +168,16 @@ async function startServer() {
   `);
 
   // Initialize persistent storage
-  initStorage();
-  const storageStats = getStorageStats();
-  console.log(`  ✓ Storage initialized (${storageStats.users} users, ${storageStats.totalVotes} votes, ${storageStats.totalBookmarks} bookmarks)`);
+  await initStorage();
+  const storageStats = await getStorageStats();
+  console.log(`  ✓ Storage initialized (${storageStats.backend}, ${storageStats.users} users, ${storageStats.totalVotes} votes, ${storageStats.totalBookmarks} bookmarks)`);
+  initMediaCache();
+  initTrending();
 
   // Check configuration
   const lemmmyUrl = process.env.LEMMY_INSTANCE_URL || 'https://lemmy.world';
   console.log(`  Lemmy instance: ${lemmmyUrl}`);
+  console.log(`  Lemmy pool: ${lemmyPool.getInstances().join(', ')}`);
   console.log(`  JWT verification: ${isLocalAuthEnabled() ? 'local (JWT_SECRET configured)' : 'remote (fallback to PreSuite API)'}`);
 
   // Check Lemmy health
@@ -9,6 +9,17 @@ const JWT_SECRET = process.env.JWT_SECRET;
 const JWT_ISSUER = process.env.JWT_ISSUER || 'presuite';
 const AUTH_API_URL = process.env.AUTH_API_URL || 'https://presuite.eu/api/auth';
 
+// Users whose token carries this role are PreSocial admins
+const ADMIN_ROLE = process.env.PRESOCIAL_ADMIN_ROLE || 'presocial:admin';
+
+// Additional PreSocial admins: comma-separated PreSuite user IDs or emails
+const ADMIN_USERS = new Set(
+  (process.env.PRESOCIAL_ADMINS || '')
+    .split(',')
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean)
+);
+
 // Check if JWT_SECRET is configured at startup
 if (!JWT_SECRET) {
   console.warn('[Auth] Warning: JWT_SECRET not configured. Token verification will fall back to remote validation.');
@@ -19,6 +30,7 @@ export interface JWTPayload {
   org_id?: string;       // Organization ID
   email: string;         // User email
   name?: string;         // Display name
+  roles?: string[];      // PreSuite roles, e.g. 'presocial:admin'
   iss: string;           // Issuer (should be 'presuite')
   iat: number;           // Issued at
   exp: number;           // Expiration time
@@ -29,6 +41,7 @@ export interface AuthUser {
   email: string;
   name?: string;
   org_id?: string;
+  roles?: string[];
 }
 
 /**
@@ -89,6 +102,7 @@ async function verifyTokenRemotely(token: string): Promise<AuthUser | null> {
         email: data.user.email,
         name: data.user.name,
         org_id: data.user.org_id,
+        roles: Array.isArray(data.user.roles) ? data.user.roles : undefined,
       };
     }
 
@@ -112,6 +126,7 @@ export async function verifyToken(token: string): Promise<AuthUser | null> {
       email: localPayload.email,
       name: localPayload.name,
       org_id: localPayload.org_id,
+      roles: Array.isArray(localPayload.roles) ? localPayload.roles : undefined,
     };
   }
 
@@ -180,6 +195,33 @@ export function optionalAuthMiddleware() {
   };
 }
 
+/**
+ * Check if a user is a PreSocial admin, by token role or the PRESOCIAL_ADMINS allowlist
+ */
+export function isAdmin(user: AuthUser): boolean {
+  return (
+    !!user.roles?.includes(ADMIN_ROLE) ||
+    ADMIN_USERS.has(user.id.toLowerCase()) ||
+    ADMIN_USERS.has(user.email.toLowerCase())
+  );
+}
+
+/**
+ * Admin middleware - rejects users who aren't PreSocial admins
+ * Use after authMiddleware()
+ */
+export function adminMiddleware() {
+  return async (c: Context, next: Next) => {
+    const user = getAuthUser(c);
+
+    if (!user || !isAdmin(user)) {
+      return c.json({ error: 'Admin access required' }, 403);
+    }
+
+    await next();
+  };
+}
+
 /**
  * Check if JWT_SECRET is configured (for health checks)
  */
@@ -1,13 +1,18 @@
 // PreSocial Rate Limiting Middleware
-// Protects API from abuse
+// Protects API from abuse. Counts live in Redis when REDIS_URL is set, so every instance
+// behind a load balancer enforces the same limit; otherwise (or while Redis is down) in memory
 
 import { Context, Next } from 'hono';
+import type { Redis } from 'ioredis';
+import { getRedisClient } from '../../services/cache';
+
+interface RateLimitRecord {
+  count: number;
+  resetTime: number;
+}
 
 interface RateLimitStore {
-  [key: string]: {
-    count: number;
-    resetTime: number;
-  };
+  [key: string]: RateLimitRecord;
 }
 
 const store: RateLimitStore = {};
@@ -33,6 +38,80 @@ const defaultOptions: RateLimitOptions = {
   max: parseInt(process.env.RATE_LIMIT_MAX || '100'),
 };
 
+/**
+ * Count a request in memory
+ */
+function hitMemory(key: string, windowMs: number, now: number): RateLimitRecord {
+  const record = store[key];
+
+  // Initialize or reset if window expired
+  if (!record || record.resetTime < now) {
+    store[key] = {
+      count: 1,
+      resetTime: now + windowMs,
+    };
+  } else {
+    store[key].count++;
+  }
+
+  return store[key];
+}
+
+/**
+ * Count a request in Redis: the first request of a window creates the counter with its expiry
+ */
+async function hitRedis(
+  redis: Redis,
+  key: string,
+  windowMs: number,
+  now: number
+): Promise<RateLimitRecord> {
+  const redisKey = `presocial:ratelimit:${key}`;
+  const results = await redis.multi()
+    .set(redisKey, 0, 'PX', windowMs, 'NX')
+    .incr(redisKey)
+    .pttl(redisKey)
+    .exec();
+
+  const failed = results?.find(([error]) => error);
+  if (!results || failed) {
+    throw failed?.[0] || new Error('Rate limit transaction aborted');
+  }
+
+  // A counter that somehow lost its expiry would block the key forever
+  let ttl = results[2][1] as number;
+  if (ttl < 0) {
+    await redis.pexpire(redisKey, windowMs);
+    ttl = windowMs;
+  }
+
+  return {
+    count: results[1][1] as number,
+    resetTime: now + ttl,
+  };
+}
+
+/**
+ * Count a request against a key, shared with other instances through Redis when configured
+ */
+async function hit(key: string, windowMs: number): Promise<RateLimitRecord> {
+  const now = Date.now();
+
+  if (process.env.REDIS_URL) {
+    // Don't hold requests up while Redis reconnects
+    const redis = await getRedisClient();
+    if (redis?.status === 'ready') {
+      try {
+        return await hitRedis(redis, key, windowMs, now);
+      } catch (error) {
+        console.error('[RateLimit] Redis error, counting in memory:', error);
+      }
+    }
+  }
+
+  return hitMemory(key, windowMs, now);
+}
+
 export function rateLimit(options: Partial<RateLimitOptions> = {}) {
   const config = { ...defaultOptions, ...options };
 
@@ -42,22 +121,9 @@ export function rateLimit(options: Partial<RateLimitOptions> = {}) {
       ? config.keyGenerator(c)
       : getClientIp(c) || 'unknown';
 
-    const now = Date.now();
-    const record = store[key];
-
-    // Initialize or reset if window expired
-    if (!record || record.resetTime < now) {
-      store[key] = {
-        count: 1,
-        resetTime: now + config.windowMs,
-      };
-    } else {
-      store[key].count++;
-    }
-
-    const current = store[key];
+    const current = await hit(key, config.windowMs);
     const remaining = Math.max(0, config.max - current.count);
-    const resetSeconds = Math.ceil((current.resetTime - now) / 1000);
+    const resetSeconds = Math.ceil((current.resetTime - Date.now()) / 1000);
 
     // Set rate limit headers
     c.header('X-RateLimit-Limit', config.max.toString());
@@ -80,7 +146,7 @@ export function rateLimit(options: Partial<RateLimitOptions> = {}) {
 /**
  * Extract client IP from request
  */
-function getClientIp(c: Context): string | null {
+export function getClientIp(c: Context): string | null {
   // Try various headers that might contain the real IP
   const headers = [
     'cf-connecting-ip',  // Cloudflare
@@ -0,0 +1,331 @@
+// PreSocial Admin Routes
+// Moderation endpoints for PreSocial operators
+
+import { Hono } from 'hono';
+import { z } from 'zod';
+import { lemmyService } from '../../services/lemmy';
+import { lemmyPool } from '../../services/lemmyPool';
+import { getCacheStats } from '../../services/cache';
+import { invalidateListingCaches } from '../../services/moderation';
+import {
+  getReports,
+  resolveReport,
+  hidePost,
+  unhidePost,
+  getHiddenPosts,
+  hideCommunity,
+  unhideCommunity,
+  getHiddenCommunities,
+  banUser,
+  unbanUser,
+  getUserBan,
+  getBannedUsers,
+  getStorageStats,
+} from '../../services/storage';
+import { authMiddleware, adminMiddleware, getAuthUser } from '../middleware/auth';
+
+const admin = new Hono();
+
+// Every admin route requires an authenticated admin
+admin.use('*', authMiddleware(), adminMiddleware());
+
+const reportListSchema = z.object({
+  status: z.enum(['open', 'resolved', 'dismissed', 'all']).optional().default('open'),
+});
+
+const resolveReportSchema = z.object({
+  status: z.enum(['resolved', 'dismissed']),
+  note: z.string().max(1000).optional(),
+});
+
+const hidePostSchema = z.object({
+  postId: z.number().int().positive(),
+  reason: z.string().trim().max(500).optional(),
+});
+
+const hideCommunitySchema = z.object({
+  community: z.string().regex(/^[a-zA-Z0-9_]{1,100}(@[a-zA-Z0-9.-]{1,253})?$/),
+  reason: z.string().trim().max(500).optional(),
+});
+
+const banSchema = z.object({
+  userId: z.string().trim().min(1).max(255),
+  reason: z.string().trim().max(500).optional(),
+});
+
+/**
+ * GET /api/social/admin/reports
+ * Get the report queue (open reports by default, oldest first)
+ */
+admin.get('/reports', async (c) => {
+  const params = reportListSchema.safeParse(c.req.query());
+
+  if (!params.success) {
+    return c.json({
+      error: 'Invalid query parameters',
+      details: params.error.issues,
+    }, 400);
+  }
+
+  const { status } = params.data;
+  const reports = getReports(status === 'all' ? undefined : status);
+
+  return c.json({
+    reports,
+    total: reports.length,
+  });
+});
+
+/**
+ * POST /api/social/admin/reports/:id/resolve
+ * Close a report as resolved (action taken) or dismissed
+ */
+admin.post('/reports/:id/resolve', async (c) => {
+  try {
+    const user = getAuthUser(c)!;
+
+    const body = await c.req.json();
+    const params = resolveReportSchema.safeParse(body);
+
+    if (!params.success) {
+      return c.json({
+        error: 'Invalid resolution',
+        details: params.error.issues,
+      }, 400);
+    }
+
+    const { status, note } = params.data;
+    const report = await resolveReport(c.req.param('id'), status, user.email, note);
+
+    if (!report) {
+      return c.json({ error: 'Report not found' }, 404);
+    }
+
+    return c.json({
+      success: true,
+      report,
+    });
+  } catch (error) {
+    console.error('[Admin API] Resolve report error:', error);
+    return c.json({ error: 'Failed to resolve report' }, 500);
+  }
+});
+
+/**
+ * GET /api/social/admin/hidden
+ * Get the posts and communities hidden from PreSocial listings
+ */
+admin.get('/hidden', async (c) => {
+  return c.json({
+    posts: getHiddenPosts(),
+    communities: getHiddenCommunities(),
+  });
+});
+
+/**
+ * POST /api/social/admin/hidden/posts
+ * Hide a post from every PreSocial listing
+ */
+admin.post('/hidden/posts', async (c) => {
+  try {
+    const user = getAuthUser(c)!;
+
+    const body = await c.req.json();
+    const params = hidePostSchema.safeParse(body);
+
+    if (!params.success) {
+      return c.json({
+        error: 'Invalid post',
+        details: params.error.issues,
+      }, 400);
+    }
+
+    const { postId, reason } = params.data;
+    const post = await lemmyService.getPost(postId);
+
+    if (!post) {
+      return c.json({ error: 'Post not found' }, 404);
+    }
+
+    const entry = {
+      postId,
+      apId: post.apId,
+      title: post.title,
+      communityHandle: post.communityHandle,
+      reason: reason || undefined,
+      hiddenBy: user.email,
+      hiddenAt: new Date().toISOString(),
+    };
+
+    await hidePost(entry);
+    await invalidateListingCaches(postId);
+
+    return c.json({
+      success: true,
+      post: entry,
+    });
+  } catch (error) {
+    console.error('[Admin API] Hide post error:', error);
+    return c.json({ error: 'Failed to hide post' }, 500);
+  }
+});
+
+/**
+ * DELETE /api/social/admin/hidden/posts/:id
+ * Show a hidden post again
+ */
+admin.delete('/hidden/posts/:id', async (c) => {
+  const postId = parseInt(c.req.param('id'));
+
+  if (!await unhidePost(postId)) {
+    return c.json({ error: 'Post is not hidden' }, 404);
+  }
+
+  await invalidateListingCaches(postId);
+
+  return c.json({ success: true });
+});
+
+/**
+ * POST /api/social/admin/hidden/communities
+ * Hide a community and all its posts from every PreSocial listing
+ */
+admin.post('/hidden/communities', async (c) => {
+  try {
+    const user = getAuthUser(c)!;
+
+    const body = await c.req.json();
+    const params = hideCommunitySchema.safeParse(body);
+
+    if (!params.success) {
+      return c.json({
+        error: 'Invalid community',
+        details: params.error.issues,
+      }, 400);
+    }
+
+    const { community: name, reason } = params.data;
+    const details = await lemmyService.getCommunity(name);
+
+    if (!details) {
+      return c.json({ error: 'Community not found' }, 404);
+    }
+
+    const entry = {
+      handle: details.community.handle || name,
+      title: details.community.title,
+      reason: reason || undefined,
+      hiddenBy: user.email,
+      hiddenAt: new Date().toISOString(),
+    };
+
+    await hideCommunity(entry);
+    await invalidateListingCaches();
+
+    return c.json({
+      success: true,
+      community: entry,
+    });
+  } catch (error) {
+    console.error('[Admin API] Hide community error:', error);
+    return c.json({ error: 'Failed to hide community' }, 500);
+  }
+});
+
+/**
+ * DELETE /api/social/admin/hidden/communities/:handle
+ * Show a hidden community again
+ */
+admin.delete('/hidden/communities/:handle', async (c) => {
+  if (!await unhideCommunity(c.req.param('handle'))) {
+    return c.json({ error: 'Community is not hidden' }, 404);
+  }
+
+  await invalidateListingCaches();
+
+  return c.json({ success: true });
+});
+
+/**
+ * GET /api/social/admin/bans
+ * Get users banned from commenting and posting
+ */
+admin.get('/bans', async (c) => {
+  return c.json({
+    bans: getBannedUsers(),
+  });
+});
+
+/**
+ * POST /api/social/admin/bans
+ * Ban a PreSuite user from commenting and posting through PreSocial
+ */
+admin.post('/bans', async (c) => {
+  try {
+    const user = getAuthUser(c)!;
+
+    const body = await c.req.json();
+    const params = banSchema.safeParse(body);
+
+    if (!params.success) {
+      return c.json({
+        error: 'Invalid ban',
+        details: params.error.issues,
+      }, 400);
+    }
+
+    const { userId, reason } = params.data;
+
+    if (userId === user.id) {
+      return c.json({ error: 'You cannot ban yourself' }, 400);
+    }
+
+    if (getUserBan(userId)) {
+      return c.json({ error: 'User is already banned' }, 409);
+    }
+
+    const ban = {
+      userId,
+      reason: reason || undefined,
+      bannedBy: user.email,
+      bannedAt: new Date().toISOString(),
+    };
+
+    await banUser(ban);
+
+    return c.json({
+      success: true,
+      ban,
+    });
+  } catch (error) {
+    console.error('[Admin API] Ban user error:', error);
+    return c.json({ error: 'Failed to ban user' }, 500);
+  }
+});
+
+/**
+ * DELETE /api/social/admin/bans/:userId
+ * Lift a user's ban
+ */
+admin.delete('/bans/:userId', async (c) => {
+  if (!await unbanUser(c.req.param('userId'))) {
+    return c.json({ error: 'User is not banned' }, 404);
+  }
+
+  return c.json({ success: true });
+});
+
+/**
+ * GET /api/social/admin/stats
+ * Get storage, cache and upstream statistics
+ */
+admin.get('/stats', async (c) => {
+  return c.json({
+    storage: await getStorageStats(),
+    cache: await getCacheStats(),
+    circuits: lemmyPool.getCircuitStatuses(),
+    uptime: process.uptime(),
+  });
+});
+
+export default admin;
@@ -0,0 +1,53 @@
+// PreSocial Media Routes
+// Image proxy, so browsers never load media from third-party hosts
+
+import { Hono } from 'hono';
+import { z } from 'zod';
+import { getProxiedImage, MediaError, MEDIA_WIDTHS, type MediaWidth } from '../../services/media';
+
+const media = new Hono();
+
+const mediaQuerySchema = z.object({
+  url: z.string().url().max(2048).refine((url) => /^https?:\/\//i.test(url), {
+    message: 'Only http(s) URLs can be proxied',
+  }),
+  w: z.coerce.number().int()
+    .refine((width): width is MediaWidth => (MEDIA_WIDTHS as readonly number[]).includes(width), {
+      message: `Width must be one of ${MEDIA_WIDTHS.join(', ')}`,
+    })
+    .optional()
+    .default(640),
+});
+
+/**
+ * GET /api/social/media?url=<image url>&w=<width>
+ * Fetch a remote image and return it resized, as WebP
+ */
+media.get('/', async (c) => {
+  const params = mediaQuerySchema.safeParse(c.req.query());
+
+  if (!params.success) {
+    return c.json({ error: 'Invalid parameters', details: params.error.issues }, 400);
+  }
+
+  const { url, w } = params.data;
+
+  try {
+    const image = await getProxiedImage(url, w as MediaWidth);
+
+    return c.body(new Uint8Array(image), 200, {
+      'Content-Type': 'image/webp',
+      'Cache-Control': 'public, max-age=604800, immutable',
+      'Content-Security-Policy': "default-src 'none'",
+    });
+  } catch (error) {
+    if (error instanceof MediaError) {
+      return c.json({ error: 'Media unavailable', message: error.message }, error.status);
+    }
+
+    console.error('[Media API] Proxy error:', error);
+    return c.json({ error: 'Failed to load media' }, 500);
+  }
+});
+
+export default media;
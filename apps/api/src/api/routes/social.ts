@@ -1,57 +1,194 @@
 // PreSocial API Routes
 // Community search and interaction endpoints
 
-import { Hono } from 'hono';
+import { Hono, type Context } from 'hono';
 import { z } from 'zod';
-import { lemmyService } from '../../services/lemmy';
+import { randomUUID } from 'crypto';
+import { lemmyService, isTransientError, type LemmyService } from '../../services/lemmy';
+import { lemmyPool, mergeSearchResults } from '../../services/lemmyPool';
 import {
   cacheGet,
   cacheSet,
+  cacheSetWithStale,
+  cacheGetStale,
+  cacheInvalidate,
   generateSearchKey,
   CACHE_TTL,
 } from '../../services/cache';
+import { CircuitOpenError } from '../../services/resilience';
+import {
+  linkLemmyAccount,
+  unlinkLemmyAccount,
+  getLemmyAccountInfo,
+  getUserLemmyService,
+  LemmyAccountError,
+} from '../../services/lemmyAccounts';
+import { buildCommentTree, pageCommentThreads } from '../../services/comments';
+import { isPostVisible, isCommunityVisible, isCommentVisible } from '../../services/moderation';
+import { parseSearchQuery, lemmyQueryText, textMatcher, SearchQueryError } from '../../services/searchQuery';
+import {
+  rememberCommunities,
+  suggestCommunities,
+  recordPopularQuery,
+  suggestPopularQueries,
+} from '../../services/suggest';
+import { normalizeUrl, discussionsCacheKey, findDiscussions } from '../../services/discussions';
+import { buildInsights, insightsCacheKey } from '../../services/insights';
+import {
+  rankPosts,
+  rankComments,
+  RELEVANCE_WEIGHTS,
+  RECENCY_HALF_LIFE_DAYS,
+  RELEVANCE_CANDIDATE_SORTS,
+  RELEVANCE_CANDIDATE_LIMIT,
+} from '../../services/ranking';
+import { computeTrending, watchCommunity, getLastSnapshotAt } from '../../services/trending';
+import { getClientIp } from '../middleware/rateLimit';
+import {
+  getListingFilters,
+  filterPosts,
+  filterCommunities,
+  filterPersonComments,
+  filterComments,
+  filterCommentThreads,
+  filterUsers,
+  DEFAULT_FILTERS,
+} from '../../services/filters';
 import {
   getUserVotes,
   setUserVote,
-  getUserBookmarks,
+  setCommentAuthor,
+  getCommentAuthor,
+  getUserCommentIds,
+  getRecentSearches,
+  addRecentSearch,
+  clearRecentSearches,
+  addReport,
+  hasOpenReport,
+  getUserBan,
+  type CommentAuthorship,
+  type ContentReport,
   addUserBookmark,
   removeUserBookmark,
   isPostBookmarked,
   getUserBookmarksList,
   getUserProfile,
   setUserProfile,
+  getUserFilters,
+  setUserFilters,
   getUserStats,
   type SavedPost,
   type UserProfile,
   type UserStats,
 } from '../../services/storage';
-import { authMiddleware, getAuthUser, type AuthUser } from '../middleware/auth';
-import type { SearchResponse, PostResponse, TrendingResponse } from '../../types';
+import {
+  authMiddleware,
+  optionalAuthMiddleware,
+  getAuthUser,
+  getAuthUserId,
+  isAdmin,
+  type AuthUser,
+} from '../middleware/auth';
+import type {
+  SearchResponse,
+  SearchResults,
+  ParsedSearchQuery,
+  SuggestResponse,
+  DiscussionsResponse,
+  InsightsResponse,
+  PostResponse,
+  TrendingResponse,
+  TrendingPost,
+  FeedResponse,
+  CommunityResponse,
+  PersonResponse,
+  SocialComment,
+  SocialCommunity,
+  CommentSort,
+  CommentsResponse,
+  RepliesResponse,
+} from '../../types';
 
 const social = new Hono();
 
 // Validation schemas
 const searchQuerySchema = z.object({
   q: z.string().min(1).max(500),
+  type: z.enum(['All', 'Posts', 'Comments', 'Communities', 'Users', 'Url']).optional().default('All'),
   limit: z.coerce.number().min(1).max(50).optional().default(10),
   page: z.coerce.number().min(1).max(100).optional().default(1),
-  sort: z.enum(['TopAll', 'TopYear', 'TopMonth', 'TopWeek', 'TopDay', 'Hot', 'New']).optional().default('TopAll'),
+  sort: z.enum(['relevance', 'TopAll', 'TopYear', 'TopMonth', 'TopWeek', 'TopDay', 'Hot', 'New']).optional().default('relevance'),
   community: z.string().optional(),
+  listingType: z.enum(['All', 'Local']).optional().default('All'),
+  // Only instances in the pool can be searched
+  instance: z.string().toLowerCase()
+    .refine((host) => lemmyPool.getInstances().includes(host), { message: 'Instance is not in the PreSocial pool' })
+    .optional(),
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+  minScore: z.coerce.number().int().optional(),
+}).refine((params) => !params.from || !params.to || params.from <= params.to, {
+  message: '`from` must not be after `to`',
+  path: ['from'],
+});
+
+const feedQuerySchema = z.object({
+  sort: z.enum(['Hot', 'Active', 'New', 'TopDay', 'TopWeek', 'TopMonth', 'TopAll']).optional().default('Hot'),
+  type: z.enum(['All', 'Local']).optional().default('All'),
+  limit: z.coerce.number().min(1).max(50).optional().default(20),
+  page: z.coerce.number().min(1).max(100).optional().default(1),
+  cursor: z.string().max(200).optional(),
+});
+
+const communityQuerySchema = z.object({
+  name: z.string().regex(/^[a-zA-Z0-9_]{1,100}(@[a-zA-Z0-9.-]{1,253})?$/),
+  sort: z.enum(['Hot', 'Active', 'New', 'TopDay', 'TopWeek', 'TopMonth', 'TopAll']).optional().default('Hot'),
+  limit: z.coerce.number().min(1).max(50).optional().default(20),
+  page: z.coerce.number().min(1).max(100).optional().default(1),
+  cursor: z.string().max(200).optional(),
+});
+
+const personQuerySchema = z.object({
+  name: z.string().regex(/^[a-zA-Z0-9_]{1,100}(@[a-zA-Z0-9.-]{1,253})?$/),
+  sort: z.enum(['New', 'Hot', 'TopAll']).optional().default('New'),
+  limit: z.coerce.number().min(1).max(50).optional().default(20),
+  page: z.coerce.number().min(1).max(100).optional().default(1),
+});
+
+const idParamSchema = z.object({
+  id: z.coerce.number().positive(),
+});
+
+const commentSortSchema = z.enum(['Hot', 'Top', 'New', 'Old', 'Controversial']).optional().default('Top');
+
+const postQuerySchema = z.object({
+  id: z.coerce.number().positive(),
+  commentSort: commentSortSchema,
 });
 
-const postIdSchema = z.object({
+const commentPageSchema = z.object({
   id: z.coerce.number().positive(),
+  page: z.coerce.number().min(1).max(100).optional().default(1),
+  commentSort: commentSortSchema,
 });
 
-const voteSchema = z.object({
+// A post as the client got it: its ID on the instance it came from, plus the ActivityPub ID
+// that identifies it everywhere. Without `instance` the ID is the primary instance's
+const postRefSchema = z.object({
   postId: z.number().positive(),
+  apId: z.string().url(),
+  instance: z.string().toLowerCase().optional(),
+});
+
+const voteSchema = postRefSchema.extend({
   vote: z.enum(['up', 'down', 'none']),
 });
 
 const bookmarkSchema = z.object({
-  postId: z.number().positive(),
+  apId: z.string().url(),
   post: z.object({
     id: z.number(),
+    instance: z.string().optional(),
     title: z.string(),
     url: z.string(),
     score: z.number(),
@@ -66,15 +203,172 @@ const bookmarkSchema = z.object({
 
 const profileUpdateSchema = z.object({
   bio: z.string().max(500).optional(),
-  avatarUrl: z.string().url().optional(),
+  avatarUrl: z.string().url().refine((url) => /^https?:\/\//i.test(url), {
+    message: 'Avatar must be an http(s) URL',
+  }).optional(),
 });
 
+/**
+ * Serve the last known good response for a cache key while Lemmy is failing
+ * Pass the route's filter so the stale copy gets the same per-user filtering as a fresh one.
+ * Returns null when there is no stale copy to fall back to
+ */
+async function serveStale<T extends object>(
+  c: Context,
+  cacheKey: string,
+  error: unknown,
+  filter: (data: T) => T = (data) => data
+): Promise<Response | null> {
+  const stale = await cacheGetStale<T>(cacheKey);
+  if (!stale) return null;
+
+  console.warn(`[Social API] Serving stale ${cacheKey}:`, error instanceof Error ? error.message : error);
+  c.header('Warning', '110 - "Response is Stale"');
+
+  return c.json({ ...filter(stale), degraded: true, stale: true });
+}
+
+/**
+ * Drop cached copies of a post's comments (every sort) and of the reply
+ * subtrees above a comment, so a new, edited or deleted comment shows up
+ */
+async function invalidateCommentCaches(comment: SocialComment): Promise<void> {
+  const ancestorIds = comment.path.split('.').slice(1, -1);
+
+  await Promise.all([
+    cacheInvalidate(`post:${comment.postId}:*`),
+    cacheInvalidate(`comments:${comment.postId}:*`),
+    ...ancestorIds.map((id) => cacheInvalidate(`replies:${id}:*`)),
+  ]);
+}
+
+function isPrimaryInstance(instance: string | undefined): boolean {
+  return !instance || instance === lemmyService.getInstanceHost();
+}
+
+/**
+ * The ID a post has on the primary instance, where linked accounts and the bot act
+ * Post IDs are per instance, so a post fetched from elsewhere in the pool is resolved by its
+ * ActivityPub ID. Returns null if the primary instance can't find it.
+ */
+async function primaryPostId(
+  service: LemmyService,
+  ref: { postId: number; apId?: string; instance?: string }
+): Promise<number | null> {
+  if (isPrimaryInstance(ref.instance)) {
+    return ref.postId;
+  }
+  if (!ref.apId) {
+    return null;
+  }
+
+  const post = await service.resolvePost(ref.apId);
+  return post?.id ?? null;
+}
+
+/**
+ * Get the Lemmy account a PreSocial comment must be changed through:
+ * the user's linked account or the bot, whichever posted it
+ * Returns null if that account is no longer available
+ */
+function getCommentActor(record: CommentAuthorship, userId: string): LemmyService | null {
+  if (record.via === 'account') {
+    return getUserLemmyService(userId);
+  }
+  return lemmyService.getBotUsername() ? lemmyService : null;
+}
+
+/**
+ * Get the full (depth-limited) comment tree for a post, cached per sort
+ * Falls back to the last known copy if Lemmy is failing
+ */
+async function getPostComments(postId: number, sort: CommentSort): Promise<SocialComment[]> {
+  const cacheKey = `comments:${postId}:${sort}`;
+  const cached = await cacheGet<SocialComment[]>(cacheKey);
+
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    const comments = buildCommentTree(await lemmyService.getComments(postId, { sort }), sort);
+    await cacheSetWithStale(cacheKey, comments, CACHE_TTL.POST);
+    return comments;
+  } catch (error) {
+    const stale = await cacheGetStale<SocialComment[]>(cacheKey);
+    if (stale) return stale;
+    throw error;
+  }
+}
+
+/**
+ * Reject users an admin has banned from commenting and posting
+ * Returns null if the user isn't banned
+ */
+function bannedResponse(c: Context, userId: string): Response | null {
+  const ban = getUserBan(userId);
+  if (!ban) return null;
+
+  return c.json({
+    error: 'User banned',
+    message: ban.reason
+      ? `You are banned from commenting and posting on PreSocial: ${ban.reason}`
+      : 'You are banned from commenting and posting on PreSocial',
+  }, 403);
+}
+
+/**
+ * Count the results across all search sections
+ */
+function countSearchResults(sections: SearchResults): number {
+  return sections.posts.length + sections.comments.length + sections.communities.length + sections.users.length;
+}
+
+/**
+ * Remember a first-page search in the user's recent searches, and anonymously towards popular queries
+ */
+async function recordSearch(c: Context, query: string, page: number, totalResults: number): Promise<void> {
+  if (page !== 1) return;
+
+  const userId = getAuthUserId(c);
+  if (userId) {
+    await addRecentSearch(userId, query.trim());
+  }
+  if (totalResults > 0) {
+    await recordPopularQuery(query, userId || getClientIp(c) || 'unknown');
+  }
+}
+
+/**
+ * Pick the status code for a failed upstream call
+ */
+function upstreamErrorStatus(error: unknown): 500 | 503 {
+  return error instanceof CircuitOpenError ? 503 : 500;
+}
+
 /**
  * GET /api/social/search
  * Search for community discussions relevant to the query
  */
-social.get('/search', async (c) => {
+social.get('/search', optionalAuthMiddleware(), async (c) => {
   const startTime = Date.now();
+  const filters = getListingFilters(getAuthUserId(c));
+  let cacheKey = '';
+
+  // Apply the user's filters to a cached or fresh response
+  const filterSearch = (result: SearchResponse): SearchResponse => {
+    const sections = {
+      posts: filterPosts(result.posts, filters),
+      comments: filterComments(result.comments, filters),
+      communities: filterCommunities(result.communities, filters),
+      users: filterUsers(result.users, filters),
+    };
+    return {
+      ...result,
+      ...sections,
+      meta: { ...result.meta, totalResults: countSearchResults(sections) },
+    };
+  };
 
   try {
     // Parse and validate query params
@@ -88,59 +382,413 @@ social.get('/search', async (c) => {
       }, 400);
     }
 
-    const { q, limit, page, sort, community } = params.data;
+    const { q, type, limit, page, sort, community, listingType, instance, from, to, minScore } = params.data;
+
+    // Split operators (community:, author:, after:, before:), phrases and exclusions out of the query
+    let parsed: ParsedSearchQuery;
+    try {
+      parsed = parseSearchQuery(q);
+    } catch (error) {
+      if (error instanceof SearchQueryError) {
+        return c.json({ error: 'Invalid search query', message: error.message }, 400);
+      }
+      throw error;
+    }
+
+    // Date operators can only narrow the range given by the from/to parameters
+    const after = parsed.after ? new Date(parsed.after) : undefined;
+    const before = parsed.before ? new Date(`${parsed.before}T23:59:59.999Z`) : undefined;
+    const rangeStart = from && after ? (from > after ? from : after) : from || after;
+    const rangeEnd = to && before ? (to < before ? to : before) : to || before;
 
     // Check cache first
-    const cacheKey = generateSearchKey(q, { limit, page, sort, community });
+    cacheKey = generateSearchKey(q, {
+      type, limit, page, sort, community, listingType, instance,
+      from: from?.toISOString(), to: to?.toISOString(), minScore,
+    });
     const cached = await cacheGet<SearchResponse>(cacheKey);
 
     if (cached) {
+      const filtered = filterSearch(cached);
+      await recordSearch(c, q, page, filtered.meta.totalResults);
       return c.json({
-        ...cached,
+        ...filtered,
         meta: {
-          ...cached.meta,
+          ...filtered.meta,
           cached: true,
           cacheAge: Math.floor((Date.now() - (cached.meta.processingTime || 0)) / 1000),
         },
       });
     }
 
-    // Fetch from Lemmy
-    const [posts, communities] = await Promise.all([
-      lemmyService.searchPosts(q, {
-        limit,
-        page,
-        sort,
-        communityName: community,
-      }),
-      community ? [] : lemmyService.listCommunities(q, 5),
-    ]);
+    // Lemmy can't filter by date, score, exact phrase or exclusion, so those apply to what it returns
+    const inRange = (item: { timestamp: string; score: number }) => {
+      const time = new Date(item.timestamp);
+      return (!rangeStart || time >= rangeStart) && (!rangeEnd || time <= rangeEnd)
+        && (minScore === undefined || item.score >= minScore);
+    };
+    const matchesText = textMatcher(parsed);
+
+    // Drop anything hidden by an admin; NSFW and the user's own filters apply per request
+    const filterResults = (results: SearchResults): SearchResults => ({
+      posts: results.posts
+        .filter((post) => isPostVisible(post) && inRange(post) && matchesText(`${post.title}\n${post.body || ''}`)),
+      comments: results.comments
+        .filter((comment) => isCommentVisible(comment) && inRange(comment) && matchesText(comment.content)),
+      communities: results.communities
+        .filter((community) => isCommunityVisible(community)
+          && matchesText(`${community.name}\n${community.title}\n${community.description || ''}`)),
+      users: results.users
+        .filter((user) => matchesText(`${user.name}\n${user.displayName || ''}`)),
+    });
+
+    // Fetch from all Lemmy instances in the pool (or just the requested one)
+    // Community and author go to Lemmy; a community: operator takes precedence over the parameter
+    const searchOptions = {
+      type,
+      listingType,
+      communityName: parsed.community || community,
+      creatorName: parsed.author,
+    };
+
+    let results: SearchResults;
+    let offset = 0;
+    let hasMore: (section: unknown[]) => boolean;
+    // A search missing some of its results is not cached, so the next request tries again
+    let complete = true;
+
+    if (sort === 'relevance') {
+      // Relevance ranks one fixed window of candidates (Lemmy's top and newest matches) and caches
+      // the ranked list, so every page of a query is a slice of the same order
+      const rankedKey = generateSearchKey(q, {
+        type, sort, community, listingType, instance,
+        from: from?.toISOString(), to: to?.toISOString(), minScore, ranked: true,
+      });
+      let ranked = await cacheGet<SearchResults>(rankedKey);
+
+      if (!ranked) {
+        // One sort failing still leaves candidates from the others
+        const settled = await Promise.allSettled(RELEVANCE_CANDIDATE_SORTS.map((lemmySort) =>
+          lemmyPool.search(lemmyQueryText(parsed), {
+            ...searchOptions,
+            limit: RELEVANCE_CANDIDATE_LIMIT,
+            page: 1,
+            sort: lemmySort,
+          }, instance)
+        ));
+        const resultSets = settled.flatMap((result) => result.status === 'fulfilled' ? [result.value] : []);
+        const failed = settled.filter((result): result is PromiseRejectedResult => result.status === 'rejected');
+
+        if (resultSets.length === 0) {
+          throw failed[0].reason;
+        }
+        failed.forEach((result) => {
+          console.warn('[Social API] Relevance candidates incomplete:', result.reason instanceof Error ? result.reason.message : result.reason);
+        });
+        complete = failed.length === 0;
+
+        const candidates = filterResults(mergeSearchResults(resultSets));
+        ranked = {
+          ...candidates,
+          posts: rankPosts(candidates.posts, parsed),
+          comments: rankComments(candidates.comments, parsed),
+        };
+        if (complete) {
+          await cacheSet(rankedKey, ranked, CACHE_TTL.SEARCH);
+        }
+      }
 
-    // Filter NSFW content by default
-    const safePosts = posts.filter((post) => !post.nsfw);
-    const safeCommunities = communities.filter((comm) => !comm.nsfw);
+      results = ranked;
+      offset = (page - 1) * limit;
+      hasMore = (section) => section.length > offset + limit;
+    } else {
+      results = filterResults(await lemmyPool.search(lemmyQueryText(parsed), { ...searchOptions, limit, page, sort }, instance));
+      // Lemmy doesn't say how many matches there are; a full page may have another after it
+      hasMore = (section) => section.length >= limit;
+    }
+
+    const sections = {
+      posts: results.posts.slice(offset, offset + limit),
+      comments: results.comments.slice(offset, offset + limit),
+      communities: results.communities.slice(offset, offset + limit),
+      users: results.users.slice(offset, offset + limit),
+    };
 
     const response: SearchResponse = {
       query: q,
-      posts: safePosts,
-      communities: safeCommunities,
+      type,
+      parsed,
+      ...sections,
       meta: {
-        totalResults: safePosts.length,
+        totalResults: countSearchResults(sections),
         cached: false,
         processingTime: Date.now() - startTime,
+        instances: lemmyPool.getInstances(),
+        hasMore: [results.posts, results.comments, results.communities, results.users].some(hasMore),
+        ...(sort === 'relevance' && {
+          ranking: {
+            weights: RELEVANCE_WEIGHTS,
+            recencyHalfLifeDays: RECENCY_HALF_LIFE_DAYS,
+            candidateLimit: RELEVANCE_CANDIDATE_LIMIT * RELEVANCE_CANDIDATE_SORTS.length,
+          },
+        }),
       },
     };
 
     // Cache the response
-    await cacheSet(cacheKey, response, CACHE_TTL.SEARCH);
+    if (complete) {
+      await cacheSetWithStale(cacheKey, response, CACHE_TTL.SEARCH);
+    }
+    await rememberCommunities(response.communities);
 
-    return c.json(response);
+    const filtered = filterSearch(response);
+    await recordSearch(c, q, page, filtered.meta.totalResults);
+
+    return c.json(filtered);
   } catch (error) {
     console.error('[Social API] Search error:', error);
+
+    const fallback = cacheKey ? await serveStale(c, cacheKey, error, filterSearch) : null;
+    if (fallback) return fallback;
+
     return c.json({
       error: 'Failed to search community discussions',
       message: error instanceof Error ? error.message : 'Unknown error',
-    }, 500);
+    }, upstreamErrorStatus(error));
+  }
+});
+
+const suggestQuerySchema = z.object({
+  q: z.string().max(100).optional().default(''),
+  limit: z.coerce.number().min(1).max(10).optional().default(5),
+});
+
+/**
+ * GET /api/social/suggest?q=
+ * Typeahead suggestions: matching communities, popular queries and the user's recent searches
+ * Never calls Lemmy on the request path, so it stays fast enough to run on every keystroke.
+ */
+social.get('/suggest', optionalAuthMiddleware(), async (c) => {
+  const params = suggestQuerySchema.safeParse(c.req.query());
+
+  if (!params.success) {
+    return c.json({
+      error: 'Invalid query parameters',
+      details: params.error.issues,
+    }, 400);
+  }
+
+  const { q, limit } = params.data;
+  const userId = getAuthUserId(c);
+  const prefix = q.trim().replace(/\s+/g, ' ').toLowerCase();
+
+  try {
+    // Communities and popular queries are the same for everyone; recent searches are per user
+    const cacheKey = `suggest:${limit}:${prefix}`;
+    let shared = await cacheGet<Omit<SuggestResponse, 'query' | 'recent'>>(cacheKey);
+
+    if (!shared) {
+      const communities = await suggestCommunities(prefix, limit);
+      shared = {
+        communities: communities.filter(isCommunityVisible),
+        popular: suggestPopularQueries(prefix, limit),
+      };
+      await cacheSet(cacheKey, shared, CACHE_TTL.SUGGEST);
+    }
+
+    const recent = userId
+      ? getRecentSearches(userId)
+        .map((search) => search.query)
+        .filter((query) => query.toLowerCase().startsWith(prefix))
+        .slice(0, limit)
+      : [];
+    const recentSet = new Set(recent.map((query) => query.toLowerCase()));
+
+    const response: SuggestResponse = {
+      query: q,
+      communities: filterCommunities(shared.communities, getListingFilters(userId)),
+      popular: shared.popular.filter((query) => !recentSet.has(query)),
+      recent,
+    };
+
+    return c.json(response);
+  } catch (error) {
+    console.error('[Social API] Suggest error:', error);
+    return c.json({ error: 'Failed to load suggestions' }, 500);
+  }
+});
+
+/**
+ * DELETE /api/social/search/recent?q=
+ * Forget the user's recent searches, or only the given one (requires authentication)
+ */
+social.delete('/search/recent', authMiddleware(), async (c) => {
+  const user = getAuthUser(c)!;
+  await clearRecentSearches(user.id, c.req.query('q'));
+
+  return c.json({ success: true });
+});
+
+const discussionsQuerySchema = z.object({
+  url: z.string().max(2048).refine((url) => normalizeUrl(url) !== null, {
+    message: 'Must be an http(s) URL',
+  }),
+  limit: z.coerce.number().min(1).max(50).optional().default(10),
+});
+
+/**
+ * GET /api/social/discussions?url=
+ * Posts linking to a page, most discussed first
+ * Cached per normalized URL, so tracking parameters and `www.` don't split the cache.
+ */
+social.get('/discussions', optionalAuthMiddleware(), async (c) => {
+  const startTime = Date.now();
+  const filters = getListingFilters(getAuthUserId(c));
+  let cacheKey = '';
+  let limit = 10;
+
+  const filterDiscussions = (result: DiscussionsResponse): DiscussionsResponse => {
+    const posts = filterPosts(result.posts, filters).slice(0, limit);
+    return {
+      ...result,
+      posts,
+      meta: {
+        ...result.meta,
+        totalResults: posts.length,
+        totalComments: posts.reduce((sum, post) => sum + post.commentCount, 0),
+      },
+    };
+  };
+
+  try {
+    const params = discussionsQuerySchema.safeParse(c.req.query());
+
+    if (!params.success) {
+      return c.json({
+        error: 'Invalid query parameters',
+        details: params.error.issues,
+      }, 400);
+    }
+
+    const { url } = params.data;
+    const normalizedUrl = normalizeUrl(url)!;
+    limit = params.data.limit;
+
+    // Every limit shares one cached list, trimmed per request
+    cacheKey = discussionsCacheKey(normalizedUrl);
+    const cached = await cacheGet<DiscussionsResponse>(cacheKey);
+
+    if (cached) {
+      const filtered = filterDiscussions(cached);
+      return c.json({ ...filtered, meta: { ...filtered.meta, cached: true } });
+    }
+
+    const posts = (await findDiscussions(url, normalizedUrl)).filter(isPostVisible);
+
+    const response: DiscussionsResponse = {
+      url: normalizedUrl,
+      posts,
+      meta: {
+        totalResults: posts.length,
+        totalComments: posts.reduce((sum, post) => sum + post.commentCount, 0),
+        cached: false,
+        processingTime: Date.now() - startTime,
+        instances: lemmyPool.getInstances(),
+      },
+    };
+
+    await cacheSetWithStale(cacheKey, response, CACHE_TTL.DISCUSSIONS);
+
+    return c.json(filterDiscussions(response));
+  } catch (error) {
+    console.error('[Social API] Discussions error:', error);
+
+    const fallback = cacheKey ? await serveStale(c, cacheKey, error, filterDiscussions) : null;
+    if (fallback) return fallback;
+
+    return c.json({
+      error: 'Failed to find discussions',
+      message: error instanceof Error ? error.message : 'Unknown error',
+    }, upstreamErrorStatus(error));
+  }
+});
+
+const insightsQuerySchema = z.object({
+  q: z.string().trim().min(1).max(200),
+});
+
+/**
+ * GET /api/social/insights?q=
+ * Compact card for the embeddable widget: top discussions, top communities and totals
+ * Anonymous and identical for everyone, so browsers and CDNs may cache it too.
+ */
+social.get('/insights', async (c) => {
+  const params = insightsQuerySchema.safeParse(c.req.query());
+
+  if (!params.success) {
+    return c.json({
+      error: 'Invalid query parameters',
+      details: params.error.issues,
+    }, 400);
+  }
+
+  const cacheKey = insightsCacheKey(params.data.q);
+
+  try {
+    let card = await cacheGet<InsightsResponse>(cacheKey);
+
+    if (!card) {
+      card = await buildInsights(params.data.q);
+      await cacheSetWithStale(cacheKey, card, CACHE_TTL.INSIGHTS);
+    }
+
+    c.header('Cache-Control', `public, max-age=${CACHE_TTL.INSIGHTS}`);
+    return c.json(card);
+  } catch (error) {
+    console.error('[Social API] Insights error:', error);
+
+    const fallback = await serveStale(c, cacheKey, error);
+    if (fallback) return fallback;
+
+    return c.json({ error: 'Failed to load insights' }, upstreamErrorStatus(error));
+  }
+});
+
+/**
+ * GET /api/social/post/resolve?apId=
+ * Find a post's ID on the primary instance by its ActivityPub ID
+ * Post pages are served from the primary, so this is how a post seen elsewhere in the pool is opened.
+ */
+social.get('/post/resolve', async (c) => {
+  try {
+    const apId = z.string().url().safeParse(c.req.query('apId'));
+    if (!apId.success) {
+      return c.json({ error: 'Invalid post ActivityPub ID' }, 400);
+    }
+
+    const cacheKey = `post:resolve:${apId.data}`;
+    const cached = await cacheGet<{ id: number; apId: string }>(cacheKey);
+
+    if (cached) {
+      return c.json(cached);
+    }
+
+    const post = await lemmyService.resolvePost(apId.data);
+    if (!post) {
+      return c.json({ error: 'Post not found' }, 404);
+    }
+
+    if (!isPostVisible(post)) {
+      return c.json({ error: 'This post is not available' }, 403);
+    }
+
+    const response = { id: post.id, apId: post.apId };
+    await cacheSet(cacheKey, response, CACHE_TTL.POST);
+
+    return c.json(response);
+  } catch (error) {
+    console.error('[Social API] Resolve post error:', error);
+    return c.json({ error: 'Failed to find post' }, upstreamErrorStatus(error));
   }
 });
 
@@ -148,36 +796,55 @@ social.get('/search', async (c) => {
  * GET /api/social/post/:id
  * Get a single post with its comments
  */
-social.get('/post/:id', async (c) => {
+social.get('/post/:id', optionalAuthMiddleware(), async (c) => {
+  const filters = getListingFilters(getAuthUserId(c));
+  let cacheKey = '';
+
+  // Apply the user's filters to a cached or fresh response
+  const filterPost = (result: PostResponse): PostResponse => ({
+    ...result,
+    comments: filterCommentThreads(result.comments, filters),
+  });
+
   try {
-    const params = postIdSchema.safeParse({ id: c.req.param('id') });
+    const params = postQuerySchema.safeParse({
+      id: c.req.param('id'),
+      commentSort: c.req.query('commentSort'),
+    });
 
     if (!params.success) {
-      return c.json({ error: 'Invalid post ID' }, 400);
+      return c.json({
+        error: 'Invalid query parameters',
+        details: params.error.issues,
+      }, 400);
     }
 
-    const { id } = params.data;
+    const { id, commentSort } = params.data;
 
     // Check cache
-    const cacheKey = `post:${id}`;
+    cacheKey = `post:${id}:${commentSort}`;
     const cached = await cacheGet<PostResponse>(cacheKey);
 
     if (cached) {
-      return c.json(cached);
+      return c.json(filterPost(cached));
     }
 
     // Fetch post and comments
-    const [post, comments] = await Promise.all([
+    const [post, allComments] = await Promise.all([
       lemmyService.getPost(id),
-      lemmyService.getComments(id, 30),
+      getPostComments(id, commentSort),
     ]);
 
     if (!post) {
       return c.json({ error: 'Post not found' }, 404);
     }
 
-    // Get community info
-    const communities = await lemmyService.listCommunities(post.community, 1);
+    if (!isPostVisible(post)) {
+      return c.json({ error: 'This post is not available' }, 403);
+    }
+
+    // Get community info (best effort - falls back to a stub below)
+    const communities = await lemmyService.listCommunities(post.community, 1).catch(() => []);
     const community = communities[0] || {
       id: post.communityId,
       name: post.community,
@@ -188,85 +855,468 @@ social.get('/post/:id', async (c) => {
       nsfw: false,
     };
 
+    // Only the first page of threads is sent with the post; the rest load on demand
+    const { comments, hasMore } = pageCommentThreads(allComments, 1);
+
     const response: PostResponse = {
       post,
       comments,
       community,
+      commentSort,
+      commentsPage: 1,
+      hasMoreComments: hasMore,
     };
 
     // Cache the response
-    await cacheSet(cacheKey, response, CACHE_TTL.POST);
+    await cacheSetWithStale(cacheKey, response, CACHE_TTL.POST);
 
-    return c.json(response);
+    return c.json(filterPost(response));
   } catch (error) {
     console.error('[Social API] Get post error:', error);
-    return c.json({ error: 'Failed to get post' }, 500);
+
+    const fallback = cacheKey ? await serveStale(c, cacheKey, error, filterPost) : null;
+    if (fallback) return fallback;
+
+    return c.json({ error: 'Failed to get post' }, upstreamErrorStatus(error));
   }
 });
 
 /**
- * GET /api/social/communities
- * List relevant communities
+ * GET /api/social/post/:id/comments
+ * Get a further page of a post's top-level comment threads
  */
-social.get('/communities', async (c) => {
-  try {
-    const query = c.req.query('q');
-    const limit = Math.min(parseInt(c.req.query('limit') || '10'), 50);
+social.get('/post/:id/comments', optionalAuthMiddleware(), async (c) => {
+  const filters = getListingFilters(getAuthUserId(c));
 
-    // Check cache for full community list
-    const cacheKey = query ? `communities:${query}` : 'communities:all';
-    const cached = await cacheGet<{ communities: any[] }>(cacheKey);
+  try {
+    const params = commentPageSchema.safeParse({
+      id: c.req.param('id'),
+      page: c.req.query('page'),
+      commentSort: c.req.query('commentSort'),
+    });
 
-    if (cached) {
-      return c.json(cached);
+    if (!params.success) {
+      return c.json({
+        error: 'Invalid query parameters',
+        details: params.error.issues,
+      }, 400);
     }
 
-    const communities = await lemmyService.listCommunities(query, limit);
-    const safeCommunities = communities.filter((c) => !c.nsfw);
-
-    const response = { communities: safeCommunities };
+    const { id, page, commentSort } = params.data;
+    const tree = await getPostComments(id, commentSort);
+    const { comments, hasMore } = pageCommentThreads(tree, page);
 
-    // Cache longer for community lists
-    await cacheSet(cacheKey, response, CACHE_TTL.COMMUNITIES);
+    const response: CommentsResponse = {
+      comments: filterCommentThreads(comments, filters),
+      sort: commentSort,
+      page,
+      hasMore,
+    };
 
     return c.json(response);
   } catch (error) {
-    console.error('[Social API] List communities error:', error);
-    return c.json({ error: 'Failed to list communities' }, 500);
+    console.error('[Social API] Get comments error:', error);
+    return c.json({ error: 'Failed to get comments' }, upstreamErrorStatus(error));
   }
 });
 
 /**
- * GET /api/social/trending
- * Get trending discussions
+ * GET /api/social/comment/:id/replies
+ * Get the replies below a comment (for threads cut off by depth)
  */
-social.get('/trending', async (c) => {
+social.get('/comment/:id/replies', optionalAuthMiddleware(), async (c) => {
+  const filters = getListingFilters(getAuthUserId(c));
+  let cacheKey = '';
+
+  // Apply the user's filters to a cached or fresh response
+  const filterReplies = (result: RepliesResponse): RepliesResponse => ({
+    ...result,
+    comments: filterCommentThreads(result.comments, filters),
+  });
+
   try {
-    const limit = Math.min(parseInt(c.req.query('limit') || '10'), 20);
+    const params = postQuerySchema.safeParse({
+      id: c.req.param('id'),
+      commentSort: c.req.query('commentSort'),
+    });
+
+    if (!params.success) {
+      return c.json({
+        error: 'Invalid query parameters',
+        details: params.error.issues,
+      }, 400);
+    }
+
+    const { id, commentSort } = params.data;
 
     // Check cache
-    const cacheKey = `trending:${limit}`;
-    const cached = await cacheGet<TrendingResponse>(cacheKey);
+    cacheKey = `replies:${id}:${commentSort}`;
+    const cached = await cacheGet<RepliesResponse>(cacheKey);
 
     if (cached) {
-      return c.json(cached);
+      return c.json(filterReplies(cached));
     }
 
-    const trending = await lemmyService.getTrending(limit);
-    const safeTrending = trending.filter((post) => !post.nsfw);
+    const replies = await lemmyService.getCommentReplies(id, { sort: commentSort });
+    const comments = buildCommentTree(replies, commentSort);
 
-    const response: TrendingResponse = {
-      trending: safeTrending,
-      updatedAt: new Date().toISOString(),
+    const response: RepliesResponse = {
+      parentId: id,
+      comments,
     };
 
-    // Cache trending for 30 minutes
-    await cacheSet(cacheKey, response, CACHE_TTL.TRENDING);
+    await cacheSetWithStale(cacheKey, response, CACHE_TTL.POST);
 
-    return c.json(response);
+    return c.json(filterReplies(response));
+  } catch (error) {
+    console.error('[Social API] Get replies error:', error);
+
+    const fallback = cacheKey ? await serveStale(c, cacheKey, error, filterReplies) : null;
+    if (fallback) return fallback;
+
+    return c.json({ error: 'Failed to get replies' }, upstreamErrorStatus(error));
+  }
+});
+
+/**
+ * GET /api/social/communities
+ * List relevant communities
+ */
+social.get('/communities', optionalAuthMiddleware(), async (c) => {
+  const query = c.req.query('q');
+  const limit = Math.min(parseInt(c.req.query('limit') || '10'), 50);
+  const cacheKey = query ? `communities:${query}` : 'communities:all';
+  const filters = getListingFilters(getAuthUserId(c));
+
+  const filterList = (result: { communities: SocialCommunity[] }) => ({
+    communities: filterCommunities(result.communities, filters),
+  });
+
+  try {
+    // Check cache for full community list
+    const cached = await cacheGet<{ communities: SocialCommunity[] }>(cacheKey);
+
+    if (cached) {
+      return c.json(filterList(cached));
+    }
+
+    const communities = await lemmyService.listCommunities(query, limit);
+    const response = { communities: communities.filter(isCommunityVisible) };
+    await rememberCommunities(response.communities);
+
+    // Cache longer for community lists
+    await cacheSetWithStale(cacheKey, response, CACHE_TTL.COMMUNITIES);
+
+    return c.json(filterList(response));
+  } catch (error) {
+    console.error('[Social API] List communities error:', error);
+
+    const fallback = await serveStale(c, cacheKey, error, filterList);
+    if (fallback) return fallback;
+
+    return c.json({ error: 'Failed to list communities' }, upstreamErrorStatus(error));
+  }
+});
+
+/**
+ * GET /api/social/community/:name
+ * Get a community's details, moderators and a page of its posts
+ */
+social.get('/community/:name', optionalAuthMiddleware(), async (c) => {
+  const filters = getListingFilters(getAuthUserId(c));
+  let cacheKey = '';
+
+  // The user's filters apply to the posts, except a block on this community itself -
+  // opening a blocked community shows it, flagged as blocked
+  const filterCommunity = (result: CommunityResponse): CommunityResponse => {
+    const handle = (result.community.handle || result.community.name).toLowerCase();
+    const blocked = filters.blockedCommunities.includes(handle);
+    return {
+      ...result,
+      posts: filterPosts(result.posts, {
+        ...filters,
+        blockedCommunities: filters.blockedCommunities.filter((entry) => entry !== handle),
+      }),
+      blocked,
+    };
+  };
+
+  // NSFW communities are only available to users who opted in
+  const respond = (result: CommunityResponse) => {
+    if (result.community.nsfw && !filters.showNsfw) {
+      return c.json({ error: 'This community is not available' }, 403);
+    }
+    return c.json(filterCommunity(result));
+  };
+
+  try {
+    const params = communityQuerySchema.safeParse({
+      ...c.req.query(),
+      name: c.req.param('name'),
+    });
+
+    if (!params.success) {
+      return c.json({
+        error: 'Invalid query parameters',
+        details: params.error.issues,
+      }, 400);
+    }
+
+    const { name, sort, limit, page, cursor } = params.data;
+
+    // Check cache
+    cacheKey = `community:${name.toLowerCase()}:${sort}:${limit}:${cursor || `p${page}`}`;
+    const cached = await cacheGet<CommunityResponse>(cacheKey);
+
+    if (cached) {
+      return respond(cached);
+    }
+
+    const [details, feed] = await Promise.all([
+      lemmyService.getCommunity(name),
+      // An unknown community fails here too; let getCommunity report the 404
+      lemmyService.getPosts({ sort, limit, page, cursor, communityName: name }).catch((error) => {
+        if (isTransientError(error)) throw error;
+        return { posts: [], nextCursor: undefined };
+      }),
+    ]);
+
+    if (!details) {
+      return c.json({ error: 'Community not found' }, 404);
+    }
+
+    if (!isCommunityVisible(details.community)) {
+      return c.json({ error: 'This community is not available' }, 403);
+    }
+
+    const response: CommunityResponse = {
+      community: details.community,
+      moderators: details.moderators,
+      posts: feed.posts.filter(isPostVisible),
+      sort,
+      page,
+      nextCursor: feed.nextCursor || null,
+      hasMore: !!feed.nextCursor || feed.posts.length >= limit,
+    };
+
+    await cacheSetWithStale(cacheKey, response, CACHE_TTL.FEED);
+
+    return respond(response);
+  } catch (error) {
+    console.error('[Social API] Get community error:', error);
+
+    const stale = cacheKey ? await cacheGetStale<CommunityResponse>(cacheKey) : null;
+    if (stale?.community.nsfw && !filters.showNsfw) {
+      return c.json({ error: 'This community is not available' }, 403);
+    }
+
+    const fallback = cacheKey ? await serveStale(c, cacheKey, error, filterCommunity) : null;
+    if (fallback) return fallback;
+
+    return c.json({ error: 'Failed to get community' }, upstreamErrorStatus(error));
+  }
+});
+
+/**
+ * GET /api/social/person/:name
+ * Get a Lemmy user's profile with a page of their posts and comments
+ * :name may be a local name or name@instance
+ */
+social.get('/person/:name', optionalAuthMiddleware(), async (c) => {
+  const filters = getListingFilters(getAuthUserId(c));
+  let cacheKey = '';
+
+  // As with communities, a block on this person doesn't empty their own profile
+  const filterPerson = (result: PersonResponse): PersonResponse => {
+    const handle = result.person.handle.toLowerCase();
+    return {
+      ...result,
+      posts: filterPosts(result.posts, {
+        ...filters,
+        blockedAuthors: filters.blockedAuthors.filter((entry) => entry !== handle),
+      }),
+      comments: filterPersonComments(result.comments, filters),
+      blocked: filters.blockedAuthors.includes(handle),
+    };
+  };
+
+  try {
+    const params = personQuerySchema.safeParse({
+      ...c.req.query(),
+      name: c.req.param('name'),
+    });
+
+    if (!params.success) {
+      return c.json({
+        error: 'Invalid query parameters',
+        details: params.error.issues,
+      }, 400);
+    }
+
+    const { name, sort, limit, page } = params.data;
+
+    // Check cache
+    cacheKey = `person:${name.toLowerCase()}:${sort}:${limit}:${page}`;
+    const cached = await cacheGet<PersonResponse>(cacheKey);
+
+    if (cached) {
+      return c.json(filterPerson(cached));
+    }
+
+    const details = await lemmyService.getPerson(name, { sort, limit, page });
+
+    if (!details) {
+      return c.json({ error: 'User not found' }, 404);
+    }
+
+    const response: PersonResponse = {
+      person: details.person,
+      posts: details.posts.filter(isPostVisible),
+      comments: details.comments.filter(isCommentVisible),
+      sort,
+      page,
+      // Lemmy pages posts and comments together, so either list filling up means more may follow
+      hasMore: details.posts.length >= limit || details.comments.length >= limit,
+    };
+
+    await cacheSetWithStale(cacheKey, response, CACHE_TTL.FEED);
+
+    return c.json(filterPerson(response));
+  } catch (error) {
+    console.error('[Social API] Get person error:', error);
+
+    const fallback = cacheKey ? await serveStale(c, cacheKey, error, filterPerson) : null;
+    if (fallback) return fallback;
+
+    return c.json({ error: 'Failed to get user' }, upstreamErrorStatus(error));
+  }
+});
+
+const trendingQuerySchema = z.object({
+  window: z.enum(['1h', '24h', '7d']).optional().default('24h'),
+  community: z.string().trim().toLowerCase().regex(/^[a-z0-9_]{1,100}@[a-z0-9.-]{1,253}$/).optional(),
+  limit: z.coerce.number().min(1).max(50).optional().default(10),
+});
+
+/**
+ * GET /api/social/trending
+ * Get trending discussions, ranked by score and comment growth over a window (1h, 24h or 7d)
+ * Falls back to Lemmy's Hot sort until the snapshots cover enough time.
+ */
+social.get('/trending', optionalAuthMiddleware(), async (c) => {
+  const filters = getListingFilters(getAuthUserId(c));
+  let cacheKey = '';
+
+  const filterTrending = (result: TrendingResponse): TrendingResponse => ({
+    ...result,
+    trending: filterPosts(result.trending, filters),
+  });
+
+  try {
+    const params = trendingQuerySchema.safeParse(c.req.query());
+
+    if (!params.success) {
+      return c.json({
+        error: 'Invalid query parameters',
+        details: params.error.issues,
+      }, 400);
+    }
+
+    const { window, community, limit } = params.data;
+
+    if (community) {
+      await watchCommunity(community);
+    }
+
+    // Check cache
+    cacheKey = `trending:${window}:${community || 'all'}:${limit}`;
+    const cached = await cacheGet<TrendingResponse>(cacheKey);
+
+    if (cached) {
+      return c.json(filterTrending(cached));
+    }
+
+    const ranked = computeTrending(window, community);
+    const trending: TrendingPost[] = ranked
+      || (community
+        ? (await lemmyService.getPosts({ sort: 'Hot', communityName: community, limit })).posts
+        : await lemmyPool.getTrending(limit));
+
+    const response: TrendingResponse = {
+      trending: trending.filter(isPostVisible).slice(0, limit),
+      window,
+      ...(community && { community }),
+      source: ranked ? 'velocity' : 'hot',
+      updatedAt: new Date(ranked ? getLastSnapshotAt() : Date.now()).toISOString(),
+    };
+
+    await cacheSetWithStale(cacheKey, response, CACHE_TTL.TRENDING);
+
+    return c.json(filterTrending(response));
   } catch (error) {
     console.error('[Social API] Trending error:', error);
-    return c.json({ error: 'Failed to get trending discussions' }, 500);
+
+    const fallback = cacheKey ? await serveStale(c, cacheKey, error, filterTrending) : null;
+    if (fallback) return fallback;
+
+    return c.json({ error: 'Failed to get trending discussions' }, upstreamErrorStatus(error));
+  }
+});
+
+/**
+ * GET /api/social/feed
+ * Get a page of the main feed (sortable, paginated by page number or cursor)
+ */
+social.get('/feed', optionalAuthMiddleware(), async (c) => {
+  const filters = getListingFilters(getAuthUserId(c));
+  let cacheKey = '';
+
+  const filterFeed = (result: FeedResponse): FeedResponse => ({
+    ...result,
+    posts: filterPosts(result.posts, filters),
+  });
+
+  try {
+    const params = feedQuerySchema.safeParse(c.req.query());
+
+    if (!params.success) {
+      return c.json({
+        error: 'Invalid query parameters',
+        details: params.error.issues,
+      }, 400);
+    }
+
+    const { sort, type, limit, page, cursor } = params.data;
+
+    // Check cache
+    cacheKey = `feed:${type}:${sort}:${limit}:${cursor || `p${page}`}`;
+    const cached = await cacheGet<FeedResponse>(cacheKey);
+
+    if (cached) {
+      return c.json(filterFeed(cached));
+    }
+
+    const result = await lemmyService.getPosts({ sort, type, limit, page, cursor });
+
+    const response: FeedResponse = {
+      posts: result.posts.filter(isPostVisible),
+      sort,
+      type,
+      page,
+      nextCursor: result.nextCursor || null,
+      hasMore: !!result.nextCursor || result.posts.length >= limit,
+    };
+
+    await cacheSetWithStale(cacheKey, response, CACHE_TTL.FEED);
+
+    return c.json(filterFeed(response));
+  } catch (error) {
+    console.error('[Social API] Feed error:', error);
+
+    const fallback = cacheKey ? await serveStale(c, cacheKey, error, filterFeed) : null;
+    if (fallback) return fallback;
+
+    return c.json({ error: 'Failed to load feed' }, upstreamErrorStatus(error));
   }
 });
 
@@ -291,9 +1341,35 @@ social.post('/vote', authMiddleware(), async (c) => {
       }, 400);
     }
 
-    const { postId, vote } = params.data;
-    const votes = getUserVotes(user.id);
-    const previousVote = votes.get(postId) || null;
+    const { postId, apId, instance, vote } = params.data;
+    const votes = await getUserVotes(user.id);
+
+    // Votes from before they were keyed by ActivityPub ID are under the primary instance's post ID
+    const legacyKey = isPrimaryInstance(instance) && votes.has(String(postId)) ? String(postId) : null;
+    const previousVote = votes.get(apId) || (legacyKey && votes.get(legacyKey)) || null;
+
+    // With a linked account the vote goes to Lemmy too. Without one it stays local -
+    // the bot can't vote on everyone's behalf, as that would collapse all votes into one.
+    const lemmyUser = getUserLemmyService(user.id);
+    if (lemmyUser) {
+      const targetId = await primaryPostId(lemmyUser, { postId, apId, instance });
+      if (targetId === null) {
+        return c.json({
+          error: 'Post not found',
+          message: `The post could not be found on ${lemmyService.getInstanceHost()}`,
+        }, 404);
+      }
+
+      const score = vote === 'up' ? 1 : vote === 'down' ? -1 : 0;
+      const sent = await lemmyUser.votePost(targetId, score);
+
+      if (!sent) {
+        return c.json({
+          error: 'Failed to record vote',
+          message: 'Could not send vote to Lemmy',
+        }, 502);
+      }
+    }
 
     // Calculate score change
     let scoreChange = 0;
@@ -301,23 +1377,28 @@ social.post('/vote', authMiddleware(), async (c) => {
       // Removing vote
       if (previousVote === 'up') scoreChange = -1;
       else if (previousVote === 'down') scoreChange = 1;
-      setUserVote(user.id, postId, null);
+      await setUserVote(user.id, apId, null);
     } else if (vote === 'up') {
       if (previousVote === 'down') scoreChange = 2;
       else if (!previousVote) scoreChange = 1;
-      setUserVote(user.id, postId, 'up');
+      await setUserVote(user.id, apId, 'up');
     } else if (vote === 'down') {
       if (previousVote === 'up') scoreChange = -2;
       else if (!previousVote) scoreChange = -1;
-      setUserVote(user.id, postId, 'down');
+      await setUserVote(user.id, apId, 'down');
+    }
+    if (legacyKey) {
+      await setUserVote(user.id, legacyKey, null);
     }
 
     return c.json({
       success: true,
       postId,
+      apId,
       vote: vote === 'none' ? null : vote,
       previousVote: previousVote || null,
       scoreChange,
+      federated: !!lemmyUser,
     });
   } catch (error) {
     console.error('[Social API] Vote error:', error);
@@ -336,13 +1417,10 @@ social.get('/votes', authMiddleware(), async (c) => {
       return c.json({ error: 'Authentication required' }, 401);
     }
 
-    const votes = getUserVotes(user.id);
-    const voteMap: Record<number, 'up' | 'down'> = {};
-    votes.forEach((vote, postId) => {
-      voteMap[postId] = vote;
-    });
+    // Keyed by ActivityPub ID
+    const votes = await getUserVotes(user.id);
 
-    return c.json({ votes: voteMap });
+    return c.json({ votes: Object.fromEntries(votes) });
   } catch (error) {
     console.error('[Social API] Get votes error:', error);
     return c.json({ error: 'Failed to get votes' }, 500);
@@ -370,15 +1448,15 @@ social.post('/bookmark', authMiddleware(), async (c) => {
       }, 400);
     }
 
-    const { postId, post } = params.data;
-    const isCurrentlySaved = isPostBookmarked(user.id, postId);
+    const { apId, post } = params.data;
+    const isCurrentlySaved = await isPostBookmarked(user.id, apId);
 
     if (isCurrentlySaved) {
       // Remove bookmark
-      removeUserBookmark(user.id, postId);
+      await removeUserBookmark(user.id, apId);
       return c.json({
         success: true,
-        postId,
+        apId,
         saved: false,
       });
     } else {
@@ -389,13 +1467,14 @@ social.post('/bookmark', authMiddleware(), async (c) => {
 
       const savedPost: SavedPost = {
         ...post,
+        apId,
         savedAt: new Date().toISOString(),
       };
-      addUserBookmark(user.id, savedPost);
+      await addUserBookmark(user.id, savedPost);
 
       return c.json({
         success: true,
-        postId,
+        apId,
         saved: true,
       });
     }
@@ -417,7 +1496,7 @@ social.get('/bookmarks', authMiddleware(), async (c) => {
     }
 
     // Get sorted bookmarks list from storage
-    const savedPosts = getUserBookmarksList(user.id);
+    const savedPosts = await getUserBookmarksList(user.id);
 
     return c.json({
       bookmarks: savedPosts,
@@ -430,24 +1509,24 @@ social.get('/bookmarks', authMiddleware(), async (c) => {
 });
 
 /**
- * GET /api/social/bookmark/:postId
- * Check if a post is bookmarked (requires authentication)
+ * GET /api/social/bookmark?apId=
+ * Check if a post is bookmarked, by its ActivityPub ID (requires authentication)
  */
-social.get('/bookmark/:postId', authMiddleware(), async (c) => {
+social.get('/bookmark', authMiddleware(), async (c) => {
   try {
     const user = getAuthUser(c);
     if (!user) {
       return c.json({ error: 'Authentication required' }, 401);
     }
 
-    const postId = parseInt(c.req.param('postId'));
-    if (isNaN(postId)) {
-      return c.json({ error: 'Invalid post ID' }, 400);
+    const apId = z.string().url().safeParse(c.req.query('apId'));
+    if (!apId.success) {
+      return c.json({ error: 'Invalid post ActivityPub ID' }, 400);
     }
 
-    const isSaved = isPostBookmarked(user.id, postId);
+    const isSaved = await isPostBookmarked(user.id, apId.data);
 
-    return c.json({ postId, saved: isSaved });
+    return c.json({ apId: apId.data, saved: isSaved });
   } catch (error) {
     console.error('[Social API] Check bookmark error:', error);
     return c.json({ error: 'Failed to check bookmark status' }, 500);
@@ -467,8 +1546,7 @@ social.get('/user/:userId', async (c) => {
     }
 
     // Get profile data
-    const profile = getUserProfile(userId);
-    const stats = getUserStats(userId);
+    const [profile, stats] = await Promise.all([getUserProfile(userId), getUserStats(userId)]);
 
     // Check if this is the user's own profile (if authenticated)
     const authHeader = c.req.header('Authorization');
@@ -499,6 +1577,76 @@ social.get('/user/:userId', async (c) => {
   }
 });
 
+/**
+ * GET /api/social/me
+ * Get the signed-in user's PreSocial role and standing (requires authentication)
+ */
+social.get('/me', authMiddleware(), async (c) => {
+  const user = getAuthUser(c)!;
+  const ban = getUserBan(user.id);
+
+  return c.json({
+    id: user.id,
+    name: user.name,
+    isAdmin: isAdmin(user),
+    ban: ban ? { reason: ban.reason, bannedAt: ban.bannedAt } : null,
+  });
+});
+
+// Community and author handles as stored in filters: name@host, lowercased
+const handleSchema = z.string().trim().toLowerCase().regex(/^[a-z0-9_]{1,100}@[a-z0-9.-]{1,253}$/);
+const uniqueList = <T>(list: T[]) => Array.from(new Set(list));
+
+const filtersUpdateSchema = z.object({
+  showNsfw: z.boolean().optional(),
+  blurNsfw: z.boolean().optional(),
+  blockedCommunities: z.array(handleSchema).max(500).transform(uniqueList).optional(),
+  blockedAuthors: z.array(handleSchema).max(500).transform(uniqueList).optional(),
+  mutedKeywords: z.array(z.string().trim().toLowerCase().min(1).max(50)).max(100).transform(uniqueList).optional(),
+});
+
+/**
+ * GET /api/social/filters
+ * Get the signed-in user's content filters (requires authentication)
+ */
+social.get('/filters', authMiddleware(), async (c) => {
+  const user = getAuthUser(c)!;
+
+  return c.json({
+    filters: getUserFilters(user.id) || DEFAULT_FILTERS,
+  });
+});
+
+/**
+ * PATCH /api/social/filters
+ * Update content filters; lists replace the stored ones (requires authentication)
+ */
+social.patch('/filters', authMiddleware(), async (c) => {
+  try {
+    const user = getAuthUser(c)!;
+
+    const body = await c.req.json();
+    const params = filtersUpdateSchema.safeParse(body);
+
+    if (!params.success) {
+      return c.json({
+        error: 'Invalid filters',
+        details: params.error.issues,
+      }, 400);
+    }
+
+    const filters = await setUserFilters(user.id, params.data, DEFAULT_FILTERS);
+
+    return c.json({
+      success: true,
+      filters,
+    });
+  } catch (error) {
+    console.error('[Social API] Update filters error:', error);
+    return c.json({ error: 'Failed to update filters' }, 500);
+  }
+});
+
 /**
  * PATCH /api/social/user/profile
  * Update own profile (requires authentication)
@@ -523,7 +1671,7 @@ social.patch('/user/profile', authMiddleware(), async (c) => {
     const { bio, avatarUrl } = params.data;
 
     // Update profile
-    const updatedProfile = setUserProfile(user.id, {
+    const updatedProfile = await setUserProfile(user.id, {
       ...(bio !== undefined && { bio }),
       ...(avatarUrl !== undefined && { avatarUrl }),
     });
@@ -539,10 +1687,16 @@ social.patch('/user/profile', authMiddleware(), async (c) => {
 });
 
 // Comment validation schema
-const commentSchema = z.object({
-  postId: z.number().positive(),
+const commentSchema = postRefSchema.extend({
+  apId: z.string().url().optional(),
   content: z.string().min(1).max(10000),
   parentId: z.number().positive().optional(),
+}).refine((params) => isPrimaryInstance(params.instance) || params.apId, {
+  message: 'Posts from other instances need their apId',
+  path: ['apId'],
+}).refine((params) => isPrimaryInstance(params.instance) || !params.parentId, {
+  message: 'Replies need the parent comment\'s ID on the primary instance',
+  path: ['parentId'],
 });
 
 /**
@@ -556,6 +1710,9 @@ social.post('/comment', authMiddleware(), async (c) => {
       return c.json({ error: 'Authentication required' }, 401);
     }
 
+    const banned = bannedResponse(c, user.id);
+    if (banned) return banned;
+
     // Get display name for attribution
     const userName = user.name || user.email?.split('@')[0] || 'PreSocial User';
 
@@ -570,23 +1727,31 @@ social.post('/comment', authMiddleware(), async (c) => {
       }, 400);
     }
 
-    const { postId, content, parentId } = params.data;
+    const { content, parentId } = params.data;
 
-    // Check if Lemmy bot is configured
-    if (!lemmyService.getBotUsername()) {
+    // Post as the user's linked Lemmy account, or via the bot with attribution
+    const lemmyUser = getUserLemmyService(user.id);
+
+    if (!lemmyUser && !lemmyService.getBotUsername()) {
       return c.json({
         error: 'Comment posting is not configured',
         message: 'Lemmy bot account not set up',
       }, 503);
     }
 
+    // Both live on the primary instance, so that is where the post needs an ID
+    const postId = await primaryPostId(lemmyUser || lemmyService, params.data);
+    if (postId === null) {
+      return c.json({
+        error: 'Post not found',
+        message: `The post could not be found on ${lemmyService.getInstanceHost()}`,
+      }, 404);
+    }
+
     // Create the comment on Lemmy
-    const comment = await lemmyService.createComment(
-      postId,
-      content,
-      parentId,
-      userName
-    );
+    const comment = lemmyUser
+      ? await lemmyUser.createComment(postId, content, parentId)
+      : await lemmyService.createComment(postId, content, parentId, userName);
 
     if (!comment) {
       return c.json({
@@ -595,6 +1760,15 @@ social.post('/comment', authMiddleware(), async (c) => {
       }, 500);
     }
 
+    // Remember who wrote it so they can edit or delete it later
+    await setCommentAuthor(comment.id, {
+      userId: user.id,
+      postId,
+      via: lemmyUser ? 'account' : 'bot',
+      createdAt: new Date().toISOString(),
+    });
+    await invalidateCommentCaches(comment);
+
     return c.json({
       success: true,
       comment,
@@ -605,6 +1779,242 @@ social.post('/comment', authMiddleware(), async (c) => {
   }
 });
 
+const commentEditSchema = z.object({
+  id: z.coerce.number().positive(),
+  content: z.string().min(1).max(10000),
+});
+
+/**
+ * PATCH /api/social/comment/:id
+ * Edit one of the user's own comments (requires authentication)
+ */
+social.patch('/comment/:id', authMiddleware(), async (c) => {
+  try {
+    const user = getAuthUser(c);
+    if (!user) {
+      return c.json({ error: 'Authentication required' }, 401);
+    }
+
+    const banned = bannedResponse(c, user.id);
+    if (banned) return banned;
+
+    const body = await c.req.json();
+    const params = commentEditSchema.safeParse({ ...body, id: c.req.param('id') });
+
+    if (!params.success) {
+      return c.json({
+        error: 'Invalid comment data',
+        details: params.error.issues,
+      }, 400);
+    }
+
+    const { id, content } = params.data;
+    const record = getCommentAuthor(id);
+
+    if (!record) {
+      return c.json({ error: 'Comment not found' }, 404);
+    }
+
+    if (record.userId !== user.id) {
+      return c.json({ error: 'You can only edit your own comments' }, 403);
+    }
+
+    const actor = getCommentActor(record, user.id);
+    if (!actor) {
+      return c.json({
+        error: 'Failed to edit comment',
+        message: record.via === 'account'
+          ? 'Link your Lemmy account again to edit this comment'
+          : 'Lemmy bot account not set up',
+      }, 409);
+    }
+
+    // Bot-posted comments keep their attribution footer
+    const userName = user.name || user.email?.split('@')[0] || 'PreSocial User';
+    const comment = await actor.editComment(id, content, record.via === 'bot' ? userName : undefined);
+
+    if (!comment) {
+      return c.json({
+        error: 'Failed to edit comment',
+        message: 'Could not edit comment on Lemmy',
+      }, 500);
+    }
+
+    await invalidateCommentCaches(comment);
+
+    return c.json({
+      success: true,
+      comment,
+    });
+  } catch (error) {
+    console.error('[Social API] Edit comment error:', error);
+    return c.json({ error: 'Failed to edit comment' }, 500);
+  }
+});
+
+/**
+ * DELETE /api/social/comment/:id
+ * Delete one of the user's own comments (requires authentication)
+ */
+social.delete('/comment/:id', authMiddleware(), async (c) => {
+  try {
+    const user = getAuthUser(c);
+    if (!user) {
+      return c.json({ error: 'Authentication required' }, 401);
+    }
+
+    const params = idParamSchema.safeParse({ id: c.req.param('id') });
+
+    if (!params.success) {
+      return c.json({ error: 'Invalid comment ID' }, 400);
+    }
+
+    const { id } = params.data;
+    const record = getCommentAuthor(id);
+
+    if (!record) {
+      return c.json({ error: 'Comment not found' }, 404);
+    }
+
+    if (record.userId !== user.id) {
+      return c.json({ error: 'You can only delete your own comments' }, 403);
+    }
+
+    const actor = getCommentActor(record, user.id);
+    if (!actor) {
+      return c.json({
+        error: 'Failed to delete comment',
+        message: record.via === 'account'
+          ? 'Link your Lemmy account again to delete this comment'
+          : 'Lemmy bot account not set up',
+      }, 409);
+    }
+
+    const comment = await actor.deleteComment(id);
+
+    if (!comment) {
+      return c.json({
+        error: 'Failed to delete comment',
+        message: 'Could not delete comment on Lemmy',
+      }, 500);
+    }
+
+    await invalidateCommentCaches(comment);
+
+    return c.json({
+      success: true,
+      comment,
+    });
+  } catch (error) {
+    console.error('[Social API] Delete comment error:', error);
+    return c.json({ error: 'Failed to delete comment' }, 500);
+  }
+});
+
+/**
+ * GET /api/social/post/:id/my-comments
+ * Get the IDs of the user's own comments on a post, for showing edit controls (requires authentication)
+ */
+social.get('/post/:id/my-comments', authMiddleware(), async (c) => {
+  const user = getAuthUser(c);
+  if (!user) {
+    return c.json({ error: 'Authentication required' }, 401);
+  }
+
+  const params = idParamSchema.safeParse({ id: c.req.param('id') });
+
+  if (!params.success) {
+    return c.json({ error: 'Invalid post ID' }, 400);
+  }
+
+  return c.json({
+    commentIds: getUserCommentIds(user.id, params.data.id),
+  });
+});
+
+// Post validation schema (limits match Lemmy's)
+const createPostSchema = z.object({
+  community: z.string().regex(/^[a-zA-Z0-9_]{1,100}(@[a-zA-Z0-9.-]{1,253})?$/),
+  title: z.string().trim().min(3).max(200),
+  url: z.string().url().max(512).optional(),
+  body: z.string().max(50000).optional(),
+  nsfw: z.boolean().optional().default(false),
+});
+
+/**
+ * POST /api/social/post
+ * Create a post in a Lemmy community (requires authentication)
+ */
+social.post('/post', authMiddleware(), async (c) => {
+  try {
+    const user = getAuthUser(c);
+    if (!user) {
+      return c.json({ error: 'Authentication required' }, 401);
+    }
+
+    const banned = bannedResponse(c, user.id);
+    if (banned) return banned;
+
+    // Get display name for attribution
+    const userName = user.name || user.email?.split('@')[0] || 'PreSocial User';
+
+    // Validate request body
+    const body = await c.req.json();
+    const params = createPostSchema.safeParse(body);
+
+    if (!params.success) {
+      return c.json({
+        error: 'Invalid post data',
+        details: params.error.issues,
+      }, 400);
+    }
+
+    const { community: communityName, title, url, body: postBody, nsfw } = params.data;
+
+    // Post as the user's linked Lemmy account, or via the bot with attribution
+    const lemmyUser = getUserLemmyService(user.id);
+
+    if (!lemmyUser && !lemmyService.getBotUsername()) {
+      return c.json({
+        error: 'Posting is not configured',
+        message: 'Lemmy bot account not set up',
+      }, 503);
+    }
+
+    // Resolve the target community to its ID on our instance
+    const details = await lemmyService.getCommunity(communityName);
+
+    if (!details) {
+      return c.json({ error: 'Community not found' }, 404);
+    }
+
+    if (details.community.postingRestrictedToMods) {
+      return c.json({ error: 'Only moderators can post in this community' }, 403);
+    }
+
+    // Create the post on Lemmy
+    const newPost = { title, url, body: postBody, nsfw };
+    const post = lemmyUser
+      ? await lemmyUser.createPost(details.community.id, newPost)
+      : await lemmyService.createPost(details.community.id, newPost, userName);
+
+    if (!post) {
+      return c.json({
+        error: 'Failed to create post',
+        message: 'Could not create post on Lemmy',
+      }, 500);
+    }
+
+    return c.json({
+      success: true,
+      post,
+    });
+  } catch (error) {
+    console.error('[Social API] Create post error:', error);
+    return c.json({ error: 'Failed to create post' }, upstreamErrorStatus(error));
+  }
+});
+
 /**
  * GET /api/social/comment/status
  * Check if commenting is enabled (Lemmy bot configured)
@@ -619,6 +2029,200 @@ social.get('/comment/status', async (c) => {
   });
 });
 
+// As with votes, a post from elsewhere in the pool comes with its apId and instance
+const reportSchema = z.object({
+  targetType: z.enum(['post', 'comment']),
+  targetId: z.number().positive(),
+  apId: z.string().url().optional(),
+  instance: z.string().toLowerCase().optional(),
+  reason: z.string().trim().min(3).max(1000),
+  forwardToLemmy: z.boolean().optional().default(false),
+}).refine((params) => isPrimaryInstance(params.instance) || (params.targetType === 'post' && params.apId), {
+  message: 'Only posts can be reported from other instances, and they need their apId',
+  path: ['apId'],
+});
+
+/**
+ * POST /api/social/report
+ * Report a post or comment to PreSocial admins, and optionally to the community's
+ * Lemmy moderators (requires authentication)
+ */
+social.post('/report', authMiddleware(), async (c) => {
+  try {
+    const user = getAuthUser(c);
+    if (!user) {
+      return c.json({ error: 'Authentication required' }, 401);
+    }
+
+    const body = await c.req.json();
+    const params = reportSchema.safeParse(body);
+
+    if (!params.success) {
+      return c.json({
+        error: 'Invalid report',
+        details: params.error.issues,
+      }, 400);
+    }
+
+    const { targetType, reason, forwardToLemmy } = params.data;
+
+    // Reports are reviewed and forwarded on the primary instance, so the target is kept by its ID
+    // there. Snapshot the content so the queue still shows what was reported if it changes
+    let targetId: number;
+    let apId: string;
+    let postId: number;
+    let snapshot: ContentReport['snapshot'];
+
+    if (targetType === 'post') {
+      const primaryId = await primaryPostId(lemmyService, {
+        postId: params.data.targetId,
+        apId: params.data.apId,
+        instance: params.data.instance,
+      });
+      const post = primaryId === null ? null : await lemmyService.getPost(primaryId);
+      if (!post) {
+        return c.json({ error: 'Post not found' }, 404);
+      }
+      targetId = postId = post.id;
+      apId = post.apId;
+      snapshot = { title: post.title, content: post.body, author: post.authorHandle, community: post.communityHandle };
+    } else {
+      const comment = await lemmyService.getComment(params.data.targetId);
+      if (!comment) {
+        return c.json({ error: 'Comment not found' }, 404);
+      }
+      targetId = comment.id;
+      apId = comment.apId;
+      postId = comment.postId;
+      snapshot = {
+        content: comment.content,
+        author: comment.authorHandle,
+        authorUserId: getCommentAuthor(targetId)?.userId,
+      };
+    }
+
+    if (hasOpenReport(user.id, targetType, targetId)) {
+      return c.json({ error: 'You have already reported this' }, 409);
+    }
+
+    // Forward as the user's linked account if they have one, otherwise via the bot
+    let forwarded = false;
+    if (forwardToLemmy) {
+      const reporter = getUserLemmyService(user.id) || (lemmyService.getBotUsername() ? lemmyService : null);
+      forwarded = reporter ? await reporter.report(targetType, targetId, reason) : false;
+    }
+
+    const report: ContentReport = {
+      id: randomUUID(),
+      targetType,
+      targetId,
+      apId,
+      postId,
+      reason,
+      reporterId: user.id,
+      reporterName: user.name || user.email?.split('@')[0] || 'PreSocial User',
+      createdAt: new Date().toISOString(),
+      snapshot,
+      forwardedToLemmy: forwarded,
+      status: 'open',
+    };
+
+    await addReport(report);
+
+    return c.json({
+      success: true,
+      reportId: report.id,
+      forwardedToLemmy: forwarded,
+    });
+  } catch (error) {
+    console.error('[Social API] Report error:', error);
+    return c.json({ error: 'Failed to submit report' }, upstreamErrorStatus(error));
+  }
+});
+
+// Lemmy account linking: password login or an existing JWT
+const linkAccountSchema = z.union([
+  z.object({
+    username: z.string().min(1).max(255),
+    password: z.string().min(1).max(60),
+    totpToken: z.string().regex(/^\d{6}$/).optional(),
+  }),
+  z.object({
+    jwt: z.string().min(20).max(2000),
+  }),
+]);
+
+/**
+ * GET /api/social/account/lemmy
+ * Get the user's linked Lemmy account (requires authentication)
+ */
+social.get('/account/lemmy', authMiddleware(), async (c) => {
+  const user = getAuthUser(c);
+  if (!user) {
+    return c.json({ error: 'Authentication required' }, 401);
+  }
+
+  return c.json({
+    account: getLemmyAccountInfo(user.id),
+    instance: lemmyService.getInstanceHost(),
+  });
+});
+
+/**
+ * POST /api/social/account/lemmy
+ * Link a Lemmy account so comments, posts and votes go out as that user (requires authentication)
+ */
+social.post('/account/lemmy', authMiddleware(), async (c) => {
+  try {
+    const user = getAuthUser(c);
+    if (!user) {
+      return c.json({ error: 'Authentication required' }, 401);
+    }
+
+    const body = await c.req.json();
+    const params = linkAccountSchema.safeParse(body);
+
+    if (!params.success) {
+      return c.json({
+        error: 'Invalid account details',
+        details: params.error.issues,
+      }, 400);
+    }
+
+    const account = await linkLemmyAccount(user.id, params.data);
+
+    return c.json({
+      success: true,
+      account,
+    });
+  } catch (error) {
+    if (error instanceof LemmyAccountError) {
+      return c.json({ error: 'Failed to link account', message: error.message }, error.status);
+    }
+
+    console.error('[Social API] Link Lemmy account error:', error);
+    return c.json({ error: 'Failed to link account' }, upstreamErrorStatus(error));
+  }
+});
+
+/**
+ * DELETE /api/social/account/lemmy
+ * Unlink the user's Lemmy account (requires authentication)
+ */
+social.delete('/account/lemmy', authMiddleware(), async (c) => {
+  const user = getAuthUser(c);
+  if (!user) {
+    return c.json({ error: 'Authentication required' }, 401);
+  }
+
+  const removed = await unlinkLemmyAccount(user.id);
+
+  return c.json({
+    success: true,
+    removed,
+  });
+});
+
 /**
  * GET /api/social/health
  * Health check endpoint
@@ -628,7 +2232,7 @@ social.get('/health', async (c) => {
     const instanceInfo = await lemmyService.getInstanceInfo();
 
     return c.json({
-      status: 'healthy',
+      status: lemmyService.isCircuitOpen() ? 'degraded' : 'healthy',
       service: 'presocial',
       timestamp: new Date().toISOString(),
       lemmy: instanceInfo ? {
@@ -638,6 +2242,7 @@ social.get('/health', async (c) => {
       } : {
         connected: false,
       },
+      circuits: lemmyPool.getCircuitStatuses(),
     });
   } catch (error) {
     return c.json({
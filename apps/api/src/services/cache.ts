@@ -11,13 +11,21 @@ export const CACHE_TTL = {
   SEARCH: 300,        // 5 minutes
   POST: 900,          // 15 minutes
   COMMUNITIES: 3600,  // 1 hour
-  TRENDING: 1800,     // 30 minutes
+  TRENDING: 300,      // 5 minutes - recomputed from snapshots, see services/trending
+  FEED: 180,          // 3 minutes
+  SUGGEST: 60,        // 1 minute
+  DISCUSSIONS: 600,   // 10 minutes
+  INSIGHTS: 600,      // 10 minutes
+  STALE: 86400,       // 24 hours - last known good copy, served while Lemmy is down
 } as const;
 
 // Redis client (lazy initialization)
 let redisClient: import('ioredis').Redis | null = null;
 
-async function getRedisClient(): Promise<import('ioredis').Redis | null> {
+/**
+ * Shared Redis connection, or null without REDIS_URL or when Redis can't be reached
+ */
+export async function getRedisClient(): Promise<import('ioredis').Redis | null> {
   if (redisClient) return redisClient;
 
   const redisUrl = process.env.REDIS_URL;
@@ -106,6 +114,23 @@ export async function cacheSet<T>(key: string, value: T, ttlSeconds: number): Pr
   }
 }
 
+/**
+ * Set value in cache and keep a long-lived stale copy for stale-if-error fallback
+ */
+export async function cacheSetWithStale<T>(key: string, value: T, ttlSeconds: number): Promise<void> {
+  await Promise.all([
+    cacheSet(key, value, ttlSeconds),
+    cacheSet(`stale:${key}`, value, CACHE_TTL.STALE),
+  ]);
+}
+
+/**
+ * Get the last known good copy of a cached value (ignores the normal TTL)
+ */
+export async function cacheGetStale<T>(key: string): Promise<T | null> {
+  return cacheGet<T>(`stale:${key}`);
+}
+
 /**
  * Delete value from cache
  */
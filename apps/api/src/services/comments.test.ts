@@ -0,0 +1,107 @@
+import { describe, expect, test } from 'bun:test';
+import { buildCommentTree, pageCommentThreads } from './comments';
+import type { SocialComment } from '../types';
+
+function comment(path: string, overrides: Partial<SocialComment> = {}): SocialComment {
+  const ids = path.split('.').map((part) => parseInt(part));
+  const id = ids[ids.length - 1];
+
+  return {
+    id,
+    apId: `https://lemmy.test/comment/${id}`,
+    postId: 1,
+    content: `comment ${id}`,
+    score: 0,
+    upvotes: 0,
+    downvotes: 0,
+    author: 'author',
+    authorHandle: 'author@lemmy.test',
+    timestamp: '2026-01-01T00:00:00Z',
+    parentId: ids.length > 2 ? ids[ids.length - 2] : undefined,
+    path,
+    childCount: 0,
+    deleted: false,
+    depth: ids.length - 2,
+    ...overrides,
+  };
+}
+
+const ids = (comments: SocialComment[]) => comments.map((c) => c.id);
+
+describe('buildCommentTree', () => {
+  test('nests replies under their parents', () => {
+    const tree = buildCommentTree([
+      comment('0.1'),
+      comment('0.1.2'),
+      comment('0.1.2.3'),
+      comment('0.4'),
+    ]);
+
+    expect(ids(tree)).toEqual([1, 4]);
+    const first = tree.find((c) => c.id === 1)!;
+    expect(ids(first.replies!)).toEqual([2]);
+    expect(ids(first.replies![0].replies!)).toEqual([3]);
+  });
+
+  test('attaches orphans to their nearest loaded ancestor', () => {
+    const tree = buildCommentTree([comment('0.1'), comment('0.1.2.3')]);
+
+    expect(ids(tree)).toEqual([1]);
+    expect(ids(tree[0].replies!)).toEqual([3]);
+  });
+
+  test('makes comments without loaded ancestors roots', () => {
+    const tree = buildCommentTree([comment('0.1.2'), comment('0.1.2.3'), comment('0.1.5')]);
+
+    expect(ids(tree).sort()).toEqual([2, 5]);
+    expect(ids(tree.find((c) => c.id === 2)!.replies!)).toEqual([3]);
+  });
+
+  test('does not mutate the input', () => {
+    const input = [comment('0.1'), comment('0.1.2')];
+    buildCommentTree(input);
+    expect(input[0].replies).toBeUndefined();
+  });
+
+  test('orders siblings at every level by the sort', () => {
+    const comments = [
+      comment('0.1', { score: 5, timestamp: '2026-01-01T00:00:00Z' }),
+      comment('0.2', { score: 10, timestamp: '2026-01-03T00:00:00Z' }),
+      comment('0.3', { score: 1, timestamp: '2026-01-02T00:00:00Z' }),
+      comment('0.1.4', { score: 1, timestamp: '2026-01-05T00:00:00Z' }),
+      comment('0.1.5', { score: 3, timestamp: '2026-01-04T00:00:00Z' }),
+    ];
+
+    const top = buildCommentTree(comments, 'Top');
+    expect(ids(top)).toEqual([2, 1, 3]);
+    expect(ids(top[1].replies!)).toEqual([5, 4]);
+
+    const newest = buildCommentTree(comments, 'New');
+    expect(ids(newest)).toEqual([2, 3, 1]);
+    expect(ids(newest[2].replies!)).toEqual([4, 5]);
+
+    expect(ids(buildCommentTree(comments, 'Old'))).toEqual([1, 3, 2]);
+  });
+
+  test('ranks evenly split votes first for Controversial', () => {
+    const tree = buildCommentTree([
+      comment('0.1', { upvotes: 100, downvotes: 2, score: 98 }),
+      comment('0.2', { upvotes: 40, downvotes: 38, score: 2 }),
+      comment('0.3', { upvotes: 5, downvotes: 0, score: 5 }),
+    ], 'Controversial');
+
+    expect(ids(tree)).toEqual([2, 1, 3]);
+  });
+});
+
+describe('pageCommentThreads', () => {
+  const tree = buildCommentTree([1, 2, 3, 4, 5].map((id) => comment(`0.${id}`, { score: -id })));
+
+  test('slices top-level threads into pages', () => {
+    expect(pageCommentThreads(tree, 1, 2)).toMatchObject({ hasMore: true });
+    expect(ids(pageCommentThreads(tree, 1, 2).comments)).toEqual([1, 2]);
+    expect(ids(pageCommentThreads(tree, 3, 2).comments)).toEqual([5]);
+    expect(pageCommentThreads(tree, 3, 2).hasMore).toBe(false);
+    expect(pageCommentThreads(tree, 4, 2).comments).toEqual([]);
+  });
+});
@@ -0,0 +1,111 @@
+// PreSocial Comment Helpers
+// Tree assembly, sorting and paging of Lemmy comment threads
+
+import type { SocialComment, CommentSort } from '../types';
+
+// Top-level threads returned per page of a post's comments
+export const COMMENT_THREADS_PER_PAGE = 25;
+
+/**
+ * Get the IDs of a comment's ancestors, nearest first
+ * Lemmy paths look like "0.<top-level id>.<child id>...", ending with the comment's own ID
+ */
+function ancestorIds(comment: SocialComment): number[] {
+  return comment.path
+    .split('.')
+    .slice(1, -1)
+    .map((part) => parseInt(part))
+    .reverse();
+}
+
+/**
+ * Lemmy's hot rank: score decayed by age in hours
+ */
+function hotRank(comment: SocialComment, now: number): number {
+  const hours = Math.max(0, (now - new Date(comment.timestamp).getTime()) / 3600000);
+  return Math.log10(Math.max(1, 3 + comment.score)) / Math.pow(hours + 2, 1.8);
+}
+
+/**
+ * Lemmy's controversy rank: lots of votes, split close to evenly
+ */
+function controversyRank(comment: SocialComment): number {
+  const { upvotes, downvotes } = comment;
+  if (upvotes <= 0 || downvotes <= 0) return 0;
+
+  const balance = upvotes > downvotes ? downvotes / upvotes : upvotes / downvotes;
+  return Math.pow(upvotes + downvotes, balance);
+}
+
+/**
+ * Get a comparator that orders sibling comments for the given sort
+ */
+function commentComparator(sort: CommentSort): (a: SocialComment, b: SocialComment) => number {
+  const time = (comment: SocialComment) => new Date(comment.timestamp).getTime();
+  const now = Date.now();
+
+  switch (sort) {
+    case 'New':
+      return (a, b) => time(b) - time(a);
+    case 'Old':
+      return (a, b) => time(a) - time(b);
+    case 'Hot':
+      return (a, b) => hotRank(b, now) - hotRank(a, now) || b.score - a.score;
+    case 'Controversial':
+      return (a, b) => controversyRank(b) - controversyRank(a) || b.score - a.score;
+    case 'Top':
+    default:
+      return (a, b) => b.score - a.score || time(b) - time(a);
+  }
+}
+
+/**
+ * Nest a flat comment list into a tree of replies, with siblings ordered by `sort`
+ * A comment whose parent wasn't loaded is attached to its nearest loaded ancestor,
+ * or becomes a root if none of its ancestors were loaded (e.g. a replies subtree).
+ */
+export function buildCommentTree(comments: SocialComment[], sort: CommentSort = 'Top'): SocialComment[] {
+  const nodes = new Map<number, SocialComment>();
+  for (const comment of comments) {
+    nodes.set(comment.id, { ...comment, replies: [] });
+  }
+
+  const roots: SocialComment[] = [];
+
+  for (const node of nodes.values()) {
+    const parentId = ancestorIds(node).find((id) => nodes.has(id));
+
+    if (parentId !== undefined) {
+      nodes.get(parentId)!.replies!.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  const compare = commentComparator(sort);
+  const sortLevel = (level: SocialComment[]) => {
+    level.sort(compare);
+    for (const node of level) {
+      sortLevel(node.replies!);
+    }
+  };
+  sortLevel(roots);
+
+  return roots;
+}
+
+/**
+ * Slice a comment tree into pages of top-level threads
+ */
+export function pageCommentThreads(
+  tree: SocialComment[],
+  page: number,
+  limit = COMMENT_THREADS_PER_PAGE
+): { comments: SocialComment[]; hasMore: boolean } {
+  const start = (page - 1) * limit;
+
+  return {
+    comments: tree.slice(start, start + limit),
+    hasMore: start + limit < tree.length,
+  };
+}
@@ -0,0 +1,68 @@
+import { describe, expect, test } from 'bun:test';
+import { discussionsCacheKey, normalizeUrl, urlVariants } from './discussions';
+
+describe('normalizeUrl', () => {
+  test('treats spellings of the same page alike', () => {
+    const expected = 'https://example.com/article';
+    expect(normalizeUrl('https://example.com/article')).toBe(expected);
+    expect(normalizeUrl('http://www.Example.COM/article/')).toBe(expected);
+    expect(normalizeUrl('  https://example.com:443/article#comments ')).toBe(expected);
+    expect(normalizeUrl('http://example.com:80/article//')).toBe(expected);
+  });
+
+  test('drops tracking parameters and sorts the rest', () => {
+    expect(normalizeUrl('https://example.com/a?utm_source=x&b=2&fbclid=y&a=1&PK_campaign=z'))
+      .toBe('https://example.com/a?a=1&b=2');
+    expect(normalizeUrl('https://example.com/a?utm_medium=email')).toBe('https://example.com/a');
+  });
+
+  test('keeps non-default ports and the path case', () => {
+    expect(normalizeUrl('https://example.com:8443/Docs/Page')).toBe('https://example.com:8443/Docs/Page');
+  });
+
+  test('rejects anything that is not an http(s) URL', () => {
+    expect(normalizeUrl('not a url')).toBeNull();
+    expect(normalizeUrl('ftp://example.com/file')).toBeNull();
+    expect(normalizeUrl('javascript:alert(1)')).toBeNull();
+  });
+
+  test('cache keys are stable per normalized URL', () => {
+    const key = discussionsCacheKey('https://example.com/a');
+    expect(key).toMatch(/^discussions:[0-9a-f]{32}$/);
+    expect(discussionsCacheKey(normalizeUrl('http://www.example.com/a/')!)).toBe(key);
+  });
+});
+
+describe('urlVariants', () => {
+  test('puts the given URL and https spellings before http ones', () => {
+    const given = 'https://example.com/article?utm_source=feed';
+    expect(urlVariants(normalizeUrl(given)!, given)).toEqual([
+      given,
+      'https://example.com/article',
+      'https://www.example.com/article',
+      'https://example.com/article/',
+      'https://www.example.com/article/',
+      'http://example.com/article',
+      'http://www.example.com/article',
+      'http://example.com/article/',
+    ]);
+  });
+
+  test('prefers the host form that was given', () => {
+    const given = 'http://www.example.com/article';
+    const variants = urlVariants(normalizeUrl(given)!, given);
+    expect(variants.slice(0, 3)).toEqual([
+      given,
+      'https://www.example.com/article',
+      'https://example.com/article',
+    ]);
+    expect(variants).toHaveLength(8);
+    expect(new Set(variants).size).toBe(variants.length);
+  });
+
+  test('does not double the slash of a bare domain', () => {
+    const given = 'https://example.com/';
+    expect(urlVariants(normalizeUrl(given)!, given)).toContain('https://example.com');
+    expect(urlVariants(normalizeUrl(given)!, given)).not.toContain('https://example.com//');
+  });
+});
@@ -0,0 +1,143 @@
+// PreSocial URL Discussions
+// Finds Lemmy posts linking to a given page, for "what is the fediverse saying about this?"
+
+import { createHash } from 'crypto';
+import { lemmyPool, mergePosts } from './lemmyPool';
+import type { SocialPost } from '../types';
+
+// Query parameters that only track where a visitor came from
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'gclsrc', 'dclid', 'msclkid', 'yclid', 'twclid', 'igshid', 'si',
+  'mc_cid', 'mc_eid', '_hsenc', '_hsmi', 'mkt_tok', 'ref_src', 'ref_url', 'spm', 'vero_id',
+]);
+const TRACKING_PREFIXES = ['utm_', 'pk_', 'mtm_'];
+
+// Lemmy matches link URLs exactly, so each spelling of the URL is a separate search.
+// All of them are searched on the primary; only if it has nothing are the likeliest
+// searched on the rest of the pool
+const MAX_VARIANTS = 8;
+const POOL_VARIANTS = 4;
+const RESULTS_PER_VARIANT = 50;
+
+// A comment says more about a page than a vote does
+const COMMENT_WEIGHT = 3;
+
+function isTrackingParam(name: string): boolean {
+  const lower = name.toLowerCase();
+  return TRACKING_PARAMS.has(lower) || TRACKING_PREFIXES.some((prefix) => lower.startsWith(prefix));
+}
+
+/**
+ * Normalize a URL so different spellings of the same page compare equal
+ * Drops tracking parameters, the fragment, `www.`, default ports and trailing slashes,
+ * sorts the remaining parameters and treats http and https alike.
+ * Returns null for anything that isn't an http(s) URL.
+ */
+export function normalizeUrl(raw: string): string | null {
+  let url: URL;
+  try {
+    url = new URL(raw.trim());
+  } catch {
+    return null;
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return null;
+  }
+
+  const host = url.hostname.toLowerCase().replace(/^www\./, '');
+  const port = url.port && url.port !== '80' && url.port !== '443' ? `:${url.port}` : '';
+  const path = url.pathname.replace(/\/+$/, '');
+
+  const params = Array.from(url.searchParams.entries())
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+
+  return `https://${host}${port}${path}${query}`;
+}
+
+/**
+ * Cache key for a normalized URL (hashed, since URLs can be long)
+ */
+export function discussionsCacheKey(normalizedUrl: string): string {
+  const hash = createHash('sha256').update(normalizedUrl).digest('hex').slice(0, 32);
+  return `discussions:${hash}`;
+}
+
+/**
+ * Spellings of a URL that Lemmy may have stored, most likely first: the URL exactly as it
+ * was given, then https before http, no trailing slash before one, and the given host
+ * (with or without `www.`) before the other
+ */
+export function urlVariants(normalizedUrl: string, original: string): string[] {
+  const url = new URL(normalizedUrl);
+  const base = url.pathname === '/' ? '' : url.pathname;
+  const given = original.trim();
+  const variants = new Set<string>([given]);
+
+  const hosts = new URL(given).hostname.toLowerCase().startsWith('www.')
+    ? [`www.${url.host}`, url.host]
+    : [url.host, `www.${url.host}`];
+
+  for (const scheme of ['https', 'http']) {
+    for (const slash of ['', '/']) {
+      for (const host of hosts) {
+        variants.add(`${scheme}://${host}${base}${slash}${url.search}`);
+      }
+    }
+  }
+
+  return Array.from(variants).slice(0, MAX_VARIANTS);
+}
+
+/**
+ * How much discussion a post has drawn
+ */
+export function engagementScore(post: Pick<SocialPost, 'score' | 'commentCount'>): number {
+  return post.score + post.commentCount * COMMENT_WEIGHT;
+}
+
+/**
+ * Search each variant on each instance, dropping searches that fail
+ * Throws only if every search failed.
+ */
+async function searchVariants(variants: string[], instances: string[]): Promise<SocialPost[][]> {
+  const results = await Promise.allSettled(variants.flatMap((variant) => instances.map((instance) =>
+    lemmyPool.search(variant, { type: 'Url', sort: 'TopAll', limit: RESULTS_PER_VARIANT }, instance)
+  )));
+
+  const lists = results.flatMap((result) => result.status === 'fulfilled' ? [result.value.posts] : []);
+  if (lists.length === 0 && results.length > 0) {
+    throw (results[0] as PromiseRejectedResult).reason;
+  }
+
+  return lists;
+}
+
+/**
+ * Find posts on any instance in the pool that link to the page, most discussed first
+ */
+export async function findDiscussions(url: string, normalizedUrl: string): Promise<SocialPost[]> {
+  const variants = urlVariants(normalizedUrl, url);
+  const primary = lemmyPool.getPrimary().getInstanceHost();
+  const others = lemmyPool.getInstances().filter((host) => host !== primary);
+
+  // Variants can still match other pages on instances that compare URLs loosely
+  const linking = (lists: SocialPost[][]) => mergePosts(lists)
+    .filter((post) => post.link && normalizeUrl(post.link) === normalizedUrl)
+    .sort((a, b) => engagementScore(b) - engagementScore(a)
+      || new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime());
+
+  // With other instances to ask, a primary that fails counts as one that found nothing
+  const found = linking(await searchVariants(variants, [primary]).catch((error) => {
+    if (others.length === 0) throw error;
+    return [];
+  }));
+
+  if (found.length > 0 || others.length === 0) {
+    return found;
+  }
+
+  return linking(await searchVariants(variants.slice(0, POOL_VARIANTS), others));
+}
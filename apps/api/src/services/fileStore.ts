@@ -0,0 +1,130 @@
+// PreSocial File Storage Helpers
+// Crash-safe building blocks for the JSON data files: atomic writes via a temp file and rename,
+// rotating backups, an append-only journal, and loads that refuse to start on a damaged file
+
+import {
+  closeSync, copyFileSync, existsSync, fsyncSync, mkdirSync,
+  openSync, readFileSync, renameSync, rmSync, statSync, writeSync,
+} from 'fs';
+import { basename, dirname, join } from 'path';
+
+// Backups of each file, newest first (backups/votes.json.1, .2, ...), taken at most once per interval
+const BACKUP_COUNT = parseInt(process.env.STORAGE_BACKUP_COUNT || '5');
+const BACKUP_INTERVAL = parseInt(process.env.STORAGE_BACKUP_INTERVAL || String(60 * 60 * 1000));
+
+/**
+ * A data file exists but can't be read
+ * Thrown instead of starting empty, which would overwrite the file on the next save.
+ */
+export class StorageLoadError extends Error {
+  constructor(path: string, cause: unknown) {
+    const reason = cause instanceof Error ? cause.message : String(cause);
+    super(`Failed to load ${path}: ${reason}. Repair it or restore a copy from ${backupDir(path)} before starting.`);
+    this.name = 'StorageLoadError';
+  }
+}
+
+function backupDir(path: string): string {
+  return join(dirname(path), 'backups');
+}
+
+/**
+ * Copy the current file into the backup rotation, if the newest backup is old enough
+ */
+function rotateBackups(path: string): void {
+  if (BACKUP_COUNT <= 0 || !existsSync(path)) return;
+
+  const dir = backupDir(path);
+  const backup = (n: number) => join(dir, `${basename(path)}.${n}`);
+
+  if (existsSync(backup(1)) && statSync(backup(1)).mtimeMs > Date.now() - BACKUP_INTERVAL) return;
+
+  mkdirSync(dir, { recursive: true });
+  rmSync(backup(BACKUP_COUNT), { force: true });
+  for (let n = BACKUP_COUNT - 1; n >= 1; n--) {
+    if (existsSync(backup(n))) {
+      renameSync(backup(n), backup(n + 1));
+    }
+  }
+  copyFileSync(path, backup(1));
+}
+
+/**
+ * Replace a file's contents without ever leaving it half-written
+ * The data goes to a temp file that is flushed to disk and then renamed over the original.
+ */
+export function writeFileAtomic(path: string, contents: string, mode = 0o666): void {
+  rotateBackups(path);
+
+  const temp = `${path}.${process.pid}.tmp`;
+  const fd = openSync(temp, 'w', mode);
+  try {
+    writeSync(fd, contents);
+    fsyncSync(fd);
+  } finally {
+    closeSync(fd);
+  }
+  renameSync(temp, path);
+}
+
+/**
+ * Append-only log of changes not yet in the data files
+ * Entries are replayed on startup and the journal is cleared once the files are saved.
+ */
+export class Journal<T> {
+  private fd: number | null = null;
+
+  constructor(readonly path: string, private mode = 0o666) {}
+
+  /**
+   * Add an entry, flushed to disk before returning so it survives a power loss
+   */
+  append(entry: T): void {
+    this.fd ??= openSync(this.path, 'a', this.mode);
+    writeSync(this.fd, JSON.stringify(entry) + '\n');
+    fsyncSync(this.fd);
+  }
+
+  /**
+   * Read all entries, dropping a last line cut short by a crash
+   */
+  read(): T[] {
+    if (!existsSync(this.path)) return [];
+
+    let contents: string;
+    try {
+      contents = readFileSync(this.path, 'utf-8');
+    } catch (error) {
+      throw new StorageLoadError(this.path, error);
+    }
+
+    const lines = contents.split('\n');
+    const torn = lines.pop();
+    if (torn) {
+      console.warn(`[Storage] Dropped incomplete last entry of ${this.path}`);
+    }
+
+    const entries: T[] = [];
+    lines.forEach((line, index) => {
+      if (!line) return;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        throw new StorageLoadError(this.path, `line ${index + 1}: ${error instanceof Error ? error.message : error}`);
+      }
+    });
+    return entries;
+  }
+
+  clear(): void {
+    this.close();
+    rmSync(this.path, { force: true });
+  }
+
+  close(): void {
+    if (this.fd !== null) {
+      closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
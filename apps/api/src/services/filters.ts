@@ -0,0 +1,119 @@
+// PreSocial Content Filters
+// Per-user listing preferences: NSFW opt-in, blocked communities and authors, muted keywords
+
+import { getUserFilters, type ContentFilters } from './storage';
+import type { SocialPost, SocialComment, SocialCommunity, SocialPerson, PersonComment } from '../types';
+
+// Anonymous users and users who never changed their filters: no NSFW, nothing blocked
+export const DEFAULT_FILTERS: Omit<ContentFilters, 'updatedAt'> = {
+  showNsfw: false,
+  blurNsfw: true,
+  blockedCommunities: [],
+  blockedAuthors: [],
+  mutedKeywords: [],
+};
+
+export type ListingFilters = Omit<ContentFilters, 'updatedAt'>;
+
+type FilterablePost = Pick<SocialPost, 'nsfw' | 'title' | 'communityHandle' | 'authorHandle'>;
+
+/**
+ * Get the filters to apply for a user (defaults when signed out)
+ */
+export function getListingFilters(userId?: string | null): ListingFilters {
+  return (userId && getUserFilters(userId)) || DEFAULT_FILTERS;
+}
+
+/**
+ * Build a matcher for titles containing any muted keyword as a whole word
+ */
+function mutedTitleMatcher(keywords: string[]): (title: string) => boolean {
+  if (keywords.length === 0) {
+    return () => false;
+  }
+
+  const escaped = keywords.map((keyword) => keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])(${escaped.join('|')})($|[^\\p{L}\\p{N}])`, 'iu');
+
+  return (title) => pattern.test(title);
+}
+
+/**
+ * Remove posts the user has filtered out
+ */
+export function filterPosts<T extends FilterablePost>(posts: T[], filters: ListingFilters): T[] {
+  const communities = new Set(filters.blockedCommunities);
+  const authors = new Set(filters.blockedAuthors);
+  const isMuted = mutedTitleMatcher(filters.mutedKeywords);
+
+  return posts.filter((post) =>
+    (filters.showNsfw || !post.nsfw) &&
+    !communities.has(post.communityHandle.toLowerCase()) &&
+    !authors.has(post.authorHandle.toLowerCase()) &&
+    !isMuted(post.title)
+  );
+}
+
+/**
+ * Remove communities the user has filtered out
+ */
+export function filterCommunities<T extends Pick<SocialCommunity, 'nsfw' | 'handle'>>(
+  communities: T[],
+  filters: ListingFilters
+): T[] {
+  const blocked = new Set(filters.blockedCommunities);
+
+  return communities.filter((community) =>
+    (filters.showNsfw || !community.nsfw) &&
+    !(community.handle && blocked.has(community.handle.toLowerCase()))
+  );
+}
+
+/**
+ * Remove profile comments the user has filtered out (matched on the post they belong to)
+ */
+export function filterPersonComments(comments: PersonComment[], filters: ListingFilters): PersonComment[] {
+  const communities = new Set(filters.blockedCommunities);
+  const isMuted = mutedTitleMatcher(filters.mutedKeywords);
+
+  return comments.filter((comment) =>
+    (filters.showNsfw || !comment.nsfw) &&
+    !communities.has(comment.communityHandle.toLowerCase()) &&
+    !isMuted(comment.postTitle)
+  );
+}
+
+/**
+ * Remove comments the user has filtered out: those on filtered posts, and by blocked authors
+ */
+export function filterComments(comments: PersonComment[], filters: ListingFilters): PersonComment[] {
+  const authors = new Set(filters.blockedAuthors);
+
+  return filterPersonComments(comments, filters)
+    .filter((comment) => !authors.has(comment.authorHandle.toLowerCase()));
+}
+
+/**
+ * Remove comments by blocked authors from comment threads, along with the replies below them
+ * Returns copies, so threads shared through the cache are left as they are.
+ */
+export function filterCommentThreads(comments: SocialComment[], filters: ListingFilters): SocialComment[] {
+  if (filters.blockedAuthors.length === 0) {
+    return comments;
+  }
+
+  const authors = new Set(filters.blockedAuthors);
+  const prune = (thread: SocialComment[]): SocialComment[] => thread
+    .filter((comment) => !authors.has(comment.authorHandle.toLowerCase()))
+    .map((comment) => comment.replies ? { ...comment, replies: prune(comment.replies) } : comment);
+
+  return prune(comments);
+}
+
+/**
+ * Remove users the user has blocked
+ */
+export function filterUsers(users: SocialPerson[], filters: ListingFilters): SocialPerson[] {
+  const blocked = new Set(filters.blockedAuthors);
+  return users.filter((user) => !blocked.has(user.handle.toLowerCase()));
+}
@@ -0,0 +1,79 @@
+// PreSocial Insights
+// A compact summary of the fediverse discussion around a query, sized for embedding next to search results
+
+import { createHash } from 'crypto';
+import { lemmyPool } from './lemmyPool';
+import { engagementScore } from './discussions';
+import { filterPosts, filterCommunities, DEFAULT_FILTERS } from './filters';
+import { isPostVisible, isCommunityVisible } from './moderation';
+import type { InsightsResponse } from '../types';
+
+const MAX_DISCUSSIONS = 3;
+const MAX_COMMUNITIES = 3;
+const MAX_TITLE_LENGTH = 140;
+const SEARCH_LIMIT = 20;
+
+// Hard cap on the serialized card, so an embed can never slow down the page hosting it
+export const INSIGHTS_MAX_BYTES = 4096;
+
+function truncate(text: string, max: number): string {
+  return text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text;
+}
+
+/**
+ * Cache key for a query (hashed, and shared by every embed showing it)
+ */
+export function insightsCacheKey(query: string): string {
+  const normalized = query.trim().replace(/\s+/g, ' ').toLowerCase();
+  const hash = createHash('sha256').update(normalized).digest('hex').slice(0, 32);
+  return `insights:${hash}`;
+}
+
+/**
+ * Size of a card as it goes over the wire
+ */
+export function payloadBytes(card: InsightsResponse): number {
+  return Buffer.byteLength(JSON.stringify(card));
+}
+
+/**
+ * Build the insights card for a query
+ * Embeds are anonymous, so only the default filters apply (no NSFW).
+ */
+export async function buildInsights(query: string): Promise<InsightsResponse> {
+  const results = await lemmyPool.search(query, { type: 'All', sort: 'TopAll', limit: SEARCH_LIMIT });
+
+  const posts = filterPosts(results.posts.filter(isPostVisible), DEFAULT_FILTERS)
+    .sort((a, b) => engagementScore(b) - engagementScore(a));
+  const communities = filterCommunities(results.communities.filter(isCommunityVisible), DEFAULT_FILTERS)
+    .sort((a, b) => b.subscribers - a.subscribers);
+
+  const card: InsightsResponse = {
+    query: truncate(query.trim(), MAX_TITLE_LENGTH),
+    discussions: posts.slice(0, MAX_DISCUSSIONS).map((post) => ({
+      title: truncate(post.title, MAX_TITLE_LENGTH),
+      url: post.url,
+      community: post.communityHandle,
+      score: post.score,
+      comments: post.commentCount,
+      timestamp: post.timestamp,
+    })),
+    communities: communities.slice(0, MAX_COMMUNITIES).map((community) => ({
+      name: community.name,
+      handle: community.handle || community.name,
+      title: truncate(community.title, MAX_TITLE_LENGTH),
+      subscribers: community.subscribers,
+    })),
+    totals: {
+      discussions: posts.length,
+      comments: posts.reduce((sum, post) => sum + post.commentCount, 0),
+    },
+  };
+
+  // Long handles and URLs can still push a card over the cap; drop the least engaging items first
+  while (payloadBytes(card) > INSIGHTS_MAX_BYTES && (card.discussions.length || card.communities.length)) {
+    (card.communities.length >= card.discussions.length ? card.communities : card.discussions).pop();
+  }
+
+  return card;
+}
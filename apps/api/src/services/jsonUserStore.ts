@@ -0,0 +1,361 @@
+// PreSocial JSON User Store
+// Keeps votes, bookmarks and profiles in memory and rewrites their JSON files when they change.
+// Every change is journaled first, so a crash between saves loses nothing.
+// Simple to inspect by hand, so it stays available for development (STORAGE_BACKEND=json)
+
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { Journal, StorageLoadError, writeFileAtomic } from './fileStore';
+import type { SavedPost, UserProfile, UserStats, UserStore, UserStoreStats } from './storage';
+
+export const JOURNAL_FILE = 'user_data.journal';
+
+// Entries journaled before votes and bookmarks were keyed by ActivityPub ID have a post ID instead
+export type JournalEntry =
+  | { op: 'vote'; userId: string; apId: string; postId?: number; vote: 'up' | 'down' | null }
+  | { op: 'bookmark'; userId: string; post: SavedPost }
+  | { op: 'unbookmark'; userId: string; apId: string; postId?: number }
+  | { op: 'profile'; userId: string; profile: UserProfile };
+
+export class JsonUserStore implements UserStore {
+  readonly backend = 'json' as const;
+  readonly files: string[];
+
+  private votesFile: string;
+  private bookmarksFile: string;
+  private profilesFile: string;
+  private journal: Journal<JournalEntry>;
+
+  private userVotes: Map<string, Map<string, 'up' | 'down'>> = new Map();
+  private userBookmarks: Map<string, Map<string, SavedPost>> = new Map();
+  private userProfiles: Map<string, UserProfile> = new Map();
+
+  // Track if data has been modified since last save
+  private votesDirty = false;
+  private bookmarksDirty = false;
+  private profilesDirty = false;
+  private journalDirty = false;
+
+  constructor(dir: string) {
+    this.votesFile = join(dir, 'votes.json');
+    this.bookmarksFile = join(dir, 'bookmarks.json');
+    this.profilesFile = join(dir, 'profiles.json');
+    this.journal = new Journal(join(dir, JOURNAL_FILE));
+    this.files = [this.votesFile, this.bookmarksFile, this.profilesFile, this.journal.path];
+
+    this.loadVotes();
+    this.loadBookmarks();
+    this.loadProfiles();
+    this.replayJournal();
+    this.migrateBookmarks();
+  }
+
+  /**
+   * Apply changes made after the last save, then save them into the files
+   * Entries are absolute (set this vote, save this profile), so replaying one already saved is harmless.
+   */
+  private replayJournal(): void {
+    const entries = this.journal.read();
+    if (entries.length === 0) return;
+
+    entries.forEach((entry) => this.apply(entry));
+    console.log(`[Storage] Replayed ${entries.length} journaled changes`);
+
+    this.journalDirty = true;
+    this.flush();
+  }
+
+  /**
+   * Re-key bookmarks saved under the instance-local post ID by their ActivityPub ID
+   * Those bookmarks have no `apId`, but their `url` is the post's ActivityPub ID.
+   */
+  private migrateBookmarks(): void {
+    let migrated = 0;
+
+    this.userBookmarks.forEach((bookmarks, userId) => {
+      const rekeyed = new Map<string, SavedPost>();
+      bookmarks.forEach((post) => {
+        const apId = post.apId || post.url;
+        rekeyed.set(apId, { ...post, apId });
+        if (!post.apId) migrated++;
+      });
+      this.userBookmarks.set(userId, rekeyed);
+    });
+
+    if (migrated > 0) {
+      console.log(`[Storage] Re-keyed ${migrated} bookmarks by ActivityPub ID`);
+      this.bookmarksDirty = true;
+      this.flush();
+    }
+  }
+
+  /**
+   * Journal a change, then make it in memory
+   */
+  private record(entry: JournalEntry): void {
+    this.journal.append(entry);
+    this.journalDirty = true;
+    this.apply(entry);
+  }
+
+  private apply(entry: JournalEntry): void {
+    switch (entry.op) {
+      case 'vote': {
+        const votes = this.votesOf(entry.userId);
+        const key = entry.apId ?? String(entry.postId);
+        if (entry.vote === null) {
+          votes.delete(key);
+        } else {
+          votes.set(key, entry.vote);
+        }
+        this.votesDirty = true;
+        break;
+      }
+      case 'bookmark':
+        this.bookmarksOf(entry.userId).set(entry.post.apId ?? String(entry.post.id), entry.post);
+        this.bookmarksDirty = true;
+        break;
+      case 'unbookmark':
+        if (this.bookmarksOf(entry.userId).delete(entry.apId ?? String(entry.postId))) {
+          this.bookmarksDirty = true;
+        }
+        break;
+      case 'profile':
+        this.userProfiles.set(entry.userId, entry.profile);
+        this.profilesDirty = true;
+        break;
+    }
+  }
+
+  /**
+   * Load votes from file
+   */
+  private loadVotes(): void {
+    try {
+      if (existsSync(this.votesFile)) {
+        const data = JSON.parse(readFileSync(this.votesFile, 'utf-8'));
+        this.userVotes = new Map();
+
+        for (const [userId, votes] of Object.entries(data)) {
+          const userVoteMap = new Map<string, 'up' | 'down'>(Object.entries(votes as Record<string, 'up' | 'down'>));
+          this.userVotes.set(userId, userVoteMap);
+        }
+
+        console.log(`[Storage] Loaded votes for ${this.userVotes.size} users`);
+      }
+    } catch (error) {
+      throw new StorageLoadError(this.votesFile, error);
+    }
+  }
+
+  /**
+   * Load bookmarks from file
+   */
+  private loadBookmarks(): void {
+    try {
+      if (existsSync(this.bookmarksFile)) {
+        const data = JSON.parse(readFileSync(this.bookmarksFile, 'utf-8'));
+        this.userBookmarks = new Map();
+
+        for (const [userId, bookmarks] of Object.entries(data)) {
+          const userBookmarkMap = new Map<string, SavedPost>(Object.entries(bookmarks as Record<string, SavedPost>));
+          this.userBookmarks.set(userId, userBookmarkMap);
+        }
+
+        console.log(`[Storage] Loaded bookmarks for ${this.userBookmarks.size} users`);
+      }
+    } catch (error) {
+      throw new StorageLoadError(this.bookmarksFile, error);
+    }
+  }
+
+  /**
+   * Load profiles from file
+   */
+  private loadProfiles(): void {
+    try {
+      if (existsSync(this.profilesFile)) {
+        const data = JSON.parse(readFileSync(this.profilesFile, 'utf-8'));
+        this.userProfiles = new Map();
+
+        for (const [userId, profile] of Object.entries(data)) {
+          this.userProfiles.set(userId, profile as UserProfile);
+        }
+
+        console.log(`[Storage] Loaded profiles for ${this.userProfiles.size} users`);
+      }
+    } catch (error) {
+      throw new StorageLoadError(this.profilesFile, error);
+    }
+  }
+
+  /**
+   * Save votes to file
+   */
+  private saveVotes(): void {
+    if (!this.votesDirty) return;
+
+    try {
+      const data: Record<string, Record<string, 'up' | 'down'>> = {};
+      this.userVotes.forEach((votes, userId) => {
+        data[userId] = Object.fromEntries(votes);
+      });
+
+      writeFileAtomic(this.votesFile, JSON.stringify(data, null, 2));
+      this.votesDirty = false;
+      console.debug('[Storage] Saved votes to disk');
+    } catch (error) {
+      console.error('[Storage] Failed to save votes:', error);
+    }
+  }
+
+  /**
+   * Save bookmarks to file
+   */
+  private saveBookmarks(): void {
+    if (!this.bookmarksDirty) return;
+
+    try {
+      const data: Record<string, Record<string, SavedPost>> = {};
+      this.userBookmarks.forEach((bookmarks, userId) => {
+        data[userId] = Object.fromEntries(bookmarks);
+      });
+
+      writeFileAtomic(this.bookmarksFile, JSON.stringify(data, null, 2));
+      this.bookmarksDirty = false;
+      console.debug('[Storage] Saved bookmarks to disk');
+    } catch (error) {
+      console.error('[Storage] Failed to save bookmarks:', error);
+    }
+  }
+
+  /**
+   * Save profiles to file
+   */
+  private saveProfiles(): void {
+    if (!this.profilesDirty) return;
+
+    try {
+      const data: Record<string, UserProfile> = {};
+      this.userProfiles.forEach((profile, userId) => {
+        data[userId] = profile;
+      });
+
+      writeFileAtomic(this.profilesFile, JSON.stringify(data, null, 2));
+      this.profilesDirty = false;
+      console.debug('[Storage] Saved profiles to disk');
+    } catch (error) {
+      console.error('[Storage] Failed to save profiles:', error);
+    }
+  }
+
+  flush(force = false): void {
+    if (force) {
+      this.votesDirty = true;
+      this.bookmarksDirty = true;
+      this.profilesDirty = true;
+    }
+    this.saveVotes();
+    this.saveBookmarks();
+    this.saveProfiles();
+
+    // Only once every change is in the files; on a failed save the journal still has it
+    if (this.journalDirty && !this.votesDirty && !this.bookmarksDirty && !this.profilesDirty) {
+      this.journal.clear();
+      this.journalDirty = false;
+    }
+  }
+
+  close(): void {
+    this.flush();
+    this.journal.close();
+  }
+
+  private votesOf(userId: string): Map<string, 'up' | 'down'> {
+    if (!this.userVotes.has(userId)) {
+      this.userVotes.set(userId, new Map());
+    }
+    return this.userVotes.get(userId)!;
+  }
+
+  private bookmarksOf(userId: string): Map<string, SavedPost> {
+    if (!this.userBookmarks.has(userId)) {
+      this.userBookmarks.set(userId, new Map());
+    }
+    return this.userBookmarks.get(userId)!;
+  }
+
+  async getVotes(userId: string): Promise<Map<string, 'up' | 'down'>> {
+    return new Map(this.votesOf(userId));
+  }
+
+  async getVote(userId: string, apId: string): Promise<'up' | 'down' | null> {
+    return this.votesOf(userId).get(apId) || null;
+  }
+
+  async setVote(userId: string, apId: string, vote: 'up' | 'down' | null): Promise<void> {
+    this.record({ op: 'vote', userId, apId, vote });
+  }
+
+  async getBookmarks(userId: string): Promise<SavedPost[]> {
+    const posts = [...this.bookmarksOf(userId).values()];
+
+    // Sort by savedAt descending (newest first)
+    posts.sort((a, b) => new Date(b.savedAt).getTime() - new Date(a.savedAt).getTime());
+
+    return posts;
+  }
+
+  async isBookmarked(userId: string, apId: string): Promise<boolean> {
+    return this.bookmarksOf(userId).has(apId);
+  }
+
+  async addBookmark(userId: string, post: SavedPost): Promise<void> {
+    this.record({ op: 'bookmark', userId, post });
+  }
+
+  async removeBookmark(userId: string, apId: string): Promise<boolean> {
+    if (!this.bookmarksOf(userId).has(apId)) return false;
+    this.record({ op: 'unbookmark', userId, apId });
+    return true;
+  }
+
+  async getProfile(userId: string): Promise<UserProfile | null> {
+    return this.userProfiles.get(userId) || null;
+  }
+
+  async saveProfile(userId: string, profile: UserProfile): Promise<void> {
+    this.record({ op: 'profile', userId, profile });
+  }
+
+  async getUserStats(userId: string): Promise<UserStats> {
+    return {
+      votesCount: this.userVotes.get(userId)?.size || 0,
+      bookmarksCount: this.userBookmarks.get(userId)?.size || 0,
+    };
+  }
+
+  async getStats(): Promise<UserStoreStats> {
+    let totalVotes = 0;
+    let totalBookmarks = 0;
+
+    this.userVotes.forEach((votes) => {
+      totalVotes += votes.size;
+    });
+
+    this.userBookmarks.forEach((bookmarks) => {
+      totalBookmarks += bookmarks.size;
+    });
+
+    return {
+      users: Math.max(this.userVotes.size, this.userBookmarks.size),
+      totalVotes,
+      totalBookmarks,
+      profiles: this.userProfiles.size,
+    };
+  }
+
+  async listUsers(): Promise<string[]> {
+    return Array.from(new Set([...this.userVotes.keys(), ...this.userBookmarks.keys(), ...this.userProfiles.keys()]));
+  }
+}
@@ -2,11 +2,23 @@
 // Integrates with lemmy.world and other Lemmy instances
 
 import { LemmyHttp } from 'lemmy-js-client';
+import { CircuitBreaker, withRetry, type CircuitStatus } from './resilience';
 import type {
   SocialPost,
   SocialComment,
   SocialCommunity,
   SearchOptions,
+  FeedOptions,
+  FeedPage,
+  CommunityDetails,
+  CommunityModerator,
+  CommentQueryOptions,
+  PersonDetails,
+  PersonComment,
+  PersonQueryOptions,
+  SocialPerson,
+  SearchResults,
+  NewPost,
   LemmyConfig,
 } from '../types';
 
@@ -16,16 +28,68 @@ const DEFAULT_CONFIG: LemmyConfig = {
   maxRetries: 2,
 };
 
+// Delay before the first retry of a failed read (doubled on each attempt)
+const RETRY_BASE_DELAY = 300;
+
+// Depth of comment trees fetched in one call (deeper threads are loaded on demand)
+const COMMENT_TREE_DEPTH = 3;
+
+// Lemmy API errors are snake_case identifiers like "couldnt_find_post"
+const LEMMY_API_ERROR = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * Check if an error is a transient failure (network, timeout, 5xx) rather than
+ * a well-formed Lemmy API error. Only transient failures are retried and count
+ * against the circuit breaker.
+ */
+export function isTransientError(error: unknown): boolean {
+  if (!(error instanceof Error)) return true;
+  if (error.message === 'rate_limit_error') return true;
+  return !LEMMY_API_ERROR.test(error.message);
+}
+
+/**
+ * Append the PreSocial attribution footer crediting the PreSuite user
+ */
+function attribute(content: string, preSuiteUser?: string): string {
+  return preSuiteUser
+    ? `${content}\n\n---\n*Posted via [PreSocial](https://presocial.presuite.eu) by ${preSuiteUser}*`
+    : content;
+}
+
 export class LemmyService {
   private client: LemmyHttp;
   private config: LemmyConfig;
   private authToken?: string;
+  private breaker: CircuitBreaker;
 
   constructor(config: Partial<LemmyConfig> = {}) {
     this.config = { ...DEFAULT_CONFIG, ...config };
     this.client = new LemmyHttp(this.config.instanceUrl, {
       fetchFunction: this.createFetchWithTimeout(),
     });
+    this.breaker = new CircuitBreaker(this.getInstanceHost());
+  }
+
+  /**
+   * Run an idempotent read through the circuit breaker, retrying transient failures
+   */
+  private read<T>(fn: () => Promise<T>): Promise<T> {
+    return this.breaker.execute(
+      () => withRetry(fn, {
+        retries: this.config.maxRetries,
+        baseDelay: RETRY_BASE_DELAY,
+        shouldRetry: isTransientError,
+      }),
+      isTransientError
+    );
+  }
+
+  /**
+   * Run a write through the circuit breaker (never retried - writes aren't idempotent)
+   */
+  private write<T>(fn: () => Promise<T>): Promise<T> {
+    return this.breaker.execute(fn, isTransientError);
   }
 
   /**
@@ -55,18 +119,19 @@ export class LemmyService {
    * Authenticate with bot account (optional)
    */
   async authenticate(): Promise<boolean> {
-    if (!this.config.botUsername || !this.config.botPassword) {
+    const { botUsername, botPassword } = this.config;
+    if (!botUsername || !botPassword) {
       return false;
     }
 
     try {
-      const response = await this.client.login({
-        username_or_email: this.config.botUsername,
-        password: this.config.botPassword,
-      });
+      const response = await this.write(() => this.client.login({
+        username_or_email: botUsername,
+        password: botPassword,
+      }));
 
       if (response.jwt) {
-        this.authToken = response.jwt;
+        this.setAuthToken(response.jwt);
         return true;
       }
       return false;
@@ -77,59 +142,194 @@ export class LemmyService {
   }
 
   /**
-   * Search for posts matching query
+   * Log in as a Lemmy user and return their JWT
+   * Throws Lemmy's error (e.g. "incorrect_login", "missing_totp_token") on failure
+   */
+  async login(usernameOrEmail: string, password: string, totpToken?: string): Promise<string> {
+    const response = await this.write(() => this.client.login({
+      username_or_email: usernameOrEmail,
+      password,
+      totp_2fa_token: totpToken,
+    }));
+
+    if (!response.jwt) {
+      // Lemmy withholds the token until the email is verified or the application approved
+      throw new Error(response.verify_email_sent ? 'email_not_verified' : 'registration_application_pending');
+    }
+
+    return response.jwt;
+  }
+
+  /**
+   * Get the username a JWT belongs to, or null if the token isn't valid on this instance
+   */
+  async getTokenUser(jwt: string): Promise<string | null> {
+    const service = this.asUser(jwt);
+    const site = await service.read(() => service.client.getSite());
+    return site.my_user?.local_user_view.person.name ?? null;
+  }
+
+  /**
+   * Get a service that acts as a specific Lemmy user
+   * It has its own authenticated client but shares this instance's circuit breaker.
+   */
+  asUser(jwt: string): LemmyService {
+    const service = new LemmyService({
+      instanceUrl: this.config.instanceUrl,
+      timeout: this.config.timeout,
+      maxRetries: this.config.maxRetries,
+    });
+    service.breaker = this.breaker;
+    service.setAuthToken(jwt);
+    return service;
+  }
+
+  /**
+   * Use a JWT for all further requests
+   * lemmy-js-client 0.19 sends auth as a header, not in the request body
    */
-  async searchPosts(query: string, options: SearchOptions = {}): Promise<SocialPost[]> {
+  private setAuthToken(jwt: string): void {
+    this.authToken = jwt;
+    this.client.setHeaders({ Authorization: `Bearer ${jwt}` });
+  }
+
+  /**
+   * Search posts, comments, communities and users matching query
+   * Lemmy applies the limit to each result type separately.
+   */
+  async search(query: string, options: SearchOptions = {}): Promise<SearchResults> {
     try {
-      const response = await this.client.search({
+      // Person IDs are per instance, so authors are resolved here rather than by the caller
+      let creatorId: number | undefined;
+      if (options.creatorName) {
+        const person = await this.getPerson(options.creatorName, { limit: 1 });
+        if (!person) {
+          return { posts: [], comments: [], communities: [], users: [] };
+        }
+        creatorId = person.person.id;
+      }
+
+      const response = await this.read(() => this.client.search({
         q: query,
-        type_: 'Posts',
+        type_: options.type || 'All',
+        listing_type: options.listingType || 'All',
         sort: options.sort || 'TopAll',
         limit: options.limit || 10,
         page: options.page || 1,
         community_id: options.communityId,
         community_name: options.communityName,
-      });
+        creator_id: creatorId,
+      }));
 
-      return response.posts.map((postView) => this.transformPost(postView));
+      return {
+        posts: response.posts.map((postView) => this.transformPost(postView)),
+        comments: response.comments.map((commentView) => this.transformPersonComment(commentView)),
+        communities: response.communities.map((cv) => this.transformCommunity(cv)),
+        users: response.users.map((personView) => this.transformPerson(personView)),
+      };
     } catch (error) {
       console.error('[Lemmy] Search failed:', error);
-      throw new Error('Failed to search community posts');
+      throw error;
     }
   }
 
   /**
    * Get single post with details
+   * Returns null if the post doesn't exist, throws if Lemmy is unreachable
    */
   async getPost(postId: number): Promise<SocialPost | null> {
     try {
-      const response = await this.client.getPost({
+      const response = await this.read(() => this.client.getPost({
         id: postId,
-      });
+      }));
 
       return this.transformPost(response.post_view);
     } catch (error) {
+      if (!isTransientError(error)) {
+        return null;
+      }
       console.error('[Lemmy] Get post failed:', error);
-      return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single comment by ID
+   */
+  async getComment(commentId: number): Promise<SocialComment | null> {
+    try {
+      const response = await this.read(() => this.client.getComment({
+        id: commentId,
+      }));
+
+      return this.transformComment(response.comment_view);
+    } catch (error) {
+      if (!isTransientError(error)) {
+        return null;
+      }
+      console.error('[Lemmy] Get comment failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a post by its ActivityPub ID, fetching it into this instance if it hasn't seen it yet
+   * Post IDs are per instance, so this is how a post from elsewhere gets an ID here to act on.
+   * Lemmy only fetches unknown posts for signed-in users, so the bot signs in first if it can.
+   */
+  async resolvePost(apId: string): Promise<SocialPost | null> {
+    if (!this.authToken) {
+      await this.authenticate();
+    }
+
+    try {
+      const response = await this.read(() => this.client.resolveObject({ q: apId }));
+      return response.post ? this.transformPost(response.post) : null;
+    } catch (error) {
+      if (!isTransientError(error)) {
+        return null;
+      }
+      console.error('[Lemmy] Resolve post failed:', error);
+      throw error;
     }
   }
 
   /**
-   * Get comments for a post
+   * Get the comment tree for a post (flat, up to `maxDepth` levels)
+   * Lemmy ignores limit/page for depth-limited fetches and caps them at 300 comments
    */
-  async getComments(postId: number, limit = 20): Promise<SocialComment[]> {
+  async getComments(postId: number, options: CommentQueryOptions = {}): Promise<SocialComment[]> {
     try {
-      const response = await this.client.getComments({
+      const response = await this.read(() => this.client.getComments({
         post_id: postId,
-        sort: 'Top',
-        limit,
-        max_depth: 3,
-      });
+        sort: options.sort || 'Top',
+        max_depth: options.maxDepth || COMMENT_TREE_DEPTH,
+      }));
 
       return response.comments.map((commentView) => this.transformComment(commentView));
     } catch (error) {
       console.error('[Lemmy] Get comments failed:', error);
-      return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Get the descendants of a comment (flat, up to `maxDepth` levels below it)
+   */
+  async getCommentReplies(commentId: number, options: CommentQueryOptions = {}): Promise<SocialComment[]> {
+    try {
+      const response = await this.read(() => this.client.getComments({
+        parent_id: commentId,
+        sort: options.sort || 'Top',
+        max_depth: options.maxDepth || COMMENT_TREE_DEPTH,
+      }));
+
+      return response.comments
+        .filter((commentView) => commentView.comment.id !== commentId)
+        .map((commentView) => this.transformComment(commentView));
+    } catch (error) {
+      console.error('[Lemmy] Get comment replies failed:', error);
+      throw error;
     }
   }
 
@@ -139,46 +339,134 @@ export class LemmyService {
   async listCommunities(query?: string, limit = 10): Promise<SocialCommunity[]> {
     try {
       if (query) {
-        const response = await this.client.search({
+        const response = await this.read(() => this.client.search({
           q: query,
           type_: 'Communities',
           sort: 'TopAll',
           limit,
-        });
+        }));
         return response.communities.map((cv) => this.transformCommunity(cv));
       }
 
-      const response = await this.client.listCommunities({
+      const response = await this.read(() => this.client.listCommunities({
         type_: 'All',
         sort: 'TopAll',
         limit,
-      });
+      }));
 
       return response.communities.map((cv) => this.transformCommunity(cv));
     } catch (error) {
       console.error('[Lemmy] List communities failed:', error);
-      return [];
+      throw error;
     }
   }
 
   /**
-   * Get trending posts
+   * Get a page of posts for a feed listing
+   * Pass the returned nextCursor back as `cursor` to continue where the page left off
    */
-  async getTrending(limit = 10): Promise<SocialPost[]> {
+  async getPosts(options: FeedOptions = {}): Promise<FeedPage> {
     try {
-      const response = await this.client.getPosts({
-        sort: 'Hot',
-        type_: 'All',
-        limit,
-      });
+      const response = await this.read(() => this.client.getPosts({
+        sort: options.sort || 'Hot',
+        type_: options.type || 'All',
+        limit: options.limit || 20,
+        page: options.cursor ? undefined : options.page,
+        page_cursor: options.cursor,
+        community_name: options.communityName,
+      }));
+
+      return {
+        posts: response.posts.map((postView) => this.transformPost(postView)),
+        nextCursor: response.next_page,
+      };
+    } catch (error) {
+      console.error('[Lemmy] Get posts failed:', error);
+      throw error;
+    }
+  }
 
-      return response.posts.map((postView) => this.transformPost(postView));
+  /**
+   * Get a community's details and moderators by name (or name@instance)
+   * Returns null if the community doesn't exist
+   */
+  async getCommunity(name: string): Promise<{ community: CommunityDetails; moderators: CommunityModerator[] } | null> {
+    try {
+      const response = await this.read(() => this.client.getCommunity({ name }));
+      const { community, counts } = response.community_view;
+
+      return {
+        community: {
+          ...this.transformCommunity(response.community_view),
+          comments: counts.comments,
+          activeUsersDay: counts.users_active_day,
+          activeUsersWeek: counts.users_active_week,
+          activeUsersMonth: counts.users_active_month,
+          published: community.published,
+          postingRestrictedToMods: community.posting_restricted_to_mods,
+        },
+        moderators: response.moderators.map(({ moderator }) => ({
+          id: moderator.id,
+          name: moderator.name,
+          displayName: moderator.display_name,
+          avatar: moderator.avatar,
+          url: moderator.actor_id,
+        })),
+      };
+    } catch (error) {
+      if (!isTransientError(error)) {
+        return null;
+      }
+      console.error('[Lemmy] Get community failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a person's profile and a page of their posts and comments by name (or name@instance)
+   * Returns null if the person doesn't exist
+   */
+  async getPerson(
+    name: string,
+    options: PersonQueryOptions = {}
+  ): Promise<{ person: PersonDetails; posts: SocialPost[]; comments: PersonComment[] } | null> {
+    try {
+      const response = await this.read(() => this.client.getPersonDetails({
+        username: name,
+        sort: options.sort || 'New',
+        page: options.page || 1,
+        limit: options.limit || 20,
+      }));
+      const { person } = response.person_view;
+
+      return {
+        person: {
+          ...this.transformPerson(response.person_view),
+          bio: person.bio,
+          banner: person.banner,
+          published: person.published,
+          banned: person.banned,
+        },
+        posts: response.posts.map((pv) => this.transformPost(pv)),
+        comments: response.comments.map((cv) => this.transformPersonComment(cv)),
+      };
     } catch (error) {
-      console.error('[Lemmy] Get trending failed:', error);
-      return [];
+      if (!isTransientError(error)) {
+        return null;
+      }
+      console.error('[Lemmy] Get person failed:', error);
+      throw error;
     }
   }
 
+  /**
+   * Get trending posts
+   */
+  async getTrending(limit = 10): Promise<SocialPost[]> {
+    const { posts } = await this.getPosts({ sort: 'Hot', type: 'All', limit });
+    return posts;
+  }
+
   /**
    * Vote on a post (requires auth)
    */
@@ -189,10 +477,10 @@ export class LemmyService {
     }
 
     try {
-      await this.client.likePost({
+      await this.write(() => this.client.likePost({
         post_id: postId,
         score,
-      });
+      }));
       return true;
     } catch (error) {
       console.error('[Lemmy] Vote failed:', error);
@@ -223,16 +511,11 @@ export class LemmyService {
     }
 
     try {
-      // Add attribution to the comment
-      const attributedContent = preSuiteUser
-        ? `${content}\n\n---\n*Posted via [PreSocial](https://presocial.presuite.eu) by ${preSuiteUser}*`
-        : content;
-
-      const response = await this.client.createComment({
+      const response = await this.write(() => this.client.createComment({
         post_id: postId,
-        content: attributedContent,
+        content: attribute(content, preSuiteUser),
         parent_id: parentId,
-      });
+      }));
 
       return this.transformComment(response.comment_view);
     } catch (error) {
@@ -241,6 +524,124 @@ export class LemmyService {
     }
   }
 
+  /**
+   * Edit a comment's content (requires auth as the comment's creator)
+   * @param commentId - The comment to edit
+   * @param content - The new content
+   * @param preSuiteUser - PreSuite username for attribution (for comments posted by the bot)
+   */
+  async editComment(
+    commentId: number,
+    content: string,
+    preSuiteUser?: string
+  ): Promise<SocialComment | null> {
+    if (!this.authToken) {
+      const authenticated = await this.authenticate();
+      if (!authenticated) {
+        console.warn('[Lemmy] Cannot edit comment: not authenticated');
+        return null;
+      }
+    }
+
+    try {
+      const response = await this.write(() => this.client.editComment({
+        comment_id: commentId,
+        content: attribute(content, preSuiteUser),
+      }));
+
+      return this.transformComment(response.comment_view);
+    } catch (error) {
+      console.error('[Lemmy] Edit comment failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Delete a comment (requires auth as the comment's creator)
+   */
+  async deleteComment(commentId: number): Promise<SocialComment | null> {
+    if (!this.authToken) {
+      const authenticated = await this.authenticate();
+      if (!authenticated) {
+        console.warn('[Lemmy] Cannot delete comment: not authenticated');
+        return null;
+      }
+    }
+
+    try {
+      const response = await this.write(() => this.client.deleteComment({
+        comment_id: commentId,
+        deleted: true,
+      }));
+
+      return this.transformComment(response.comment_view);
+    } catch (error) {
+      console.error('[Lemmy] Delete comment failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Report a post or comment to its community's moderators (requires auth)
+   */
+  async report(targetType: 'post' | 'comment', targetId: number, reason: string): Promise<boolean> {
+    if (!this.authToken) {
+      const authenticated = await this.authenticate();
+      if (!authenticated) {
+        console.warn('[Lemmy] Cannot report: not authenticated');
+        return false;
+      }
+    }
+
+    try {
+      if (targetType === 'post') {
+        await this.write(() => this.client.createPostReport({ post_id: targetId, reason }));
+      } else {
+        await this.write(() => this.client.createCommentReport({ comment_id: targetId, reason }));
+      }
+      return true;
+    } catch (error) {
+      console.error('[Lemmy] Report failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Create a post in a community (requires authentication)
+   * The PreSuite user is credited in the post body, as with comments
+   * @param communityId - The community to post in
+   * @param post - Title plus optional link, markdown body and NSFW flag
+   * @param preSuiteUser - PreSuite username for attribution
+   */
+  async createPost(
+    communityId: number,
+    post: NewPost,
+    preSuiteUser?: string
+  ): Promise<SocialPost | null> {
+    if (!this.authToken) {
+      const authenticated = await this.authenticate();
+      if (!authenticated) {
+        console.warn('[Lemmy] Cannot post: not authenticated');
+        return null;
+      }
+    }
+
+    try {
+      const response = await this.write(() => this.client.createPost({
+        community_id: communityId,
+        name: post.title,
+        url: post.url,
+        body: attribute(post.body || '', preSuiteUser).trim() || undefined,
+        nsfw: post.nsfw,
+      }));
+
+      return this.transformPost(response.post_view);
+    } catch (error) {
+      console.error('[Lemmy] Create post failed:', error);
+      return null;
+    }
+  }
+
   /**
    * Check if the service is authenticated
    */
@@ -255,6 +656,46 @@ export class LemmyService {
     return this.config.botUsername;
   }
 
+  /**
+   * Get the circuit breaker state for this instance
+   */
+  getCircuitStatus(): CircuitStatus {
+    return this.breaker.getStatus();
+  }
+
+  /**
+   * Check if calls to this instance are currently being short-circuited
+   */
+  isCircuitOpen(): boolean {
+    return this.breaker.isOpen();
+  }
+
+  /**
+   * Get the base URL of the Lemmy instance this client talks to
+   */
+  getInstanceUrl(): string {
+    return this.config.instanceUrl;
+  }
+
+  /**
+   * Get the hostname of the Lemmy instance (e.g. "lemmy.world")
+   */
+  getInstanceHost(): string {
+    return new URL(this.config.instanceUrl).hostname;
+  }
+
+  /**
+   * Build a fully qualified handle (name@host) for a community or person from its actor ID
+   * so it can be looked up from any instance
+   */
+  private actorHandle(actor: any): string {
+    try {
+      return `${actor.name}@${new URL(actor.actor_id).hostname}`;
+    } catch {
+      return actor.name;
+    }
+  }
+
   /**
    * Transform Lemmy PostView to SocialPost
    */
@@ -265,15 +706,20 @@ export class LemmyService {
       id: post.id,
       title: post.name,
       url: post.ap_id || `${this.config.instanceUrl}/post/${post.id}`,
+      apId: post.ap_id,
+      link: post.url,
+      instance: this.getInstanceHost(),
       body: post.body,
       score: counts.score,
       upvotes: counts.upvotes,
       downvotes: counts.downvotes,
       commentCount: counts.comments,
       community: community.name,
+      communityHandle: this.actorHandle(community),
       communityId: community.id,
       communityIcon: community.icon,
       author: creator.name,
+      authorHandle: this.actorHandle(creator),
       timestamp: post.published,
       thumbnail: post.thumbnail_url,
       excerpt: post.body ? post.body.slice(0, 200) : undefined,
@@ -293,15 +739,57 @@ export class LemmyService {
 
     return {
       id: comment.id,
+      apId: comment.ap_id,
+      postId: comment.post_id,
       content: comment.content,
       score: counts.score,
+      upvotes: counts.upvotes,
+      downvotes: counts.downvotes,
       author: creator.name,
+      authorHandle: this.actorHandle(creator),
       timestamp: comment.published,
-      parentId: pathParts.length > 1 ? parseInt(pathParts[pathParts.length - 2]) : undefined,
+      parentId: pathParts.length > 2 ? parseInt(pathParts[pathParts.length - 2]) : undefined,
+      path: comment.path,
+      childCount: counts.child_count,
+      deleted: comment.deleted || comment.removed,
       depth,
     };
   }
 
+  /**
+   * Transform a Lemmy CommentView to a comment shown outside its thread
+   */
+  private transformPersonComment(commentView: any): PersonComment {
+    const { post, community } = commentView;
+
+    return {
+      ...this.transformComment(commentView),
+      postTitle: post.name,
+      postApId: post.ap_id,
+      communityHandle: this.actorHandle(community),
+      nsfw: post.nsfw || community.nsfw,
+    };
+  }
+
+  /**
+   * Transform Lemmy PersonView to SocialPerson
+   */
+  private transformPerson(personView: any): SocialPerson {
+    const { person, counts } = personView;
+
+    return {
+      id: person.id,
+      name: person.name,
+      handle: this.actorHandle(person),
+      displayName: person.display_name,
+      avatar: person.avatar,
+      url: person.actor_id,
+      isBot: person.bot_account,
+      postCount: counts.post_count,
+      commentCount: counts.comment_count,
+    };
+  }
+
   /**
    * Transform Lemmy CommunityView to SocialCommunity
    */
@@ -311,6 +799,7 @@ export class LemmyService {
     return {
       id: community.id,
       name: community.name,
+      handle: this.actorHandle(community),
       title: community.title,
       description: community.description,
       icon: community.icon,
@@ -327,7 +816,7 @@ export class LemmyService {
    */
   async getInstanceInfo(): Promise<{ version: string; name: string } | null> {
     try {
-      const site = await this.client.getSite();
+      const site = await this.read(() => this.client.getSite());
       return {
         version: site.version,
         name: site.site_view.site.name,
@@ -0,0 +1,149 @@
+// PreSocial Linked Lemmy Accounts
+// Lets users act on Lemmy as themselves instead of through the shared bot account
+
+import { LemmyService, lemmyService, isTransientError } from './lemmy';
+import { encryptSecret, decryptSecret, isEncryptionEnabled } from './secrets';
+import {
+  getLinkedLemmyAccount,
+  setLinkedLemmyAccount,
+  removeLinkedLemmyAccount,
+} from './storage';
+
+export type LemmyAccountCredentials =
+  | { username: string; password: string; totpToken?: string }
+  | { jwt: string };
+
+export interface LemmyAccountInfo {
+  username: string;
+  instance: string;
+  linkedAt: string;
+}
+
+/**
+ * A linking failure caused by the user's input (bad password, invalid token...)
+ */
+export class LemmyAccountError extends Error {
+  status: 400 | 401 | 503;
+
+  constructor(message: string, status: 400 | 401 | 503 = 400) {
+    super(message);
+    this.name = 'LemmyAccountError';
+    this.status = status;
+  }
+}
+
+// Lemmy login errors and what to tell the user
+const LOGIN_ERRORS: Record<string, [string, 400 | 401]> = {
+  incorrect_login: ['Incorrect Lemmy username or password', 401],
+  missing_totp_token: ['This account uses two-factor authentication - enter your 2FA code', 400],
+  incorrect_totp_token: ['Incorrect two-factor authentication code', 401],
+  email_not_verified: ['Verify your email address on Lemmy before linking this account', 400],
+  registration_application_pending: ['Your Lemmy registration has not been approved yet', 400],
+  site_ban: ['This account is banned on the Lemmy instance', 401],
+  deleted: ['This Lemmy account has been deleted', 401],
+};
+
+// Authenticated per-user services, keyed by PreSuite user ID
+// The encrypted credentials are kept alongside so a relinked account gets a fresh client
+const userServices = new Map<string, { credentials: string; service: LemmyService }>();
+
+/**
+ * Link a Lemmy account to a PreSuite user, verifying the credentials first
+ * Only the resulting JWT is stored (encrypted); passwords are never persisted.
+ */
+export async function linkLemmyAccount(
+  userId: string,
+  credentials: LemmyAccountCredentials
+): Promise<LemmyAccountInfo> {
+  if (!isEncryptionEnabled()) {
+    throw new LemmyAccountError('Linking Lemmy accounts is not configured', 503);
+  }
+
+  let jwt: string;
+  let username: string;
+
+  try {
+    if ('jwt' in credentials) {
+      jwt = credentials.jwt;
+      const tokenUser = await lemmyService.getTokenUser(jwt);
+      if (!tokenUser) {
+        throw new LemmyAccountError('This token is not valid on the Lemmy instance', 401);
+      }
+      username = tokenUser;
+    } else {
+      jwt = await lemmyService.login(credentials.username, credentials.password, credentials.totpToken);
+      username = (await lemmyService.getTokenUser(jwt)) || credentials.username;
+    }
+  } catch (error) {
+    if (error instanceof LemmyAccountError || isTransientError(error)) {
+      throw error;
+    }
+    const code = (error as Error).message;
+    const [message, status] = LOGIN_ERRORS[code] || [`Lemmy rejected the login (${code})`, 400];
+    throw new LemmyAccountError(message, status);
+  }
+
+  const account = {
+    instanceUrl: lemmyService.getInstanceUrl(),
+    username,
+    credentials: encryptSecret(jwt),
+    linkedAt: new Date().toISOString(),
+  };
+
+  await setLinkedLemmyAccount(userId, account);
+  userServices.delete(userId);
+
+  return toAccountInfo(account);
+}
+
+/**
+ * Unlink a user's Lemmy account
+ */
+export function unlinkLemmyAccount(userId: string): Promise<boolean> {
+  userServices.delete(userId);
+  return removeLinkedLemmyAccount(userId);
+}
+
+/**
+ * Get public details of a user's linked Lemmy account (never the credentials)
+ */
+export function getLemmyAccountInfo(userId: string): LemmyAccountInfo | null {
+  const account = getLinkedLemmyAccount(userId);
+  return account ? toAccountInfo(account) : null;
+}
+
+/**
+ * Get a Lemmy service authenticated as the user's linked account
+ * Returns null when no account is linked (callers fall back to the bot)
+ * or when the stored credentials can't be decrypted.
+ */
+export function getUserLemmyService(userId: string): LemmyService | null {
+  const account = getLinkedLemmyAccount(userId);
+  if (!account) {
+    userServices.delete(userId);
+    return null;
+  }
+
+  const cached = userServices.get(userId);
+  if (cached && cached.credentials === account.credentials) {
+    return cached.service;
+  }
+
+  const jwt = decryptSecret(account.credentials);
+  if (!jwt) {
+    console.warn(`[LemmyAccounts] Could not decrypt linked account for user ${userId}`);
+    return null;
+  }
+
+  const service = lemmyService.asUser(jwt);
+  userServices.set(userId, { credentials: account.credentials, service });
+  return service;
+}
+
+function toAccountInfo(account: { instanceUrl: string; username: string; linkedAt: string }): LemmyAccountInfo {
+  return {
+    username: account.username,
+    instance: new URL(account.instanceUrl).hostname,
+    linkedAt: account.linkedAt,
+  };
+}
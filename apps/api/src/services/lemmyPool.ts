@@ -0,0 +1,213 @@
+// PreSocial Lemmy Instance Pool
+// Queries several Lemmy instances in parallel and merges their results
+
+import { LemmyService, lemmyService } from './lemmy';
+import type { CircuitStatus } from './resilience';
+import type { SocialPost, SearchOptions, SearchResults, FeedOptions } from '../types';
+
+// Max time to wait for any single instance before dropping it from a merged response
+const DEFAULT_POOL_TIMEOUT = 6000;
+
+export class LemmyPool {
+  private services: LemmyService[];
+  private timeout: number;
+
+  constructor(services: LemmyService[], timeout = DEFAULT_POOL_TIMEOUT) {
+    if (services.length === 0) {
+      throw new Error('LemmyPool requires at least one instance');
+    }
+    this.services = services;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Get the primary instance (used for single-instance lookups and auth)
+   */
+  getPrimary(): LemmyService {
+    return this.services[0];
+  }
+
+  /**
+   * Get the hostnames of all instances in the pool
+   */
+  getInstances(): string[] {
+    return this.services.map((service) => service.getInstanceHost());
+  }
+
+  /**
+   * Get circuit breaker state for every instance (for health checks)
+   */
+  getCircuitStatuses(): CircuitStatus[] {
+    return this.services.map((service) => service.getCircuitStatus());
+  }
+
+  /**
+   * Search every instance (or only `instance`, if given) and merge the results
+   */
+  async search(query: string, options: SearchOptions = {}, instance?: string): Promise<SearchResults> {
+    const results = await this.fanOut(
+      'search',
+      (service) => service.search(query, options),
+      instance ? (service) => service.getInstanceHost() === instance : undefined
+    );
+
+    return mergeSearchResults(results, options.limit);
+  }
+
+  /**
+   * Get trending posts from every instance and merge the results
+   */
+  async getTrending(limit = 10): Promise<SocialPost[]> {
+    const lists = await this.fanOut('trending', (service) => service.getTrending(limit));
+    return mergePosts(lists, limit);
+  }
+
+  /**
+   * Get a post listing (e.g. Hot or Active) from every instance and merge the results
+   */
+  async getPosts(options: FeedOptions = {}): Promise<SocialPost[]> {
+    const pages = await this.fanOut('posts', (service) => service.getPosts(options));
+    return mergePosts(pages.map((page) => page.posts), options.limit);
+  }
+
+  /**
+   * Run a query against all instances in parallel and collect the successful results
+   * Slow instances are cut off after the pool timeout so they can't block the response.
+   * Throws the primary instance's error only if every instance failed.
+   * Throws if `include` matches no instance, e.g. for a host outside the pool.
+   */
+  private async fanOut<T>(
+    label: string,
+    query: (service: LemmyService) => Promise<T>,
+    include: (service: LemmyService) => boolean = () => true
+  ): Promise<T[]> {
+    const services = this.services.filter(include);
+    if (services.length === 0) {
+      throw new Error(`No instance in the pool to run ${label} on`);
+    }
+
+    const results = await Promise.allSettled(
+      services.map((service) => withTimeout(query(service), this.timeout, service.getInstanceHost()))
+    );
+
+    const values: T[] = [];
+    const errors: unknown[] = [];
+
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        values.push(result.value);
+        return;
+      }
+
+      const host = services[index].getInstanceHost();
+      const reason = result.reason instanceof Error ? result.reason.message : result.reason;
+      console.warn(`[LemmyPool] ${label} on ${host} failed:`, reason);
+      errors.push(result.reason);
+    });
+
+    if (values.length === 0) {
+      throw errors[0];
+    }
+
+    return values;
+  }
+}
+
+/**
+ * Merge per-instance post lists into one list
+ * Interleaves by rank so each instance's own ordering is preserved,
+ * and drops federated copies of the same post (same ap_id)
+ */
+export function mergePosts(lists: SocialPost[][], limit?: number): SocialPost[] {
+  return mergeBy(lists, (post) => post.apId || `${post.instance}:${post.id}`, limit);
+}
+
+/**
+ * Merge search results section by section, dropping duplicates
+ */
+export function mergeSearchResults(results: SearchResults[], limit?: number): SearchResults {
+  return {
+    posts: mergePosts(results.map((result) => result.posts), limit),
+    comments: mergeBy(results.map((result) => result.comments), (comment) => comment.apId, limit),
+    communities: mergeBy(results.map((result) => result.communities), (community) => community.url, limit),
+    users: mergeBy(results.map((result) => result.users), (user) => user.url, limit),
+  };
+}
+
+/**
+ * Interleave per-instance result lists by rank, keeping the first copy of each key
+ */
+function mergeBy<T>(lists: T[][], key: (item: T) => string, limit?: number): T[] {
+  const seen = new Set<string>();
+  const merged: T[] = [];
+  const longest = Math.max(0, ...lists.map((list) => list.length));
+
+  for (let rank = 0; rank < longest; rank++) {
+    for (const list of lists) {
+      const item = list[rank];
+      if (!item) continue;
+
+      const itemKey = key(item);
+      if (seen.has(itemKey)) continue;
+
+      seen.add(itemKey);
+      merged.push(item);
+    }
+  }
+
+  return limit ? merged.slice(0, limit) : merged;
+}
+
+/**
+ * Reject if the promise doesn't settle within the given time
+ */
+function withTimeout<T>(promise: Promise<T>, ms: number, host: string): Promise<T> {
+  return new Promise<T>((resolve, reject) => {
+    const id = setTimeout(() => reject(new Error(`${host} timed out after ${ms}ms`)), ms);
+
+    promise.then(
+      (value) => {
+        clearTimeout(id);
+        resolve(value);
+      },
+      (error) => {
+        clearTimeout(id);
+        reject(error);
+      }
+    );
+  });
+}
+
+/**
+ * Parse LEMMY_INSTANCES (comma-separated URLs) into extra pool members
+ * The primary instance (LEMMY_INSTANCE_URL) is always queried first
+ */
+function parseInstanceUrls(value: string | undefined, primaryUrl: string): string[] {
+  if (!value) return [];
+
+  const primaryHost = new URL(primaryUrl).hostname;
+
+  return value
+    .split(',')
+    .map((url) => url.trim().replace(/\/+$/, ''))
+    .filter((url) => {
+      if (!url) return false;
+      try {
+        return new URL(url).hostname !== primaryHost;
+      } catch {
+        console.warn(`[LemmyPool] Ignoring invalid instance URL: ${url}`);
+        return false;
+      }
+    });
+}
+
+// Default pool: the primary service plus any configured extra instances
+export const lemmyPool = new LemmyPool(
+  [
+    lemmyService,
+    ...parseInstanceUrls(process.env.LEMMY_INSTANCES, lemmyService.getInstanceUrl()).map(
+      (instanceUrl) => new LemmyService({ instanceUrl })
+    ),
+  ],
+  parseInt(process.env.LEMMY_POOL_TIMEOUT || String(DEFAULT_POOL_TIMEOUT))
+);
@@ -0,0 +1,53 @@
+import { describe, expect, test } from 'bun:test';
+import { isPrivateAddress } from './media';
+
+describe('isPrivateAddress', () => {
+  test('allows public addresses', () => {
+    for (const address of ['1.1.1.1', '8.8.8.8', '198.20.0.1', '2606:4700:4700::1111', '2a00:1450:4001::200e']) {
+      expect(isPrivateAddress(address)).toBe(false);
+    }
+  });
+
+  test('refuses internal IPv4 ranges', () => {
+    for (const address of [
+      '0.0.0.0', '10.1.2.3', '100.64.0.1', '127.0.0.1', '169.254.169.254', '172.16.0.1', '172.31.255.255',
+      '192.0.0.8', '192.168.1.1', '198.18.0.1', '198.19.255.255', '203.0.113.5', '224.0.0.1', '255.255.255.255',
+    ]) {
+      expect(isPrivateAddress(address)).toBe(true);
+    }
+  });
+
+  test('refuses internal IPv6 ranges', () => {
+    for (const address of ['::', '::1', 'fc00::1', 'fd12:3456::1', 'fe80::1', 'FE80::1', 'ff02::1', '2001:db8::1', '2001::1']) {
+      expect(isPrivateAddress(address)).toBe(true);
+    }
+  });
+
+  test('refuses internal IPv4 addresses embedded in IPv6, in any notation', () => {
+    for (const address of [
+      '::ffff:127.0.0.1',    // IPv4-mapped
+      '::ffff:7f00:1',       // the same, as URL parsing normalizes it
+      '0:0:0:0:0:ffff:a00:1',
+      '::ffff:0:a9fe:a9fe',  // IPv4-translated
+      '::10.0.0.1',          // IPv4-compatible
+      '64:ff9b::7f00:1',     // NAT64
+      '64:ff9b::192.168.0.1',
+      '2002:c0a8:101::1',    // 6to4 for 192.168.1.1
+      '2002:c612:1::',       // 6to4 for 198.18.0.1
+    ]) {
+      expect(isPrivateAddress(address)).toBe(true);
+    }
+  });
+
+  test('allows public IPv4 addresses embedded in IPv6', () => {
+    expect(isPrivateAddress('::ffff:8.8.8.8')).toBe(false);
+    expect(isPrivateAddress('64:ff9b::808:808')).toBe(false);
+    expect(isPrivateAddress('2002:808:808::1')).toBe(false);
+  });
+
+  test('refuses anything that is not an IP address', () => {
+    expect(isPrivateAddress('localhost')).toBe(true);
+    expect(isPrivateAddress('')).toBe(true);
+    expect(isPrivateAddress('fe80::1%eth0')).toBe(true);
+  });
+});
@@ -0,0 +1,399 @@
+// PreSocial Media Proxy
+// Fetches remote images server-side so browsers never contact third-party hosts,
+// re-encodes them at a few fixed widths and caches the results on disk
+
+import { createHash } from 'crypto';
+import { lookup } from 'dns';
+import http, { type IncomingMessage } from 'http';
+import https from 'https';
+import { BlockList, isIP, type LookupFunction } from 'net';
+import { existsSync, mkdirSync, readdirSync, statSync, unlinkSync } from 'fs';
+import { readFile, writeFile, rename } from 'fs/promises';
+import { join } from 'path';
+import sharp from 'sharp';
+import { cacheGet, cacheSet } from './cache';
+
+// Widths images are resized to; anything else would fragment the disk cache
+export const MEDIA_WIDTHS = [160, 320, 640, 1280] as const;
+export type MediaWidth = typeof MEDIA_WIDTHS[number];
+
+// Configuration
+const MEDIA_DIR = process.env.MEDIA_CACHE_DIR
+  || join(process.env.STORAGE_DIR || join(process.cwd(), 'data'), 'media');
+const MAX_BYTES = parseInt(process.env.MEDIA_MAX_BYTES || String(10 * 1024 * 1024));
+const CACHE_MAX_BYTES = parseInt(process.env.MEDIA_CACHE_MAX_BYTES || String(1024 * 1024 * 1024));
+const FETCH_TIMEOUT = parseInt(process.env.MEDIA_FETCH_TIMEOUT || '8000');
+const MAX_REDIRECTS = 3;
+const MAX_INPUT_PIXELS = 50_000_000;
+const FAILURE_TTL = 600;
+const PRUNE_INTERVAL = 60 * 60 * 1000;
+
+// SVG is excluded on purpose: it can carry scripts
+const ALLOWED_TYPES = new Set(['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/avif']);
+
+const USER_AGENT = 'PreSocial-MediaProxy/0.1 (+https://github.com/tijnski/presocial)';
+
+/**
+ * A remote image that can't be proxied, with the status to answer with
+ */
+export class MediaError extends Error {
+  constructor(message: string, public status: 400 | 413 | 415 | 502) {
+    super(message);
+    this.name = 'MediaError';
+  }
+}
+
+// Fetches in progress, so concurrent requests for one image share a download
+const inFlight: Map<string, Promise<Buffer>> = new Map();
+
+/**
+ * Get a remote image resized to the given width, as WebP
+ * Served from the disk cache when possible.
+ */
+export async function getProxiedImage(url: string, width: MediaWidth): Promise<Buffer> {
+  const hash = createHash('sha256').update(url).digest('hex');
+  const file = join(MEDIA_DIR, hash.slice(0, 2), `${hash}-${width}.webp`);
+
+  if (existsSync(file)) {
+    return readFile(file);
+  }
+
+  // Don't hammer hosts that just failed
+  const failure = await cacheGet<{ message: string; status: MediaError['status'] }>(`media:fail:${hash}`);
+  if (failure) {
+    throw new MediaError(failure.message, failure.status);
+  }
+
+  try {
+    const original = await fetchShared(hash, url);
+    const image = await resize(original, width);
+    await writeCacheFile(file, image);
+    return image;
+  } catch (error) {
+    if (error instanceof MediaError) {
+      await cacheSet(`media:fail:${hash}`, { message: error.message, status: error.status }, FAILURE_TTL);
+    }
+    throw error;
+  }
+}
+
+function fetchShared(hash: string, url: string): Promise<Buffer> {
+  let pending = inFlight.get(hash);
+  if (!pending) {
+    pending = fetchRemote(url).finally(() => inFlight.delete(hash));
+    inFlight.set(hash, pending);
+  }
+  return pending;
+}
+
+/**
+ * Download an image, following redirects by hand so every hop is checked
+ */
+async function fetchRemote(url: string): Promise<Buffer> {
+  let current = parseRemoteUrl(url);
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    assertPublicHost(current.hostname);
+
+    const response = await request(current);
+    const status = response.statusCode || 0;
+
+    const location = response.headers.location;
+    if (status >= 300 && status < 400 && location) {
+      response.destroy();
+      current = parseRemoteUrl(new URL(location, current).toString());
+      continue;
+    }
+
+    if (status < 200 || status >= 300) {
+      response.destroy();
+      throw new MediaError(`Image host responded with ${status}`, 502);
+    }
+
+    const type = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (!ALLOWED_TYPES.has(type)) {
+      response.destroy();
+      throw new MediaError(`Unsupported content type: ${type || 'unknown'}`, 415);
+    }
+
+    if (Number(response.headers['content-length']) > MAX_BYTES) {
+      response.destroy();
+      throw new MediaError('Image is too large', 413);
+    }
+
+    return readLimited(response);
+  }
+
+  throw new MediaError('Too many redirects', 502);
+}
+
+/**
+ * Send a GET request that can only connect to public addresses
+ */
+function request(url: URL): Promise<IncomingMessage> {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.request(url, {
+      lookup: publicLookup,
+      signal: AbortSignal.timeout(FETCH_TIMEOUT),
+      headers: { 'User-Agent': USER_AGENT, Accept: [...ALLOWED_TYPES].join(', ') },
+    }, resolve);
+
+    req.on('error', (error) => {
+      reject(error instanceof MediaError ? error : new MediaError('Could not reach the image host', 502));
+    });
+    req.end();
+  });
+}
+
+function parseRemoteUrl(url: string): URL {
+  let parsed: URL;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new MediaError('Invalid URL', 400);
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new MediaError('Only http(s) URLs can be proxied', 400);
+  }
+  return parsed;
+}
+
+/**
+ * Read a response body, giving up once it exceeds the size limit
+ * (Content-Length can be missing or wrong)
+ */
+async function readLimited(response: IncomingMessage): Promise<Buffer> {
+  const chunks: Buffer[] = [];
+  let total = 0;
+
+  try {
+    for await (const chunk of response as AsyncIterable<Buffer>) {
+      total += chunk.byteLength;
+      if (total > MAX_BYTES) {
+        response.destroy();
+        throw new MediaError('Image is too large', 413);
+      }
+      chunks.push(chunk);
+    }
+  } catch (error) {
+    if (error instanceof MediaError) throw error;
+    throw new MediaError('Image download was interrupted', 502);
+  }
+
+  if (chunks.length === 0) {
+    throw new MediaError('Empty response from image host', 502);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Refuse URLs whose host is a loopback, private or otherwise internal IP address
+ * Hostnames are checked when they are resolved, see publicLookup.
+ */
+function assertPublicHost(hostname: string): void {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (isIP(host) && isPrivateAddress(host)) {
+    throw new MediaError('Image host is not allowed', 400);
+  }
+}
+
+/**
+ * DNS lookup for image requests that refuses hosts resolving to internal addresses
+ * The request connects to exactly the addresses checked here, so a host can't answer
+ * with a public address for a check and an internal one for the connection (DNS rebinding).
+ */
+const publicLookup: LookupFunction = (hostname, options, callback) => {
+  lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error || addresses.length === 0) {
+      callback(new MediaError('Could not resolve the image host', 502), '');
+      return;
+    }
+    if (addresses.some((entry) => isPrivateAddress(entry.address))) {
+      callback(new MediaError('Image host is not allowed', 400), '');
+      return;
+    }
+
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+};
+
+// Addresses that aren't on the public internet: loopback, private, link-local, shared, documentation,
+// benchmarking, multicast and reserved ranges. IPv4-mapped IPv6 addresses match the IPv4 ranges
+const PRIVATE_RANGES = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 3],
+] as const) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 127],          // unspecified and loopback
+  ['64:ff9b:1::', 48],  // local-use NAT64
+  ['100::', 64],        // discard
+  ['2001::', 23],       // IETF protocol assignments, including Teredo
+  ['2001:db8::', 32],   // documentation
+  ['fc00::', 7],        // unique local
+  ['fe80::', 10],       // link-local
+  ['fec0::', 10],       // site-local
+  ['ff00::', 8],        // multicast
+] as const) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Expand an IPv6 address into its eight 16-bit words
+ */
+function ipv6Words(address: string): number[] {
+  let text = address.toLowerCase();
+
+  // A trailing dotted IPv4 part (::ffff:10.0.0.1) is the last two words
+  const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const words = (part: string) => (part ? part.split(':').map((word) => parseInt(word, 16)) : []);
+  if (tail === undefined) return words(head);
+
+  const left = words(head);
+  const right = words(tail);
+  return [...left, ...new Array(8 - left.length - right.length).fill(0), ...right];
+}
+
+/**
+ * The IPv4 address carried inside an IPv6 one, or null
+ * Covers IPv4-mapped (::ffff:0:0/96), IPv4-translated (::ffff:0:0:0/96), IPv4-compatible (::/96),
+ * NAT64 (64:ff9b::/96) and 6to4 (2002::/16) addresses, which reach the embedded IPv4 host.
+ */
+function embeddedIPv4(address: string): string | null {
+  const words = ipv6Words(address);
+  const ipv4 = (high: number, low: number) => `${high >> 8}.${high & 0xff}.${low >> 8}.${low & 0xff}`;
+  const zeros = (from: number, to: number) => words.slice(from, to).every((word) => word === 0);
+
+  if (words[0] === 0x2002) {
+    return ipv4(words[1], words[2]);
+  }
+  if (words[0] === 0x64 && words[1] === 0xff9b && zeros(2, 6)) {
+    return ipv4(words[6], words[7]);
+  }
+  if (zeros(0, 4) && ((words[4] === 0 && (words[5] === 0 || words[5] === 0xffff)) || (words[4] === 0xffff && words[5] === 0))) {
+    return ipv4(words[6], words[7]);
+  }
+  return null;
+}
+
+/**
+ * Whether an IP address is internal, in any notation; anything that isn't an IP address counts as internal
+ */
+export function isPrivateAddress(address: string): boolean {
+  switch (isIP(address)) {
+    case 4:
+      return PRIVATE_RANGES.check(address, 'ipv4');
+    case 6: {
+      // Zone IDs (fe80::1%eth0) only exist for link-local addresses
+      if (address.includes('%') || PRIVATE_RANGES.check(address, 'ipv6')) return true;
+      const embedded = embeddedIPv4(address);
+      return embedded !== null && PRIVATE_RANGES.check(embedded, 'ipv4');
+    }
+    default:
+      return true;
+  }
+}
+
+/**
+ * Resize to the target width (never upscaling) and re-encode as WebP
+ * Re-encoding also drops EXIF metadata such as GPS coordinates.
+ */
+async function resize(input: Buffer, width: MediaWidth): Promise<Buffer> {
+  try {
+    return await sharp(input, { animated: true, limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .resize({ width, withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+  } catch {
+    throw new MediaError('Not a valid image', 415);
+  }
+}
+
+async function writeCacheFile(file: string, data: Buffer): Promise<void> {
+  try {
+    mkdirSync(join(file, '..'), { recursive: true });
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await writeFile(tempFile, data);
+    await rename(tempFile, file);
+  } catch (error) {
+    // The image is still served, just not cached
+    console.error('[Media] Failed to cache image:', error);
+  }
+}
+
+/**
+ * Delete the oldest cached images once the cache grows past its size limit
+ */
+export function pruneMediaCache(): { files: number; bytes: number; removed: number } {
+  if (!existsSync(MEDIA_DIR)) {
+    return { files: 0, bytes: 0, removed: 0 };
+  }
+
+  const entries: { path: string; size: number; mtime: number }[] = [];
+  for (const dir of readdirSync(MEDIA_DIR)) {
+    const dirPath = join(MEDIA_DIR, dir);
+    if (!statSync(dirPath).isDirectory()) continue;
+
+    for (const name of readdirSync(dirPath)) {
+      const path = join(dirPath, name);
+      const stats = statSync(path);
+      entries.push({ path, size: stats.size, mtime: stats.mtimeMs });
+    }
+  }
+
+  let bytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+  let removed = 0;
+
+  if (bytes > CACHE_MAX_BYTES) {
+    entries.sort((a, b) => a.mtime - b.mtime);
+    for (const entry of entries) {
+      if (bytes <= CACHE_MAX_BYTES * 0.9) break;
+      try {
+        unlinkSync(entry.path);
+        bytes -= entry.size;
+        removed++;
+      } catch {
+        // Already gone
+      }
+    }
+  }
+
+  return { files: entries.length - removed, bytes, removed };
+}
+
+/**
+ * Create the cache directory and start periodic pruning
+ */
+export function initMediaCache(): void {
+  mkdirSync(MEDIA_DIR, { recursive: true });
+
+  const prune = () => {
+    try {
+      const { removed } = pruneMediaCache();
+      if (removed > 0) {
+        console.log(`[Media] Pruned ${removed} cached images`);
+      }
+    } catch (error) {
+      console.error('[Media] Failed to prune cache:', error);
+    }
+  };
+
+  prune();
+  setInterval(prune, PRUNE_INTERVAL).unref();
+}
@@ -0,0 +1,44 @@
+// PreSocial Moderation
+// Admin-hidden posts and communities, applied to every PreSocial listing
+
+import { cacheInvalidate } from './cache';
+import { isPostHidden, isCommunityHidden } from './storage';
+import type { SocialPost, SocialCommunity, PersonComment } from '../types';
+
+// Cached responses that can contain posts or communities
+const LISTING_CACHE_PREFIXES = ['search:', 'feed:', 'trending:', 'community:', 'communities:', 'person:', 'suggest:', 'discussions:', 'insights:'];
+
+/**
+ * Check if a post may be shown (neither it nor its community is hidden)
+ */
+export function isPostVisible(post: Pick<SocialPost, 'apId' | 'communityHandle'>): boolean {
+  return !isPostHidden(post.apId) && !isCommunityHidden(post.communityHandle);
+}
+
+/**
+ * Check if a comment shown outside its thread may be shown (its post is visible)
+ */
+export function isCommentVisible(comment: Pick<PersonComment, 'postApId' | 'communityHandle'>): boolean {
+  return isPostVisible({ apId: comment.postApId, communityHandle: comment.communityHandle });
+}
+
+/**
+ * Check if a community may be shown
+ */
+export function isCommunityVisible(community: Pick<SocialCommunity, 'handle'>): boolean {
+  return !community.handle || !isCommunityHidden(community.handle);
+}
+
+/**
+ * Drop cached listings (and their stale copies) after hiding or unhiding content,
+ * so the change applies immediately instead of when the caches expire
+ * Pass a post ID to limit post page invalidation to that post.
+ */
+export async function invalidateListingCaches(postId?: number): Promise<void> {
+  const prefixes = [...LISTING_CACHE_PREFIXES, postId ? `post:${postId}:` : 'post:'];
+
+  await Promise.all(prefixes.flatMap((prefix) => [
+    cacheInvalidate(`${prefix}*`),
+    cacheInvalidate(`stale:${prefix}*`),
+  ]));
+}
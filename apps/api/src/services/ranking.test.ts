@@ -0,0 +1,158 @@
+import { describe, expect, test } from 'bun:test';
+import { RECENCY_HALF_LIFE_DAYS, rankComments, rankPosts, relevanceWeightsFromEnv } from './ranking';
+import { parseSearchQuery } from './searchQuery';
+import type { PersonComment, RelevanceWeights, SocialPost } from '../types';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const ONLY_TEXT: RelevanceWeights = { text: 1, recency: 0, engagement: 0, community: 0 };
+
+function daysAgo(days: number): string {
+  return new Date(Date.now() - days * DAY).toISOString();
+}
+
+function post(id: number, overrides: Partial<SocialPost> = {}): SocialPost {
+  return {
+    id,
+    title: `post ${id}`,
+    url: `/post/${id}`,
+    apId: `https://lemmy.test/post/${id}`,
+    instance: 'lemmy.test',
+    score: 0,
+    upvotes: 0,
+    downvotes: 0,
+    commentCount: 0,
+    community: 'test',
+    communityHandle: 'test@lemmy.test',
+    communityId: 1,
+    author: 'author',
+    authorHandle: 'author@lemmy.test',
+    timestamp: daysAgo(0),
+    nsfw: false,
+    ...overrides,
+  };
+}
+
+function comment(id: number, overrides: Partial<PersonComment> = {}): PersonComment {
+  return {
+    id,
+    apId: `https://lemmy.test/comment/${id}`,
+    postId: 1,
+    content: `comment ${id}`,
+    score: 0,
+    upvotes: 0,
+    downvotes: 0,
+    author: 'author',
+    authorHandle: 'author@lemmy.test',
+    timestamp: daysAgo(0),
+    path: `0.${id}`,
+    childCount: 0,
+    deleted: false,
+    depth: 0,
+    postTitle: 'a post',
+    postApId: 'https://lemmy.test/post/1',
+    communityHandle: 'test@lemmy.test',
+    nsfw: false,
+    ...overrides,
+  };
+}
+
+function ids(items: { id: number }[]): number[] {
+  return items.map((item) => item.id);
+}
+
+describe('rankPosts', () => {
+  test('a title match beats a body match, and any match beats none', () => {
+    const posts = [
+      post(1, { title: 'unrelated' }),
+      post(2, { title: 'something', body: 'all about rust' }),
+      post(3, { title: 'Rust in production' }),
+    ];
+
+    expect(ids(rankPosts(posts, parseSearchQuery('rust'), ONLY_TEXT))).toEqual([3, 2, 1]);
+  });
+
+  test('matches whole words only', () => {
+    const posts = [post(1, { title: 'trustworthy tools' }), post(2, { title: 'a rust tool' })];
+    expect(ids(rankPosts(posts, parseSearchQuery('rust'), ONLY_TEXT))).toEqual([2, 1]);
+  });
+
+  test('recency halves every half-life', () => {
+    // A title match scores 1 and a body match 0.5, so with text and recency weighted equally
+    // a title match one half-life old ties with a new body match
+    const weights = { text: 1, recency: 1, engagement: 0, community: 0 };
+    const fresh = post(1, { title: 'other', body: 'rust' });
+
+    const younger = post(2, { title: 'rust', timestamp: daysAgo(RECENCY_HALF_LIFE_DAYS * 0.9) });
+    expect(ids(rankPosts([fresh, younger], parseSearchQuery('rust'), weights))).toEqual([2, 1]);
+
+    const older = post(2, { title: 'rust', timestamp: daysAgo(RECENCY_HALF_LIFE_DAYS * 1.1) });
+    expect(ids(rankPosts([fresh, older], parseSearchQuery('rust'), weights))).toEqual([1, 2]);
+  });
+
+  test('engagement is log-scaled, so modest engagement already counts', () => {
+    // With text and engagement weighted equally, a body match is worth 0.5; on a log scale
+    // up to 1000, about 30 points are worth as much (linearly, it would take 500)
+    const weights = { text: 1, recency: 0, engagement: 1, community: 0 };
+    const matching = post(1, { title: 'other', body: 'rust' });
+
+    const popular = post(2, { title: 'other', score: 30, commentCount: 5 });
+    expect(ids(rankPosts([matching, popular], parseSearchQuery('rust'), weights))).toEqual([2, 1]);
+
+    const quiet = post(2, { title: 'other', score: 20 });
+    expect(ids(rankPosts([matching, quiet], parseSearchQuery('rust'), weights))).toEqual([1, 2]);
+  });
+
+  test('engagement stops counting past its scale', () => {
+    const weights = { text: 0, recency: 0, engagement: 1, community: 0 };
+    const posts = [post(1, { score: 2000 }), post(2, { score: 50000 }), post(3, { score: 10 })];
+
+    expect(ids(rankPosts(posts, parseSearchQuery('rust'), weights))).toEqual([1, 2, 3]);
+  });
+
+  test('keeps the incoming order when scores tie', () => {
+    const posts = [post(4), post(1), post(3), post(2)];
+    expect(ids(rankPosts(posts, parseSearchQuery('rust'), ONLY_TEXT))).toEqual([4, 1, 3, 2]);
+  });
+
+  test('all weights zero keeps the incoming order', () => {
+    const posts = [post(2, { title: 'rust' }), post(1, { score: 500 })];
+    const none = { text: 0, recency: 0, engagement: 0, community: 0 };
+    expect(ids(rankPosts(posts, parseSearchQuery('rust'), none))).toEqual([2, 1]);
+  });
+});
+
+describe('rankComments', () => {
+  test('a match in the comment beats one only in its post title', () => {
+    const comments = [
+      comment(1, { content: 'unrelated' }),
+      comment(2, { content: 'hmm', postTitle: 'Rust news' }),
+      comment(3, { content: 'I like rust' }),
+    ];
+
+    expect(ids(rankComments(comments, parseSearchQuery('rust'), ONLY_TEXT))).toEqual([3, 2, 1]);
+  });
+
+  test('keeps the incoming order when scores tie', () => {
+    const comments = [comment(3), comment(1), comment(2)];
+    expect(ids(rankComments(comments, parseSearchQuery('rust'), ONLY_TEXT))).toEqual([3, 1, 2]);
+  });
+});
+
+describe('relevanceWeightsFromEnv', () => {
+  test('reads weights from the environment', () => {
+    expect(relevanceWeightsFromEnv({
+      SEARCH_WEIGHT_TEXT: '2',
+      SEARCH_WEIGHT_RECENCY: '0',
+      SEARCH_WEIGHT_ENGAGEMENT: '0.5',
+      SEARCH_WEIGHT_COMMUNITY: '1.5',
+    })).toEqual({ text: 2, recency: 0, engagement: 0.5, community: 1.5 });
+  });
+
+  test('falls back to the defaults for unset, negative or invalid weights', () => {
+    expect(relevanceWeightsFromEnv({
+      SEARCH_WEIGHT_RECENCY: '-1',
+      SEARCH_WEIGHT_ENGAGEMENT: 'lots',
+    })).toEqual({ text: 0.4, recency: 0.25, engagement: 0.25, community: 0.1 });
+  });
+});
@@ -0,0 +1,141 @@
+// PreSocial Search Ranking
+// Re-ranks Lemmy's search results by one relevance score blending text match, recency,
+// engagement and community size
+
+import { getKnownCommunity } from './suggest';
+import type { LemmySearchSort, ParsedSearchQuery, PersonComment, RelevanceWeights, SocialPost } from '../types';
+
+function envWeight(env: NodeJS.ProcessEnv, name: string, fallback: number): number {
+  const value = parseFloat(env[name] || '');
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Read the relevance weights from the environment, using the defaults for unset or invalid ones
+ */
+export function relevanceWeightsFromEnv(env: NodeJS.ProcessEnv = process.env): RelevanceWeights {
+  return {
+    text: envWeight(env, 'SEARCH_WEIGHT_TEXT', 0.4),
+    recency: envWeight(env, 'SEARCH_WEIGHT_RECENCY', 0.25),
+    engagement: envWeight(env, 'SEARCH_WEIGHT_ENGAGEMENT', 0.25),
+    community: envWeight(env, 'SEARCH_WEIGHT_COMMUNITY', 0.1),
+  };
+}
+
+// Relative weights; only their ratios matter
+export const RELEVANCE_WEIGHTS = relevanceWeightsFromEnv();
+
+// A post loses half its recency score every this many days
+export const RECENCY_HALF_LIFE_DAYS = envWeight(process.env, 'SEARCH_RECENCY_HALF_LIFE_DAYS', 30);
+
+// Engagement and community size are log-scaled up to these values, where they max out
+const ENGAGEMENT_SCALE = 1000;
+const COMMUNITY_SCALE = 100000;
+const COMMENT_WEIGHT = 2;
+
+// Lemmy has no relevance sort, so candidates are the top and newest matches, re-ranked here
+export const RELEVANCE_CANDIDATE_SORTS: LemmySearchSort[] = ['TopAll', 'New'];
+
+// Candidates fetched per sort (Lemmy's largest page); relevance pages past them are empty
+export const RELEVANCE_CANDIDATE_LIMIT = 50;
+
+// Used for communities we have no subscriber count for
+const UNKNOWN_COMMUNITY_SCORE = 0.5;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+type Matcher = (text: string) => boolean;
+
+/**
+ * Build whole-word matchers for the query's terms and phrases
+ */
+function queryMatchers(parsed: ParsedSearchQuery): Matcher[] {
+  return [...parsed.terms, ...parsed.phrases].map((term) => {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'iu');
+    return (text) => pattern.test(text);
+  });
+}
+
+/**
+ * Share of the query found in the text, with title matches counting twice as much as body matches
+ */
+function textScore(matchers: Matcher[], title: string, body: string): number {
+  if (matchers.length === 0) return 0;
+
+  const total = matchers.reduce((sum, matches) => {
+    if (matches(title)) return sum + 1;
+    return matches(body) ? sum + 0.5 : sum;
+  }, 0);
+
+  return total / matchers.length;
+}
+
+function recencyScore(timestamp: string, now: number): number {
+  const ageDays = Math.max(0, now - new Date(timestamp).getTime()) / DAY;
+  return Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+}
+
+function logScale(value: number, scale: number): number {
+  return Math.min(1, Math.log1p(Math.max(0, value)) / Math.log1p(scale));
+}
+
+function communityScore(handle: string): number {
+  const community = getKnownCommunity(handle);
+  return community ? logScale(community.subscribers, COMMUNITY_SCALE) : UNKNOWN_COMMUNITY_SCORE;
+}
+
+function blend(scores: RelevanceWeights, weights: RelevanceWeights): number {
+  const totalWeight = weights.text + weights.recency + weights.engagement + weights.community;
+  if (totalWeight === 0) return 0;
+
+  return (scores.text * weights.text
+    + scores.recency * weights.recency
+    + scores.engagement * weights.engagement
+    + scores.community * weights.community) / totalWeight;
+}
+
+/**
+ * Sort items by a score, keeping the incoming order for ties
+ */
+function sortByScore<T>(items: T[], score: (item: T) => number): T[] {
+  return items
+    .map((item, index) => ({ item, index, score: score(item) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ item }) => item);
+}
+
+/**
+ * Order posts by relevance to the query
+ */
+export function rankPosts(posts: SocialPost[], parsed: ParsedSearchQuery, weights = RELEVANCE_WEIGHTS): SocialPost[] {
+  const matchers = queryMatchers(parsed);
+  const now = Date.now();
+
+  return sortByScore(posts, (post) => blend({
+    text: textScore(matchers, post.title, post.body || ''),
+    recency: recencyScore(post.timestamp, now),
+    engagement: logScale(post.score + post.commentCount * COMMENT_WEIGHT, ENGAGEMENT_SCALE),
+    community: communityScore(post.communityHandle),
+  }, weights));
+}
+
+/**
+ * Order comments by relevance to the query
+ * Matches in the comment count fully; matches only in the post's title count like body matches.
+ */
+export function rankComments(
+  comments: PersonComment[],
+  parsed: ParsedSearchQuery,
+  weights = RELEVANCE_WEIGHTS
+): PersonComment[] {
+  const matchers = queryMatchers(parsed);
+  const now = Date.now();
+
+  return sortByScore(comments, (comment) => blend({
+    text: textScore(matchers, comment.content, comment.postTitle),
+    recency: recencyScore(comment.timestamp, now),
+    engagement: logScale(comment.score + comment.childCount * COMMENT_WEIGHT, ENGAGEMENT_SCALE),
+    community: communityScore(comment.communityHandle),
+  }, weights));
+}
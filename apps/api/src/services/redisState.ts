@@ -0,0 +1,129 @@
+// PreSocial Redis Shared State
+// The collections of services/sharedState as Redis hashes: presocial:state:{name}, entries as JSON.
+// A replica that changes entries announces their keys, and the others re-read those keys.
+// After losing the subscription everything is re-read, as announcements may have been missed
+
+import type { Redis } from 'ioredis';
+import type { DurableRedis } from './redisUserStore';
+import type { RemoteState } from './sharedState';
+
+const STATE_PREFIX = 'presocial:state:';
+const CHANGES_CHANNEL = 'presocial:state-changes';
+
+interface Announcement {
+  from: string;
+  name: string;
+  keys: string[];
+}
+
+export interface RemoteChangeHandlers {
+  changed(name: string, changes: Map<string, unknown>): void;
+  resync(): Promise<void>;
+}
+
+function stateKey(name: string): string {
+  return `${STATE_PREFIX}${name}`;
+}
+
+export class RedisState implements RemoteState {
+  private redis: Redis;
+
+  private constructor(private durable: DurableRedis, private subscriber: Redis) {
+    this.redis = durable.client;
+  }
+
+  /**
+   * Subscribe to other replicas' changes (before anything is loaded, so none are missed)
+   */
+  static async open(durable: DurableRedis, handlers: RemoteChangeHandlers): Promise<RedisState> {
+    const subscriber = durable.client.duplicate();
+    const state = new RedisState(durable, subscriber);
+
+    subscriber.on('message', (_channel: string, message: string) => {
+      state.receive(JSON.parse(message) as Announcement, handlers)
+        .catch((error) => console.error('[Storage] Failed to apply shared state changes:', error));
+    });
+
+    // ioredis subscribes again after reconnecting, but announcements made meanwhile are lost
+    let connected = false;
+    subscriber.on('ready', () => {
+      if (connected) {
+        console.log('[Storage] Reconnected to Redis, reloading shared state');
+        handlers.resync().catch((error) => console.error('[Storage] Failed to reload shared state:', error));
+      }
+      connected = true;
+    });
+
+    await subscriber.subscribe(CHANGES_CHANNEL);
+    return state;
+  }
+
+  /**
+   * Re-read the entries another replica changed
+   * Replies come in the order the announcements did, so the latest value is applied last.
+   */
+  private async receive(announcement: Announcement, handlers: RemoteChangeHandlers): Promise<void> {
+    if (announcement.from === this.durable.id || announcement.keys.length === 0) return;
+
+    const values = await this.redis.hmget(stateKey(announcement.name), ...announcement.keys);
+    handlers.changed(announcement.name, new Map(announcement.keys.map((key, index) => {
+      const value = values[index];
+      return [key, value === null ? null : JSON.parse(value)];
+    })));
+  }
+
+  async load(name: string, legacy: () => Record<string, unknown>): Promise<Record<string, unknown>> {
+    const key = stateKey(name);
+
+    // Entries never overwrite ones already written through Redis
+    await this.durable.importOnce(name, async () => {
+      const entries = Object.entries(legacy());
+      if (entries.length === 0) return 0;
+
+      const pipeline = this.redis.pipeline();
+      entries.forEach(([field, value]) => pipeline.hsetnx(key, field, JSON.stringify(value)));
+      const results = await pipeline.exec();
+      return results?.filter(([error, added]) => !error && added === 1).length || 0;
+    });
+
+    const fields = await this.redis.hgetall(key);
+    return Object.fromEntries(Object.entries(fields).map(([field, json]) => [field, JSON.parse(json)]));
+  }
+
+  async write(name: string, changes: Map<string, unknown>): Promise<void> {
+    const key = stateKey(name);
+    const set: Record<string, string> = {};
+    const removed: string[] = [];
+
+    changes.forEach((value, field) => {
+      if (value === null) {
+        removed.push(field);
+      } else {
+        set[field] = JSON.stringify(value);
+      }
+    });
+
+    const transaction = this.redis.multi();
+    if (Object.keys(set).length > 0) transaction.hset(key, set);
+    if (removed.length > 0) transaction.hdel(key, ...removed);
+
+    const announcement: Announcement = { from: this.durable.id, name, keys: Array.from(changes.keys()) };
+    transaction.publish(CHANGES_CHANNEL, JSON.stringify(announcement));
+
+    const results = await transaction.exec();
+    const failed = results?.find(([error]) => error);
+    if (!results || failed) {
+      throw failed?.[0] || new Error(`Redis did not apply the change to ${key}`);
+    }
+
+    await this.durable.persisted();
+  }
+
+  holdsLock(name: string, ttl: number): Promise<boolean> {
+    return this.durable.holdsLock(name, ttl);
+  }
+
+  close(): void {
+    this.subscriber.disconnect();
+  }
+}
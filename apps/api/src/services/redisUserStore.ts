@@ -0,0 +1,373 @@
+// PreSocial Redis User Store
+// Votes, bookmarks and profiles in Redis hashes, so any number of API instances share them.
+// Keys are presocial:user:{userId}:votes|bookmarks|profile; the braces keep one user's keys
+// on the same Redis Cluster slot. Votes and bookmarks are hash fields named by the post's ActivityPub ID
+
+import { randomUUID } from 'crypto';
+import { Redis } from 'ioredis';
+import type { SavedPost, UserProfile, UserStats, UserStore, UserStoreStats } from './storage';
+
+const KEY_PREFIX = 'presocial:user:';
+const LOCK_PREFIX = 'presocial:lock:';
+
+// Layout version of the keys above in the `schema` field of this hash, and which stores
+// and files were imported, in `imported:{name}` fields
+export const META_KEY = 'presocial:meta';
+const SCHEMA_VERSION = 2;
+
+// How long a write waits for Redis to fsync it to the append-only file
+const WAITAOF_TIMEOUT = 1000;
+
+// How long an import may hold its lock, and how often other replicas check whether it is done
+const IMPORT_LOCK_TTL = 5 * 60 * 1000;
+const IMPORT_POLL_INTERVAL = 1000;
+
+type UserKey = 'votes' | 'bookmarks' | 'profile';
+
+function userKey(userId: string, kind: UserKey): string {
+  return `${KEY_PREFIX}{${userId}}:${kind}`;
+}
+
+/**
+ * Parse one section of INFO output into fields
+ */
+function parseInfo(info: string): Record<string, string> {
+  const fields: Record<string, string> = {};
+  for (const line of info.split('\r\n')) {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      fields[line.slice(0, separator)] = line.slice(separator + 1);
+    }
+  }
+  return fields;
+}
+
+/**
+ * A Redis connection that keeps what is written to it
+ * Shared by the user store and the shared state (services/redisState).
+ */
+export class DurableRedis {
+  // Tells this process's locks and announcements from other replicas'
+  readonly id = randomUUID();
+
+  private constructor(readonly client: Redis, private waitForAof: boolean) {}
+
+  /**
+   * Connect, refusing a server that would lose data on restart or evict it under memory pressure
+   */
+  static async connect(url: string): Promise<DurableRedis> {
+    const redis = new Redis(url, { lazyConnect: true });
+    await redis.connect();
+
+    const persistence = parseInfo(await redis.info('persistence'));
+    const memory = parseInfo(await redis.info('memory'));
+    const server = parseInfo(await redis.info('server'));
+
+    if (persistence.aof_enabled !== '1') {
+      redis.disconnect();
+      throw new Error('Redis has append-only persistence disabled; set "appendonly yes" so user data survives a restart');
+    }
+    if (memory.maxmemory_policy?.startsWith('allkeys-')) {
+      redis.disconnect();
+      throw new Error(`Redis maxmemory-policy "${memory.maxmemory_policy}" can evict user data; use noeviction or a volatile-* policy`);
+    }
+
+    // WAITAOF (Redis 7.2+) confirms each write reached the disk, instead of up to a second later
+    const [major, minor] = (server.redis_version || '0.0').split('.').map((part) => parseInt(part));
+    const waitForAof = major > 7 || (major === 7 && minor >= 2);
+
+    console.log(`[Storage] Connected to Redis ${server.redis_version}${waitForAof ? ' (writes wait for AOF fsync)' : ''}`);
+    return new DurableRedis(redis, waitForAof);
+  }
+
+  /**
+   * Wait until the writes so far are fsynced to the local append-only file
+   */
+  async persisted(): Promise<void> {
+    if (!this.waitForAof) return;
+
+    const [local] = await this.client.call('WAITAOF', 1, 0, WAITAOF_TIMEOUT) as [number, number];
+    if (local < 1) {
+      throw new Error('Redis did not persist the write to its append-only file in time');
+    }
+  }
+
+  /**
+   * Take the named lock, or renew it if this process already holds it
+   */
+  async holdsLock(name: string, ttl: number): Promise<boolean> {
+    const key = `${LOCK_PREFIX}${name}`;
+    if (await this.client.set(key, this.id, 'PX', ttl, 'NX') === 'OK') {
+      return true;
+    }
+
+    // Renew only our own lock; another replica's may be replaced between the GET and the PEXPIRE otherwise
+    const renewed = await this.client.eval(
+      'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("pexpire", KEYS[1], ARGV[2]) else return 0 end',
+      1, key, this.id, ttl
+    );
+    return renewed === 1;
+  }
+
+  async releaseLock(name: string): Promise<void> {
+    await this.client.eval(
+      'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) else return 0 end',
+      1, `${LOCK_PREFIX}${name}`, this.id
+    );
+  }
+
+  /**
+   * Copy data written before Redis was used into it, once across all replicas
+   * `copy` returns how many entries it copied. While one replica copies, the others wait for it,
+   * so none starts serving without the data.
+   */
+  async importOnce(name: string, copy: () => Promise<number>): Promise<void> {
+    const field = `imported:${name}`;
+
+    while (!await this.client.hexists(META_KEY, field)) {
+      if (!await this.holdsLock(`import:${name}`, IMPORT_LOCK_TTL)) {
+        await new Promise((resolve) => setTimeout(resolve, IMPORT_POLL_INTERVAL));
+        continue;
+      }
+
+      try {
+        const count = await copy();
+        await this.client.hset(META_KEY, field, JSON.stringify({ count, importedAt: new Date().toISOString() }));
+        await this.persisted();
+        if (count > 0) {
+          console.log(`[Storage] Imported ${count} ${name} entries into Redis`);
+        }
+      } finally {
+        await this.releaseLock(`import:${name}`);
+      }
+    }
+  }
+
+  close(): void {
+    this.client.quit().catch(() => this.client.disconnect());
+  }
+}
+
+export class RedisUserStore implements UserStore {
+  readonly backend = 'redis' as const;
+  readonly files: string[] = [];
+
+  private redis: Redis;
+
+  private constructor(private durable: DurableRedis) {
+    this.redis = durable.client;
+  }
+
+  /**
+   * Open the store, bringing its keys up to date
+   * `legacy` opens the SQLite or JSON store used before Redis, if there is one, for a one-time import.
+   */
+  static async open(durable: DurableRedis, legacy: () => Promise<UserStore | null>): Promise<RedisUserStore> {
+    const store = new RedisUserStore(durable);
+    await store.migrate();
+    await durable.importOnce('user data', async () => {
+      const source = await legacy();
+      if (!source) return 0;
+
+      try {
+        return await store.importFrom(source);
+      } finally {
+        source.close();
+      }
+    });
+    return store;
+  }
+
+  /**
+   * Bring the key layout up to the latest version
+   * v2: bookmark fields named by ActivityPub ID instead of the instance-local post ID; the old
+   * entries have no `apId`, but their `url` is the post's ActivityPub ID.
+   */
+  private async migrate(): Promise<void> {
+    const version = parseInt(await this.redis.hget(META_KEY, 'schema') || '1');
+    if (version >= SCHEMA_VERSION) return;
+
+    let migrated = 0;
+    const stream = this.redis.scanStream({ match: `${KEY_PREFIX}*:bookmarks`, count: 500 });
+    for await (const keys of stream as AsyncIterable<string[]>) {
+      for (const key of keys) {
+        const transaction = this.redis.multi();
+        for (const [field, json] of Object.entries(await this.redis.hgetall(key))) {
+          const post = JSON.parse(json) as SavedPost;
+          if (post.apId) continue;
+
+          const apId = post.url;
+          transaction.hdel(key, field).hset(key, apId, JSON.stringify({ ...post, apId }));
+          migrated++;
+        }
+        await transaction.exec();
+      }
+    }
+
+    await this.redis.hset(META_KEY, 'schema', SCHEMA_VERSION);
+    await this.durable.persisted();
+    console.log(`[Storage] Migrated Redis keys from v${version} to v${SCHEMA_VERSION} (${migrated} bookmarks re-keyed)`);
+  }
+
+  /**
+   * Copy every user's votes, bookmarks and profile from another store
+   * Entries never overwrite ones already written through this store.
+   */
+  private async importFrom(source: UserStore): Promise<number> {
+    let count = 0;
+
+    for (const userId of await source.listUsers()) {
+      const [votes, bookmarks, profile] = await Promise.all([
+        source.getVotes(userId),
+        source.getBookmarks(userId),
+        source.getProfile(userId),
+      ]);
+
+      const pipeline = this.redis.pipeline();
+      votes.forEach((vote, apId) => pipeline.hsetnx(userKey(userId, 'votes'), apId, vote));
+      bookmarks.forEach((post) => pipeline.hsetnx(userKey(userId, 'bookmarks'), post.apId, JSON.stringify(post)));
+      if (profile && !await this.redis.exists(userKey(userId, 'profile'))) {
+        pipeline.hset(userKey(userId, 'profile'), {
+          bio: profile.bio,
+          updatedAt: profile.updatedAt,
+          ...(profile.avatarUrl && { avatarUrl: profile.avatarUrl }),
+        });
+      }
+
+      const results = await pipeline.exec();
+      count += results?.filter(([error, result]) => !error && result).length || 0;
+    }
+
+    await this.durable.persisted();
+    return count;
+  }
+
+  // Every write is in Redis as soon as it returns
+  flush(): void {}
+
+  close(): void {
+    this.durable.close();
+  }
+
+  async getVotes(userId: string): Promise<Map<string, 'up' | 'down'>> {
+    const votes = await this.redis.hgetall(userKey(userId, 'votes'));
+    return new Map(Object.entries(votes) as [string, 'up' | 'down'][]);
+  }
+
+  async getVote(userId: string, apId: string): Promise<'up' | 'down' | null> {
+    const vote = await this.redis.hget(userKey(userId, 'votes'), apId);
+    return (vote as 'up' | 'down' | null) || null;
+  }
+
+  async setVote(userId: string, apId: string, vote: 'up' | 'down' | null): Promise<void> {
+    if (vote === null) {
+      await this.redis.hdel(userKey(userId, 'votes'), apId);
+    } else {
+      await this.redis.hset(userKey(userId, 'votes'), apId, vote);
+    }
+    await this.durable.persisted();
+  }
+
+  async getBookmarks(userId: string): Promise<SavedPost[]> {
+    const bookmarks = await this.redis.hgetall(userKey(userId, 'bookmarks'));
+    const posts = Object.values(bookmarks).map((post) => JSON.parse(post) as SavedPost);
+
+    // Sort by savedAt descending (newest first)
+    posts.sort((a, b) => new Date(b.savedAt).getTime() - new Date(a.savedAt).getTime());
+
+    return posts;
+  }
+
+  async isBookmarked(userId: string, apId: string): Promise<boolean> {
+    return await this.redis.hexists(userKey(userId, 'bookmarks'), apId) === 1;
+  }
+
+  async addBookmark(userId: string, post: SavedPost): Promise<void> {
+    await this.redis.hset(userKey(userId, 'bookmarks'), post.apId, JSON.stringify(post));
+    await this.durable.persisted();
+  }
+
+  async removeBookmark(userId: string, apId: string): Promise<boolean> {
+    const removed = await this.redis.hdel(userKey(userId, 'bookmarks'), apId);
+    if (removed > 0) {
+      await this.durable.persisted();
+    }
+    return removed > 0;
+  }
+
+  async getProfile(userId: string): Promise<UserProfile | null> {
+    const fields = await this.redis.hgetall(userKey(userId, 'profile'));
+    if (!fields.updatedAt) return null;
+
+    return {
+      bio: fields.bio || '',
+      ...(fields.avatarUrl && { avatarUrl: fields.avatarUrl }),
+      updatedAt: fields.updatedAt,
+    };
+  }
+
+  async saveProfile(userId: string, profile: UserProfile): Promise<void> {
+    const key = userKey(userId, 'profile');
+    const fields: Record<string, string> = { bio: profile.bio, updatedAt: profile.updatedAt };
+    if (profile.avatarUrl) {
+      fields.avatarUrl = profile.avatarUrl;
+    }
+
+    // Replace the whole hash at once, so a cleared avatar doesn't linger
+    await this.redis.multi().del(key).hset(key, fields).exec();
+    await this.durable.persisted();
+  }
+
+  async getUserStats(userId: string): Promise<UserStats> {
+    const [votesCount, bookmarksCount] = await Promise.all([
+      this.redis.hlen(userKey(userId, 'votes')),
+      this.redis.hlen(userKey(userId, 'bookmarks')),
+    ]);
+    return { votesCount, bookmarksCount };
+  }
+
+  /**
+   * Count users and entries by scanning the keyspace
+   * Only for the admin stats and the startup log, so it is not worth maintaining counters.
+   */
+  async getStats(): Promise<UserStoreStats> {
+    const users = new Set<string>();
+    let totalVotes = 0;
+    let totalBookmarks = 0;
+    let profiles = 0;
+
+    const stream = this.redis.scanStream({ match: `${KEY_PREFIX}*`, count: 500 });
+    for await (const keys of stream as AsyncIterable<string[]>) {
+      const lists = keys.filter((key) => !key.endsWith(':profile'));
+      profiles += keys.length - lists.length;
+      if (lists.length === 0) continue;
+
+      const pipeline = this.redis.pipeline();
+      lists.forEach((key) => pipeline.hlen(key));
+      const lengths = await pipeline.exec();
+
+      lists.forEach((key, index) => {
+        const length = (lengths?.[index]?.[1] as number) || 0;
+        users.add(key.slice(KEY_PREFIX.length, key.lastIndexOf(':')));
+        if (key.endsWith(':votes')) {
+          totalVotes += length;
+        } else {
+          totalBookmarks += length;
+        }
+      });
+    }
+
+    return { users: users.size, totalVotes, totalBookmarks, profiles };
+  }
+
+  async listUsers(): Promise<string[]> {
+    const users = new Set<string>();
+
+    const stream = this.redis.scanStream({ match: `${KEY_PREFIX}*`, count: 500 });
+    for await (const keys of stream as AsyncIterable<string[]>) {
+      keys.forEach((key) => users.add(key.slice(KEY_PREFIX.length + 1, key.lastIndexOf('}'))));
+    }
+
+    return Array.from(users);
+  }
+}
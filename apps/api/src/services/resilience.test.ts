@@ -0,0 +1,53 @@
+import { describe, expect, test } from 'bun:test';
+import { CircuitBreaker, CircuitOpenError } from './resilience';
+
+const fail = () => Promise.reject(new Error('down'));
+
+async function openBreaker(): Promise<CircuitBreaker> {
+  const breaker = new CircuitBreaker('test', { failureThreshold: 1, resetTimeout: 0 });
+  await expect(breaker.execute(fail)).rejects.toThrow('down');
+  return breaker;
+}
+
+describe('CircuitBreaker', () => {
+  test('opens after the failure threshold and fails fast', async () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 2, resetTimeout: 60000 });
+    await expect(breaker.execute(fail)).rejects.toThrow('down');
+    expect(breaker.isOpen()).toBe(false);
+    await expect(breaker.execute(fail)).rejects.toThrow('down');
+    expect(breaker.isOpen()).toBe(true);
+    await expect(breaker.execute(() => Promise.resolve(1))).rejects.toBeInstanceOf(CircuitOpenError);
+  });
+
+  test('lets a single probe through when half-open', async () => {
+    const breaker = await openBreaker();
+
+    let release!: (value: string) => void;
+    const probe = breaker.execute(() => new Promise<string>((resolve) => { release = resolve; }));
+
+    // Concurrent calls are rejected while the probe is in flight
+    expect(breaker.isOpen()).toBe(true);
+    await expect(breaker.execute(() => Promise.resolve('other'))).rejects.toBeInstanceOf(CircuitOpenError);
+
+    release('probe');
+    expect(await probe).toBe('probe');
+    expect(breaker.getStatus().state).toBe('closed');
+    expect(await breaker.execute(() => Promise.resolve('after'))).toBe('after');
+  });
+
+  test('reopens when the probe fails', async () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 1, resetTimeout: 50 });
+    await expect(breaker.execute(fail)).rejects.toThrow('down');
+    await new Promise((resolve) => setTimeout(resolve, 60));
+
+    await expect(breaker.execute(fail)).rejects.toThrow('down');
+    expect(breaker.getStatus().state).toBe('open');
+    await expect(breaker.execute(() => Promise.resolve(1))).rejects.toBeInstanceOf(CircuitOpenError);
+  });
+
+  test('errors that are not failures close the circuit', async () => {
+    const breaker = await openBreaker();
+    await expect(breaker.execute(fail, () => false)).rejects.toThrow('down');
+    expect(breaker.getStatus().state).toBe('closed');
+  });
+});
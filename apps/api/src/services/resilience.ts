@@ -0,0 +1,155 @@
+// PreSocial Resilience Helpers
+// Retry with backoff and a circuit breaker for upstream (Lemmy) calls
+
+export type CircuitState = 'closed' | 'open' | 'half-open';
+
+export interface CircuitBreakerOptions {
+  failureThreshold: number;  // Consecutive failures before the circuit opens
+  resetTimeout: number;      // Time in ms before an open circuit allows a trial call
+}
+
+export interface CircuitStatus {
+  name: string;
+  state: CircuitState;
+  failures: number;
+  openedAt: string | null;
+  lastError: string | null;
+}
+
+export interface RetryOptions {
+  retries: number;           // Extra attempts after the first one
+  baseDelay: number;         // Delay in ms before the first retry, doubled each attempt
+  shouldRetry?: (error: unknown) => boolean;
+}
+
+const DEFAULT_BREAKER_OPTIONS: CircuitBreakerOptions = {
+  failureThreshold: parseInt(process.env.LEMMY_CIRCUIT_THRESHOLD || '5'),
+  resetTimeout: parseInt(process.env.LEMMY_CIRCUIT_RESET || '30000'),
+};
+
+/**
+ * Thrown when a call is rejected because the circuit is open
+ */
+export class CircuitOpenError extends Error {
+  constructor(name: string) {
+    super(`Circuit for ${name} is open`);
+    this.name = 'CircuitOpenError';
+  }
+}
+
+export class CircuitBreaker {
+  private name: string;
+  private options: CircuitBreakerOptions;
+  private state: CircuitState = 'closed';
+  private failures = 0;
+  private openedAt = 0;
+  private probing = false;
+  private lastError: string | null = null;
+
+  constructor(name: string, options: Partial<CircuitBreakerOptions> = {}) {
+    this.name = name;
+    this.options = { ...DEFAULT_BREAKER_OPTIONS, ...options };
+  }
+
+  /**
+   * Run a call through the breaker
+   * Fails fast with CircuitOpenError while the circuit is open, and while a trial call is in flight
+   * @param isFailure - decides whether an error counts against the circuit
+   */
+  async execute<T>(fn: () => Promise<T>, isFailure: (error: unknown) => boolean = () => true): Promise<T> {
+    let probe = false;
+
+    if (this.state !== 'closed') {
+      if (this.probing || (this.state === 'open' && Date.now() - this.openedAt < this.options.resetTimeout)) {
+        throw new CircuitOpenError(this.name);
+      }
+      // Let one trial call through; everything else waits for its outcome
+      this.state = 'half-open';
+      this.probing = true;
+      probe = true;
+    }
+
+    try {
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      if (isFailure(error)) {
+        this.onFailure(error);
+      } else {
+        // The upstream answered (e.g. "not found"), so it is healthy
+        this.onSuccess();
+      }
+      throw error;
+    } finally {
+      if (probe) {
+        this.probing = false;
+      }
+    }
+  }
+
+  /**
+   * Check whether calls are currently being rejected
+   */
+  isOpen(): boolean {
+    return this.probing || (this.state === 'open' && Date.now() - this.openedAt < this.options.resetTimeout);
+  }
+
+  /**
+   * Get the current breaker state (for health checks)
+   */
+  getStatus(): CircuitStatus {
+    return {
+      name: this.name,
+      state: this.state === 'open' && !this.isOpen() ? 'half-open' : this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      lastError: this.lastError,
+    };
+  }
+
+  private onSuccess(): void {
+    if (this.state !== 'closed') {
+      console.log(`[Circuit] ${this.name} closed`);
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = 0;
+  }
+
+  private onFailure(error: unknown): void {
+    this.failures++;
+    this.lastError = error instanceof Error ? error.message : String(error);
+
+    if (this.state === 'half-open' || this.failures >= this.options.failureThreshold) {
+      if (this.state !== 'open') {
+        console.warn(`[Circuit] ${this.name} opened after ${this.failures} failures`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+}
+
+/**
+ * Retry an async call with exponential backoff and jitter
+ */
+export async function withRetry<T>(fn: () => Promise<T>, options: RetryOptions): Promise<T> {
+  let attempt = 0;
+
+  while (true) {
+    try {
+      return await fn();
+    } catch (error) {
+      const retryable = options.shouldRetry ? options.shouldRetry(error) : true;
+      if (attempt >= options.retries || !retryable) {
+        throw error;
+      }
+
+      const delay = options.baseDelay * 2 ** attempt;
+      const jitter = Math.random() * delay * 0.2;
+      attempt++;
+      await new Promise((resolve) => setTimeout(resolve, delay + jitter));
+    }
+  }
+}
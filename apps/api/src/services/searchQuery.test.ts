@@ -0,0 +1,78 @@
+import { describe, expect, test } from 'bun:test';
+import { lemmyQueryText, parseSearchQuery, SearchQueryError, textMatcher } from './searchQuery';
+
+describe('parseSearchQuery', () => {
+  test('splits terms, phrases and exclusions', () => {
+    expect(parseSearchQuery('rust  async "exact phrase" -crypto -"hype train"')).toEqual({
+      terms: ['rust', 'async'],
+      phrases: ['exact phrase'],
+      exclude: ['crypto', 'hype train'],
+    });
+  });
+
+  test('keeps a lone dash and URLs as terms', () => {
+    expect(parseSearchQuery('a - b https://example.com/x').terms).toEqual(['a', '-', 'b', 'https://example.com/x']);
+  });
+
+  test('rejects unbalanced and empty quotes', () => {
+    expect(() => parseSearchQuery('rust "async')).toThrow('Missing closing quote');
+    expect(() => parseSearchQuery('rust ""')).toThrow('Empty quotes');
+  });
+
+  test('needs something to search for', () => {
+    expect(() => parseSearchQuery('-crypto community:rust')).toThrow('at least one word');
+    expect(() => parseSearchQuery('   ')).toThrow(SearchQueryError);
+  });
+
+  test('parses community and author, lowercased', () => {
+    expect(parseSearchQuery('rust community:Programming@Lemmy.ml author:Alice')).toMatchObject({
+      terms: ['rust'],
+      community: 'programming@lemmy.ml',
+      author: 'alice',
+    });
+  });
+
+  test('rejects unknown, empty, repeated, negated and malformed operators', () => {
+    expect(() => parseSearchQuery('rust lang:en')).toThrow('Unknown operator "lang:"');
+    expect(() => parseSearchQuery('rust community:')).toThrow('"community:" needs a value');
+    expect(() => parseSearchQuery('rust author:a author:b')).toThrow('"author:" can only be used once');
+    expect(() => parseSearchQuery('rust -author:a')).toThrow('can\'t be excluded');
+    expect(() => parseSearchQuery('rust community:no/slashes')).toThrow('isn\'t a valid community name');
+  });
+
+  test('parses date bounds', () => {
+    expect(parseSearchQuery('rust after:2025-01-01 before:2025-12-31')).toMatchObject({
+      after: '2025-01-01',
+      before: '2025-12-31',
+    });
+    // The same day on both sides is a one-day window
+    expect(parseSearchQuery('rust after:2025-06-01 before:2025-06-01').after).toBe('2025-06-01');
+  });
+
+  test('rejects malformed and inverted date bounds', () => {
+    expect(() => parseSearchQuery('rust after:2025-1-1')).toThrow('use YYYY-MM-DD');
+    expect(() => parseSearchQuery('rust before:2025-13-01')).toThrow('isn\'t a valid date for before:');
+    expect(() => parseSearchQuery('rust after:2025-06-02 before:2025-06-01')).toThrow('is later than');
+  });
+});
+
+describe('lemmyQueryText', () => {
+  test('sends terms and phrases only', () => {
+    expect(lemmyQueryText(parseSearchQuery('rust "borrow checker" -crypto author:alice'))).toBe('rust borrow checker');
+  });
+});
+
+describe('textMatcher', () => {
+  test('requires every phrase, ignoring case', () => {
+    const matches = textMatcher(parseSearchQuery('"Borrow Checker" rust'));
+    expect(matches('Fighting the borrow checker again')).toBe(true);
+    expect(matches('Fighting the checker')).toBe(false);
+  });
+
+  test('excludes single words as whole words and phrases anywhere', () => {
+    const matches = textMatcher(parseSearchQuery('rust -crypto -"hype train"'));
+    expect(matches('Cryptography in Rust')).toBe(true);
+    expect(matches('Rust and crypto.')).toBe(false);
+    expect(matches('All aboard the HYPE TRAIN')).toBe(false);
+  });
+});
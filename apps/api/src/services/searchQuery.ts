@@ -0,0 +1,174 @@
+// PreSocial Search Query Syntax
+// Parses queries like `rust async community:programming author:foo -crypto "exact phrase" after:2025-01-01`
+
+import type { ParsedSearchQuery } from '../types';
+
+// Operators and what they accept
+const OPERATORS = ['community', 'author', 'after', 'before'] as const;
+type Operator = typeof OPERATORS[number];
+
+const HANDLE_PATTERN = /^[a-zA-Z0-9_]{1,100}(@[a-zA-Z0-9.-]{1,253})?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// `word:` followed by something other than `//` (so URLs stay plain terms)
+const OPERATOR_PATTERN = /^([a-zA-Z]+):(?!\/\/)(.*)$/;
+
+/**
+ * A query that can't be parsed, with a message meant for the person who typed it
+ */
+export class SearchQueryError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'SearchQueryError';
+  }
+}
+
+/**
+ * Split a raw query into tokens, keeping quoted phrases (and their leading `-`) together
+ */
+function tokenize(raw: string): { text: string; quoted: boolean; negated: boolean }[] {
+  const tokens: { text: string; quoted: boolean; negated: boolean }[] = [];
+  let i = 0;
+
+  while (i < raw.length) {
+    if (/\s/.test(raw[i])) {
+      i++;
+      continue;
+    }
+
+    const negated = raw[i] === '-' && raw[i + 1] !== undefined && !/\s/.test(raw[i + 1]);
+    const start = negated ? i + 1 : i;
+
+    if (raw[start] === '"') {
+      const end = raw.indexOf('"', start + 1);
+      if (end === -1) {
+        throw new SearchQueryError(`Missing closing quote after ${raw.slice(i, i + 30)}`);
+      }
+      tokens.push({ text: raw.slice(start + 1, end).trim(), quoted: true, negated });
+      i = end + 1;
+      continue;
+    }
+
+    let end = start;
+    while (end < raw.length && !/\s/.test(raw[end])) end++;
+    tokens.push({ text: raw.slice(start, end), quoted: false, negated });
+    i = end;
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a search query into terms and structured filters
+ * Throws SearchQueryError with a helpful message for malformed queries.
+ */
+export function parseSearchQuery(raw: string): ParsedSearchQuery {
+  const parsed: ParsedSearchQuery = { terms: [], phrases: [], exclude: [] };
+
+  for (const token of tokenize(raw)) {
+    if (token.quoted) {
+      if (!token.text) {
+        throw new SearchQueryError('Empty quotes: put the exact phrase to search for between them');
+      }
+      (token.negated ? parsed.exclude : parsed.phrases).push(token.text);
+      continue;
+    }
+
+    const operator = token.text.match(OPERATOR_PATTERN);
+    if (!operator) {
+      (token.negated ? parsed.exclude : parsed.terms).push(token.text);
+      continue;
+    }
+
+    const name = operator[1].toLowerCase();
+    const value = operator[2];
+
+    if (!(OPERATORS as readonly string[]).includes(name)) {
+      throw new SearchQueryError(
+        `Unknown operator "${operator[1]}:". Supported operators: ${OPERATORS.map((op) => `${op}:`).join(', ')}`
+      );
+    }
+    if (token.negated) {
+      throw new SearchQueryError(`"${name}:" can't be excluded with "-"`);
+    }
+
+    applyOperator(parsed, name as Operator, value);
+  }
+
+  if (parsed.after && parsed.before && parsed.after > parsed.before) {
+    throw new SearchQueryError(`after:${parsed.after} is later than before:${parsed.before}`);
+  }
+
+  if (parsed.terms.length === 0 && parsed.phrases.length === 0) {
+    throw new SearchQueryError('Add at least one word or "phrase" to search for');
+  }
+
+  return parsed;
+}
+
+function applyOperator(parsed: ParsedSearchQuery, name: Operator, value: string): void {
+  if (!value) {
+    throw new SearchQueryError(`"${name}:" needs a value, e.g. ${example(name)}`);
+  }
+  if (parsed[name] !== undefined) {
+    throw new SearchQueryError(`"${name}:" can only be used once`);
+  }
+
+  switch (name) {
+    case 'community':
+    case 'author':
+      if (!HANDLE_PATTERN.test(value)) {
+        throw new SearchQueryError(`"${value}" isn't a valid ${name} name, e.g. ${example(name)}`);
+      }
+      parsed[name] = value.toLowerCase();
+      break;
+
+    case 'after':
+    case 'before':
+      if (!DATE_PATTERN.test(value) || isNaN(Date.parse(value))) {
+        throw new SearchQueryError(`"${value}" isn't a valid date for ${name}:, use YYYY-MM-DD (e.g. ${example(name)})`);
+      }
+      parsed[name] = value;
+      break;
+  }
+}
+
+function example(name: Operator): string {
+  switch (name) {
+    case 'community': return 'community:technology@lemmy.world';
+    case 'author': return 'author:alice@lemmy.ml';
+    case 'after': return 'after:2025-01-01';
+    case 'before': return 'before:2025-12-31';
+  }
+}
+
+/**
+ * The text to send to Lemmy: terms and phrase words, without operators or exclusions
+ */
+export function lemmyQueryText(parsed: ParsedSearchQuery): string {
+  return [...parsed.terms, ...parsed.phrases].join(' ');
+}
+
+/**
+ * Build a matcher for text that contains every phrase and none of the exclusions
+ * Single-word exclusions match whole words; phrases match anywhere, ignoring case.
+ */
+export function textMatcher(parsed: ParsedSearchQuery): (text: string) => boolean {
+  if (parsed.phrases.length === 0 && parsed.exclude.length === 0) {
+    return () => true;
+  }
+
+  const phrases = parsed.phrases.map((phrase) => phrase.toLowerCase());
+  const exclusions = parsed.exclude.map((term) => {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return /\s/.test(term)
+      ? new RegExp(escaped, 'iu')
+      : new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'iu');
+  });
+
+  return (text) => {
+    const lower = text.toLowerCase();
+    return phrases.every((phrase) => lower.includes(phrase))
+      && !exclusions.some((pattern) => pattern.test(text));
+  };
+}
@@ -0,0 +1,67 @@
+// PreSocial Secret Encryption
+// AES-256-GCM encryption for credentials stored at rest
+
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const FORMAT_VERSION = 'v1';
+
+// Key material from the environment; without it, secrets can't be stored
+const SECRET = process.env.CREDENTIALS_ENCRYPTION_KEY;
+
+if (!SECRET) {
+  console.warn('[Secrets] CREDENTIALS_ENCRYPTION_KEY not configured. Linking Lemmy accounts is disabled.');
+}
+
+// Derived once at startup - scrypt is deliberately slow
+const key = SECRET ? scryptSync(SECRET, 'presocial-credentials', 32) : null;
+
+/**
+ * Check if secrets can be encrypted (an encryption key is configured)
+ */
+export function isEncryptionEnabled(): boolean {
+  return key !== null;
+}
+
+/**
+ * Encrypt a string into "v1:<iv>:<auth tag>:<ciphertext>" (base64 parts)
+ */
+export function encryptSecret(plaintext: string): string {
+  if (!key) {
+    throw new Error('CREDENTIALS_ENCRYPTION_KEY is not configured');
+  }
+
+  const iv = randomBytes(IV_LENGTH);
+  const cipher = createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf-8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [FORMAT_VERSION, iv.toString('base64'), tag.toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+/**
+ * Decrypt a value produced by encryptSecret
+ * Returns null if the value is malformed, was tampered with, or the key has changed
+ */
+export function decryptSecret(encrypted: string): string | null {
+  if (!key) return null;
+
+  const [version, iv, tag, ciphertext] = encrypted.split(':');
+  if (version !== FORMAT_VERSION || !iv || !tag || !ciphertext) {
+    return null;
+  }
+
+  try {
+    const decipher = createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, 'base64')),
+      decipher.final(),
+    ]).toString('utf-8');
+  } catch {
+    console.error('[Secrets] Failed to decrypt secret (wrong key or corrupted data)');
+    return null;
+  }
+}
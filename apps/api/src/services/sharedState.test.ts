@@ -0,0 +1,92 @@
+import { afterEach, beforeEach, describe, expect, test } from 'bun:test';
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { StorageLoadError } from './fileStore';
+import { SharedMap, closeSharedState, journalSharedState, reloadSharedState } from './sharedState';
+
+let dir: string;
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'presocial-shared-'));
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+function readJson(file: string): any {
+  return JSON.parse(readFileSync(file, 'utf-8'));
+}
+
+describe('SharedMap files', () => {
+  test('saves only after a change, and moves changed entries to the end', async () => {
+    const file = join(dir, 'filters.json');
+    const filters = new SharedMap<number>('test-filters', { file, label: 'filters' });
+    await filters.load();
+
+    filters.save();
+    expect(() => readFileSync(file)).toThrow();
+
+    await filters.set('a', 1);
+    await filters.set('b', 2);
+    await filters.set('a', 3);
+    expect(await filters.delete('missing')).toBe(false);
+    filters.save();
+
+    expect(Object.entries(readJson(file))).toEqual([['b', 2], ['a', 3]]);
+  });
+
+  test('collections sharing a file are saved together under their sections', async () => {
+    const file = join(dir, 'moderation.json');
+    writeFileSync(file, JSON.stringify({ hidden: { 1: true }, banned: { alice: 'spam' }, unrelated: 1 }));
+
+    const hidden = new SharedMap<boolean>('test-hidden', { file, section: 'hidden', label: 'hidden' });
+    const banned = new SharedMap<string>('test-banned', { file, section: 'banned', label: 'bans' });
+    await hidden.load();
+    await banned.load();
+    expect(hidden.get(1)).toBe(true);
+    expect(banned.get('alice')).toBe('spam');
+
+    await hidden.delete(1);
+    hidden.save();
+
+    expect(readJson(file)).toEqual({ hidden: {}, banned: { alice: 'spam' } });
+  });
+
+  test('an unreadable file stops loading', async () => {
+    const file = join(dir, 'reports.json');
+    writeFileSync(file, '{"truncated');
+
+    const reports = new SharedMap<string>('test-reports', { file, label: 'reports' });
+    await expect(reports.load()).rejects.toBeInstanceOf(StorageLoadError);
+  });
+});
+
+describe('SharedMap journal', () => {
+  afterEach(() => {
+    closeSharedState();
+  });
+
+  test('replays changes made after the last save, then saves them', async () => {
+    const file = join(dir, 'reports.json');
+    const journal = join(dir, 'shared_state.journal');
+    writeFileSync(file, JSON.stringify({ a: 'open' }));
+    journalSharedState(journal);
+
+    const before = new SharedMap<string>('test-journaled', { file, label: 'reports' });
+    await before.load();
+    await before.set('b', 'open');
+    await before.delete('a');
+
+    // The process stops before the next save
+    expect(readJson(file)).toEqual({ a: 'open' });
+
+    const after = new SharedMap<string>('test-journaled', { file, label: 'reports' });
+    await reloadSharedState();
+
+    expect(after.toJSON()).toEqual({ b: 'open' });
+    expect(readJson(file)).toEqual({ b: 'open' });
+    expect(existsSync(journal)).toBe(false);
+  });
+});
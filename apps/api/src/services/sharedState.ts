@@ -0,0 +1,273 @@
+// PreSocial Shared State
+// Keyed collections that requests read synchronously: content filters, linked Lemmy accounts,
+// moderation, reports and so on. Every process keeps a full copy in memory. With the file backends
+// changes are journaled and then saved to JSON files in STORAGE_DIR; with STORAGE_BACKEND=redis they
+// go through to Redis, and the other API replicas are told which keys changed so their copies follow
+
+import { existsSync, readFileSync } from 'fs';
+import { Journal, StorageLoadError, writeFileAtomic } from './fileStore';
+
+/**
+ * Where the collections live when they are shared between replicas
+ */
+export interface RemoteState {
+  // All entries of a collection; the first time, `legacy` entries (from its file) are copied in
+  load(name: string, legacy: () => Record<string, unknown>): Promise<Record<string, unknown>>;
+  // Set entries, or delete them where the value is null
+  write(name: string, changes: Map<string, unknown>): Promise<void>;
+  // Whether this replica holds (or just took) the named lock, for work only one replica should do
+  holdsLock(name: string, ttl: number): Promise<boolean>;
+  close(): void;
+}
+
+export interface SharedMapOptions {
+  file?: string;      // Where it's saved without a remote; kept in memory only without one
+  section?: string;   // Property of the file it's saved under, when several collections share one
+  label: string;      // For log messages, e.g. "content filters"
+  mode?: number;      // File permissions
+  compact?: boolean;  // Not pretty-printed (large files)
+}
+
+// A change to one collection, as [key, value or null to delete] pairs
+interface JournalEntry {
+  name: string;
+  changes: [string, unknown][];
+}
+
+const collections: Map<string, SharedMap<any>> = new Map();
+let remote: RemoteState | null = null;
+let journal: Journal<JournalEntry> | null = null;
+
+/**
+ * A string-keyed map whose changes are saved, and shared when there is a remote
+ * Reads never wait. Writes resolve once the change is stored, so they are awaited.
+ */
+export class SharedMap<V> {
+  private entries: Map<string, V> = new Map();
+  private dirty = false;
+
+  constructor(readonly name: string, private options: SharedMapOptions) {
+    collections.set(name, this);
+  }
+
+  get size(): number {
+    return this.entries.size;
+  }
+
+  get file(): string | undefined {
+    return remote ? undefined : this.options.file;
+  }
+
+  // Changed since its file was last saved
+  get unsaved(): boolean {
+    return this.dirty;
+  }
+
+  get(key: string | number): V | undefined {
+    return this.entries.get(String(key));
+  }
+
+  has(key: string | number): boolean {
+    return this.entries.has(String(key));
+  }
+
+  keys(): IterableIterator<string> {
+    return this.entries.keys();
+  }
+
+  values(): IterableIterator<V> {
+    return this.entries.values();
+  }
+
+  [Symbol.iterator](): IterableIterator<[string, V]> {
+    return this.entries[Symbol.iterator]();
+  }
+
+  set(key: string | number, value: V): Promise<void> {
+    return this.update(new Map([[String(key), value]]));
+  }
+
+  async delete(key: string | number): Promise<boolean> {
+    if (!this.has(key)) return false;
+    await this.update(new Map([[String(key), null]]));
+    return true;
+  }
+
+  /**
+   * Set several entries at once, deleting those whose value is null
+   * Changed entries move to the end, so iteration order is least recently changed first.
+   */
+  async update(changes: Map<string, V | null>): Promise<void> {
+    if (changes.size === 0) return;
+
+    if (remote) {
+      await remote.write(this.name, changes);
+    } else if (this.options.file) {
+      journal?.append({ name: this.name, changes: Array.from(changes) });
+      this.dirty = true;
+    }
+    this.apply(changes);
+  }
+
+  /**
+   * Take changes another replica made, or (unsaved) ones replayed from the journal
+   */
+  apply(changes: Map<string, V | null>, unsaved = false): void {
+    this.dirty ||= unsaved;
+    for (const [key, value] of changes) {
+      this.entries.delete(key);
+      if (value !== null) {
+        this.entries.set(key, value);
+      }
+    }
+  }
+
+  async load(): Promise<void> {
+    const data = remote
+      ? await remote.load(this.name, () => this.readFile())
+      : this.readFile();
+
+    this.entries = new Map(Object.entries(data) as [string, V][]);
+    this.dirty = false;
+
+    if (this.entries.size > 0) {
+      console.log(`[Storage] Loaded ${this.entries.size} ${this.options.label}`);
+    }
+  }
+
+  /**
+   * Read the collection from its file, if it has one
+   */
+  private readFile(): Record<string, unknown> {
+    const { file, section } = this.options;
+    if (!file || !existsSync(file)) return {};
+
+    try {
+      const data = JSON.parse(readFileSync(file, 'utf-8'));
+      return (section ? data[section] : data) || {};
+    } catch (error) {
+      throw new StorageLoadError(file, error);
+    }
+  }
+
+  toJSON(): Record<string, V> {
+    return Object.fromEntries(this.entries);
+  }
+
+  /**
+   * Write the file if anything changed (force: even if not)
+   * Collections sharing a file are written together.
+   */
+  save(force = false): void {
+    const { file, label, mode, compact } = this.options;
+    if (remote || !file || !(this.dirty || force)) return;
+
+    const group = Array.from(collections.values()).filter((collection) => collection.options.file === file);
+    const data = this.options.section
+      ? Object.fromEntries(group.map((collection) => [collection.options.section, collection]))
+      : this;
+
+    try {
+      writeFileAtomic(file, compact ? JSON.stringify(data) : JSON.stringify(data, null, 2), mode);
+      group.forEach((collection) => {
+        collection.dirty = false;
+      });
+      console.debug(`[Storage] Saved ${label} to disk`);
+    } catch (error) {
+      console.error(`[Storage] Failed to save ${label}:`, error);
+    }
+  }
+}
+
+/**
+ * Keep the collections in a remote store from now on (call before loading them)
+ */
+export function shareState(store: RemoteState): void {
+  remote = store;
+}
+
+/**
+ * Journal changes to the collections' files at `path` until they are saved, so a crash between
+ * saves loses nothing (call before loading them; not needed with a remote)
+ * Holds linked account tokens among the rest, so only the owner can read it.
+ */
+export function journalSharedState(path: string): void {
+  journal = new Journal(path, 0o600);
+}
+
+/**
+ * Apply changes another replica announced
+ */
+export function applyRemoteChanges(name: string, changes: Map<string, unknown>): void {
+  collections.get(name)?.apply(changes);
+}
+
+/**
+ * Reload every collection, e.g. after missing announcements while disconnected
+ */
+export async function reloadSharedState(): Promise<void> {
+  for (const collection of collections.values()) {
+    await collection.load();
+  }
+
+  if (!remote && journal) {
+    replayJournal(journal);
+  }
+}
+
+/**
+ * Apply changes journaled after the files were last saved, then save them into the files
+ * Entries set or delete whole values, so replaying one already saved is harmless.
+ */
+function replayJournal(from: Journal<JournalEntry>): void {
+  const entries = from.read();
+  if (entries.length === 0) return;
+
+  for (const { name, changes } of entries) {
+    collections.get(name)?.apply(new Map(changes), true);
+  }
+  console.log(`[Storage] Replayed ${entries.length} journaled shared state changes`);
+
+  saveSharedState();
+}
+
+/**
+ * Whether this process should do work that only one replica may do at a time
+ * Always true without a remote, as there is only one process.
+ */
+export function holdsLock(name: string, ttl: number): Promise<boolean> {
+  return remote ? remote.holdsLock(name, ttl) : Promise.resolve(true);
+}
+
+/**
+ * Save every collection's file (force: even if unchanged)
+ */
+export function saveSharedState(force = false): void {
+  collections.forEach((collection) => collection.save(force));
+
+  // Only once every change is in the files; on a failed save the journal still has it
+  if (journal && Array.from(collections.values()).every((collection) => !collection.unsaved)) {
+    journal.clear();
+  }
+}
+
+/**
+ * Files the collections are saved in (none when they are shared)
+ */
+export function sharedStateFiles(): string[] {
+  const files = Array.from(collections.values()).flatMap((collection) => collection.file ? [collection.file] : []);
+  if (journal && !remote) {
+    files.push(journal.path);
+  }
+  return Array.from(new Set(files));
+}
+
+/**
+ * Stop journaling and sharing; collections are kept in memory only from then on
+ */
+export function closeSharedState(): void {
+  journal?.close();
+  remote?.close();
+  journal = null;
+  remote = null;
+}
@@ -0,0 +1,143 @@
+import { afterEach, beforeEach, describe, expect, test } from 'bun:test';
+import { Database } from 'bun:sqlite';
+import { existsSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Journal, StorageLoadError } from './fileStore';
+import { JOURNAL_FILE } from './jsonUserStore';
+import { SqliteUserStore } from './sqliteUserStore';
+import type { SavedPost } from './storage';
+
+let dir: string;
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'presocial-sqlite-'));
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+function writeJson(name: string, data: unknown): void {
+  writeFileSync(join(dir, name), JSON.stringify(data));
+}
+
+// Bookmarks as saved before they had an apId; their url is the ActivityPub ID
+function savedPost(id: number, savedAt: string): Omit<SavedPost, 'apId'> {
+  return {
+    id,
+    title: `post ${id}`,
+    url: `https://lemmy.test/post/${id}`,
+    score: 1,
+    commentCount: 0,
+    community: 'test',
+    author: 'author',
+    timestamp: '2026-01-01T00:00:00Z',
+    savedAt,
+  };
+}
+
+describe('SqliteUserStore JSON import', () => {
+  test('imports votes, bookmarks and profiles', async () => {
+    writeJson('votes.json', { alice: { 1: 'up', 2: 'down', 3: 'sideways' }, bob: { 1: 'down' } });
+    writeJson('bookmarks.json', {
+      alice: { 1: savedPost(1, '2026-01-01T00:00:00Z'), 2: savedPost(2, '2026-01-02T00:00:00Z') },
+    });
+    writeJson('profiles.json', { alice: { bio: 'hi', avatarUrl: '/a.png', updatedAt: '2026-01-03T00:00:00Z' } });
+
+    const store = new SqliteUserStore(dir);
+
+    expect(Object.fromEntries(await store.getVotes('alice'))).toEqual({ 1: 'up', 2: 'down' });
+    expect(await store.getVote('bob', '1')).toBe('down');
+    expect((await store.getBookmarks('alice')).map((post) => post.apId)).toEqual([
+      'https://lemmy.test/post/2',
+      'https://lemmy.test/post/1',
+    ]);
+    expect(await store.isBookmarked('alice', 'https://lemmy.test/post/1')).toBe(true);
+    expect(await store.getProfile('alice')).toEqual({ bio: 'hi', avatarUrl: '/a.png', updatedAt: '2026-01-03T00:00:00Z' });
+    expect(await store.getStats()).toEqual({ users: 2, totalVotes: 3, totalBookmarks: 2, profiles: 1 });
+
+    store.close();
+  });
+
+  test('imports each file only once', async () => {
+    writeJson('votes.json', { alice: { 1: 'up' } });
+    const first = new SqliteUserStore(dir);
+    await first.setVote('alice', '1', null);
+    first.close();
+
+    const second = new SqliteUserStore(dir);
+    expect(await second.getVote('alice', '1')).toBeNull();
+    second.close();
+  });
+
+  test('keeps rows written before the import', async () => {
+    const first = new SqliteUserStore(dir);
+    await first.setVote('alice', '1', 'down');
+    first.close();
+
+    writeJson('votes.json', { alice: { 1: 'up', 2: 'up' } });
+    const second = new SqliteUserStore(dir);
+    expect(Object.fromEntries(await second.getVotes('alice'))).toEqual({ 1: 'down', 2: 'up' });
+    second.close();
+  });
+
+  test('includes changes only in the JSON journal', async () => {
+    writeJson('votes.json', { alice: { 1: 'up' } });
+    new Journal(join(dir, JOURNAL_FILE)).append({ op: 'vote', userId: 'alice', apId: 'https://lemmy.test/post/2', vote: 'down' });
+
+    const store = new SqliteUserStore(dir);
+    expect(Object.fromEntries(await store.getVotes('alice'))).toEqual({ 1: 'up', 'https://lemmy.test/post/2': 'down' });
+    store.close();
+  });
+
+  test('applies journaled changes made after the files were imported', async () => {
+    writeJson('votes.json', { alice: { 1: 'up' } });
+    writeJson('bookmarks.json', { alice: { 1: savedPost(1, '2026-01-01T00:00:00Z') } });
+    new SqliteUserStore(dir).close();
+
+    const journal = new Journal(join(dir, JOURNAL_FILE));
+    journal.append({ op: 'vote', userId: 'alice', apId: '1', vote: 'down' });
+    journal.append({ op: 'unbookmark', userId: 'alice', postId: 1 });
+    journal.append({ op: 'profile', userId: 'alice', profile: { bio: 'hi', updatedAt: '2026-02-01T00:00:00Z' } });
+
+    const store = new SqliteUserStore(dir);
+    expect(await store.getVote('alice', '1')).toBe('down');
+    expect(await store.getBookmarks('alice')).toEqual([]);
+    expect((await store.getProfile('alice'))?.bio).toBe('hi');
+    store.close();
+    expect(existsSync(journal.path)).toBe(false);
+  });
+
+  test('refuses to start from a file it cannot read', () => {
+    writeFileSync(join(dir, 'profiles.json'), '{"alice": ');
+    expect(() => new SqliteUserStore(dir)).toThrow(StorageLoadError);
+  });
+});
+
+describe('SqliteUserStore migrations', () => {
+  test('re-keys v1 bookmarks by ActivityPub ID', async () => {
+    const db = new Database(join(dir, 'presocial.db'), { create: true });
+    db.exec(`CREATE TABLE votes (user_id TEXT NOT NULL, post_id INTEGER NOT NULL, vote TEXT NOT NULL,
+      PRIMARY KEY (user_id, post_id)) WITHOUT ROWID`);
+    db.exec(`CREATE TABLE bookmarks (user_id TEXT NOT NULL, post_id INTEGER NOT NULL, post TEXT NOT NULL,
+      saved_at TEXT NOT NULL, PRIMARY KEY (user_id, post_id)) WITHOUT ROWID`);
+    db.exec('CREATE INDEX bookmarks_by_saved_at ON bookmarks (user_id, saved_at DESC)');
+    db.exec('CREATE TABLE profiles (user_id TEXT PRIMARY KEY, bio TEXT NOT NULL, avatar_url TEXT, updated_at TEXT NOT NULL)');
+    db.exec('CREATE TABLE json_imports (file TEXT PRIMARY KEY, rows INTEGER NOT NULL, imported_at TEXT NOT NULL)');
+    db.exec('PRAGMA user_version = 1');
+    db.query('INSERT INTO votes VALUES (?, ?, ?)').run('alice', 7, 'up');
+    db.query('INSERT INTO bookmarks VALUES (?, ?, ?, ?)')
+      .run('alice', 7, JSON.stringify(savedPost(7, '2026-01-01T00:00:00Z')), '2026-01-01T00:00:00Z');
+    db.close();
+
+    const store = new SqliteUserStore(dir);
+    expect(await store.getVote('alice', '7')).toBe('up');
+    expect(await store.isBookmarked('alice', 'https://lemmy.test/post/7')).toBe(true);
+    expect((await store.getBookmarks('alice'))[0]).toMatchObject({ id: 7, apId: 'https://lemmy.test/post/7' });
+
+    await store.removeBookmark('alice', 'https://lemmy.test/post/7');
+    expect(await store.getBookmarks('alice')).toEqual([]);
+    store.close();
+  });
+});
@@ -0,0 +1,335 @@
+// PreSocial SQLite User Store
+// Votes, bookmarks and profiles in a SQLite database, committed on every write.
+// Existing votes.json, bookmarks.json and profiles.json are imported the first time it opens,
+// and changes the JSON backend journaled but never saved whenever there are any
+
+import { Database } from 'bun:sqlite';
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { Journal, StorageLoadError } from './fileStore';
+import { JOURNAL_FILE, type JournalEntry } from './jsonUserStore';
+import type { SavedPost, UserProfile, UserStats, UserStore, UserStoreStats } from './storage';
+
+export const DATABASE_FILE = 'presocial.db';
+
+// Schema versions, applied in order and tracked in PRAGMA user_version.
+// Never change a shipped migration; append a new one instead.
+const MIGRATIONS: string[][] = [
+  [
+    `CREATE TABLE votes (
+      user_id TEXT NOT NULL,
+      post_id INTEGER NOT NULL,
+      vote TEXT NOT NULL CHECK (vote IN ('up', 'down')),
+      PRIMARY KEY (user_id, post_id)
+    ) WITHOUT ROWID`,
+    `CREATE TABLE bookmarks (
+      user_id TEXT NOT NULL,
+      post_id INTEGER NOT NULL,
+      post TEXT NOT NULL,
+      saved_at TEXT NOT NULL,
+      PRIMARY KEY (user_id, post_id)
+    ) WITHOUT ROWID`,
+    'CREATE INDEX bookmarks_by_saved_at ON bookmarks (user_id, saved_at DESC)',
+    `CREATE TABLE profiles (
+      user_id TEXT PRIMARY KEY,
+      bio TEXT NOT NULL,
+      avatar_url TEXT,
+      updated_at TEXT NOT NULL
+    )`,
+    // JSON files already imported, so they are never imported twice
+    `CREATE TABLE json_imports (
+      file TEXT PRIMARY KEY,
+      rows INTEGER NOT NULL,
+      imported_at TEXT NOT NULL
+    )`,
+  ],
+  // Votes and bookmarks keyed by the post's ActivityPub ID instead of its instance-local ID.
+  // Old bookmarks get theirs from `url`, which is the ActivityPub ID; old votes keep the ID as text
+  [
+    `CREATE TABLE votes_v2 (
+      user_id TEXT NOT NULL,
+      ap_id TEXT NOT NULL,
+      vote TEXT NOT NULL CHECK (vote IN ('up', 'down')),
+      PRIMARY KEY (user_id, ap_id)
+    ) WITHOUT ROWID`,
+    'INSERT INTO votes_v2 (user_id, ap_id, vote) SELECT user_id, CAST(post_id AS TEXT), vote FROM votes',
+    'DROP TABLE votes',
+    'ALTER TABLE votes_v2 RENAME TO votes',
+    `CREATE TABLE bookmarks_v2 (
+      user_id TEXT NOT NULL,
+      ap_id TEXT NOT NULL,
+      post TEXT NOT NULL,
+      saved_at TEXT NOT NULL,
+      PRIMARY KEY (user_id, ap_id)
+    ) WITHOUT ROWID`,
+    `INSERT OR IGNORE INTO bookmarks_v2 (user_id, ap_id, post, saved_at)
+      SELECT user_id, ap_id, json_set(post, '$.apId', ap_id), saved_at
+      FROM (SELECT *, COALESCE(json_extract(post, '$.apId'), json_extract(post, '$.url')) AS ap_id FROM bookmarks)`,
+    'DROP TABLE bookmarks',
+    'ALTER TABLE bookmarks_v2 RENAME TO bookmarks',
+    'CREATE INDEX bookmarks_by_saved_at ON bookmarks (user_id, saved_at DESC)',
+  ],
+];
+
+interface ProfileRow {
+  bio: string;
+  avatar_url: string | null;
+  updated_at: string;
+}
+
+export class SqliteUserStore implements UserStore {
+  readonly backend = 'sqlite' as const;
+  readonly files: string[];
+
+  private db: Database;
+
+  constructor(dir: string) {
+    const file = join(dir, DATABASE_FILE);
+    this.files = [file, `${file}-wal`];
+
+    this.db = new Database(file, { create: true });
+    // WAL keeps committed writes safe if the process dies; NORMAL only risks the last commits on power loss
+    this.db.exec('PRAGMA journal_mode = WAL');
+    this.db.exec('PRAGMA synchronous = NORMAL');
+    this.db.exec('PRAGMA busy_timeout = 5000');
+
+    this.migrate();
+
+    this.importJsonFile(dir, 'votes.json', (data) => this.importVotes(data));
+    this.importJsonFile(dir, 'bookmarks.json', (data) => this.importBookmarks(data));
+    this.importJsonFile(dir, 'profiles.json', (data) => this.importProfiles(data));
+    this.importJournal(dir);
+  }
+
+  /**
+   * Bring the schema up to the latest version
+   */
+  private migrate(): void {
+    const { user_version: version } = this.db.query<{ user_version: number }, []>('PRAGMA user_version').get()!;
+
+    if (version > MIGRATIONS.length) {
+      throw new Error(`Database schema v${version} is newer than this version of PreSocial supports (v${MIGRATIONS.length})`);
+    }
+    if (version === MIGRATIONS.length) return;
+
+    this.db.transaction(() => {
+      for (const statements of MIGRATIONS.slice(version)) {
+        for (const sql of statements) {
+          this.db.exec(sql);
+        }
+      }
+      this.db.exec(`PRAGMA user_version = ${MIGRATIONS.length}`);
+    })();
+
+    console.log(`[Storage] Migrated database schema from v${version} to v${MIGRATIONS.length}`);
+  }
+
+  /**
+   * Import one file written by the JSON backend, unless it was imported before
+   * A file that exists but can't be read stops startup, rather than leaving its data behind.
+   */
+  private importJsonFile(dir: string, name: string, insert: (data: Record<string, any>) => number): void {
+    const path = join(dir, name);
+    if (!existsSync(path)) return;
+
+    const imported = this.db.query<{ file: string }, [string]>('SELECT file FROM json_imports WHERE file = ?').get(name);
+    if (imported) return;
+
+    let data: Record<string, any>;
+    try {
+      data = JSON.parse(readFileSync(path, 'utf-8'));
+    } catch (error) {
+      throw new StorageLoadError(path, error);
+    }
+
+    const rows = this.db.transaction(() => {
+      const count = insert(data);
+      this.db.query('INSERT INTO json_imports (file, rows, imported_at) VALUES (?, ?, ?)')
+        .run(name, count, new Date().toISOString());
+      return count;
+    })();
+
+    console.log(`[Storage] Imported ${rows} rows from ${name}`);
+  }
+
+  /**
+   * Apply changes the JSON backend journaled but never saved into its files, then remove the journal
+   * They are newer than the files, so they come after them and overwrite what's there. Entries are
+   * absolute (set this vote, save this profile), so applying them again after a crash is harmless.
+   */
+  private importJournal(dir: string): void {
+    const journal = new Journal<JournalEntry>(join(dir, JOURNAL_FILE));
+    const entries = journal.read();
+    if (entries.length === 0) return;
+
+    this.db.transaction(() => entries.forEach((entry) => this.applyJournalEntry(entry)))();
+    journal.clear();
+
+    console.log(`[Storage] Applied ${entries.length} journaled changes from ${JOURNAL_FILE}`);
+  }
+
+  private applyJournalEntry(entry: JournalEntry): void {
+    switch (entry.op) {
+      case 'vote': {
+        const apId = entry.apId ?? String(entry.postId);
+        if (entry.vote === null) {
+          this.db.query('DELETE FROM votes WHERE user_id = ? AND ap_id = ?').run(entry.userId, apId);
+        } else {
+          this.db.query('INSERT OR REPLACE INTO votes (user_id, ap_id, vote) VALUES (?, ?, ?)').run(entry.userId, apId, entry.vote);
+        }
+        break;
+      }
+      case 'bookmark': {
+        const apId = entry.post.apId || entry.post.url;
+        this.db.query('INSERT OR REPLACE INTO bookmarks (user_id, ap_id, post, saved_at) VALUES (?, ?, ?, ?)')
+          .run(entry.userId, apId, JSON.stringify({ ...entry.post, apId }), entry.post.savedAt || new Date().toISOString());
+        break;
+      }
+      case 'unbookmark':
+        // Older entries name the post by its ID on the primary instance
+        if (entry.apId) {
+          this.db.query('DELETE FROM bookmarks WHERE user_id = ? AND ap_id = ?').run(entry.userId, entry.apId);
+        } else {
+          this.db.query("DELETE FROM bookmarks WHERE user_id = ? AND json_extract(post, '$.id') = ?").run(entry.userId, entry.postId ?? null);
+        }
+        break;
+      case 'profile':
+        this.db.query('INSERT OR REPLACE INTO profiles (user_id, bio, avatar_url, updated_at) VALUES (?, ?, ?, ?)')
+          .run(entry.userId, entry.profile.bio || '', entry.profile.avatarUrl ?? null, entry.profile.updatedAt);
+        break;
+    }
+  }
+
+  // Imported rows never overwrite ones already written through this store
+
+  private importVotes(data: Record<string, Record<string, 'up' | 'down'>>): number {
+    const insert = this.db.query('INSERT OR IGNORE INTO votes (user_id, ap_id, vote) VALUES (?, ?, ?)');
+    let count = 0;
+    for (const [userId, votes] of Object.entries(data)) {
+      for (const [apId, vote] of Object.entries(votes)) {
+        if (vote !== 'up' && vote !== 'down') continue;
+        count += insert.run(userId, apId, vote).changes;
+      }
+    }
+    return count;
+  }
+
+  private importBookmarks(data: Record<string, Record<string, SavedPost>>): number {
+    const now = new Date().toISOString();
+    const insert = this.db.query('INSERT OR IGNORE INTO bookmarks (user_id, ap_id, post, saved_at) VALUES (?, ?, ?, ?)');
+    let count = 0;
+    for (const [userId, bookmarks] of Object.entries(data)) {
+      for (const post of Object.values(bookmarks)) {
+        const apId = post.apId || post.url;
+        count += insert.run(userId, apId, JSON.stringify({ ...post, apId }), post.savedAt || now).changes;
+      }
+    }
+    return count;
+  }
+
+  private importProfiles(data: Record<string, UserProfile>): number {
+    const now = new Date().toISOString();
+    const insert = this.db.query('INSERT OR IGNORE INTO profiles (user_id, bio, avatar_url, updated_at) VALUES (?, ?, ?, ?)');
+    let count = 0;
+    for (const [userId, profile] of Object.entries(data)) {
+      count += insert.run(userId, profile.bio || '', profile.avatarUrl ?? null, profile.updatedAt || now).changes;
+    }
+    return count;
+  }
+
+  // Every write is committed as it happens
+  flush(): void {}
+
+  close(): void {
+    this.db.close();
+  }
+
+  async getVotes(userId: string): Promise<Map<string, 'up' | 'down'>> {
+    const rows = this.db.query<{ ap_id: string; vote: 'up' | 'down' }, [string]>(
+      'SELECT ap_id, vote FROM votes WHERE user_id = ?'
+    ).all(userId);
+    return new Map(rows.map((row) => [row.ap_id, row.vote]));
+  }
+
+  async getVote(userId: string, apId: string): Promise<'up' | 'down' | null> {
+    const row = this.db.query<{ vote: 'up' | 'down' }, [string, string]>(
+      'SELECT vote FROM votes WHERE user_id = ? AND ap_id = ?'
+    ).get(userId, apId);
+    return row?.vote || null;
+  }
+
+  async setVote(userId: string, apId: string, vote: 'up' | 'down' | null): Promise<void> {
+    if (vote === null) {
+      this.db.query('DELETE FROM votes WHERE user_id = ? AND ap_id = ?').run(userId, apId);
+    } else {
+      this.db.query('INSERT OR REPLACE INTO votes (user_id, ap_id, vote) VALUES (?, ?, ?)').run(userId, apId, vote);
+    }
+  }
+
+  async getBookmarks(userId: string): Promise<SavedPost[]> {
+    const rows = this.db.query<{ post: string }, [string]>(
+      'SELECT post FROM bookmarks WHERE user_id = ? ORDER BY saved_at DESC'
+    ).all(userId);
+    return rows.map((row) => JSON.parse(row.post) as SavedPost);
+  }
+
+  async isBookmarked(userId: string, apId: string): Promise<boolean> {
+    const row = this.db.query<{ found: number }, [string, string]>(
+      'SELECT 1 AS found FROM bookmarks WHERE user_id = ? AND ap_id = ?'
+    ).get(userId, apId);
+    return row !== null;
+  }
+
+  async addBookmark(userId: string, post: SavedPost): Promise<void> {
+    this.db.query('INSERT OR REPLACE INTO bookmarks (user_id, ap_id, post, saved_at) VALUES (?, ?, ?, ?)')
+      .run(userId, post.apId, JSON.stringify(post), post.savedAt);
+  }
+
+  async removeBookmark(userId: string, apId: string): Promise<boolean> {
+    const { changes } = this.db.query('DELETE FROM bookmarks WHERE user_id = ? AND ap_id = ?').run(userId, apId);
+    return changes > 0;
+  }
+
+  async getProfile(userId: string): Promise<UserProfile | null> {
+    const row = this.db.query<ProfileRow, [string]>(
+      'SELECT bio, avatar_url, updated_at FROM profiles WHERE user_id = ?'
+    ).get(userId);
+    if (!row) return null;
+
+    return {
+      bio: row.bio,
+      ...(row.avatar_url !== null && { avatarUrl: row.avatar_url }),
+      updatedAt: row.updated_at,
+    };
+  }
+
+  async saveProfile(userId: string, profile: UserProfile): Promise<void> {
+    this.db.query('INSERT OR REPLACE INTO profiles (user_id, bio, avatar_url, updated_at) VALUES (?, ?, ?, ?)')
+      .run(userId, profile.bio, profile.avatarUrl ?? null, profile.updatedAt);
+  }
+
+  async getUserStats(userId: string): Promise<UserStats> {
+    return this.db.query<UserStats, [string, string]>(`
+      SELECT
+        (SELECT COUNT(*) FROM votes WHERE user_id = ?) AS votesCount,
+        (SELECT COUNT(*) FROM bookmarks WHERE user_id = ?) AS bookmarksCount
+    `).get(userId, userId)!;
+  }
+
+  async getStats(): Promise<UserStoreStats> {
+    return this.db.query<UserStoreStats, []>(`
+      SELECT
+        (SELECT COUNT(*) FROM (SELECT user_id FROM votes UNION SELECT user_id FROM bookmarks)) AS users,
+        (SELECT COUNT(*) FROM votes) AS totalVotes,
+        (SELECT COUNT(*) FROM bookmarks) AS totalBookmarks,
+        (SELECT COUNT(*) FROM profiles) AS profiles
+    `).get()!;
+  }
+
+  async listUsers(): Promise<string[]> {
+    const rows = this.db.query<{ user_id: string }, []>(
+      'SELECT user_id FROM votes UNION SELECT user_id FROM bookmarks UNION SELECT user_id FROM profiles'
+    ).all();
+    return rows.map((row) => row.user_id);
+  }
+}
@@ -1,31 +1,73 @@
 // PreSocial Persistent Storage Service
-// File-based storage for user votes and bookmarks
-// Can be migrated to Redis/PostgreSQL in production
+// Storage for user votes, bookmarks and profiles (through a UserStore), plus linked Lemmy accounts,
+// content filters, recent searches, authorship of comments posted through PreSocial, content reports,
+// admin moderation and post score snapshots for trending (shared collections, see services/sharedState).
+// When REDIS_URL is set all of it lives in Redis, so API replicas keep nothing of their own; otherwise
+// in STORAGE_DIR, in SQLite (or JSON files for development). STORAGE_BACKEND overrides the choice
 
-import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { existsSync, mkdirSync, statSync } from 'fs';
 import { join, dirname } from 'path';
+import { JOURNAL_FILE, JsonUserStore } from './jsonUserStore';
+import {
+  SharedMap,
+  shareState,
+  journalSharedState,
+  applyRemoteChanges,
+  reloadSharedState,
+  saveSharedState,
+  sharedStateFiles,
+  closeSharedState,
+} from './sharedState';
+import type { SocialPost } from '../types';
 
 // Storage configuration
 const STORAGE_DIR = process.env.STORAGE_DIR || join(process.cwd(), 'data');
-const VOTES_FILE = join(STORAGE_DIR, 'votes.json');
-const BOOKMARKS_FILE = join(STORAGE_DIR, 'bookmarks.json');
-const PROFILES_FILE = join(STORAGE_DIR, 'profiles.json');
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || (process.env.REDIS_URL ? 'redis' : 'sqlite');
+const FILTERS_FILE = join(STORAGE_DIR, 'filters.json');
+const RECENT_SEARCHES_FILE = join(STORAGE_DIR, 'recent_searches.json');
+const LEMMY_ACCOUNTS_FILE = join(STORAGE_DIR, 'lemmy_accounts.json');
+const COMMENT_AUTHORS_FILE = join(STORAGE_DIR, 'comment_authors.json');
+const REPORTS_FILE = join(STORAGE_DIR, 'reports.json');
+const MODERATION_FILE = join(STORAGE_DIR, 'moderation.json');
+const POST_SNAPSHOTS_FILE = join(STORAGE_DIR, 'post_snapshots.json');
+const SHARED_STATE_JOURNAL = join(STORAGE_DIR, 'shared_state.journal');
 
 // Auto-save interval (5 seconds)
 const AUTO_SAVE_INTERVAL = 5000;
 
-// Track if data has been modified since last save
-let votesDirty = false;
-let bookmarksDirty = false;
-let profilesDirty = false;
-
-// In-memory data structures
-let userVotes: Map<string, Map<number, 'up' | 'down'>> = new Map();
-let userBookmarks: Map<string, Map<number, SavedPost>> = new Map();
-let userProfiles: Map<string, UserProfile> = new Map();
+let userStore: UserStore;
+
+// Keyed by user ID, except where noted
+const userFilters = new SharedMap<ContentFilters>('filters', { file: FILTERS_FILE, label: 'users\' content filters' });
+const recentSearches = new SharedMap<RecentSearch[]>('recent_searches', { file: RECENT_SEARCHES_FILE, label: 'users\' recent searches' });
+const lemmyAccounts = new SharedMap<LinkedLemmyAccount>('lemmy_accounts', {
+  file: LEMMY_ACCOUNTS_FILE,
+  label: 'linked Lemmy accounts',
+  mode: 0o600,
+});
+// By Lemmy comment ID
+const commentAuthors = new SharedMap<CommentAuthorship>('comment_authors', { file: COMMENT_AUTHORS_FILE, label: 'comment authorship records' });
+// By report ID
+const reports = new SharedMap<ContentReport>('reports', { file: REPORTS_FILE, label: 'content reports' });
+// By primary instance post ID, community handle and user ID, all saved in one file
+const hiddenPosts = new SharedMap<HiddenPost>('hidden_posts', { file: MODERATION_FILE, section: 'hiddenPosts', label: 'hidden posts' });
+const hiddenCommunities = new SharedMap<HiddenCommunity>('hidden_communities', {
+  file: MODERATION_FILE,
+  section: 'hiddenCommunities',
+  label: 'hidden communities',
+});
+const userBans = new SharedMap<UserBan>('user_bans', { file: MODERATION_FILE, section: 'bannedUsers', label: 'user bans' });
+// By ActivityPub ID. Not pretty-printed: this is by far the largest file
+const postSnapshots = new SharedMap<PostSeries>('post_snapshots', {
+  file: POST_SNAPSHOTS_FILE,
+  label: 'post snapshot series',
+  compact: true,
+});
 
 export interface SavedPost {
   id: number;
+  apId: string;          // Canonical ActivityPub ID; bookmarks are keyed by it
+  instance?: string;     // Hostname of the instance `id` belongs to
   title: string;
   url: string;
   score: number;
@@ -44,11 +86,171 @@ export interface UserProfile {
   updatedAt: string;
 }
 
+export interface ContentFilters {
+  showNsfw: boolean;             // Opted in to NSFW posts and communities
+  blurNsfw: boolean;             // Blur NSFW media until clicked (when shown)
+  blockedCommunities: string[];  // name@host handles, lowercased
+  blockedAuthors: string[];      // name@host handles, lowercased
+  mutedKeywords: string[];       // Lowercased; posts with these words in the title are hidden
+  updatedAt: string;
+}
+
+export interface RecentSearch {
+  query: string;
+  searchedAt: string;
+}
+
+// Recent searches kept per user (newest first)
+const MAX_RECENT_SEARCHES = 20;
+
+export interface LinkedLemmyAccount {
+  instanceUrl: string;
+  username: string;
+  credentials: string;   // Encrypted Lemmy JWT - see services/secrets
+  linkedAt: string;
+}
+
+export interface CommentAuthorship {
+  userId: string;        // PreSuite user who wrote the comment
+  postId: number;
+  via: 'bot' | 'account';  // Posted by the shared bot, or as the user's linked Lemmy account
+  createdAt: string;
+}
+
+export type ReportStatus = 'open' | 'resolved' | 'dismissed';
+
+export interface ContentReport {
+  id: string;
+  targetType: 'post' | 'comment';
+  targetId: number;      // On the primary instance
+  apId?: string;         // The target's ActivityPub ID (not kept on reports from before it was)
+  postId: number;        // The post itself, or the post a comment belongs to
+  reason: string;
+  reporterId: string;
+  reporterName: string;
+  createdAt: string;
+  // What the content looked like when reported, so moderators can review it even if it changes
+  snapshot: {
+    title?: string;
+    content?: string;
+    author: string;
+    community?: string;
+    authorUserId?: string;  // PreSuite user, when the content was posted through PreSocial
+  };
+  forwardedToLemmy: boolean;
+  status: ReportStatus;
+  resolvedBy?: string;
+  resolvedAt?: string;
+  resolutionNote?: string;
+}
+
+export interface HiddenPost {
+  postId: number;
+  apId: string;          // Matches the post when it's fetched from other instances in the pool
+  title: string;
+  communityHandle: string;
+  reason?: string;
+  hiddenBy: string;
+  hiddenAt: string;
+}
+
+export interface HiddenCommunity {
+  handle: string;        // name@host, lowercased
+  title: string;
+  reason?: string;
+  hiddenBy: string;
+  hiddenAt: string;
+}
+
+export interface UserBan {
+  userId: string;
+  reason?: string;
+  bannedBy: string;
+  bannedAt: string;
+}
+
+// Score and comment count of a post at a point in time: [epoch ms, score, comments]
+// Stored as a tuple because there are hundreds per post
+export type PostSample = [number, number, number];
+
+export interface PostSeries {
+  post: SocialPost;      // As last seen
+  samples: PostSample[]; // Oldest first
+  mainListingAt?: number; // Last snapshot that found it in the main listings, not just a watched community
+}
+
+// Where a snapshot's posts were listed
+export type SnapshotListing = 'main' | 'community';
+
+// Posts not seen for this long are dropped, and full resolution is only kept for the last day
+const SNAPSHOT_RETENTION = 8 * 24 * 60 * 60 * 1000;
+const FULL_RESOLUTION_WINDOW = 24 * 60 * 60 * 1000;
+const THINNED_SAMPLE_INTERVAL = 60 * 60 * 1000;
+const MAX_TRACKED_POSTS = 3000;
+
+export interface StorageStats {
+  backend: StorageBackend;
+  users: number;
+  totalVotes: number;
+  totalBookmarks: number;
+  profiles: number;
+  linkedAccounts: number;
+  trackedComments: number;
+  openReports: number;
+  totalReports: number;
+  hiddenPosts: number;
+  hiddenCommunities: number;
+  bannedUsers: number;
+  trackedPosts: number;
+  diskBytes: number;
+}
+
 export interface UserStats {
   votesCount: number;
   bookmarksCount: number;
 }
 
+export type StorageBackend = 'json' | 'sqlite' | 'redis';
+
+export interface UserStoreStats {
+  users: number;
+  totalVotes: number;
+  totalBookmarks: number;
+  profiles: number;
+}
+
+/**
+ * Backend for user votes, bookmarks and profiles
+ * Reads and writes are async so a backend can live outside the process.
+ */
+export interface UserStore {
+  readonly backend: StorageBackend;
+  readonly files: string[];  // Counted towards diskBytes
+
+  // Write out anything held in memory (force: even if unchanged)
+  flush(force?: boolean): void;
+  close(): void;
+
+  // Votes and bookmarks are keyed by the post's ActivityPub ID, which is the same on every instance
+  getVotes(userId: string): Promise<Map<string, 'up' | 'down'>>;
+  getVote(userId: string, apId: string): Promise<'up' | 'down' | null>;
+  setVote(userId: string, apId: string, vote: 'up' | 'down' | null): Promise<void>;
+
+  getBookmarks(userId: string): Promise<SavedPost[]>;  // Newest first
+  isBookmarked(userId: string, apId: string): Promise<boolean>;
+  addBookmark(userId: string, post: SavedPost): Promise<void>;
+  removeBookmark(userId: string, apId: string): Promise<boolean>;
+
+  getProfile(userId: string): Promise<UserProfile | null>;
+  saveProfile(userId: string, profile: UserProfile): Promise<void>;
+
+  getUserStats(userId: string): Promise<UserStats>;
+  getStats(): Promise<UserStoreStats>;
+
+  // Everyone with any votes, bookmarks or a profile, for copying the store into another
+  listUsers(): Promise<string[]>;
+}
+
 /**
  * Ensure storage directory exists
  */
@@ -60,336 +262,561 @@ function ensureStorageDir(): void {
 }
 
 /**
- * Load votes from file
+ * Open the configured user store
+ * Backends are loaded on demand, so the JSON backend also runs where bun:sqlite doesn't exist.
  */
-function loadVotes(): void {
-  try {
-    if (existsSync(VOTES_FILE)) {
-      const data = JSON.parse(readFileSync(VOTES_FILE, 'utf-8'));
-      userVotes = new Map();
-
-      for (const [userId, votes] of Object.entries(data)) {
-        const userVoteMap = new Map<number, 'up' | 'down'>();
-        for (const [postId, vote] of Object.entries(votes as Record<string, 'up' | 'down'>)) {
-          userVoteMap.set(parseInt(postId), vote);
-        }
-        userVotes.set(userId, userVoteMap);
-      }
-
-      console.log(`[Storage] Loaded votes for ${userVotes.size} users`);
+async function openUserStore(): Promise<UserStore> {
+  switch (STORAGE_BACKEND) {
+    case 'json':
+      ensureStorageDir();
+      return new JsonUserStore(STORAGE_DIR);
+    case 'sqlite': {
+      ensureStorageDir();
+      const { SqliteUserStore } = await import('./sqliteUserStore');
+      return new SqliteUserStore(STORAGE_DIR);
     }
-  } catch (error) {
-    console.error('[Storage] Failed to load votes:', error);
-    userVotes = new Map();
+    case 'redis':
+      return openRedisStorage();
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${STORAGE_BACKEND}" (expected "sqlite", "redis" or "json")`);
   }
 }
 
 /**
- * Load bookmarks from file
+ * Connect to Redis for the user store and the shared collections
+ * Whatever the SQLite or JSON backend left in STORAGE_DIR is imported once; after that nothing is written there.
  */
-function loadBookmarks(): void {
-  try {
-    if (existsSync(BOOKMARKS_FILE)) {
-      const data = JSON.parse(readFileSync(BOOKMARKS_FILE, 'utf-8'));
-      userBookmarks = new Map();
+async function openRedisStorage(): Promise<UserStore> {
+  if (!process.env.REDIS_URL) {
+    throw new Error('STORAGE_BACKEND=redis requires REDIS_URL');
+  }
 
-      for (const [userId, bookmarks] of Object.entries(data)) {
-        const userBookmarkMap = new Map<number, SavedPost>();
-        for (const [postId, post] of Object.entries(bookmarks as Record<string, SavedPost>)) {
-          userBookmarkMap.set(parseInt(postId), post);
-        }
-        userBookmarks.set(userId, userBookmarkMap);
-      }
+  const { DurableRedis, RedisUserStore } = await import('./redisUserStore');
+  const { RedisState } = await import('./redisState');
 
-      console.log(`[Storage] Loaded bookmarks for ${userBookmarks.size} users`);
-    }
-  } catch (error) {
-    console.error('[Storage] Failed to load bookmarks:', error);
-    userBookmarks = new Map();
+  const redis = await DurableRedis.connect(process.env.REDIS_URL);
+  const store = await RedisUserStore.open(redis, openLegacyUserStore);
+
+  // Changes the file backends journaled but never saved belong in their files before those are imported
+  if (existsSync(SHARED_STATE_JOURNAL)) {
+    journalSharedState(SHARED_STATE_JOURNAL);
+    await reloadSharedState();
   }
+
+  shareState(await RedisState.open(redis, {
+    changed: applyRemoteChanges,
+    resync: reloadSharedState,
+  }));
+
+  return store;
 }
 
 /**
- * Load profiles from file
+ * The user store used before switching to Redis, if it left any data behind
  */
-function loadProfiles(): void {
-  try {
-    if (existsSync(PROFILES_FILE)) {
-      const data = JSON.parse(readFileSync(PROFILES_FILE, 'utf-8'));
-      userProfiles = new Map();
-
-      for (const [userId, profile] of Object.entries(data)) {
-        userProfiles.set(userId, profile as UserProfile);
-      }
+async function openLegacyUserStore(): Promise<UserStore | null> {
+  const { SqliteUserStore, DATABASE_FILE } = await import('./sqliteUserStore');
+  if (existsSync(join(STORAGE_DIR, DATABASE_FILE))) {
+    return new SqliteUserStore(STORAGE_DIR);
+  }
 
-      console.log(`[Storage] Loaded profiles for ${userProfiles.size} users`);
-    }
-  } catch (error) {
-    console.error('[Storage] Failed to load profiles:', error);
-    userProfiles = new Map();
+  if (['votes.json', 'bookmarks.json', 'profiles.json', JOURNAL_FILE].some((file) => existsSync(join(STORAGE_DIR, file)))) {
+    return new JsonUserStore(STORAGE_DIR);
   }
+  return null;
 }
 
 /**
- * Save votes to file
+ * Get user's votes map
  */
-function saveVotes(): void {
-  if (!votesDirty) return;
+export function getUserVotes(userId: string): Promise<Map<string, 'up' | 'down'>> {
+  return userStore.getVotes(userId);
+}
 
-  try {
-    ensureStorageDir();
+/**
+ * Set a user's vote on a post
+ */
+export function setUserVote(userId: string, apId: string, vote: 'up' | 'down' | null): Promise<void> {
+  return userStore.setVote(userId, apId, vote);
+}
 
-    const data: Record<string, Record<number, 'up' | 'down'>> = {};
-    userVotes.forEach((votes, userId) => {
-      data[userId] = {};
-      votes.forEach((vote, postId) => {
-        data[userId][postId] = vote;
-      });
-    });
+/**
+ * Get a user's vote on a specific post
+ */
+export function getUserVote(userId: string, apId: string): Promise<'up' | 'down' | null> {
+  return userStore.getVote(userId, apId);
+}
 
-    writeFileSync(VOTES_FILE, JSON.stringify(data, null, 2));
-    votesDirty = false;
-    console.debug('[Storage] Saved votes to disk');
-  } catch (error) {
-    console.error('[Storage] Failed to save votes:', error);
-  }
+/**
+ * Add a bookmark for a user
+ */
+export function addUserBookmark(userId: string, post: SavedPost): Promise<void> {
+  return userStore.addBookmark(userId, post);
 }
 
 /**
- * Save bookmarks to file
+ * Remove a bookmark for a user
  */
-function saveBookmarks(): void {
-  if (!bookmarksDirty) return;
+export function removeUserBookmark(userId: string, apId: string): Promise<boolean> {
+  return userStore.removeBookmark(userId, apId);
+}
 
-  try {
-    ensureStorageDir();
+/**
+ * Check if a post is bookmarked by a user
+ */
+export function isPostBookmarked(userId: string, apId: string): Promise<boolean> {
+  return userStore.isBookmarked(userId, apId);
+}
 
-    const data: Record<string, Record<number, SavedPost>> = {};
-    userBookmarks.forEach((bookmarks, userId) => {
-      data[userId] = {};
-      bookmarks.forEach((post, postId) => {
-        data[userId][postId] = post;
-      });
-    });
+/**
+ * Get all bookmarked posts for a user, newest first
+ */
+export function getUserBookmarksList(userId: string): Promise<SavedPost[]> {
+  return userStore.getBookmarks(userId);
+}
 
-    writeFileSync(BOOKMARKS_FILE, JSON.stringify(data, null, 2));
-    bookmarksDirty = false;
-    console.debug('[Storage] Saved bookmarks to disk');
-  } catch (error) {
-    console.error('[Storage] Failed to save bookmarks:', error);
-  }
+/**
+ * Get user's profile
+ */
+export function getUserProfile(userId: string): Promise<UserProfile | null> {
+  return userStore.getProfile(userId);
 }
 
 /**
- * Save profiles to file
+ * Set user's profile (partial update)
  */
-function saveProfiles(): void {
-  if (!profilesDirty) return;
+export async function setUserProfile(userId: string, profile: Partial<UserProfile>): Promise<UserProfile> {
+  const existing = await userStore.getProfile(userId) || { bio: '', updatedAt: new Date().toISOString() };
+  const updated: UserProfile = {
+    ...existing,
+    ...profile,
+    updatedAt: new Date().toISOString(),
+  };
+  await userStore.saveProfile(userId, updated);
+  return updated;
+}
 
-  try {
-    ensureStorageDir();
+/**
+ * Get a user's content filters, or null if they never set any
+ */
+export function getUserFilters(userId: string): ContentFilters | null {
+  return userFilters.get(userId) || null;
+}
 
-    const data: Record<string, UserProfile> = {};
-    userProfiles.forEach((profile, userId) => {
-      data[userId] = profile;
-    });
+/**
+ * Update a user's content filters, starting from the given defaults if they have none yet
+ */
+export async function setUserFilters(
+  userId: string,
+  filters: Partial<ContentFilters>,
+  defaults: Omit<ContentFilters, 'updatedAt'>
+): Promise<ContentFilters> {
+  const existing = userFilters.get(userId) || defaults;
+  const updated: ContentFilters = {
+    ...existing,
+    ...filters,
+    updatedAt: new Date().toISOString(),
+  };
+  await userFilters.set(userId, updated);
+  return updated;
+}
 
-    writeFileSync(PROFILES_FILE, JSON.stringify(data, null, 2));
-    profilesDirty = false;
-    console.debug('[Storage] Saved profiles to disk');
-  } catch (error) {
-    console.error('[Storage] Failed to save profiles:', error);
-  }
+/**
+ * Get a user's recent searches, newest first
+ */
+export function getRecentSearches(userId: string): RecentSearch[] {
+  return recentSearches.get(userId) || [];
 }
 
 /**
- * Get user's votes map
+ * Record a search, moving a repeated query back to the top
  */
-export function getUserVotes(userId: string): Map<number, 'up' | 'down'> {
-  if (!userVotes.has(userId)) {
-    userVotes.set(userId, new Map());
-  }
-  return userVotes.get(userId)!;
+export async function addRecentSearch(userId: string, query: string): Promise<void> {
+  const existing = getRecentSearches(userId)
+    .filter((search) => search.query.toLowerCase() !== query.toLowerCase());
+
+  await recentSearches.set(userId, [
+    { query, searchedAt: new Date().toISOString() },
+    ...existing,
+  ].slice(0, MAX_RECENT_SEARCHES));
 }
 
 /**
- * Set a user's vote on a post
+ * Forget a user's recent searches (all of them, or just one query)
  */
-export function setUserVote(userId: string, postId: number, vote: 'up' | 'down' | null): void {
-  const votes = getUserVotes(userId);
+export async function clearRecentSearches(userId: string, query?: string): Promise<void> {
+  const remaining = query === undefined
+    ? []
+    : getRecentSearches(userId).filter((search) => search.query !== query);
 
-  if (vote === null) {
-    votes.delete(postId);
+  if (remaining.length > 0) {
+    await recentSearches.set(userId, remaining);
   } else {
-    votes.set(postId, vote);
+    await recentSearches.delete(userId);
   }
+}
+
+/**
+ * Get the Lemmy account a user has linked, if any
+ */
+export function getLinkedLemmyAccount(userId: string): LinkedLemmyAccount | null {
+  return lemmyAccounts.get(userId) || null;
+}
 
-  votesDirty = true;
+/**
+ * Link (or replace) a user's Lemmy account
+ */
+export function setLinkedLemmyAccount(userId: string, account: LinkedLemmyAccount): Promise<void> {
+  return lemmyAccounts.set(userId, account);
 }
 
 /**
- * Get a user's vote on a specific post
+ * Unlink a user's Lemmy account
  */
-export function getUserVote(userId: string, postId: number): 'up' | 'down' | null {
-  const votes = getUserVotes(userId);
-  return votes.get(postId) || null;
+export function removeLinkedLemmyAccount(userId: string): Promise<boolean> {
+  return lemmyAccounts.delete(userId);
 }
 
 /**
- * Get user's bookmarks map
+ * Record which PreSuite user wrote a Lemmy comment
  */
-export function getUserBookmarks(userId: string): Map<number, SavedPost> {
-  if (!userBookmarks.has(userId)) {
-    userBookmarks.set(userId, new Map());
-  }
-  return userBookmarks.get(userId)!;
+export function setCommentAuthor(commentId: number, record: CommentAuthorship): Promise<void> {
+  return commentAuthors.set(commentId, record);
 }
 
 /**
- * Add a bookmark for a user
+ * Get the authorship record for a Lemmy comment, if it was posted through PreSocial
  */
-export function addUserBookmark(userId: string, post: SavedPost): void {
-  const bookmarks = getUserBookmarks(userId);
-  bookmarks.set(post.id, post);
-  bookmarksDirty = true;
+export function getCommentAuthor(commentId: number): CommentAuthorship | null {
+  return commentAuthors.get(commentId) || null;
 }
 
 /**
- * Remove a bookmark for a user
+ * Get the IDs of a user's comments on a post
  */
-export function removeUserBookmark(userId: string, postId: number): boolean {
-  const bookmarks = getUserBookmarks(userId);
-  const existed = bookmarks.delete(postId);
-  if (existed) {
-    bookmarksDirty = true;
+export function getUserCommentIds(userId: string, postId: number): number[] {
+  const ids: number[] = [];
+  for (const [commentId, record] of commentAuthors) {
+    if (record.userId === userId && record.postId === postId) {
+      ids.push(parseInt(commentId));
+    }
   }
-  return existed;
+  return ids;
 }
 
 /**
- * Check if a post is bookmarked by a user
+ * Add a content report
  */
-export function isPostBookmarked(userId: string, postId: number): boolean {
-  const bookmarks = getUserBookmarks(userId);
-  return bookmarks.has(postId);
+export function addReport(report: ContentReport): Promise<void> {
+  return reports.set(report.id, report);
 }
 
 /**
- * Get all bookmarked posts for a user, sorted by savedAt
+ * Get a content report by ID
  */
-export function getUserBookmarksList(userId: string): SavedPost[] {
-  const bookmarks = getUserBookmarks(userId);
-  const posts: SavedPost[] = [];
-  bookmarks.forEach((post) => posts.push(post));
+export function getReport(reportId: string): ContentReport | null {
+  return reports.get(reportId) || null;
+}
 
-  // Sort by savedAt descending (newest first)
-  posts.sort((a, b) => new Date(b.savedAt).getTime() - new Date(a.savedAt).getTime());
+/**
+ * Get content reports, optionally by status, sorted by createdAt (oldest first, so the queue is FIFO)
+ */
+export function getReports(status?: ReportStatus): ContentReport[] {
+  const list: ContentReport[] = [];
+  for (const report of reports.values()) {
+    if (!status || report.status === status) {
+      list.push(report);
+    }
+  }
 
-  return posts;
+  list.sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime());
+
+  return list;
 }
 
 /**
- * Get user's profile
+ * Check if a user already has an open report on a post or comment
  */
-export function getUserProfile(userId: string): UserProfile | null {
-  return userProfiles.get(userId) || null;
+export function hasOpenReport(reporterId: string, targetType: 'post' | 'comment', targetId: number): boolean {
+  for (const report of reports.values()) {
+    if (
+      report.status === 'open' &&
+      report.reporterId === reporterId &&
+      report.targetType === targetType &&
+      report.targetId === targetId
+    ) {
+      return true;
+    }
+  }
+  return false;
 }
 
 /**
- * Set user's profile (partial update)
+ * Close a content report as resolved (action taken) or dismissed
  */
-export function setUserProfile(userId: string, profile: Partial<UserProfile>): UserProfile {
-  const existing = userProfiles.get(userId) || { bio: '', updatedAt: new Date().toISOString() };
-  const updated: UserProfile = {
-    ...existing,
-    ...profile,
-    updatedAt: new Date().toISOString(),
+export async function resolveReport(
+  reportId: string,
+  status: Exclude<ReportStatus, 'open'>,
+  resolvedBy: string,
+  note?: string
+): Promise<ContentReport | null> {
+  const report = reports.get(reportId);
+  if (!report) return null;
+
+  const updated: ContentReport = {
+    ...report,
+    status,
+    resolvedBy,
+    resolvedAt: new Date().toISOString(),
+    resolutionNote: note,
   };
-  userProfiles.set(userId, updated);
-  profilesDirty = true;
+  await reports.set(reportId, updated);
   return updated;
 }
 
 /**
- * Get user's activity stats (votes and bookmarks count)
+ * Hide a post from PreSocial listings
+ */
+export function hidePost(entry: HiddenPost): Promise<void> {
+  return hiddenPosts.set(entry.postId, entry);
+}
+
+/**
+ * Show a hidden post again
  */
-export function getUserStats(userId: string): UserStats {
-  const votes = userVotes.get(userId);
-  const bookmarks = userBookmarks.get(userId);
+export function unhidePost(postId: number): Promise<boolean> {
+  return hiddenPosts.delete(postId);
+}
 
-  return {
-    votesCount: votes ? votes.size : 0,
-    bookmarksCount: bookmarks ? bookmarks.size : 0,
-  };
+/**
+ * Check if a post is hidden, by its ActivityPub ID so copies from any instance match
+ */
+export function isPostHidden(apId: string): boolean {
+  for (const entry of hiddenPosts.values()) {
+    if (entry.apId === apId) return true;
+  }
+  return false;
+}
+
+/**
+ * Get hidden posts, most recently hidden first
+ */
+export function getHiddenPosts(): HiddenPost[] {
+  return Array.from(hiddenPosts.values())
+    .sort((a, b) => new Date(b.hiddenAt).getTime() - new Date(a.hiddenAt).getTime());
+}
+
+/**
+ * Hide a community (and all its posts) from PreSocial listings
+ */
+export function hideCommunity(entry: HiddenCommunity): Promise<void> {
+  return hiddenCommunities.set(entry.handle.toLowerCase(), { ...entry, handle: entry.handle.toLowerCase() });
+}
+
+/**
+ * Show a hidden community again
+ */
+export function unhideCommunity(handle: string): Promise<boolean> {
+  return hiddenCommunities.delete(handle.toLowerCase());
+}
+
+/**
+ * Check if a community is hidden by its name@host handle
+ */
+export function isCommunityHidden(handle: string): boolean {
+  return hiddenCommunities.has(handle.toLowerCase());
+}
+
+/**
+ * Get hidden communities, most recently hidden first
+ */
+export function getHiddenCommunities(): HiddenCommunity[] {
+  return Array.from(hiddenCommunities.values())
+    .sort((a, b) => new Date(b.hiddenAt).getTime() - new Date(a.hiddenAt).getTime());
+}
+
+/**
+ * Ban a PreSuite user from commenting and posting through PreSocial
+ */
+export function banUser(ban: UserBan): Promise<void> {
+  return userBans.set(ban.userId, ban);
+}
+
+/**
+ * Lift a user's ban
+ */
+export function unbanUser(userId: string): Promise<boolean> {
+  return userBans.delete(userId);
+}
+
+/**
+ * Get a user's ban, if any
+ */
+export function getUserBan(userId: string): UserBan | null {
+  return userBans.get(userId) || null;
+}
+
+/**
+ * Get banned users, most recently banned first
+ */
+export function getBannedUsers(): UserBan[] {
+  return Array.from(userBans.values())
+    .sort((a, b) => new Date(b.bannedAt).getTime() - new Date(a.bannedAt).getTime());
+}
+
+/**
+ * Record the current score and comment count of posts, keyed by ActivityPub ID
+ * so the same post seen on several instances forms one series
+ */
+export async function recordPostSnapshots(
+  posts: SocialPost[],
+  at = Date.now(),
+  listing: SnapshotListing = 'main'
+): Promise<void> {
+  const changes = new Map<string, PostSeries | null>();
+
+  for (const post of posts) {
+    const key = post.apId || `${post.instance}:${post.id}`;
+    const series = changes.get(key) || postSnapshots.get(key);
+    const sample: PostSample = [at, post.score, post.commentCount];
+    const mainListingAt = listing === 'main' ? at : series?.mainListingAt;
+
+    if (!series) {
+      changes.set(key, { post, samples: [sample], ...(mainListingAt !== undefined && { mainListingAt }) });
+      continue;
+    }
+
+    // One sample per snapshot, even when a post shows up in several listings
+    const samples = series.samples.slice();
+    if (samples[samples.length - 1][0] === at) {
+      samples[samples.length - 1] = sample;
+    } else {
+      samples.push(sample);
+    }
+    changes.set(key, { post, samples, ...(mainListingAt !== undefined && { mainListingAt }) });
+  }
+
+  prunePostSnapshots(at, changes);
+  await postSnapshots.update(changes);
+}
+
+/**
+ * Drop posts not seen within the retention period and thin out samples older than a day,
+ * adding what changes to `changes`
+ */
+function prunePostSnapshots(now: number, changes: Map<string, PostSeries | null>): void {
+  const kept: [string, number][] = [];
+
+  for (const key of new Set([...postSnapshots.keys(), ...changes.keys()])) {
+    const series = changes.has(key) ? changes.get(key)! : postSnapshots.get(key)!;
+    const lastSeen = series.samples[series.samples.length - 1][0];
+    if (lastSeen < now - SNAPSHOT_RETENTION) {
+      changes.set(key, null);
+      continue;
+    }
+
+    // Keep the first sample of each hour outside the full resolution window
+    let lastKept = -Infinity;
+    const samples = series.samples.filter(([at]) => {
+      if (at >= now - FULL_RESOLUTION_WINDOW) return true;
+      if (at - lastKept < THINNED_SAMPLE_INTERVAL) return false;
+      lastKept = at;
+      return true;
+    });
+    if (samples.length < series.samples.length) {
+      changes.set(key, { ...series, samples });
+    }
+    kept.push([key, lastSeen]);
+  }
+
+  // Then the least recently seen posts beyond the cap
+  kept.sort((a, b) => b[1] - a[1]);
+  kept.slice(MAX_TRACKED_POSTS).forEach(([key]) => changes.set(key, null));
+}
+
+/**
+ * Get the snapshot series of every tracked post
+ */
+export function getPostSeries(): PostSeries[] {
+  return Array.from(postSnapshots.values());
+}
+
+/**
+ * Get user's activity stats (votes and bookmarks count)
+ */
+export function getUserStats(userId: string): Promise<UserStats> {
+  return userStore.getUserStats(userId);
 }
 
 /**
  * Get storage statistics
  */
-export function getStorageStats(): { users: number; totalVotes: number; totalBookmarks: number } {
-  let totalVotes = 0;
-  let totalBookmarks = 0;
+export async function getStorageStats(): Promise<StorageStats> {
+  const userStats = await userStore.getStats();
 
-  userVotes.forEach((votes) => {
-    totalVotes += votes.size;
-  });
+  let openReports = 0;
+  for (const report of reports.values()) {
+    if (report.status === 'open') openReports++;
+  }
 
-  userBookmarks.forEach((bookmarks) => {
-    totalBookmarks += bookmarks.size;
-  });
+  // Size of the data files as last saved
+  let diskBytes = 0;
+  for (const file of [...userStore.files, ...sharedStateFiles()]) {
+    if (existsSync(file)) {
+      diskBytes += statSync(file).size;
+    }
+  }
 
   return {
-    users: Math.max(userVotes.size, userBookmarks.size),
-    totalVotes,
-    totalBookmarks,
+    backend: userStore.backend,
+    ...userStats,
+    linkedAccounts: lemmyAccounts.size,
+    trackedComments: commentAuthors.size,
+    openReports,
+    totalReports: reports.size,
+    hiddenPosts: hiddenPosts.size,
+    hiddenCommunities: hiddenCommunities.size,
+    bannedUsers: userBans.size,
+    trackedPosts: postSnapshots.size,
+    diskBytes,
   };
 }
 
 /**
- * Initialize storage - load data from files
+ * Initialize storage - open the user store and load the shared collections
  */
-export function initStorage(): void {
+export async function initStorage(): Promise<void> {
   console.log('[Storage] Initializing persistent storage...');
-  ensureStorageDir();
-  loadVotes();
-  loadBookmarks();
-  loadProfiles();
+  userStore = await openUserStore();
+  if (userStore.backend !== 'redis') {
+    journalSharedState(SHARED_STATE_JOURNAL);
+  }
+  await reloadSharedState();
 
   // Setup auto-save interval
   setInterval(() => {
-    saveVotes();
-    saveBookmarks();
-    saveProfiles();
+    userStore.flush();
+    saveSharedState();
   }, AUTO_SAVE_INTERVAL);
 
   // Save on process exit
-  process.on('SIGINT', () => {
-    console.log('[Storage] Saving data before exit...');
-    saveVotes();
-    saveBookmarks();
-    saveProfiles();
-    process.exit(0);
-  });
-
-  process.on('SIGTERM', () => {
+  const saveAndExit = () => {
     console.log('[Storage] Saving data before exit...');
-    saveVotes();
-    saveBookmarks();
-    saveProfiles();
+    userStore.close();
+    saveSharedState();
+    closeSharedState();
     process.exit(0);
-  });
+  };
+  process.on('SIGINT', saveAndExit);
+  process.on('SIGTERM', saveAndExit);
 
-  console.log('[Storage] Persistent storage initialized');
+  console.log(`[Storage] Persistent storage initialized (${userStore.backend} backend)`);
 }
 
 /**
  * Force save all data to disk
  */
 export function flushStorage(): void {
-  votesDirty = true;
-  bookmarksDirty = true;
-  profilesDirty = true;
-  saveVotes();
-  saveBookmarks();
-  saveProfiles();
+  userStore.flush(true);
+  saveSharedState(true);
 }
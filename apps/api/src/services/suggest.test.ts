@@ -0,0 +1,44 @@
+import { describe, expect, test } from 'bun:test';
+import { getKnownCommunity, recordPopularQuery, rememberCommunities, suggestPopularQueries } from './suggest';
+import type { SocialCommunity } from '../types';
+
+function community(name: string, subscribers: number): SocialCommunity {
+  return {
+    id: 1,
+    name,
+    handle: `${name}@lemmy.test`,
+    title: name,
+    subscribers,
+    posts: 0,
+    url: `https://lemmy.test/c/${name}`,
+    nsfw: false,
+  };
+}
+
+describe('popular queries', () => {
+  test('are only suggested once enough different people searched them', async () => {
+    await recordPopularQuery('Solar Panels', 'alice');
+    await recordPopularQuery('solar  panels', 'alice');
+    await recordPopularQuery('solar panels', 'bob');
+    expect(suggestPopularQueries('sol')).toEqual([]);
+
+    await recordPopularQuery('solar panels', '203.0.113.7');
+    expect(suggestPopularQueries('sol')).toEqual(['solar panels']);
+  });
+
+  test('never include queries with operators', async () => {
+    for (const searcher of ['alice', 'bob', 'carol']) {
+      await recordPopularQuery('wind author:alice', searcher);
+    }
+    expect(suggestPopularQueries('wind')).toEqual([]);
+  });
+});
+
+describe('rememberCommunities', () => {
+  test('keeps the latest details of each community', async () => {
+    await rememberCommunities([community('gardening', 10)]);
+    await rememberCommunities([community('gardening', 25)]);
+
+    expect(getKnownCommunity('Gardening@lemmy.test')?.subscribers).toBe(25);
+  });
+});
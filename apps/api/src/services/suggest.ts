@@ -0,0 +1,266 @@
+// PreSocial Search Suggestions
+// Community matches from the cached community lists and anonymously aggregated popular queries.
+// Both are shared collections, so every API replica suggests the same and counts each searcher once
+
+import { createHash, randomBytes } from 'crypto';
+import { cacheGet, cacheGetStale, cacheSetWithStale, CACHE_TTL } from './cache';
+import { lemmyService } from './lemmy';
+import { SharedMap, holdsLock } from './sharedState';
+import type { SocialCommunity } from '../types';
+
+const HOUR = 60 * 60 * 1000;
+
+// Cache key for the community list suggestions are seeded from
+const TOP_COMMUNITIES_KEY = 'communities:top';
+const TOP_COMMUNITIES_LIMIT = 50;
+const MAX_KNOWN_COMMUNITIES = 5000;
+
+// Unchanged communities are only marked as seen again hourly, so repeated searches don't each cause a write
+const SEEN_RENEWAL = HOUR;
+
+// A query is only suggested to others once this many different people searched it,
+// so nobody's one-off searches (names, addresses) leak into suggestions
+const MIN_DISTINCT_SEARCHERS = parseInt(process.env.SUGGEST_MIN_SEARCHERS || '3');
+const POPULAR_WINDOW = 7 * 24 * 60 * 60 * 1000;
+const MAX_TRACKED_QUERIES = 10000;
+const MAX_QUERY_LENGTH = 100;
+
+// Searchers counted per query; past this, popular queries tie and the most recent comes first
+const MAX_COUNTED_SEARCHERS = 1000;
+
+// The replica rotating the searcher salt holds this lock
+const SALT_LOCK = 'searcher-salt';
+
+interface KnownCommunity {
+  community: SocialCommunity;
+  seenAt: number;
+}
+
+interface QueryStats {
+  query: string;
+  searchers: string[];      // Salted hashes, never raw user IDs or IPs
+  earlierSearchers: number; // Distinct searchers under the previous salt
+  lastSearched: number;
+}
+
+interface SearcherSalt {
+  salt: string;
+  since: number;
+}
+
+// Communities seen in cached lists and search results, by lowercased handle
+const knownCommunities = new SharedMap<KnownCommunity>('known_communities', { label: 'known communities' });
+let seeding: Promise<void> | null = null;
+
+const popularQueries = new SharedMap<QueryStats>('popular_queries', { label: 'popular queries' });
+
+// Hashes under different salts can't be compared, so a salt lasts a whole popular window.
+// On rotation only the counts are kept, so searcher hashes can't be linked across windows.
+// Every replica hashes with the same salt, or someone searching on two of them would count twice
+const searcherSalt = new SharedMap<SearcherSalt>('searcher_salt', { label: 'searcher salt' });
+
+/**
+ * The salt to hash searchers with, rotated once it has lasted a popular window
+ * Only the replica holding the lock rotates it; the others keep using the old one meanwhile.
+ * Null only while another replica is creating the first one.
+ */
+async function currentSalt(): Promise<string | null> {
+  const isCurrent = (salt?: SearcherSalt) => !!salt && salt.since > Date.now() - POPULAR_WINDOW;
+
+  const salt = searcherSalt.get('current');
+  if (salt && isCurrent(salt)) return salt.salt;
+  if (!await holdsLock(SALT_LOCK, HOUR)) return salt?.salt ?? null;
+
+  // Another replica may have rotated it before this one took the lock
+  const latest = searcherSalt.get('current');
+  if (latest && isCurrent(latest)) return latest.salt;
+
+  return rotateSearcherSalt();
+}
+
+/**
+ * Switch to a new salt, keeping only how many searched each query under the old one
+ * The salt changes first, so no hash under the old salt is added to the new counts.
+ */
+async function rotateSearcherSalt(): Promise<string> {
+  const salt = randomBytes(16).toString('hex');
+  await searcherSalt.set('current', { salt, since: Date.now() });
+
+  const changes = new Map<string, QueryStats>();
+  for (const [key, stats] of popularQueries) {
+    changes.set(key, { ...stats, earlierSearchers: stats.searchers.length, searchers: [] });
+  }
+  await popularQueries.update(changes);
+
+  return salt;
+}
+
+/**
+ * How many different people searched a query, without counting anyone twice
+ * Someone who searched under both salts has two hashes, so the two counts can't be added.
+ */
+function distinctSearchers(stats: QueryStats): number {
+  return Math.max(stats.searchers.length, stats.earlierSearchers);
+}
+
+/**
+ * Add communities from a community list or search response to the suggestion index
+ */
+export async function rememberCommunities(communities: SocialCommunity[]): Promise<void> {
+  const now = Date.now();
+  const changes = new Map<string, KnownCommunity>();
+
+  for (const community of communities) {
+    const key = (community.handle || community.name).toLowerCase();
+    const known = knownCommunities.get(key);
+
+    if (known && known.seenAt > now - SEEN_RENEWAL && JSON.stringify(known.community) === JSON.stringify(community)) {
+      continue;
+    }
+    changes.set(key, { community, seenAt: now });
+  }
+  await knownCommunities.update(changes);
+
+  // Least recently seen first
+  const excess = Array.from(knownCommunities)
+    .sort((a, b) => a[1].seenAt - b[1].seenAt)
+    .slice(0, Math.max(0, knownCommunities.size - MAX_KNOWN_COMMUNITIES));
+  await knownCommunities.update(new Map(excess.map(([key]) => [key, null])));
+}
+
+/**
+ * Look up a community seen in a cached list or search response by its handle
+ */
+export function getKnownCommunity(handle: string): SocialCommunity | undefined {
+  return knownCommunities.get(handle.toLowerCase())?.community;
+}
+
+/**
+ * Seed the index from the cached top communities list
+ * On a cold cache the list is fetched in the background, so suggestions never wait on Lemmy.
+ */
+async function seedCommunities(): Promise<void> {
+  const cached = await cacheGet<{ communities: SocialCommunity[] }>(TOP_COMMUNITIES_KEY)
+    || await cacheGetStale<{ communities: SocialCommunity[] }>(TOP_COMMUNITIES_KEY);
+
+  if (cached) {
+    await rememberCommunities(cached.communities);
+    return;
+  }
+
+  seeding ??= lemmyService.listCommunities(undefined, TOP_COMMUNITIES_LIMIT)
+    .then(async (communities) => {
+      await rememberCommunities(communities);
+      await cacheSetWithStale(TOP_COMMUNITIES_KEY, { communities }, CACHE_TTL.COMMUNITIES);
+    })
+    .catch((error) => console.error('[Suggest] Failed to load top communities:', error))
+    .finally(() => {
+      seeding = null;
+    });
+}
+
+/**
+ * Find communities whose name or title starts with the query (or has a word that does)
+ * Ranked by subscribers.
+ */
+export async function suggestCommunities(query: string, limit = 5): Promise<SocialCommunity[]> {
+  if (knownCommunities.size < TOP_COMMUNITIES_LIMIT) {
+    await seedCommunities();
+  }
+
+  const prefix = query.trim().toLowerCase();
+  if (!prefix) return [];
+
+  const matches = (text: string | undefined) =>
+    !!text && text.toLowerCase().split(/[^\p{L}\p{N}_]+/u).some((word) => word.startsWith(prefix));
+
+  return Array.from(knownCommunities.values(), (known) => known.community)
+    .filter((community) =>
+      community.name.toLowerCase().startsWith(prefix)
+      || matches(community.title)
+      || (community.handle || '').toLowerCase().startsWith(prefix))
+    .sort((a, b) => b.subscribers - a.subscribers)
+    .slice(0, limit);
+}
+
+/**
+ * Normalise a query for aggregation, or null if it shouldn't be aggregated
+ * Queries with operators are personal (author:, date ranges) and never shared.
+ */
+function normaliseQuery(query: string): string | null {
+  const normalised = query.trim().replace(/\s+/g, ' ').toLowerCase();
+
+  if (!normalised || normalised.length > MAX_QUERY_LENGTH || /(^|\s)[a-z]+:\S/.test(normalised)) {
+    return null;
+  }
+  return normalised;
+}
+
+/**
+ * Count a search towards popular queries
+ * `searcher` identifies who searched (user ID or IP) and is only kept as a salted hash.
+ * Replicas counting the same query at once may each miss the other's searcher, which can only
+ * undercount, never suggest a query too early.
+ */
+export async function recordPopularQuery(query: string, searcher: string): Promise<void> {
+  const normalised = normaliseQuery(query);
+  if (!normalised) return;
+
+  const salt = await currentSalt();
+  if (!salt) return;
+
+  const hash = createHash('sha256').update(`${salt}:${searcher}`).digest('hex').slice(0, 16);
+  const now = Date.now();
+  const stats = popularQueries.get(normalised);
+  const counted = !!stats && (stats.searchers.includes(hash) || stats.searchers.length >= MAX_COUNTED_SEARCHERS);
+
+  // A search that adds no searcher only refreshes when the query was last searched, at most hourly
+  if (stats && counted && stats.lastSearched > now - HOUR) return;
+
+  await popularQueries.set(normalised, {
+    query: normalised,
+    searchers: stats && counted ? stats.searchers : [...(stats?.searchers || []), hash],
+    earlierSearchers: stats?.earlierSearchers || 0,
+    lastSearched: now,
+  });
+
+  if (popularQueries.size > MAX_TRACKED_QUERIES) {
+    await prunePopularQueries();
+  }
+}
+
+/**
+ * Drop queries not searched within the window, then the least recent ones if still over the cap
+ */
+async function prunePopularQueries(): Promise<void> {
+  const cutoff = Date.now() - POPULAR_WINDOW;
+  const entries = Array.from(popularQueries);
+  const stale = entries.filter(([, stats]) => stats.lastSearched < cutoff).map(([key]) => key);
+  const recent = entries.filter(([, stats]) => stats.lastSearched >= cutoff);
+
+  // Least recently searched first
+  const excess = recent
+    .sort((a, b) => a[1].lastSearched - b[1].lastSearched)
+    .slice(0, Math.max(0, recent.length - MAX_TRACKED_QUERIES))
+    .map(([key]) => key);
+
+  await popularQueries.update(new Map([...stale, ...excess].map((key) => [key, null])));
+}
+
+/**
+ * Popular queries starting with the prefix (or the most popular overall, without one)
+ */
+export function suggestPopularQueries(prefix: string, limit = 5): string[] {
+  const normalised = prefix.trim().replace(/\s+/g, ' ').toLowerCase();
+  const cutoff = Date.now() - POPULAR_WINDOW;
+
+  return Array.from(popularQueries.values())
+    .filter((stats) =>
+      distinctSearchers(stats) >= MIN_DISTINCT_SEARCHERS
+      && stats.lastSearched >= cutoff
+      && stats.query !== normalised
+      && stats.query.startsWith(normalised))
+    .sort((a, b) => distinctSearchers(b) - distinctSearchers(a) || b.lastSearched - a.lastSearched)
+    .slice(0, limit)
+    .map((stats) => stats.query);
+}
@@ -0,0 +1,107 @@
+import { describe, expect, test } from 'bun:test';
+import { computeTrending } from './trending';
+import { recordPostSnapshots, type SnapshotListing } from './storage';
+import type { SocialPost } from '../types';
+
+const MINUTE = 60 * 1000;
+
+function post(id: number, community: string, overrides: Partial<SocialPost> = {}): SocialPost {
+  return {
+    id,
+    title: `post ${id}`,
+    url: `/post/${id}`,
+    apId: `https://lemmy.test/post/${community}/${id}`,
+    instance: 'lemmy.test',
+    score: 0,
+    upvotes: 0,
+    downvotes: 0,
+    commentCount: 0,
+    community,
+    communityHandle: `${community}@lemmy.test`,
+    communityId: 1,
+    author: 'author',
+    authorHandle: 'author@lemmy.test',
+    timestamp: '2020-01-01T00:00:00Z',
+    nsfw: false,
+    ...overrides,
+  };
+}
+
+/**
+ * Record a post's score and comment count at each of `[minutes ago, score, comments]`
+ */
+async function record(
+  base: SocialPost,
+  samples: [number, number, number][],
+  listing: SnapshotListing = 'main'
+): Promise<void> {
+  const now = Date.now();
+  for (const [minutesAgo, score, commentCount] of samples) {
+    await recordPostSnapshots([{ ...base, score, commentCount }], now - minutesAgo * MINUTE, listing);
+  }
+}
+
+describe('computeTrending', () => {
+  test('returns null until something can be measured', async () => {
+    expect(computeTrending('1h', 'nothing@lemmy.test')).toBeNull();
+
+    // Five minutes of samples is too short to measure
+    await record(post(1, 'short'), [[6, 0, 0], [1, 50, 0]]);
+    expect(computeTrending('1h', 'short@lemmy.test')).toBeNull();
+  });
+
+  test('ranks posts by engagement gained per hour', async () => {
+    await record(post(1, 'rank'), [[61, 0, 0], [1, 100, 0]]);
+    await record(post(2, 'rank'), [[61, 0, 0], [1, 10, 10]]);
+    await record(post(3, 'rank'), [[61, 5, 1], [1, 5, 1]]);
+
+    const trending = computeTrending('1h', 'RANK@lemmy.test')!;
+    expect(trending.map((p) => p.id)).toEqual([1, 2]);
+    expect(trending[0].velocity).toEqual({ score: 100, comments: 0 });
+    expect(trending[1].velocity).toEqual({ score: 10, comments: 10 });
+  });
+
+  test('measures growth from the start of the window', async () => {
+    await record(post(1, 'window'), [[181, 0, 0], [61, 30, 0], [1, 90, 0]]);
+
+    expect(computeTrending('1h', 'window@lemmy.test')![0].velocity!.score).toBe(60);
+    expect(computeTrending('24h', 'window@lemmy.test')![0].velocity!.score).toBe(30);
+  });
+
+  test('measures posts published within the window from zero', async () => {
+    const published = new Date(Date.now() - 31 * MINUTE).toISOString();
+    await record(post(1, 'fresh', { timestamp: published }), [[21, 40, 0], [1, 60, 0]]);
+
+    // 60 points in the 30 minutes since publication, not 20 in the 20 minutes sampled
+    expect(computeTrending('1h', 'fresh@lemmy.test')![0].velocity!.score).toBe(120);
+  });
+
+  test('drops posts that are no longer snapshotted', async () => {
+    await record(post(1, 'stale'), [[120, 0, 0], [60, 100, 0]]);
+    expect(computeTrending('24h', 'stale@lemmy.test')).toBeNull();
+  });
+
+  test('tells rising from falling and steady growth', async () => {
+    await record(post(1, 'direction'), [[61, 0, 0], [31, 10, 0], [1, 100, 0]]);
+    await record(post(2, 'direction'), [[61, 0, 0], [31, 90, 0], [1, 100, 0]]);
+    await record(post(3, 'direction'), [[61, 0, 0], [31, 50, 0], [1, 100, 0]]);
+    await record(post(4, 'direction'), [[61, 0, 0], [1, 100, 0]]);
+
+    const directions = Object.fromEntries(
+      computeTrending('1h', 'direction@lemmy.test')!.map((p) => [p.id, p.direction])
+    );
+    expect(directions).toEqual({ 1: 'rising', 2: 'falling', 3: 'steady', 4: 'steady' });
+  });
+
+  test('ranks posts only seen in a watched community for that community, not globally', async () => {
+    await record(post(1, 'watched'), [[61, 0, 0], [1, 5000, 0]], 'community');
+    await record(post(2, 'watched'), [[61, 0, 0], [31, 10, 0]], 'community');
+    await record(post(2, 'watched'), [[1, 20, 0]], 'main');
+
+    expect(computeTrending('1h', 'watched@lemmy.test')!.map((p) => p.id)).toEqual([1, 2]);
+
+    const global = computeTrending('1h')!.map((p) => p.apId);
+    expect(global).not.toContain(post(1, 'watched').apId);
+    expect(global).toContain(post(2, 'watched').apId);
+  });
+});
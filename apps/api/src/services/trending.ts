@@ -0,0 +1,236 @@
+// PreSocial Trending Engine
+// Snapshots post scores and comment counts on an interval and ranks posts by how fast they grow,
+// instead of relying on Lemmy's Hot sort. With several API replicas only one takes the snapshots
+
+import { lemmyService } from './lemmy';
+import { lemmyPool } from './lemmyPool';
+import { SharedMap, holdsLock } from './sharedState';
+import { recordPostSnapshots, getPostSeries, type PostSample, type PostSeries } from './storage';
+import type { FeedSort, TrendDirection, TrendingPost, TrendingWindow } from '../types';
+
+const HOUR = 60 * 60 * 1000;
+
+// Configuration
+const SNAPSHOT_INTERVAL = parseInt(process.env.TRENDING_SNAPSHOT_INTERVAL || String(15 * 60 * 1000));
+const SNAPSHOT_LIMIT = 50;
+const SNAPSHOT_SORTS: FeedSort[] = ['Hot', 'Active'];
+
+// Communities someone asked for trending in get snapshotted too, until nobody has for a day.
+// How recently they were asked for is only updated hourly, so popular ones don't cause a write each time
+const MAX_WATCHED_COMMUNITIES = 50;
+const WATCH_DURATION = 24 * HOUR;
+const WATCH_RENEWAL = HOUR;
+
+// The replica taking snapshots holds this lock; another takes over if it stops renewing it
+const SNAPSHOT_LOCK = 'trending-snapshots';
+
+export const TRENDING_WINDOWS: Record<TrendingWindow, number> = {
+  '1h': HOUR,
+  '24h': 24 * HOUR,
+  '7d': 7 * 24 * HOUR,
+};
+
+// A comment counts as much as this many points
+const COMMENT_WEIGHT = 3;
+
+// Velocities over shorter spans are mostly noise
+const MIN_SPAN = 10 * 60 * 1000;
+
+// Second-half growth must differ from first-half growth by this much to count as rising or falling
+const DIRECTION_THRESHOLD = 0.2;
+
+// When each community was last asked for, by lowercased handle
+const watchedCommunities = new SharedMap<number>('watched_communities', { label: 'watched communities' });
+let snapshotting = false;
+
+/**
+ * Include a community in future snapshots, so its trending list fills up
+ * Only communities Lemmy knows are watched, so made-up names can't push real ones out.
+ */
+export async function watchCommunity(handle: string): Promise<void> {
+  const key = handle.toLowerCase();
+  const now = Date.now();
+  const watchedAt = watchedCommunities.get(key);
+  if (watchedAt && watchedAt > now - WATCH_RENEWAL) return;
+
+  if (!watchedAt) {
+    const details = await lemmyService.getCommunity(handle).catch((error) => {
+      console.error(`[Trending] Failed to look up ${handle}:`, error);
+      return null;
+    });
+    if (!details) return;
+  }
+
+  await watchedCommunities.set(key, now);
+
+  // Least recently asked for first
+  const excess = Array.from(watchedCommunities)
+    .sort((a, b) => a[1] - b[1])
+    .slice(0, Math.max(0, watchedCommunities.size - MAX_WATCHED_COMMUNITIES));
+  await watchedCommunities.update(new Map(excess.map(([watched]) => [watched, null])));
+}
+
+/**
+ * Record the current scores of the posts in the main listings and watched communities
+ */
+export async function takeSnapshot(): Promise<void> {
+  if (snapshotting) return;
+  snapshotting = true;
+
+  const at = Date.now();
+
+  try {
+    if (!await holdsLock(SNAPSHOT_LOCK, SNAPSHOT_INTERVAL * 2)) return;
+
+    const lists = await Promise.allSettled(SNAPSHOT_SORTS.map((sort) =>
+      lemmyPool.getPosts({ sort, type: 'All', limit: SNAPSHOT_LIMIT })
+    ));
+
+    // One community at a time, so a snapshot never floods the primary instance
+    for (const [handle, watchedAt] of Array.from(watchedCommunities)) {
+      if (watchedAt < at - WATCH_DURATION) {
+        await watchedCommunities.delete(handle);
+        continue;
+      }
+      try {
+        const { posts } = await lemmyService.getPosts({ sort: 'Hot', communityName: handle, limit: SNAPSHOT_LIMIT });
+        await recordPostSnapshots(posts, at, 'community');
+      } catch (error) {
+        console.error(`[Trending] Failed to snapshot ${handle}:`, error);
+      }
+    }
+
+    for (const list of lists) {
+      if (list.status === 'fulfilled') {
+        await recordPostSnapshots(list.value, at, 'main');
+      } else {
+        console.error('[Trending] Failed to snapshot listing:', list.reason);
+      }
+    }
+  } finally {
+    snapshotting = false;
+  }
+}
+
+/**
+ * Start taking snapshots on an interval
+ */
+export function initTrending(): void {
+  const snapshot = () => {
+    takeSnapshot().catch((error) => console.error('[Trending] Snapshot failed:', error));
+  };
+
+  snapshot();
+  setInterval(snapshot, SNAPSHOT_INTERVAL).unref();
+}
+
+/**
+ * When the latest snapshot was taken (0 before the first one), by whichever replica took it
+ */
+export function getLastSnapshotAt(): number {
+  let latest = 0;
+  for (const series of getPostSeries()) {
+    latest = Math.max(latest, series.samples[series.samples.length - 1][0]);
+  }
+  return latest;
+}
+
+function engagement(sample: PostSample): number {
+  return sample[1] + sample[2] * COMMENT_WEIGHT;
+}
+
+/**
+ * Engagement gained per hour between two samples
+ */
+function rate(from: PostSample, to: PostSample): number {
+  return (engagement(to) - engagement(from)) / ((to[0] - from[0]) / HOUR);
+}
+
+/**
+ * Compare growth in the first and second half of the span
+ */
+function trendDirection(samples: PostSample[], baseline: PostSample, latest: PostSample): TrendDirection {
+  const middle = baseline[0] + (latest[0] - baseline[0]) / 2;
+  const inner = samples.filter(([at]) => at > baseline[0] + MIN_SPAN / 2 && at < latest[0] - MIN_SPAN / 2);
+  if (inner.length === 0) return 'steady';
+
+  const mid = inner.reduce((best, sample) =>
+    Math.abs(sample[0] - middle) < Math.abs(best[0] - middle) ? sample : best);
+  const before = rate(baseline, mid);
+  const after = rate(mid, latest);
+
+  // Counts are whole numbers, so a vote and a comment more or less in a short half is noise, not a trend
+  const shortestHalf = Math.min(mid[0] - baseline[0], latest[0] - mid[0]) / HOUR;
+  const margin = Math.max(Math.abs(before) * DIRECTION_THRESHOLD, (1 + COMMENT_WEIGHT) / shortestHalf);
+
+  if (after > before + margin) return 'rising';
+  if (after < before - margin) return 'falling';
+  return 'steady';
+}
+
+/**
+ * Velocity of one post over the window, or null without enough recent data
+ */
+function postVelocity(series: PostSeries, windowStart: number, now: number): TrendingPost | null {
+  const { samples, post } = series;
+  const latest = samples[samples.length - 1];
+
+  // Posts that dropped out of the snapshotted listings have stopped being measured
+  if (latest[0] < now - 2 * SNAPSHOT_INTERVAL) return null;
+
+  // Growth since the window started, or since publication for newer posts
+  const published = new Date(post.timestamp).getTime();
+  const before = samples.filter(([at]) => at <= windowStart);
+  let baseline: PostSample = before.length > 0 ? before[before.length - 1] : samples[0];
+  if (published > windowStart && published < baseline[0]) {
+    baseline = [published, 0, 0];
+  }
+
+  if (latest[0] - baseline[0] < MIN_SPAN) return null;
+
+  const hours = (latest[0] - baseline[0]) / HOUR;
+  const inWindow = samples.filter(([at]) => at >= baseline[0]);
+
+  return {
+    ...post,
+    velocity: {
+      score: Math.round(((latest[1] - baseline[1]) / hours) * 10) / 10,
+      comments: Math.round(((latest[2] - baseline[2]) / hours) * 10) / 10,
+    },
+    direction: trendDirection(inWindow, baseline, latest),
+  };
+}
+
+/**
+ * Whether a post is in the main listings, not only tracked because its community is watched
+ */
+function inMainListings(series: PostSeries, now: number): boolean {
+  return series.mainListingAt !== undefined && series.mainListingAt >= now - 2 * SNAPSHOT_INTERVAL;
+}
+
+/**
+ * Rank tracked posts by engagement velocity over a window, optionally within one community
+ * Without a community only posts from the main listings are ranked, so what people look up
+ * per community doesn't show up in the global list.
+ * Returns null until the snapshots cover enough time to measure anything.
+ */
+export function computeTrending(window: TrendingWindow, community?: string): TrendingPost[] | null {
+  const now = Date.now();
+  const windowStart = now - TRENDING_WINDOWS[window];
+  const handle = community?.toLowerCase();
+
+  const measured = getPostSeries()
+    .filter((series) => handle
+      ? series.post.communityHandle.toLowerCase() === handle
+      : inMainListings(series, now))
+    .map((series) => postVelocity(series, windowStart, now))
+    .filter((post): post is TrendingPost => post !== null);
+
+  if (measured.length === 0) return null;
+
+  const score = (post: TrendingPost) => post.velocity!.score + post.velocity!.comments * COMMENT_WEIGHT;
+
+  return measured
+    .filter((post) => score(post) > 0)
+    .sort((a, b) => score(b) - score(a));
+}
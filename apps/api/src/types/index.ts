@@ -4,15 +4,20 @@ export interface SocialPost {
   id: number;
   title: string;
   url: string;
+  apId: string;          // Canonical ActivityPub ID, stable across instances
+  link?: string;         // The page a link post points to
+  instance: string;      // Hostname of the Lemmy instance the post was fetched from
   body?: string;
   score: number;
   upvotes: number;
   downvotes: number;
   commentCount: number;
   community: string;
+  communityHandle: string;  // name@host, resolvable from any instance
   communityId: number;
   communityIcon?: string;
   author: string;
+  authorHandle: string;     // name@host, resolvable from any instance
   timestamp: string;
   thumbnail?: string;
   excerpt?: string;
@@ -21,11 +26,19 @@ export interface SocialPost {
 
 export interface SocialComment {
   id: number;
+  apId: string;          // Canonical ActivityPub ID, stable across instances
+  postId: number;
   content: string;
   score: number;
+  upvotes: number;
+  downvotes: number;
   author: string;
+  authorHandle: string;
   timestamp: string;
   parentId?: number;
+  path: string;          // Lemmy ltree path, e.g. "0.12.34"
+  childCount: number;    // Total descendants on Lemmy (loaded or not)
+  deleted: boolean;      // Deleted by its author or removed by a moderator
   replies?: SocialComment[];
   depth: number;
 }
@@ -33,6 +46,7 @@ export interface SocialComment {
 export interface SocialCommunity {
   id: number;
   name: string;
+  handle?: string;
   title: string;
   description?: string;
   icon?: string;
@@ -43,15 +57,182 @@ export interface SocialCommunity {
   nsfw: boolean;
 }
 
-export interface SearchResponse {
-  query: string;
+export interface CommunityDetails extends SocialCommunity {
+  comments: number;
+  activeUsersDay: number;
+  activeUsersWeek: number;
+  activeUsersMonth: number;
+  published: string;
+  postingRestrictedToMods: boolean;
+}
+
+export interface CommunityModerator {
+  id: number;
+  name: string;
+  displayName?: string;
+  avatar?: string;
+  url: string;
+}
+
+export interface CommunityResponse {
+  community: CommunityDetails;
+  moderators: CommunityModerator[];
+  posts: SocialPost[];
+  sort: FeedSort;
+  page: number;
+  nextCursor: string | null;
+  hasMore: boolean;
+  blocked?: boolean;     // The signed-in user has blocked this community
+}
+
+export interface NewPost {
+  title: string;
+  url?: string;
+  body?: string;
+  nsfw?: boolean;
+}
+
+// A Lemmy user as listed in search results
+export interface SocialPerson {
+  id: number;
+  name: string;
+  handle: string;
+  displayName?: string;
+  avatar?: string;
+  url: string;
+  isBot: boolean;
+  postCount: number;
+  commentCount: number;
+}
+
+export interface PersonDetails extends SocialPerson {
+  bio?: string;
+  banner?: string;
+  published: string;
+  banned: boolean;
+}
+
+// A comment shown outside its thread, with enough context to link back to it
+export interface PersonComment extends SocialComment {
+  postTitle: string;
+  postApId: string;
+  communityHandle: string;
+  nsfw: boolean;
+}
+
+export type PersonSort = 'New' | 'Hot' | 'TopAll';
+
+export interface PersonQueryOptions {
+  sort?: PersonSort;
+  page?: number;
+  limit?: number;
+}
+
+export interface PersonResponse {
+  person: PersonDetails;
   posts: SocialPost[];
+  comments: PersonComment[];
+  sort: PersonSort;
+  page: number;
+  hasMore: boolean;
+  blocked?: boolean;     // The signed-in user has blocked this person
+}
+
+// Search result sections; `Url` searches match post links and fill `posts`
+export type SearchType = 'All' | 'Posts' | 'Comments' | 'Communities' | 'Users' | 'Url';
+
+export type SearchListingType = 'All' | 'Local';
+
+export type LemmySearchSort = 'TopAll' | 'TopYear' | 'TopMonth' | 'TopWeek' | 'TopDay' | 'Hot' | 'New';
+
+// `relevance` re-ranks Lemmy's results (see services/ranking); the rest are Lemmy's own sorts
+export type SearchSort = 'relevance' | LemmySearchSort;
+
+// Relative weights of the parts of the relevance score
+export interface RelevanceWeights {
+  text: number;          // Query terms in the title (full) or body (half)
+  recency: number;       // Halves every recency half-life
+  engagement: number;    // Score and comment count, log-scaled
+  community: number;     // Subscribers, log-scaled
+}
+
+// A search query split into terms and operators (see services/searchQuery)
+export interface ParsedSearchQuery {
+  terms: string[];       // Plain words, sent to Lemmy
+  phrases: string[];     // "Quoted phrases", sent to Lemmy and then matched exactly
+  exclude: string[];     // -words and -"phrases", removed server-side
+  community?: string;    // Passed to Lemmy as community_name
+  author?: string;       // Resolved to a creator ID on each instance
+  after?: string;        // YYYY-MM-DD, inclusive
+  before?: string;       // YYYY-MM-DD, inclusive
+}
+
+export interface SearchResults {
+  posts: SocialPost[];
+  comments: PersonComment[];
   communities: SocialCommunity[];
+  users: SocialPerson[];
+}
+
+export interface SearchResponse extends SearchResults {
+  query: string;
+  type: SearchType;
+  parsed: ParsedSearchQuery;
   meta: {
     totalResults: number;
     cached: boolean;
     cacheAge?: number;
     processingTime: number;
+    instances?: string[];
+    hasMore: boolean;    // Whether a later page may have results
+    ranking?: {          // Only for sort=relevance, to debug the order
+      weights: RelevanceWeights;
+      recencyHalfLifeDays: number;
+      candidateLimit: number;  // Results ranked per section; pages past them are empty
+    };
+  };
+}
+
+export interface SuggestResponse {
+  query: string;
+  communities: SocialCommunity[];
+  popular: string[];     // Searched by several people recently
+  recent: string[];      // The signed-in user's own recent searches
+}
+
+// Posts linking to a page, most discussed first
+export interface DiscussionsResponse {
+  url: string;           // The normalized URL that was looked up
+  posts: SocialPost[];
+  meta: {
+    totalResults: number;
+    totalComments: number;
+    cached: boolean;
+    processingTime: number;
+    instances?: string[];
+  };
+}
+
+// Compact summary of the discussion around a query, for embedding (see services/insights)
+export interface InsightsResponse {
+  query: string;
+  discussions: {
+    title: string;
+    url: string;         // The post on its home instance
+    community: string;   // name@host
+    score: number;
+    comments: number;
+    timestamp: string;
+  }[];
+  communities: {
+    name: string;
+    handle: string;
+    title: string;
+    subscribers: number;
+  }[];
+  totals: {
+    discussions: number; // Matching posts fetched, not only the ones shown
+    comments: number;
   };
 }
 
@@ -59,13 +240,73 @@ export interface PostResponse {
   post: SocialPost;
   comments: SocialComment[];
   community: SocialCommunity;
+  commentSort: CommentSort;
+  commentsPage: number;
+  hasMoreComments: boolean;
+}
+
+export type CommentSort = 'Hot' | 'Top' | 'New' | 'Old' | 'Controversial';
+
+export interface CommentQueryOptions {
+  sort?: CommentSort;
+  maxDepth?: number;
+}
+
+export interface CommentsResponse {
+  comments: SocialComment[];
+  sort: CommentSort;
+  page: number;
+  hasMore: boolean;
+}
+
+export type TrendingWindow = '1h' | '24h' | '7d';
+
+export type TrendDirection = 'rising' | 'falling' | 'steady';
+
+// Velocity and direction are only set when ranked from PreSocial's own snapshots
+export interface TrendingPost extends SocialPost {
+  velocity?: {
+    score: number;       // Score gained per hour over the window
+    comments: number;    // Comments gained per hour over the window
+  };
+  direction?: TrendDirection;  // Growing faster or slower in the second half of the window
 }
 
 export interface TrendingResponse {
-  trending: SocialPost[];
+  trending: TrendingPost[];
+  window: TrendingWindow;
+  community?: string;
+  source: 'velocity' | 'hot';  // `hot` is Lemmy's Hot sort, used until enough snapshots exist
   updatedAt: string;
 }
 
+export type FeedSort = 'Hot' | 'Active' | 'New' | 'TopDay' | 'TopWeek' | 'TopMonth' | 'TopAll';
+
+export type FeedListingType = 'All' | 'Local';
+
+export interface FeedOptions {
+  sort?: FeedSort;
+  type?: FeedListingType;
+  limit?: number;
+  page?: number;
+  cursor?: string;
+  communityName?: string;
+}
+
+export interface FeedPage {
+  posts: SocialPost[];
+  nextCursor?: string;
+}
+
+export interface FeedResponse {
+  posts: SocialPost[];
+  sort: FeedSort;
+  type: FeedListingType;
+  page: number;
+  nextCursor: string | null;
+  hasMore: boolean;
+}
+
 export interface CacheEntry<T> {
   data: T;
   timestamp: number;
@@ -80,12 +321,20 @@ export interface LemmyConfig {
   maxRetries: number;
 }
 
+export interface RepliesResponse {
+  parentId: number;
+  comments: SocialComment[];
+}
+
 export interface SearchOptions {
+  type?: SearchType;
+  listingType?: SearchListingType;
   limit?: number;
   page?: number;
-  sort?: 'TopAll' | 'TopYear' | 'TopMonth' | 'TopWeek' | 'TopDay' | 'Hot' | 'New';
+  sort?: LemmySearchSort;
   communityId?: number;
   communityName?: string;
+  creatorName?: string;   // name or name@host, resolved to an ID on each instance
 }
 
 export interface ApiError {
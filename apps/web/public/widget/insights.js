@@ -0,0 +1,197 @@
+/**
+ * PreSocial Insights Widget
+ * Framework-free embed showing the fediverse discussion around a query, e.g. next to Presearch results.
+ *
+ * Usage:
+ *   <div data-presocial-insights data-query="rust async" data-theme="auto"></div>
+ *   <script src="https://presocial.presuite.eu/widget/insights.js" async></script>
+ *
+ * Options (data attributes, or the second argument of PreSocialInsights.render):
+ *   query   - what to show insights for (required)
+ *   theme   - "dark" (default), "light" or "auto" (follows the visitor's color scheme)
+ *   accent  - accent color, e.g. "#8B5CF6" (defaults to Presearch blue)
+ *   api     - API base URL (defaults to /api/social on the script's origin)
+ *
+ * Pages that change query without reloading (single-page apps) call
+ * PreSocialInsights.render(element, { query }) again; the card hides itself when nothing matches.
+ */
+(function () {
+  'use strict';
+
+  if (window.PreSocialInsights) return;
+
+  var scriptOrigin = (function () {
+    try {
+      return new URL(document.currentScript.src).origin;
+    } catch (err) {
+      return 'https://presocial.presuite.eu';
+    }
+  })();
+
+  var DEFAULT_ACCENT = '#0190FF';
+
+  // PreSuite dark glass design, with a light variant for light host pages
+  var STYLES = [
+    ':host { all: initial; display: block; }',
+    ':host([hidden]) { display: none; }',
+    '.card { --bg: rgba(30, 30, 30, 0.95); --border: rgba(255, 255, 255, 0.12); --text: #e9e9e9; --muted: #a0a0a0; --hover: rgba(255, 255, 255, 0.05);',
+    '  font-family: Inter, system-ui, -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; font-size: 14px; line-height: 1.4;',
+    '  background: var(--bg); border: 1px solid var(--border); border-radius: 12px; color: var(--text); padding: 14px 16px; box-sizing: border-box; }',
+    '.card.light { --bg: #ffffff; --border: rgba(0, 0, 0, 0.1); --text: #1e1e1e; --muted: #5f5f5f; --hover: rgba(0, 0, 0, 0.04); }',
+    '@media (prefers-color-scheme: light) { .card.auto { --bg: #ffffff; --border: rgba(0, 0, 0, 0.1); --text: #1e1e1e; --muted: #5f5f5f; --hover: rgba(0, 0, 0, 0.04); } }',
+    '.header { display: flex; align-items: baseline; justify-content: space-between; gap: 8px; margin-bottom: 8px; }',
+    '.brand { font-weight: 600; font-size: 13px; color: var(--accent); text-decoration: none; }',
+    '.totals { font-size: 12px; color: var(--muted); }',
+    'h3 { margin: 10px 0 4px; font-size: 11px; font-weight: 600; letter-spacing: 0.04em; text-transform: uppercase; color: var(--muted); }',
+    'ul { list-style: none; margin: 0; padding: 0; }',
+    'a { color: inherit; text-decoration: none; }',
+    '.item { display: block; padding: 6px 8px; margin: 0 -8px; border-radius: 8px; }',
+    '.item:hover { background: var(--hover); }',
+    '.item:hover .title { color: var(--accent); }',
+    '.title { display: block; font-weight: 500; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }',
+    '.meta { display: block; font-size: 12px; color: var(--muted); }',
+    '.chips { display: flex; flex-wrap: wrap; gap: 6px; }',
+    '.chip { font-size: 12px; padding: 3px 10px; border: 1px solid var(--border); border-radius: 999px; }',
+    '.chip:hover { border-color: var(--accent); color: var(--accent); }',
+    '.more { display: inline-block; margin-top: 10px; font-size: 12px; color: var(--accent); }',
+  ].join('\n');
+
+  function formatNumber(num) {
+    if (num >= 1000000) return (num / 1000000).toFixed(1) + 'M';
+    if (num >= 1000) return (num / 1000).toFixed(1) + 'K';
+    return String(num);
+  }
+
+  function formatAge(timestamp) {
+    var seconds = (Date.now() - new Date(timestamp).getTime()) / 1000;
+    if (seconds < 3600) return Math.max(1, Math.floor(seconds / 60)) + 'm ago';
+    if (seconds < 86400) return Math.floor(seconds / 3600) + 'h ago';
+    if (seconds < 2592000) return Math.floor(seconds / 86400) + 'd ago';
+    if (seconds < 31536000) return Math.floor(seconds / 2592000) + 'mo ago';
+    return Math.floor(seconds / 31536000) + 'y ago';
+  }
+
+  // Everything from the API is set as text, never parsed as HTML
+  function el(tag, attrs, children) {
+    var node = document.createElement(tag);
+    Object.keys(attrs || {}).forEach(function (key) {
+      if (key === 'text') node.textContent = attrs[key];
+      else node.setAttribute(key, attrs[key]);
+    });
+    (children || []).forEach(function (child) {
+      if (child) node.appendChild(child);
+    });
+    return node;
+  }
+
+  function link(href, className, children) {
+    return el('a', { href: href, class: className, target: '_blank', rel: 'noopener' }, children);
+  }
+
+  function buildCard(data, options) {
+    var site = options.site;
+    var totals = formatNumber(data.totals.discussions) + ' discussions · ' + formatNumber(data.totals.comments) + ' comments';
+
+    var card = el('div', { class: 'card ' + options.theme }, [
+      el('div', { class: 'header' }, [
+        link(site, 'brand', [document.createTextNode('PreSocial')]),
+        el('span', { class: 'totals', text: totals }),
+      ]),
+    ]);
+    card.style.setProperty('--accent', options.accent);
+
+    if (data.discussions.length > 0) {
+      card.appendChild(el('h3', { text: 'Top discussions' }));
+      card.appendChild(el('ul', {}, data.discussions.map(function (post) {
+        var meta = 'c/' + post.community + ' · ' + formatNumber(post.score) + ' points · '
+          + formatNumber(post.comments) + ' comments · ' + formatAge(post.timestamp);
+        return el('li', {}, [
+          link(post.url, 'item', [
+            el('span', { class: 'title', text: post.title }),
+            el('span', { class: 'meta', text: meta }),
+          ]),
+        ]);
+      })));
+    }
+
+    if (data.communities.length > 0) {
+      card.appendChild(el('h3', { text: 'Communities' }));
+      card.appendChild(el('div', { class: 'chips' }, data.communities.map(function (community) {
+        var chip = link(site + '/c/' + encodeURIComponent(community.handle), 'chip', [
+          document.createTextNode('c/' + community.name),
+        ]);
+        chip.title = community.title + ' · ' + formatNumber(community.subscribers) + ' members';
+        return chip;
+      })));
+    }
+
+    card.appendChild(link(site + '/search?q=' + encodeURIComponent(options.query), 'more', [
+      document.createTextNode('More on PreSocial →'),
+    ]));
+
+    return card;
+  }
+
+  /**
+   * Render (or re-render) the insights card into an element
+   */
+  function render(element, overrides) {
+    var data = element.dataset || {};
+    var options = {
+      query: ((overrides && overrides.query) || data.query || '').trim(),
+      theme: (overrides && overrides.theme) || data.theme || 'dark',
+      accent: (overrides && overrides.accent) || data.accent || DEFAULT_ACCENT,
+      api: (overrides && overrides.api) || data.api || scriptOrigin + '/api/social',
+      site: scriptOrigin,
+    };
+
+    if (['dark', 'light', 'auto'].indexOf(options.theme) === -1) options.theme = 'dark';
+
+    var root = element.shadowRoot || element.attachShadow({ mode: 'open' });
+    var requestId = (element.__presocialRequest || 0) + 1;
+    element.__presocialRequest = requestId;
+
+    if (!options.query) {
+      element.hidden = true;
+      return Promise.resolve();
+    }
+
+    return fetch(options.api + '/insights?q=' + encodeURIComponent(options.query))
+      .then(function (response) {
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        return response.json();
+      })
+      .then(function (result) {
+        // A newer render started while this one was loading
+        if (element.__presocialRequest !== requestId) return;
+
+        if (result.discussions.length === 0 && result.communities.length === 0) {
+          element.hidden = true;
+          return;
+        }
+
+        root.textContent = '';
+        root.appendChild(el('style', { text: STYLES }));
+        root.appendChild(buildCard(result, options));
+        element.hidden = false;
+      })
+      .catch(function () {
+        if (element.__presocialRequest === requestId) element.hidden = true;
+      });
+  }
+
+  function renderAll() {
+    var elements = document.querySelectorAll('[data-presocial-insights]');
+    Array.prototype.forEach.call(elements, function (element) {
+      render(element);
+    });
+  }
+
+  window.PreSocialInsights = { render: render };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', renderAll);
+  } else {
+    renderAll();
+  }
+})();
@@ -1,12 +1,22 @@
-import { Routes, Route } from 'react-router-dom';
+import { Routes, Route, Navigate } from 'react-router-dom';
 import { AuthProvider } from './context/AuthContext';
 import { VoteProvider } from './context/VoteContext';
 import { BookmarkProvider } from './context/BookmarkContext';
+import { FilterProvider } from './context/FilterContext';
 import Layout from './components/Layout';
+import AdminLayout from './components/AdminLayout';
 import FeedPage from './pages/FeedPage';
 import TrendingPage from './pages/TrendingPage';
 import CommunitiesPage from './pages/CommunitiesPage';
 import PostPage from './pages/PostPage';
+import ResolvePostPage from './pages/ResolvePostPage';
+import CommunityPage from './pages/CommunityPage';
+import PersonPage from './pages/PersonPage';
+import SubmitPage from './pages/SubmitPage';
+import AdminReportsPage from './pages/AdminReportsPage';
+import AdminHiddenPage from './pages/AdminHiddenPage';
+import AdminBansPage from './pages/AdminBansPage';
+import AdminStatsPage from './pages/AdminStatsPage';
 import SearchPage from './pages/SearchPage';
 import LoginPage from './pages/LoginPage';
 import SavedPage from './pages/SavedPage';
@@ -17,18 +27,31 @@ function App() {
     <AuthProvider>
       <VoteProvider>
         <BookmarkProvider>
-          <Routes>
-            <Route path="/login" element={<LoginPage />} />
-            <Route path="/" element={<Layout />}>
-              <Route index element={<FeedPage />} />
-              <Route path="trending" element={<TrendingPage />} />
-              <Route path="communities" element={<CommunitiesPage />} />
-              <Route path="saved" element={<SavedPage />} />
-              <Route path="search" element={<SearchPage />} />
-              <Route path="post/:id" element={<PostPage />} />
-              <Route path="user/:userId" element={<ProfilePage />} />
-            </Route>
-          </Routes>
+          <FilterProvider>
+            <Routes>
+              <Route path="/login" element={<LoginPage />} />
+              <Route path="/" element={<Layout />}>
+                <Route index element={<FeedPage />} />
+                <Route path="trending" element={<TrendingPage />} />
+                <Route path="communities" element={<CommunitiesPage />} />
+                <Route path="saved" element={<SavedPage />} />
+                <Route path="search" element={<SearchPage />} />
+                <Route path="submit" element={<SubmitPage />} />
+                <Route path="post/resolve" element={<ResolvePostPage />} />
+                <Route path="post/:id" element={<PostPage />} />
+                <Route path="c/:name" element={<CommunityPage />} />
+                <Route path="u/:name" element={<PersonPage />} />
+                <Route path="user/:userId" element={<ProfilePage />} />
+                <Route path="admin" element={<AdminLayout />}>
+                  <Route index element={<Navigate to="reports" replace />} />
+                  <Route path="reports" element={<AdminReportsPage />} />
+                  <Route path="hidden" element={<AdminHiddenPage />} />
+                  <Route path="bans" element={<AdminBansPage />} />
+                  <Route path="stats" element={<AdminStatsPage />} />
+                </Route>
+              </Route>
+            </Routes>
+          </FilterProvider>
         </BookmarkProvider>
       </VoteProvider>
     </AuthProvider>
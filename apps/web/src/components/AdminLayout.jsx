@@ -0,0 +1,55 @@
+import { NavLink, Outlet } from 'react-router-dom';
+import { Flag, EyeOff, Ban, BarChart3, ShieldAlert } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+
+const ADMIN_SECTIONS = [
+  { to: 'reports', label: 'Reports', icon: Flag },
+  { to: 'hidden', label: 'Hidden', icon: EyeOff },
+  { to: 'bans', label: 'Bans', icon: Ban },
+  { to: 'stats', label: 'Stats', icon: BarChart3 },
+];
+
+/**
+ * Moderation console shell - section nav, and a gate for non-admins
+ */
+function AdminLayout() {
+  const { isAuthenticated, isAdmin, loading, roleLoading } = useAuth();
+
+  if (loading || roleLoading) {
+    return <div className="glass-card h-48 skeleton" />;
+  }
+
+  if (!isAuthenticated || !isAdmin) {
+    return (
+      <div className="glass-card p-8 text-center">
+        <ShieldAlert className="w-12 h-12 text-gray-600 mx-auto mb-3" />
+        <p className="text-red-400">You need to be a PreSocial admin to view this page</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <nav className="glass-card p-2 flex items-center gap-1 overflow-x-auto">
+        {ADMIN_SECTIONS.map(({ to, label, icon: Icon }) => (
+          <NavLink
+            key={to}
+            to={to}
+            className={({ isActive }) => `flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+              isActive
+                ? 'bg-presearch/20 text-presearch'
+                : 'text-gray-400 hover:bg-white/5 hover:text-white'
+            }`}
+          >
+            <Icon className="w-4 h-4" />
+            {label}
+          </NavLink>
+        ))}
+      </nav>
+
+      <Outlet />
+    </div>
+  );
+}
+
+export default AdminLayout;
@@ -0,0 +1,43 @@
+import { useState } from 'react';
+import { Ban, Loader2 } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { useFilters } from '../context/FilterContext';
+
+/**
+ * Block or unblock a community or author in the user's content filters
+ */
+function BlockButton({ type, handle }) {
+  const { isAuthenticated } = useAuth();
+  const { isCommunityBlocked, isAuthorBlocked, toggleBlockedCommunity, toggleBlockedAuthor } = useFilters();
+  const [saving, setSaving] = useState(false);
+
+  if (!isAuthenticated || !handle) return null;
+
+  const blocked = type === 'community' ? isCommunityBlocked(handle) : isAuthorBlocked(handle);
+
+  const handleClick = async () => {
+    setSaving(true);
+    await (type === 'community' ? toggleBlockedCommunity(handle) : toggleBlockedAuthor(handle));
+    setSaving(false);
+  };
+
+  return (
+    <button
+      onClick={handleClick}
+      disabled={saving}
+      className={`flex items-center gap-1 px-3 py-1.5 rounded-lg text-xs font-medium transition-colors disabled:opacity-50 ${
+        blocked
+          ? 'bg-red-500/20 text-red-400 hover:bg-red-500/30'
+          : 'text-gray-400 hover:bg-white/10 hover:text-red-400'
+      }`}
+      title={blocked
+        ? 'Show again in your feeds and search results'
+        : `Hide this ${type} from your feeds and search results`}
+    >
+      {saving ? <Loader2 className="w-3 h-3 animate-spin" /> : <Ban className="w-3 h-3" />}
+      {blocked ? 'Blocked' : 'Block'}
+    </button>
+  );
+}
+
+export default BlockButton;
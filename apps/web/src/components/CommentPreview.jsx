@@ -0,0 +1,47 @@
+import { Link } from 'react-router-dom';
+import { ArrowBigUp } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import Markdown from './Markdown';
+
+/**
+ * A comment shown outside its thread, linking back to the post it was made on
+ * The link goes by the post's ActivityPub ID, since search results can come from any instance in the pool.
+ * Pass `showAuthor` where the author isn't obvious from the page (e.g. search results).
+ */
+function CommentPreview({ comment, showAuthor = false }) {
+  const formattedDate = formatDistanceToNow(new Date(comment.timestamp), { addSuffix: true });
+
+  return (
+    <div className="glass-card p-4">
+      <div className="flex items-center gap-2 text-xs text-gray-400 mb-2 min-w-0">
+        <Link to={`/c/${comment.communityHandle}`} className="font-semibold text-presearch hover:underline flex-shrink-0">
+          c/{comment.communityHandle.split('@')[0]}
+        </Link>
+        <span>•</span>
+        <Link to={`/post/resolve?${new URLSearchParams({ apId: comment.postApId })}`} className="truncate hover:text-white hover:underline">
+          {comment.postTitle}
+        </Link>
+      </div>
+
+      <Markdown source={comment.content} className="text-sm text-gray-300 break-words line-clamp-6" />
+
+      <div className="flex items-center gap-3 mt-2 text-xs text-gray-500">
+        <span className={`flex items-center gap-0.5 ${
+          comment.score > 0 ? 'text-orange-400' :
+          comment.score < 0 ? 'text-blue-400' : 'text-gray-500'
+        }`}>
+          <ArrowBigUp className="w-3.5 h-3.5" />
+          {comment.score}
+        </span>
+        {showAuthor && (
+          <Link to={`/u/${comment.authorHandle}`} className="hover:text-white hover:underline">
+            u/{comment.author}
+          </Link>
+        )}
+        <span>{formattedDate}</span>
+      </div>
+    </div>
+  );
+}
+
+export default CommentPreview;
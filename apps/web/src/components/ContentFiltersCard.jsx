@@ -0,0 +1,156 @@
+import { useState } from 'react';
+import { X, Plus, AlertCircle } from 'lucide-react';
+import { useFilters } from '../context/FilterContext';
+
+/**
+ * Edit the user's content filters: NSFW opt-in, blocked communities and authors, muted keywords
+ */
+function ContentFiltersCard() {
+  const { filters, updateFilters } = useFilters();
+  const [keyword, setKeyword] = useState('');
+  const [error, setError] = useState(null);
+
+  const save = async (changes) => {
+    setError(null);
+    const result = await updateFilters(changes);
+    if (!result.success) {
+      setError(result.error);
+    }
+  };
+
+  const handleAddKeyword = (e) => {
+    e.preventDefault();
+    const entry = keyword.trim().toLowerCase();
+    if (!entry || filters.mutedKeywords.includes(entry)) return;
+
+    setKeyword('');
+    save({ mutedKeywords: [...filters.mutedKeywords, entry] });
+  };
+
+  const removeEntry = (list, entry) => {
+    save({ [list]: filters[list].filter((item) => item !== entry) });
+  };
+
+  return (
+    <div>
+      <h2 className="text-sm font-medium text-gray-400 uppercase tracking-wider mb-3">Content Filters</h2>
+
+      <div className="space-y-4">
+        {/* NSFW */}
+        <div className="space-y-2">
+          <Toggle
+            label="Show NSFW content"
+            description="Include posts and communities marked NSFW in feeds and search"
+            checked={filters.showNsfw}
+            onChange={(showNsfw) => save({ showNsfw })}
+          />
+          {filters.showNsfw && (
+            <Toggle
+              label="Blur NSFW media"
+              description="Blur previews and thumbnails until you click them"
+              checked={filters.blurNsfw}
+              onChange={(blurNsfw) => save({ blurNsfw })}
+            />
+          )}
+        </div>
+
+        {/* Muted keywords */}
+        <div>
+          <p className="text-sm text-white mb-1">Muted keywords</p>
+          <p className="text-xs text-gray-500 mb-2">Posts with these words in the title are hidden</p>
+          <form onSubmit={handleAddKeyword} className="flex gap-2 mb-2">
+            <input
+              type="text"
+              value={keyword}
+              onChange={(e) => setKeyword(e.target.value)}
+              placeholder="Add a keyword"
+              maxLength={50}
+              className="glass-input flex-1"
+            />
+            <button
+              type="submit"
+              disabled={!keyword.trim()}
+              className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm text-gray-400 hover:bg-white/10 hover:text-white transition-colors disabled:opacity-50"
+            >
+              <Plus className="w-4 h-4" />
+              Add
+            </button>
+          </form>
+          <EntryList entries={filters.mutedKeywords} onRemove={(entry) => removeEntry('mutedKeywords', entry)} />
+        </div>
+
+        {/* Blocked communities and authors */}
+        <div>
+          <p className="text-sm text-white mb-1">Blocked communities</p>
+          <p className="text-xs text-gray-500 mb-2">Block a community from its page</p>
+          <EntryList
+            entries={filters.blockedCommunities}
+            prefix="c/"
+            empty="No blocked communities"
+            onRemove={(entry) => removeEntry('blockedCommunities', entry)}
+          />
+        </div>
+
+        <div>
+          <p className="text-sm text-white mb-1">Blocked users</p>
+          <p className="text-xs text-gray-500 mb-2">Block a Lemmy user from their profile</p>
+          <EntryList
+            entries={filters.blockedAuthors}
+            prefix="u/"
+            empty="No blocked users"
+            onRemove={(entry) => removeEntry('blockedAuthors', entry)}
+          />
+        </div>
+
+        {error && (
+          <div className="flex items-center gap-2 text-red-400 text-sm">
+            <AlertCircle className="w-4 h-4" />
+            {error}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function Toggle({ label, description, checked, onChange }) {
+  return (
+    <label className="flex items-center justify-between gap-4 p-3 rounded-lg bg-white/5 cursor-pointer">
+      <div>
+        <p className="text-sm text-white">{label}</p>
+        <p className="text-xs text-gray-500">{description}</p>
+      </div>
+      <input
+        type="checkbox"
+        checked={checked}
+        onChange={(e) => onChange(e.target.checked)}
+        className="w-4 h-4 flex-shrink-0"
+      />
+    </label>
+  );
+}
+
+function EntryList({ entries, prefix = '', empty, onRemove }) {
+  if (entries.length === 0) {
+    return empty ? <p className="text-xs text-gray-500">{empty}</p> : null;
+  }
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      {entries.map((entry) => (
+        <span key={entry} className="flex items-center gap-1 pl-2.5 pr-1 py-1 rounded-full bg-white/5 text-xs text-gray-300">
+          {prefix}{entry}
+          <button
+            onClick={() => onRemove(entry)}
+            className="p-0.5 rounded-full text-gray-500 hover:bg-white/10 hover:text-white"
+            title="Remove"
+          >
+            <X className="w-3 h-3" />
+          </button>
+        </span>
+      ))}
+    </div>
+  );
+}
+
+export default ContentFiltersCard;
@@ -1,7 +1,6 @@
 import { useState, useRef, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import {
-  Search,
   Menu,
   X,
   MessageCircle,
@@ -22,6 +21,7 @@ import {
   User
 } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
+import SearchBox from './SearchBox';
 
 function PresearchLogo({ className }) {
   return (
@@ -124,7 +124,6 @@ function SocialIcon({ icon: Icon, href, label }) {
 }
 
 function Header() {
-  const [searchQuery, setSearchQuery] = useState('');
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
   const [settings, setSettings] = useState({
@@ -135,13 +134,6 @@ function Header() {
   const navigate = useNavigate();
   const { user, isAuthenticated, logout, loading } = useAuth();
 
-  const handleSearch = (e) => {
-    e.preventDefault();
-    if (searchQuery.trim()) {
-      navigate(`/search?q=${encodeURIComponent(searchQuery.trim())}`);
-    }
-  };
-
   const handleLogout = async () => {
     await logout();
     setShowSettings(false);
@@ -169,18 +161,7 @@ function Header() {
             </Link>
 
             {/* Search bar - centered */}
-            <form onSubmit={handleSearch} className="hidden md:flex flex-1 max-w-xl mx-8">
-              <div className="relative w-full">
-                <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
-                <input
-                  type="text"
-                  value={searchQuery}
-                  onChange={(e) => setSearchQuery(e.target.value)}
-                  placeholder="Search discussions..."
-                  className="glass-input w-full pl-10 pr-4 py-2.5 text-sm"
-                />
-              </div>
-            </form>
+            <SearchBox className="hidden md:flex flex-1 max-w-xl mx-8" />
 
             {/* Right side: Profile */}
             <div className="flex items-center gap-2">
@@ -227,18 +208,7 @@ function Header() {
 
           {/* Mobile search */}
           <div className="md:hidden pb-3">
-            <form onSubmit={handleSearch}>
-              <div className="relative">
-                <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
-                <input
-                  type="text"
-                  value={searchQuery}
-                  onChange={(e) => setSearchQuery(e.target.value)}
-                  placeholder="Search discussions..."
-                  className="glass-input w-full pl-10 pr-4 py-2.5 text-sm"
-                />
-              </div>
-            </form>
+            <SearchBox />
           </div>
         </div>
 
@@ -0,0 +1,184 @@
+import { useState, useEffect } from 'react';
+import { Link2, Unlink, Loader2, AlertCircle, CheckCircle } from 'lucide-react';
+import { preSocialService } from '../services/preSocialService';
+
+/**
+ * Link or unlink the user's own Lemmy account
+ * Once linked, comments, posts and votes go out as that account instead of the PreSocial bot
+ */
+function LemmyAccountCard() {
+  const [account, setAccount] = useState(null);
+  const [instance, setInstance] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [mode, setMode] = useState('password');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [totpToken, setTotpToken] = useState('');
+  const [jwt, setJwt] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchAccount = async () => {
+      try {
+        const data = await preSocialService.getLemmyAccount();
+        setAccount(data.account);
+        setInstance(data.instance);
+      } catch (err) {
+        console.error('[Profile] Failed to fetch Lemmy account:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchAccount();
+  }, []);
+
+  const handleLink = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const credentials = mode === 'jwt'
+        ? { jwt: jwt.trim() }
+        : { username: username.trim(), password, ...(totpToken && { totpToken }) };
+
+      const data = await preSocialService.linkLemmyAccount(credentials);
+      setAccount(data.account);
+      setUsername('');
+      setPassword('');
+      setTotpToken('');
+      setJwt('');
+    } catch (err) {
+      setError(err.message || 'Failed to link account');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleUnlink = async () => {
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      await preSocialService.unlinkLemmyAccount();
+      setAccount(null);
+    } catch (err) {
+      setError(err.message || 'Failed to unlink account');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="h-24 bg-dark-700 rounded animate-pulse" />;
+  }
+
+  return (
+    <div>
+      <h2 className="text-sm font-medium text-gray-400 uppercase tracking-wider mb-3">Lemmy Account</h2>
+
+      {account ? (
+        <div className="flex items-center justify-between gap-4 p-4 rounded-lg bg-white/5">
+          <div className="flex items-center gap-3 min-w-0">
+            <CheckCircle className="w-5 h-5 text-green-400 flex-shrink-0" />
+            <div className="min-w-0">
+              <p className="text-white truncate">u/{account.username}@{account.instance}</p>
+              <p className="text-xs text-gray-500">Comments, posts and votes go out as this account</p>
+            </div>
+          </div>
+          <button
+            onClick={handleUnlink}
+            disabled={submitting}
+            className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm text-gray-400 hover:text-red-400 hover:bg-white/10 transition-colors disabled:opacity-50"
+          >
+            {submitting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Unlink className="w-4 h-4" />}
+            Unlink
+          </button>
+        </div>
+      ) : (
+        <form onSubmit={handleLink} className="space-y-3">
+          <p className="text-sm text-gray-400">
+            Link your {instance} account to comment, post and vote as yourself.
+            Until then, comments and posts go out via the PreSocial bot with your name attached.
+          </p>
+
+          <div className="flex gap-1 p-1 rounded-lg bg-white/5 w-fit">
+            {[['password', 'Username & password'], ['jwt', 'Access token']].map(([value, label]) => (
+              <button
+                key={value}
+                type="button"
+                onClick={() => setMode(value)}
+                className={`px-3 py-1 rounded-md text-xs font-medium transition-colors ${
+                  mode === value ? 'bg-white/10 text-white' : 'text-gray-400 hover:text-white'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {mode === 'password' ? (
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+              <input
+                type="text"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                placeholder="Username or email"
+                autoComplete="username"
+                className="glass-input"
+              />
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Password"
+                autoComplete="current-password"
+                className="glass-input"
+              />
+              <input
+                type="text"
+                inputMode="numeric"
+                value={totpToken}
+                onChange={(e) => setTotpToken(e.target.value.replace(/\D/g, '').slice(0, 6))}
+                placeholder="2FA code (if enabled)"
+                autoComplete="one-time-code"
+                className="glass-input"
+              />
+            </div>
+          ) : (
+            <input
+              type="password"
+              value={jwt}
+              onChange={(e) => setJwt(e.target.value)}
+              placeholder="Paste your Lemmy JWT"
+              className="glass-input w-full"
+            />
+          )}
+
+          {error && (
+            <div className="flex items-center gap-2 text-red-400 text-sm">
+              <AlertCircle className="w-4 h-4" />
+              {error}
+            </div>
+          )}
+
+          <div className="flex items-center justify-between">
+            <p className="text-xs text-gray-500">Your password is only used to sign in and is never stored</p>
+            <button
+              type="submit"
+              disabled={submitting || (mode === 'jwt' ? !jwt.trim() : !username.trim() || !password)}
+              className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm bg-social text-white hover:bg-social/90 transition-colors disabled:opacity-50"
+            >
+              {submitting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Link2 className="w-4 h-4" />}
+              Link account
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default LemmyAccountCard;
@@ -0,0 +1,32 @@
+import { useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { renderMarkdown } from '../services/markdown';
+
+/**
+ * Render Lemmy markdown (sanitized); in-app links such as mentions navigate without a reload
+ */
+function Markdown({ source, className = '' }) {
+  const navigate = useNavigate();
+  const html = useMemo(() => renderMarkdown(source), [source]);
+
+  const handleClick = (e) => {
+    const link = e.target.closest('a');
+    const href = link?.getAttribute('href');
+
+    if (!href?.startsWith('/') || href.startsWith('//')) return;
+    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+    e.preventDefault();
+    navigate(href);
+  };
+
+  return (
+    <div
+      className={`markdown ${className}`}
+      onClick={handleClick}
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  );
+}
+
+export default Markdown;
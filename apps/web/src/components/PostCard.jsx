@@ -1,32 +1,41 @@
+import { useState } from 'react';
 import { Link } from 'react-router-dom';
-import { ArrowBigUp, ArrowBigDown, MessageSquare, Share2, Bookmark, ExternalLink } from 'lucide-react';
+import { ArrowBigUp, ArrowBigDown, MessageSquare, Share2, Bookmark, ExternalLink, EyeOff } from 'lucide-react';
 import { formatDistanceToNow } from 'date-fns';
 import { useVote } from '../context/VoteContext';
 import { useBookmark } from '../context/BookmarkContext';
 import { useAuth } from '../context/AuthContext';
+import { useFilters } from '../context/FilterContext';
+import ReportButton from './ReportButton';
+import Markdown from './Markdown';
+import ProxiedImage from './ProxiedImage';
 
-function PostCard({ post, compact = false }) {
+function PostCard({ post, compact = false, full = false }) {
   const formattedDate = formatDistanceToNow(new Date(post.timestamp), { addSuffix: true });
   const { vote, getVote, getAdjustedScore } = useVote();
   const { toggleBookmark, isBookmarked } = useBookmark();
   const { isAuthenticated } = useAuth();
+  const { filters } = useFilters();
+  const [revealed, setRevealed] = useState(false);
 
-  const currentVote = getVote(post.id);
-  const adjustedScore = getAdjustedScore(post.id, post.score);
-  const isSaved = isBookmarked(post.id);
+  const currentVote = getVote(post.apId);
+  const adjustedScore = getAdjustedScore(post.apId, post.score);
+  const isSaved = isBookmarked(post.apId);
+  const isBlurred = post.nsfw && filters.blurNsfw && !revealed;
+  const showBody = full && !!post.body;
 
   const handleUpvote = async (e) => {
     e.preventDefault();
     e.stopPropagation();
     if (!isAuthenticated) return;
-    await vote(post.id, 'up');
+    await vote(post, 'up');
   };
 
   const handleDownvote = async (e) => {
     e.preventDefault();
     e.stopPropagation();
     if (!isAuthenticated) return;
-    await vote(post.id, 'down');
+    await vote(post, 'down');
   };
 
   const handleBookmark = async (e) => {
@@ -95,18 +104,33 @@ function PostCard({ post, compact = false }) {
         <div className="flex-1 min-w-0">
           {/* Meta info */}
           <div className="flex items-center gap-2 text-xs text-gray-400 mb-2">
-            <a
-              href={`https://lemmy.world/c/${post.community}`}
-              target="_blank"
-              rel="noopener noreferrer"
+            <Link
+              to={`/c/${post.communityHandle || post.community}`}
               className="font-semibold text-presearch hover:underline"
             >
               c/{post.community}
-            </a>
+            </Link>
             <span>•</span>
-            <span>Posted by u/{post.author}</span>
+            <span>
+              Posted by{' '}
+              <Link
+                to={`/u/${post.authorHandle || post.author}`}
+                className="hover:text-white hover:underline"
+              >
+                u/{post.author}
+              </Link>
+            </span>
             <span>•</span>
             <span>{formattedDate}</span>
+            {post.nsfw && (
+              <span className="px-1.5 py-0.5 rounded bg-red-500/20 text-red-400 font-semibold">NSFW</span>
+            )}
+            {post.instance && (
+              <>
+                <span>•</span>
+                <span className="text-gray-500">{post.instance}</span>
+              </>
+            )}
           </div>
 
           {/* Title */}
@@ -122,27 +146,46 @@ function PostCard({ post, compact = false }) {
             </h2>
           </a>
 
-          {/* Excerpt/Preview */}
-          {!compact && post.excerpt && (
-            <p className="text-sm text-gray-400 mt-2 line-clamp-3">
-              {post.excerpt}
-            </p>
-          )}
+          {!compact && (showBody || post.excerpt || post.thumbnail) && (
+            <div className="relative">
+              <div className={isBlurred ? 'blur-xl select-none pointer-events-none' : ''} aria-hidden={isBlurred}>
+                {/* Full body on the post page, excerpt elsewhere */}
+                {showBody ? (
+                  <Markdown source={post.body} className="text-sm text-gray-300 mt-2" />
+                ) : post.excerpt && (
+                  <p className="text-sm text-gray-400 mt-2 line-clamp-3">
+                    {post.excerpt}
+                  </p>
+                )}
 
-          {/* Thumbnail */}
-          {!compact && post.thumbnail && (
-            <a
-              href={post.url}
-              target="_blank"
-              rel="noopener noreferrer"
-              className="block mt-3"
-            >
-              <img
-                src={post.thumbnail}
-                alt=""
-                className="max-h-80 rounded-lg object-cover hover:opacity-90 transition-opacity"
-              />
-            </a>
+                {/* Thumbnail */}
+                {post.thumbnail && (
+                  <a
+                    href={post.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="block mt-3"
+                  >
+                    <ProxiedImage
+                      src={post.thumbnail}
+                      sizes="(min-width: 768px) 640px, 100vw"
+                      className="max-h-80 rounded-lg object-cover hover:opacity-90 transition-opacity"
+                    />
+                  </a>
+                )}
+              </div>
+
+              {/* NSFW overlay - click to reveal */}
+              {isBlurred && (
+                <button
+                  onClick={() => setRevealed(true)}
+                  className="absolute inset-0 flex items-center justify-center gap-2 text-sm font-medium text-white"
+                >
+                  <EyeOff className="w-4 h-4" />
+                  Show NSFW content
+                </button>
+              )}
+            </div>
           )}
 
           {/* Actions */}
@@ -192,6 +235,7 @@ function PostCard({ post, compact = false }) {
               <Bookmark className={`w-4 h-4 ${isSaved ? 'fill-current' : ''}`} />
               <span className="hidden sm:inline">{isSaved ? 'Saved' : 'Save'}</span>
             </button>
+            <ReportButton targetType="post" targetId={post.id} apId={post.apId} instance={post.instance} />
           </div>
         </div>
       </div>
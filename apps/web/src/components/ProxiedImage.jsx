@@ -0,0 +1,23 @@
+import { mediaUrl, mediaSrcSet, MEDIA_WIDTHS } from '../services/media';
+
+/**
+ * <img> loaded through the media proxy, with a srcset so the browser picks a fitting width
+ * Pass `sizes` with the rendered width (e.g. "2rem") so small icons don't fetch large images.
+ */
+function ProxiedImage({ src, sizes = '100vw', widths = MEDIA_WIDTHS, alt = '', ...props }) {
+  if (!src) return null;
+
+  return (
+    <img
+      src={mediaUrl(src, widths[Math.min(2, widths.length - 1)])}
+      srcSet={mediaSrcSet(src, widths)}
+      sizes={sizes}
+      alt={alt}
+      loading="lazy"
+      referrerPolicy="no-referrer"
+      {...props}
+    />
+  );
+}
+
+export default ProxiedImage;
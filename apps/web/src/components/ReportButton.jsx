@@ -0,0 +1,166 @@
+import { useState } from 'react';
+import { Flag, Loader2, AlertCircle, CheckCircle, X } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { preSocialService } from '../services/preSocialService';
+
+const REASONS = [
+  'Spam',
+  'Harassment or hate',
+  'Misinformation',
+  'NSFW content not marked',
+  'Illegal content',
+];
+
+/**
+ * Report a post or comment to PreSocial admins (and optionally Lemmy moderators)
+ */
+function ReportButton({ targetType, targetId, apId, instance, compact = false }) {
+  const { isAuthenticated } = useAuth();
+  const [open, setOpen] = useState(false);
+
+  if (!isAuthenticated) return null;
+
+  return (
+    <>
+      <button
+        onClick={(e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          setOpen(true);
+        }}
+        className={compact
+          ? 'flex items-center gap-1 text-xs text-gray-500 hover:text-red-400 transition-colors'
+          : 'flex items-center gap-1.5 px-2 py-1.5 rounded text-xs font-medium text-gray-400 hover:bg-white/10 hover:text-red-400 transition-colors'}
+        title="Report"
+      >
+        <Flag className={compact ? 'w-3 h-3' : 'w-4 h-4'} />
+        <span className={compact ? '' : 'hidden sm:inline'}>Report</span>
+      </button>
+
+      {open && (
+        <ReportDialog
+          target={{ targetType, targetId, apId, instance }}
+          onClose={() => setOpen(false)}
+        />
+      )}
+    </>
+  );
+}
+
+function ReportDialog({ target, onClose }) {
+  const [reason, setReason] = useState(REASONS[0]);
+  const [details, setDetails] = useState('');
+  const [forwardToLemmy, setForwardToLemmy] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [done, setDone] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const fullReason = details.trim() ? `${reason}: ${details.trim()}` : reason;
+      await preSocialService.report(target, fullReason, forwardToLemmy);
+      setDone(true);
+    } catch (err) {
+      setError(err.message || 'Failed to submit report');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4"
+      onClick={onClose}
+    >
+      <div
+        className="glass-card w-full max-w-md p-5"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="font-semibold text-white">Report {target.targetType}</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-white" title="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {done ? (
+          <div className="text-center py-4">
+            <CheckCircle className="w-10 h-10 text-green-400 mx-auto mb-3" />
+            <p className="text-white mb-1">Thanks for your report</p>
+            <p className="text-sm text-gray-400 mb-4">Our moderators will review it.</p>
+            <button onClick={onClose} className="btn-primary px-4 py-2 text-sm">Done</button>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="space-y-1">
+              {REASONS.map((option) => (
+                <label key={option} className="flex items-center gap-2 px-2 py-1.5 rounded-lg text-sm text-gray-300 hover:bg-white/5 cursor-pointer">
+                  <input
+                    type="radio"
+                    name="reason"
+                    value={option}
+                    checked={reason === option}
+                    onChange={() => setReason(option)}
+                  />
+                  {option}
+                </label>
+              ))}
+            </div>
+
+            <textarea
+              value={details}
+              onChange={(e) => setDetails(e.target.value)}
+              placeholder="Anything else moderators should know? (optional)"
+              maxLength={800}
+              rows={3}
+              className="glass-input w-full resize-none"
+            />
+
+            <label className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={forwardToLemmy}
+                onChange={(e) => setForwardToLemmy(e.target.checked)}
+              />
+              Also report to the community's Lemmy moderators
+            </label>
+
+            {error && (
+              <div className="flex items-center gap-2 text-red-400 text-sm">
+                <AlertCircle className="w-4 h-4" />
+                {error}
+              </div>
+            )}
+
+            <div className="flex justify-end gap-2">
+              <button
+                type="button"
+                onClick={onClose}
+                disabled={submitting}
+                className="px-4 py-2 text-sm text-gray-400 hover:text-white transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={submitting}
+                className="flex items-center gap-2 px-4 py-2 rounded-lg bg-red-500/80 text-white text-sm font-medium hover:bg-red-500 transition-colors disabled:opacity-50"
+              >
+                {submitting && <Loader2 className="w-4 h-4 animate-spin" />}
+                Submit report
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ReportButton;
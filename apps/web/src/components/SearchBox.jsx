@@ -0,0 +1,244 @@
+import { useState, useRef, useEffect, useId } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Search, Clock, TrendingUp, X } from 'lucide-react';
+import ProxiedImage from './ProxiedImage';
+import { preSocialService } from '../services/preSocialService';
+
+const SUGGEST_DELAY = 150;
+
+/**
+ * Header search input with a typeahead of recent searches, communities and popular searches
+ * Arrow keys move through the suggestions, Enter picks one (or searches), Escape closes them.
+ */
+function SearchBox({ className = '' }) {
+  const [query, setQuery] = useState('');
+  const [suggestions, setSuggestions] = useState(null);
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(-1);
+  const containerRef = useRef(null);
+  const navigate = useNavigate();
+  const listId = useId();
+
+  // Fetch suggestions shortly after typing stops; responses for older input are dropped
+  useEffect(() => {
+    if (!open) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const data = await preSocialService.suggest(query.trim());
+        if (!cancelled) {
+          setSuggestions(data);
+          setHighlighted(-1);
+        }
+      } catch (err) {
+        if (!cancelled) setSuggestions(null);
+      }
+    }, SUGGEST_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, open]);
+
+  // Close when clicking anywhere outside the search box
+  useEffect(() => {
+    if (!open) return;
+
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const items = suggestions ? [
+    ...suggestions.recent.map((value) => ({ kind: 'recent', value })),
+    ...suggestions.communities.map((community) => ({ kind: 'community', community })),
+    ...suggestions.popular.map((value) => ({ kind: 'popular', value })),
+  ] : [];
+
+  const search = (value) => {
+    const trimmed = value.trim();
+    if (!trimmed) return;
+    setQuery(trimmed);
+    setOpen(false);
+    navigate(`/search?q=${encodeURIComponent(trimmed)}`);
+  };
+
+  const select = (item) => {
+    if (item.kind === 'community') {
+      setOpen(false);
+      navigate(`/c/${item.community.handle || item.community.name}`);
+    } else {
+      search(item.value);
+    }
+  };
+
+  const removeRecent = async (value) => {
+    setSuggestions((current) => current && { ...current, recent: current.recent.filter((q) => q !== value) });
+    setHighlighted(-1);
+    try {
+      await preSocialService.clearRecentSearches(value);
+    } catch (err) {
+      console.error('Failed to remove recent search:', err);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    search(query);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setOpen(false);
+      return;
+    }
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (!open) {
+        setOpen(true);
+        return;
+      }
+      if (items.length === 0) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      // -1 is the input itself, between the last suggestion and the first
+      setHighlighted((index) => {
+        const next = index + step;
+        if (next >= items.length) return -1;
+        return next < -1 ? items.length - 1 : next;
+      });
+      return;
+    }
+    if (e.key === 'Enter' && open && highlighted >= 0 && items[highlighted]) {
+      e.preventDefault();
+      select(items[highlighted]);
+    }
+  };
+
+  const showDropdown = open && items.length > 0;
+  const optionId = (index) => `${listId}-option-${index}`;
+
+  return (
+    <form onSubmit={handleSubmit} className={className} role="search">
+      <div ref={containerRef} className="relative w-full">
+        <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setOpen(true);
+          }}
+          onFocus={() => setOpen(true)}
+          onKeyDown={handleKeyDown}
+          placeholder="Search discussions..."
+          className="glass-input w-full pl-10 pr-4 py-2.5 text-sm"
+          role="combobox"
+          aria-autocomplete="list"
+          aria-expanded={showDropdown}
+          aria-controls={listId}
+          aria-activedescendant={showDropdown && highlighted >= 0 ? optionId(highlighted) : undefined}
+        />
+
+        {showDropdown && (
+          <ul
+            id={listId}
+            role="listbox"
+            className="absolute left-0 right-0 top-full mt-2 py-2 rounded-xl bg-dark-800 border border-white/10 shadow-xl z-50 max-h-96 overflow-y-auto"
+          >
+            {items.map((item, index) => (
+              <SuggestionItem
+                key={item.kind === 'community' ? `community-${item.community.handle || item.community.name}` : `${item.kind}-${item.value}`}
+                id={optionId(index)}
+                item={item}
+                active={index === highlighted}
+                sectionStart={index === 0 || items[index - 1].kind !== item.kind}
+                onSelect={() => select(item)}
+                onHover={() => setHighlighted(index)}
+                onRemove={item.kind === 'recent' ? () => removeRecent(item.value) : undefined}
+              />
+            ))}
+          </ul>
+        )}
+      </div>
+    </form>
+  );
+}
+
+const SECTION_LABELS = {
+  recent: 'Recent searches',
+  community: 'Communities',
+  popular: 'Popular searches',
+};
+
+function SuggestionItem({ id, item, active, sectionStart, onSelect, onHover, onRemove }) {
+  return (
+    <>
+      {sectionStart && (
+        <li role="presentation" className="px-4 pt-2 pb-1 text-xs font-medium uppercase tracking-wide text-gray-500">
+          {SECTION_LABELS[item.kind]}
+        </li>
+      )}
+      {/* Preventing mousedown keeps focus (and the caret) in the input while picking */}
+      <li
+        id={id}
+        role="option"
+        aria-selected={active}
+        onMouseDown={(e) => e.preventDefault()}
+        onClick={onSelect}
+        onMouseEnter={onHover}
+        className={`flex items-center gap-3 px-4 py-2 cursor-pointer text-sm transition-colors ${
+          active ? 'bg-white/10 text-white' : 'text-gray-300'
+        }`}
+      >
+        {item.kind === 'community' ? (
+          <>
+            {item.community.icon ? (
+              <ProxiedImage src={item.community.icon} sizes="1.5rem" className="w-6 h-6 rounded-full object-cover flex-shrink-0" />
+            ) : (
+              <div className="w-6 h-6 rounded-full bg-gradient-to-br from-social/50 to-presearch/50 flex items-center justify-center flex-shrink-0">
+                <span className="text-xs font-bold text-white">{item.community.name[0].toUpperCase()}</span>
+              </div>
+            )}
+            <span className="flex-1 min-w-0 truncate">
+              c/{item.community.name}
+              {item.community.title && item.community.title !== item.community.name && (
+                <span className="text-gray-500"> · {item.community.title}</span>
+              )}
+            </span>
+          </>
+        ) : (
+          <>
+            {item.kind === 'recent' ? (
+              <Clock className="w-4 h-4 text-gray-500 flex-shrink-0" />
+            ) : (
+              <TrendingUp className="w-4 h-4 text-gray-500 flex-shrink-0" />
+            )}
+            <span className="flex-1 min-w-0 truncate">{item.value}</span>
+          </>
+        )}
+
+        {onRemove && (
+          <button
+            type="button"
+            onClick={(e) => {
+              e.stopPropagation();
+              onRemove();
+            }}
+            className="p-1 rounded text-gray-500 hover:text-white hover:bg-white/10 transition-colors"
+            aria-label={`Remove "${item.value}" from recent searches`}
+          >
+            <X className="w-3.5 h-3.5" />
+          </button>
+        )}
+      </li>
+    </>
+  );
+}
+
+export default SearchBox;
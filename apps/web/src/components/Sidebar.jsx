@@ -1,10 +1,13 @@
 import { useState, useEffect } from 'react';
 import { Link, useLocation } from 'react-router-dom';
-import { Home, TrendingUp, Users, Bookmark, Settings, ChevronRight } from 'lucide-react';
+import { Home, TrendingUp, Users, Bookmark, Settings, ChevronRight, PenSquare, Shield } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
 import { preSocialService } from '../services/preSocialService';
+import ProxiedImage from './ProxiedImage';
 
 function Sidebar() {
   const location = useLocation();
+  const { isAdmin } = useAuth();
   const [communities, setCommunities] = useState([]);
   const [loading, setLoading] = useState(true);
 
@@ -33,6 +36,10 @@ function Sidebar() {
         <SidebarLink to="/trending" icon={<TrendingUp className="w-5 h-5" />} label="Trending" active={isActive('/trending')} />
         <SidebarLink to="/communities" icon={<Users className="w-5 h-5" />} label="Communities" active={isActive('/communities')} />
         <SidebarLink to="/saved" icon={<Bookmark className="w-5 h-5" />} label="Saved" active={isActive('/saved')} />
+        <SidebarLink to="/submit" icon={<PenSquare className="w-5 h-5" />} label="New Post" active={isActive('/submit')} />
+        {isAdmin && (
+          <SidebarLink to="/admin" icon={<Shield className="w-5 h-5" />} label="Admin" active={location.pathname.startsWith('/admin')} />
+        )}
       </nav>
 
       {/* Communities */}
@@ -91,14 +98,12 @@ function SidebarLink({ to, icon, label, active }) {
 
 function CommunityLink({ community }) {
   return (
-    <a
-      href={community.url}
-      target="_blank"
-      rel="noopener noreferrer"
+    <Link
+      to={`/c/${community.handle || community.name}`}
       className="flex items-center gap-3 px-2 py-2 rounded-lg hover:bg-white/5 transition-colors group"
     >
       {community.icon ? (
-        <img src={community.icon} alt="" className="w-8 h-8 rounded-full object-cover" />
+        <ProxiedImage src={community.icon} sizes="2rem" className="w-8 h-8 rounded-full object-cover" />
       ) : (
         <div className="w-8 h-8 rounded-full bg-gradient-to-br from-social/50 to-presearch/50 flex items-center justify-center">
           <span className="text-xs font-bold text-white">{community.name[0].toUpperCase()}</span>
@@ -111,7 +116,7 @@ function CommunityLink({ community }) {
         <p className="text-xs text-gray-500">{formatNumber(community.subscribers)} members</p>
       </div>
       <ChevronRight className="w-4 h-4 text-gray-500 opacity-0 group-hover:opacity-100 transition-opacity" />
-    </a>
+    </Link>
   );
 }
 
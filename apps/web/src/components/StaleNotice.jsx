@@ -0,0 +1,15 @@
+import { AlertTriangle } from 'lucide-react';
+
+/**
+ * Shown when the API served a cached copy because Lemmy is unavailable
+ */
+function StaleNotice() {
+  return (
+    <div className="glass-card px-4 py-3 flex items-center gap-2 text-sm text-yellow-400">
+      <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+      <span>Lemmy is having trouble right now. Showing the last results we have.</span>
+    </div>
+  );
+}
+
+export default StaleNotice;
@@ -1,11 +1,14 @@
 import { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import authService from '../services/authService';
+import { preSocialService } from '../services/preSocialService';
 
 const AuthContext = createContext(null);
 
 export function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [isAdmin, setIsAdmin] = useState(false);
+  const [roleLoading, setRoleLoading] = useState(false);
 
   // Handle token expiration
   const handleTokenExpired = useCallback(() => {
@@ -45,6 +48,20 @@ export function AuthProvider({ children }) {
     return cleanup;
   }, [handleTokenExpired, handleTokenRefreshed]);
 
+  // Look up the user's PreSocial role whenever the signed-in user changes
+  useEffect(() => {
+    if (!user) {
+      setIsAdmin(false);
+      return;
+    }
+
+    setRoleLoading(true);
+    preSocialService.getMe()
+      .then((me) => setIsAdmin(me.isAdmin))
+      .catch(() => setIsAdmin(false))
+      .finally(() => setRoleLoading(false));
+  }, [user]);
+
   const login = async (email, password) => {
     const data = await authService.login(email, password);
     setUser(data.user);
@@ -81,7 +98,9 @@ export function AuthProvider({ children }) {
     loginWithToken,
     register,
     logout,
-    isAuthenticated: !!user
+    isAuthenticated: !!user,
+    isAdmin,
+    roleLoading
   };
 
   return (
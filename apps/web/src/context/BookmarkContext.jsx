@@ -37,7 +37,7 @@ export function BookmarkProvider({ children }) {
         const data = await response.json();
         const bookmarkMap = {};
         (data.bookmarks || []).forEach(post => {
-          bookmarkMap[post.id] = true;
+          bookmarkMap[post.apId] = true;
         });
         setBookmarks(bookmarkMap);
         setSavedPosts(data.bookmarks || []);
@@ -59,8 +59,9 @@ export function BookmarkProvider({ children }) {
       return { success: false, error: 'Authentication required' };
     }
 
-    const postId = post.id;
-    const isCurrentlySaved = bookmarks[postId];
+    // Keyed by the post's ActivityPub ID, since numeric IDs differ per instance
+    const { apId } = post;
+    const isCurrentlySaved = bookmarks[apId];
 
     // Optimistic update
     const previousBookmarks = { ...bookmarks };
@@ -68,11 +69,11 @@ export function BookmarkProvider({ children }) {
 
     if (isCurrentlySaved) {
       const newBookmarks = { ...bookmarks };
-      delete newBookmarks[postId];
+      delete newBookmarks[apId];
       setBookmarks(newBookmarks);
-      setSavedPosts(prev => prev.filter(p => p.id !== postId));
+      setSavedPosts(prev => prev.filter(p => p.apId !== apId));
     } else {
-      setBookmarks(prev => ({ ...prev, [postId]: true }));
+      setBookmarks(prev => ({ ...prev, [apId]: true }));
       setSavedPosts(prev => [{
         ...post,
         savedAt: new Date().toISOString()
@@ -87,9 +88,10 @@ export function BookmarkProvider({ children }) {
           'Authorization': `Bearer ${token}`
         },
         body: JSON.stringify({
-          postId,
+          apId,
           post: isCurrentlySaved ? undefined : {
             id: post.id,
+            instance: post.instance,
             title: post.title,
             url: post.url,
             score: post.score,
@@ -120,8 +122,8 @@ export function BookmarkProvider({ children }) {
     }
   }, [isAuthenticated, bookmarks, savedPosts]);
 
-  const isBookmarked = useCallback((postId) => {
-    return !!bookmarks[postId];
+  const isBookmarked = useCallback((apId) => {
+    return !!bookmarks[apId];
   }, [bookmarks]);
 
   const value = {
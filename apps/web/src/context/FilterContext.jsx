@@ -0,0 +1,83 @@
+import { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+import { preSocialService } from '../services/preSocialService';
+
+// Matches the server defaults for signed-out users
+const DEFAULT_FILTERS = {
+  showNsfw: false,
+  blurNsfw: true,
+  blockedCommunities: [],
+  blockedAuthors: [],
+  mutedKeywords: [],
+};
+
+const FilterContext = createContext(null);
+
+export function FilterProvider({ children }) {
+  const { isAuthenticated, user } = useAuth();
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+
+  // Load the user's filters when authenticated
+  useEffect(() => {
+    if (!isAuthenticated || !user) {
+      setFilters(DEFAULT_FILTERS);
+      return;
+    }
+
+    preSocialService.getFilters()
+      .then((data) => setFilters(data.filters))
+      .catch((error) => console.error('Failed to load content filters:', error));
+  }, [isAuthenticated, user]);
+
+  /**
+   * Save filter changes (optimistically; reverted if the save fails)
+   */
+  const updateFilters = useCallback(async (changes) => {
+    const previous = filters;
+    setFilters({ ...filters, ...changes });
+
+    try {
+      const data = await preSocialService.updateFilters(changes);
+      setFilters(data.filters);
+      return { success: true };
+    } catch (error) {
+      setFilters(previous);
+      return { success: false, error: error.message || 'Failed to save filters' };
+    }
+  }, [filters]);
+
+  const toggleListEntry = useCallback((list, handle) => {
+    const entry = handle.toLowerCase();
+    const current = filters[list];
+    return updateFilters({
+      [list]: current.includes(entry)
+        ? current.filter((item) => item !== entry)
+        : [...current, entry],
+    });
+  }, [filters, updateFilters]);
+
+  const value = {
+    filters,
+    updateFilters,
+    isCommunityBlocked: (handle) => !!handle && filters.blockedCommunities.includes(handle.toLowerCase()),
+    isAuthorBlocked: (handle) => !!handle && filters.blockedAuthors.includes(handle.toLowerCase()),
+    toggleBlockedCommunity: (handle) => toggleListEntry('blockedCommunities', handle),
+    toggleBlockedAuthor: (handle) => toggleListEntry('blockedAuthors', handle),
+  };
+
+  return (
+    <FilterContext.Provider value={value}>
+      {children}
+    </FilterContext.Provider>
+  );
+}
+
+export function useFilters() {
+  const context = useContext(FilterContext);
+  if (!context) {
+    throw new Error('useFilters must be used within a FilterProvider');
+  }
+  return context;
+}
+
+export default FilterContext;
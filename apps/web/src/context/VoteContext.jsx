@@ -41,7 +41,8 @@ export function VoteProvider({ children }) {
     }
   };
 
-  const vote = useCallback(async (postId, voteType) => {
+  // Votes are keyed by the post's ActivityPub ID, since numeric IDs differ per instance
+  const vote = useCallback(async (post, voteType) => {
     if (!isAuthenticated) {
       return { success: false, error: 'Please sign in to vote' };
     }
@@ -51,7 +52,8 @@ export function VoteProvider({ children }) {
       return { success: false, error: 'Authentication required' };
     }
 
-    const currentVote = votes[postId];
+    const { apId } = post;
+    const currentVote = votes[apId];
 
     // If clicking the same vote, remove it
     const newVote = currentVote === voteType ? 'none' : voteType;
@@ -62,10 +64,10 @@ export function VoteProvider({ children }) {
 
     if (newVote === 'none') {
       const newVotesState = { ...votes };
-      delete newVotesState[postId];
+      delete newVotesState[apId];
       setVotes(newVotesState);
     } else {
-      setVotes(prev => ({ ...prev, [postId]: newVote }));
+      setVotes(prev => ({ ...prev, [apId]: newVote }));
     }
 
     // Calculate score adjustment for UI
@@ -83,7 +85,7 @@ export function VoteProvider({ children }) {
 
     setScoreAdjustments(prev => ({
       ...prev,
-      [postId]: (prev[postId] || 0) + adjustment
+      [apId]: (prev[apId] || 0) + adjustment
     }));
 
     try {
@@ -93,7 +95,7 @@ export function VoteProvider({ children }) {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${token}`
         },
-        body: JSON.stringify({ postId, vote: newVote })
+        body: JSON.stringify({ postId: post.id, apId, instance: post.instance, vote: newVote })
       });
 
       if (!response.ok) {
@@ -113,12 +115,12 @@ export function VoteProvider({ children }) {
     }
   }, [isAuthenticated, votes, scoreAdjustments]);
 
-  const getVote = useCallback((postId) => {
-    return votes[postId] || null;
+  const getVote = useCallback((apId) => {
+    return votes[apId] || null;
   }, [votes]);
 
-  const getAdjustedScore = useCallback((postId, originalScore) => {
-    return originalScore + (scoreAdjustments[postId] || 0);
+  const getAdjustedScore = useCallback((apId, originalScore) => {
+    return originalScore + (scoreAdjustments[apId] || 0);
   }, [scoreAdjustments]);
 
   const value = {
@@ -0,0 +1,140 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { formatDistanceToNow } from 'date-fns';
+import { Ban, Loader2, AlertCircle, Undo2 } from 'lucide-react';
+import { preSocialService } from '../services/preSocialService';
+
+function AdminBansPage() {
+  const [bans, setBans] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [userId, setUserId] = useState('');
+  const [reason, setReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [formError, setFormError] = useState(null);
+
+  useEffect(() => {
+    const loadBans = async () => {
+      try {
+        const data = await preSocialService.getBans();
+        setBans(data.bans || []);
+      } catch (err) {
+        setError('Failed to load bans');
+        console.error(err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadBans();
+  }, []);
+
+  const handleBan = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setFormError(null);
+
+    try {
+      const data = await preSocialService.banUser(userId.trim(), reason.trim());
+      setBans((prev) => [data.ban, ...prev]);
+      setUserId('');
+      setReason('');
+    } catch (err) {
+      setFormError(err.message || 'Failed to ban user');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleUnban = async (bannedUserId) => {
+    try {
+      await preSocialService.unbanUser(bannedUserId);
+      setBans((prev) => prev.filter((ban) => ban.userId !== bannedUserId));
+    } catch (err) {
+      console.error('Failed to unban user:', err);
+    }
+  };
+
+  if (loading) {
+    return <div className="glass-card h-48 skeleton" />;
+  }
+
+  if (error) {
+    return (
+      <div className="glass-card p-8 text-center">
+        <p className="text-red-400">{error}</p>
+      </div>
+    );
+  }
+
+  return (
+    <section className="glass-card p-4">
+      <h2 className="text-sm font-medium text-gray-400 uppercase tracking-wider mb-1">Banned Users</h2>
+      <p className="text-sm text-gray-500 mb-3">Banned users can still read and vote, but can't comment or post through PreSocial.</p>
+
+      <form onSubmit={handleBan}>
+        <div className="flex flex-col sm:flex-row gap-2">
+          <input
+            type="text"
+            value={userId}
+            onChange={(e) => setUserId(e.target.value)}
+            placeholder="PreSuite user ID"
+            className="glass-input flex-1"
+          />
+          <input
+            type="text"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="Reason (shown to the user)"
+            maxLength={500}
+            className="glass-input flex-1"
+          />
+          <button
+            type="submit"
+            disabled={submitting || !userId.trim()}
+            className="flex items-center justify-center gap-1 px-3 py-1.5 rounded-lg text-sm bg-red-500/80 text-white hover:bg-red-500 transition-colors disabled:opacity-50"
+          >
+            {submitting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Ban className="w-4 h-4" />}
+            Ban
+          </button>
+        </div>
+
+        {formError && (
+          <div className="flex items-center gap-2 mt-2 text-red-400 text-sm">
+            <AlertCircle className="w-4 h-4" />
+            {formError}
+          </div>
+        )}
+      </form>
+
+      {bans.length > 0 ? (
+        <div className="mt-4 divide-y divide-white/5">
+          {bans.map((ban) => (
+            <div key={ban.userId} className="flex items-center justify-between gap-4 py-3">
+              <div className="min-w-0">
+                <Link to={`/user/${ban.userId}`} className="text-sm text-white hover:text-presearch truncate block">
+                  {ban.userId}
+                </Link>
+                <p className="text-xs text-gray-500 mt-0.5">
+                  Banned by {ban.bannedBy} {formatDistanceToNow(new Date(ban.bannedAt), { addSuffix: true })}
+                  {ban.reason && <> — {ban.reason}</>}
+                </p>
+              </div>
+              <button
+                onClick={() => handleUnban(ban.userId)}
+                className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm text-gray-400 hover:bg-white/10 hover:text-white transition-colors flex-shrink-0"
+              >
+                <Undo2 className="w-4 h-4" />
+                Unban
+              </button>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="mt-4 text-sm text-gray-500">No banned users</p>
+      )}
+    </section>
+  );
+}
+
+export default AdminBansPage;
@@ -0,0 +1,223 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { formatDistanceToNow } from 'date-fns';
+import { EyeOff, Eye, Loader2, AlertCircle } from 'lucide-react';
+import { preSocialService } from '../services/preSocialService';
+
+/**
+ * Pull a post ID out of a bare number or a PreSocial post link
+ */
+function parsePostId(input) {
+  const match = input.trim().match(/^(\d+)$|\/post\/(\d+)/);
+  return match ? parseInt(match[1] || match[2]) : null;
+}
+
+function AdminHiddenPage() {
+  const [posts, setPosts] = useState([]);
+  const [communities, setCommunities] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadHidden = async () => {
+      try {
+        const data = await preSocialService.getHiddenContent();
+        setPosts(data.posts || []);
+        setCommunities(data.communities || []);
+      } catch (err) {
+        setError('Failed to load hidden content');
+        console.error(err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadHidden();
+  }, []);
+
+  const handleHidePost = async (input, reason) => {
+    const postId = parsePostId(input);
+    if (!postId) {
+      throw new Error('Enter a post ID or a PreSocial post link');
+    }
+
+    const data = await preSocialService.hidePost(postId, reason);
+    setPosts((prev) => [data.post, ...prev.filter((post) => post.postId !== postId)]);
+  };
+
+  const handleHideCommunity = async (input, reason) => {
+    const handle = input.trim().replace(/^(!|c\/)/, '');
+    const data = await preSocialService.hideCommunity(handle, reason);
+    setCommunities((prev) => [data.community, ...prev.filter((comm) => comm.handle !== data.community.handle)]);
+  };
+
+  const handleUnhidePost = async (postId) => {
+    await preSocialService.unhidePost(postId);
+    setPosts((prev) => prev.filter((post) => post.postId !== postId));
+  };
+
+  const handleUnhideCommunity = async (handle) => {
+    await preSocialService.unhideCommunity(handle);
+    setCommunities((prev) => prev.filter((comm) => comm.handle !== handle));
+  };
+
+  if (loading) {
+    return <div className="glass-card h-48 skeleton" />;
+  }
+
+  if (error) {
+    return (
+      <div className="glass-card p-8 text-center">
+        <p className="text-red-400">{error}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {/* Hidden posts */}
+      <section className="glass-card p-4">
+        <h2 className="text-sm font-medium text-gray-400 uppercase tracking-wider mb-3">Hidden Posts</h2>
+        <HideForm placeholder="Post ID or link" onSubmit={handleHidePost} />
+
+        {posts.length > 0 ? (
+          <div className="mt-4 divide-y divide-white/5">
+            {posts.map((post) => (
+              <HiddenItem
+                key={post.postId}
+                entry={post}
+                onUnhide={() => handleUnhidePost(post.postId)}
+              >
+                <Link to={`/post/${post.postId}`} className="text-sm text-white hover:text-presearch truncate block">
+                  {post.title}
+                </Link>
+                <p className="text-xs text-gray-500">c/{post.communityHandle}</p>
+              </HiddenItem>
+            ))}
+          </div>
+        ) : (
+          <p className="mt-4 text-sm text-gray-500">No hidden posts</p>
+        )}
+      </section>
+
+      {/* Hidden communities */}
+      <section className="glass-card p-4">
+        <h2 className="text-sm font-medium text-gray-400 uppercase tracking-wider mb-3">Hidden Communities</h2>
+        <HideForm placeholder="Community, e.g. name@lemmy.world" onSubmit={handleHideCommunity} />
+
+        {communities.length > 0 ? (
+          <div className="mt-4 divide-y divide-white/5">
+            {communities.map((community) => (
+              <HiddenItem
+                key={community.handle}
+                entry={community}
+                onUnhide={() => handleUnhideCommunity(community.handle)}
+              >
+                <p className="text-sm text-white truncate">{community.title}</p>
+                <p className="text-xs text-gray-500">c/{community.handle}</p>
+              </HiddenItem>
+            ))}
+          </div>
+        ) : (
+          <p className="mt-4 text-sm text-gray-500">No hidden communities</p>
+        )}
+      </section>
+    </div>
+  );
+}
+
+function HideForm({ placeholder, onSubmit }) {
+  const [target, setTarget] = useState('');
+  const [reason, setReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      await onSubmit(target, reason.trim());
+      setTarget('');
+      setReason('');
+    } catch (err) {
+      setError(err.message || 'Failed to hide');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div className="flex flex-col sm:flex-row gap-2">
+        <input
+          type="text"
+          value={target}
+          onChange={(e) => setTarget(e.target.value)}
+          placeholder={placeholder}
+          className="glass-input flex-1"
+        />
+        <input
+          type="text"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          placeholder="Reason (optional)"
+          maxLength={500}
+          className="glass-input flex-1"
+        />
+        <button
+          type="submit"
+          disabled={submitting || !target.trim()}
+          className="flex items-center justify-center gap-1 px-3 py-1.5 rounded-lg text-sm bg-red-500/80 text-white hover:bg-red-500 transition-colors disabled:opacity-50"
+        >
+          {submitting ? <Loader2 className="w-4 h-4 animate-spin" /> : <EyeOff className="w-4 h-4" />}
+          Hide
+        </button>
+      </div>
+
+      {error && (
+        <div className="flex items-center gap-2 mt-2 text-red-400 text-sm">
+          <AlertCircle className="w-4 h-4" />
+          {error}
+        </div>
+      )}
+    </form>
+  );
+}
+
+function HiddenItem({ entry, onUnhide, children }) {
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleUnhide = async () => {
+    setSubmitting(true);
+    try {
+      await onUnhide();
+    } catch (err) {
+      console.error('Failed to unhide:', err);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center justify-between gap-4 py-3">
+      <div className="min-w-0">
+        {children}
+        <p className="text-xs text-gray-500 mt-0.5">
+          Hidden by {entry.hiddenBy} {formatDistanceToNow(new Date(entry.hiddenAt), { addSuffix: true })}
+          {entry.reason && <> — {entry.reason}</>}
+        </p>
+      </div>
+      <button
+        onClick={handleUnhide}
+        disabled={submitting}
+        className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm text-gray-400 hover:bg-white/10 hover:text-white transition-colors disabled:opacity-50 flex-shrink-0"
+      >
+        {submitting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Eye className="w-4 h-4" />}
+        Unhide
+      </button>
+    </div>
+  );
+}
+
+export default AdminHiddenPage;
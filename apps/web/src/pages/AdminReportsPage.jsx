@@ -0,0 +1,238 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { formatDistanceToNow } from 'date-fns';
+import { CheckCircle, XCircle, Loader2, ExternalLink, EyeOff, Ban } from 'lucide-react';
+import { preSocialService } from '../services/preSocialService';
+
+const STATUS_TABS = [
+  { value: 'open', label: 'Open' },
+  { value: 'resolved', label: 'Resolved' },
+  { value: 'dismissed', label: 'Dismissed' },
+];
+
+function AdminReportsPage() {
+  const [status, setStatus] = useState('open');
+  const [reports, setReports] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadReports = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await preSocialService.getReports(status);
+      setReports(data.reports || []);
+    } catch (err) {
+      setError('Failed to load reports');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    loadReports();
+  }, [loadReports]);
+
+  // Drop a resolved report from the current list
+  const handleResolved = (reportId) => {
+    setReports((prev) => prev.filter((report) => report.id !== reportId));
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-1">
+        {STATUS_TABS.map(({ value, label }) => (
+          <button
+            key={value}
+            onClick={() => setStatus(value)}
+            className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+              status === value
+                ? 'bg-white/10 text-white'
+                : 'text-gray-400 hover:bg-white/5 hover:text-white'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {error ? (
+        <div className="glass-card p-8 text-center">
+          <p className="text-red-400">{error}</p>
+        </div>
+      ) : loading ? (
+        <div className="space-y-4">
+          {[...Array(3)].map((_, i) => (
+            <div key={i} className="glass-card h-32 skeleton" />
+          ))}
+        </div>
+      ) : reports.length > 0 ? (
+        reports.map((report) => (
+          <ReportItem key={report.id} report={report} onResolved={handleResolved} />
+        ))
+      ) : (
+        <div className="glass-card p-8 text-center">
+          <p className="text-gray-400">No {status} reports</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ReportItem({ report, onResolved }) {
+  const [note, setNote] = useState('');
+  const [submitting, setSubmitting] = useState(null);
+  const [error, setError] = useState(null);
+  const [actionTaken, setActionTaken] = useState(null);
+  const reportedAt = formatDistanceToNow(new Date(report.createdAt), { addSuffix: true });
+
+  const resolve = async (status) => {
+    setSubmitting(status);
+    setError(null);
+
+    try {
+      await preSocialService.resolveReport(report.id, status, note.trim());
+      onResolved(report.id);
+    } catch (err) {
+      setError(err.message || 'Failed to resolve report');
+      setSubmitting(null);
+    }
+  };
+
+  // Hide the reported post or ban its PreSocial author; the report stays open until resolved
+  const takeAction = async (action) => {
+    setSubmitting(action);
+    setError(null);
+
+    try {
+      if (action === 'hide') {
+        await preSocialService.hidePost(report.postId, report.reason.slice(0, 500));
+        setActionTaken('Post hidden from PreSocial');
+      } else {
+        await preSocialService.banUser(report.snapshot.authorUserId, report.reason.slice(0, 500));
+        setActionTaken('Author banned from commenting and posting');
+      }
+    } catch (err) {
+      setError(err.message || 'Action failed');
+    } finally {
+      setSubmitting(null);
+    }
+  };
+
+  return (
+    <div className="glass-card p-4">
+      {/* Meta */}
+      <div className="flex flex-wrap items-center gap-2 text-xs text-gray-400 mb-3">
+        <span className="px-2 py-0.5 rounded-full bg-red-500/20 text-red-400 font-medium uppercase">
+          {report.targetType}
+        </span>
+        <span>Reported by {report.reporterName}</span>
+        <span>•</span>
+        <span>{reportedAt}</span>
+        {report.forwardedToLemmy && (
+          <>
+            <span>•</span>
+            <span className="text-gray-500">Forwarded to Lemmy</span>
+          </>
+        )}
+        <Link
+          to={`/post/${report.postId}`}
+          className="ml-auto flex items-center gap-1 text-presearch hover:underline"
+        >
+          View in context
+          <ExternalLink className="w-3 h-3" />
+        </Link>
+      </div>
+
+      {/* Reason */}
+      <p className="text-sm text-white mb-3">
+        <span className="text-gray-400">Reason:</span> {report.reason}
+      </p>
+
+      {/* Reported content */}
+      <div className="rounded-lg bg-white/5 p-3 mb-3">
+        <p className="text-xs text-gray-500 mb-1">
+          u/{report.snapshot.author}
+          {report.snapshot.community && <> in c/{report.snapshot.community}</>}
+        </p>
+        {report.snapshot.title && (
+          <p className="text-sm font-semibold text-white mb-1">{report.snapshot.title}</p>
+        )}
+        {report.snapshot.content && (
+          <p className="text-sm text-gray-300 whitespace-pre-wrap line-clamp-6">{report.snapshot.content}</p>
+        )}
+      </div>
+
+      {/* Moderation actions */}
+      {report.status === 'open' && (report.targetType === 'post' || report.snapshot.authorUserId) && (
+        <div className="flex flex-wrap items-center gap-2 mb-3">
+          {report.targetType === 'post' && (
+            <button
+              onClick={() => takeAction('hide')}
+              disabled={!!submitting}
+              className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm text-gray-400 hover:bg-white/10 hover:text-white transition-colors disabled:opacity-50"
+            >
+              {submitting === 'hide' ? <Loader2 className="w-4 h-4 animate-spin" /> : <EyeOff className="w-4 h-4" />}
+              Hide post
+            </button>
+          )}
+          {report.snapshot.authorUserId && (
+            <button
+              onClick={() => takeAction('ban')}
+              disabled={!!submitting}
+              className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm text-gray-400 hover:bg-white/10 hover:text-red-400 transition-colors disabled:opacity-50"
+            >
+              {submitting === 'ban' ? <Loader2 className="w-4 h-4 animate-spin" /> : <Ban className="w-4 h-4" />}
+              Ban author
+            </button>
+          )}
+          {actionTaken && <span className="text-xs text-green-400">{actionTaken}</span>}
+        </div>
+      )}
+
+      {/* Resolution */}
+      {report.status === 'open' ? (
+        <div className="flex flex-col sm:flex-row gap-2">
+          <input
+            type="text"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="Resolution note (optional)"
+            maxLength={1000}
+            className="glass-input flex-1"
+          />
+          <div className="flex gap-2">
+            <button
+              onClick={() => resolve('resolved')}
+              disabled={!!submitting}
+              className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm bg-green-500/20 text-green-400 hover:bg-green-500/30 transition-colors disabled:opacity-50"
+            >
+              {submitting === 'resolved' ? <Loader2 className="w-4 h-4 animate-spin" /> : <CheckCircle className="w-4 h-4" />}
+              Resolve
+            </button>
+            <button
+              onClick={() => resolve('dismissed')}
+              disabled={!!submitting}
+              className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm text-gray-400 hover:bg-white/10 hover:text-white transition-colors disabled:opacity-50"
+            >
+              {submitting === 'dismissed' ? <Loader2 className="w-4 h-4 animate-spin" /> : <XCircle className="w-4 h-4" />}
+              Dismiss
+            </button>
+          </div>
+        </div>
+      ) : (
+        <p className="text-xs text-gray-500">
+          {report.status === 'resolved' ? 'Resolved' : 'Dismissed'} by {report.resolvedBy}{' '}
+          {formatDistanceToNow(new Date(report.resolvedAt), { addSuffix: true })}
+          {report.resolutionNote && <> — {report.resolutionNote}</>}
+        </p>
+      )}
+
+      {error && <p className="mt-2 text-xs text-red-400">{error}</p>}
+    </div>
+  );
+}
+
+export default AdminReportsPage;
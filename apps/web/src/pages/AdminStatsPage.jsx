@@ -0,0 +1,139 @@
+import { useState, useEffect } from 'react';
+import { RefreshCw } from 'lucide-react';
+import { preSocialService } from '../services/preSocialService';
+
+const STORAGE_STATS = [
+  ['users', 'Active users'],
+  ['totalVotes', 'Votes'],
+  ['totalBookmarks', 'Bookmarks'],
+  ['profiles', 'Profiles'],
+  ['linkedAccounts', 'Linked Lemmy accounts'],
+  ['trackedComments', 'Comments via PreSocial'],
+  ['openReports', 'Open reports'],
+  ['totalReports', 'Total reports'],
+  ['hiddenPosts', 'Hidden posts'],
+  ['hiddenCommunities', 'Hidden communities'],
+  ['bannedUsers', 'Banned users'],
+  ['trackedPosts', 'Posts tracked for trending'],
+];
+
+const CIRCUIT_COLORS = {
+  closed: 'text-green-400',
+  'half-open': 'text-yellow-400',
+  open: 'text-red-400',
+};
+
+function AdminStatsPage() {
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadStats = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      setStats(await preSocialService.getAdminStats());
+    } catch (err) {
+      setError('Failed to load stats');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadStats();
+  }, []);
+
+  if (error) {
+    return (
+      <div className="glass-card p-8 text-center">
+        <p className="text-red-400">{error}</p>
+      </div>
+    );
+  }
+
+  if (!stats) {
+    return <div className="glass-card h-48 skeleton" />;
+  }
+
+  return (
+    <div className="space-y-4">
+      {/* Storage */}
+      <section className="glass-card p-4">
+        <div className="flex items-center justify-between mb-3">
+          <h2 className="text-sm font-medium text-gray-400 uppercase tracking-wider">Storage</h2>
+          <button
+            onClick={loadStats}
+            disabled={loading}
+            className="flex items-center gap-1 text-xs text-gray-400 hover:text-white transition-colors disabled:opacity-50"
+          >
+            <RefreshCw className={`w-3 h-3 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+        </div>
+
+        <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+          {STORAGE_STATS.map(([key, label]) => (
+            <StatTile key={key} label={label} value={stats.storage[key].toLocaleString()} />
+          ))}
+          <StatTile label="On disk" value={formatBytes(stats.storage.diskBytes)} />
+          <StatTile label="User data backend" value={stats.storage.backend} />
+        </div>
+      </section>
+
+      {/* Cache and uptime */}
+      <section className="glass-card p-4">
+        <h2 className="text-sm font-medium text-gray-400 uppercase tracking-wider mb-3">Server</h2>
+        <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+          <StatTile label="Cache" value={`${stats.cache.type}${stats.cache.connected ? '' : ' (disconnected)'}`} />
+          <StatTile label="Cached entries" value={stats.cache.size.toLocaleString()} />
+          <StatTile label="Uptime" value={formatUptime(stats.uptime)} />
+        </div>
+      </section>
+
+      {/* Lemmy instances */}
+      <section className="glass-card p-4">
+        <h2 className="text-sm font-medium text-gray-400 uppercase tracking-wider mb-3">Lemmy Instances</h2>
+        <div className="divide-y divide-white/5">
+          {stats.circuits.map((circuit) => (
+            <div key={circuit.name} className="flex items-center justify-between gap-4 py-2 text-sm">
+              <span className="text-white truncate">{circuit.name}</span>
+              <span className={CIRCUIT_COLORS[circuit.state] || 'text-gray-400'}>
+                {circuit.state}
+                {circuit.failures > 0 && <span className="text-gray-500"> ({circuit.failures} failures)</span>}
+              </span>
+            </div>
+          ))}
+        </div>
+      </section>
+    </div>
+  );
+}
+
+function StatTile({ label, value }) {
+  return (
+    <div className="p-3 rounded-lg bg-white/5">
+      <p className="text-lg font-semibold text-white">{value}</p>
+      <p className="text-xs text-gray-500">{label}</p>
+    </div>
+  );
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
+
+function formatUptime(seconds) {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+}
+
+export default AdminStatsPage;
@@ -1,6 +1,8 @@
 import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { preSocialService } from '../services/preSocialService';
-import { Users, Search, ExternalLink } from 'lucide-react';
+import { Users, Search, ChevronRight } from 'lucide-react';
+import ProxiedImage from '../components/ProxiedImage';
 
 function CommunitiesPage() {
   const [communities, setCommunities] = useState([]);
@@ -102,18 +104,16 @@ function CommunitiesPage() {
 
 function CommunityCard({ community }) {
   return (
-    <a
-      href={community.url}
-      target="_blank"
-      rel="noopener noreferrer"
+    <Link
+      to={`/c/${community.handle || community.name}`}
       className="glass-card glass-card-hover p-4 block group"
     >
       <div className="flex items-start gap-3">
         {/* Icon */}
         {community.icon ? (
-          <img
+          <ProxiedImage
             src={community.icon}
-            alt=""
+            sizes="3rem"
             className="w-12 h-12 rounded-full object-cover flex-shrink-0"
           />
         ) : (
@@ -130,7 +130,7 @@ function CommunityCard({ community }) {
             <h3 className="font-semibold text-white group-hover:text-presearch transition-colors truncate">
               c/{community.name}
             </h3>
-            <ExternalLink className="w-3 h-3 text-gray-500 opacity-0 group-hover:opacity-100 transition-opacity flex-shrink-0" />
+            <ChevronRight className="w-3 h-3 text-gray-500 opacity-0 group-hover:opacity-100 transition-opacity flex-shrink-0" />
           </div>
           {community.title && community.title !== community.name && (
             <p className="text-sm text-gray-400 truncate">{community.title}</p>
@@ -147,7 +147,7 @@ function CommunityCard({ community }) {
           {community.description}
         </p>
       )}
-    </a>
+    </Link>
   );
 }
 
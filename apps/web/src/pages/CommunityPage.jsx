@@ -0,0 +1,288 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { preSocialService } from '../services/preSocialService';
+import PostCard from '../components/PostCard';
+import PostSkeleton from '../components/PostSkeleton';
+import StaleNotice from '../components/StaleNotice';
+import BlockButton from '../components/BlockButton';
+import { ArrowLeft, Users, FileText, MessageSquare, Activity, Shield, ExternalLink, Flame, Clock, TrendingUp, Loader2, PenSquare } from 'lucide-react';
+import ProxiedImage from '../components/ProxiedImage';
+
+const SORT_OPTIONS = [
+  { value: 'Hot', label: 'Hot', icon: Flame },
+  { value: 'New', label: 'New', icon: Clock },
+  { value: 'TopWeek', label: 'Top', icon: TrendingUp },
+];
+
+const PAGE_SIZE = 20;
+
+function CommunityPage() {
+  const { name } = useParams();
+  const [community, setCommunity] = useState(null);
+  const [moderators, setModerators] = useState([]);
+  const [posts, setPosts] = useState([]);
+  const [sortBy, setSortBy] = useState('Hot');
+  const [page, setPage] = useState(1);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+  const [stale, setStale] = useState(false);
+
+  // Ignore responses for a community or sort that is no longer shown
+  const requestIdRef = useRef(0);
+
+  const loadCommunity = useCallback(async () => {
+    const requestId = ++requestIdRef.current;
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await preSocialService.getCommunity(name, { sort: sortBy, limit: PAGE_SIZE });
+      if (requestId !== requestIdRef.current) return;
+
+      setCommunity(data.community);
+      setModerators(data.moderators || []);
+      setPosts(data.posts || []);
+      setPage(1);
+      setNextCursor(data.nextCursor || null);
+      setHasMore(!!data.hasMore);
+      setStale(!!data.stale);
+    } catch (err) {
+      if (requestId !== requestIdRef.current) return;
+      setError(err.message === 'HTTP 404' ? 'Community not found' : 'Failed to load community');
+      console.error(err);
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+      }
+    }
+  }, [name, sortBy]);
+
+  useEffect(() => {
+    loadCommunity();
+  }, [loadCommunity]);
+
+  const loadMore = async () => {
+    const requestId = requestIdRef.current;
+    setLoadingMore(true);
+
+    try {
+      const data = await preSocialService.getCommunity(name, {
+        sort: sortBy,
+        limit: PAGE_SIZE,
+        page: page + 1,
+        cursor: nextCursor,
+      });
+      if (requestId !== requestIdRef.current) return;
+
+      setPosts((prev) => {
+        const seen = new Set(prev.map((post) => post.id));
+        return [...prev, ...(data.posts || []).filter((post) => !seen.has(post.id))];
+      });
+      setPage((prev) => prev + 1);
+      setNextCursor(data.nextCursor || null);
+      setHasMore(!!data.hasMore);
+    } catch (err) {
+      console.error('Failed to load more posts:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  if (loading && !community) {
+    return (
+      <div className="space-y-4">
+        <div className="glass-card h-48 skeleton" />
+        {[...Array(3)].map((_, i) => (
+          <PostSkeleton key={i} />
+        ))}
+      </div>
+    );
+  }
+
+  if (error && !community) {
+    return (
+      <div className="glass-card p-8 text-center">
+        <p className="text-red-400 mb-3">{error}</p>
+        <Link to="/communities" className="btn-primary px-4 py-2 text-sm inline-flex items-center gap-2">
+          <ArrowLeft className="w-4 h-4" />
+          Browse Communities
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {/* Header */}
+      <div className="glass-card overflow-hidden">
+        {/* Banner */}
+        {community.banner ? (
+          <ProxiedImage src={community.banner} className="w-full h-32 sm:h-40 object-cover" />
+        ) : (
+          <div className="w-full h-24 bg-gradient-to-r from-social/40 to-presearch/40" />
+        )}
+
+        <div className="p-4">
+          <div className="flex items-end gap-4 -mt-12">
+            {/* Icon */}
+            {community.icon ? (
+              <ProxiedImage
+                src={community.icon}
+                sizes="5rem"
+                className="w-20 h-20 rounded-full object-cover border-4 border-dark-800 flex-shrink-0"
+              />
+            ) : (
+              <div className="w-20 h-20 rounded-full bg-gradient-to-br from-social to-presearch border-4 border-dark-800 flex items-center justify-center flex-shrink-0">
+                <span className="text-2xl font-bold text-white">{community.name[0].toUpperCase()}</span>
+              </div>
+            )}
+
+            <div className="flex-1 min-w-0 pb-1">
+              <h1 className="text-xl font-bold text-white truncate">{community.title || community.name}</h1>
+              <p className="text-sm text-gray-400 truncate">c/{community.handle || community.name}</p>
+            </div>
+
+            <div className="pb-1">
+              <BlockButton type="community" handle={community.handle} />
+            </div>
+
+            <a
+              href={community.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="hidden sm:flex items-center gap-1 pb-1 text-xs text-gray-400 hover:text-white transition-colors"
+            >
+              View on Lemmy
+              <ExternalLink className="w-3 h-3" />
+            </a>
+          </div>
+
+          {/* Stats */}
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mt-4">
+            <Stat icon={<Users className="w-4 h-4 text-social" />} value={community.subscribers} label="Members" />
+            <Stat icon={<FileText className="w-4 h-4 text-presearch" />} value={community.posts} label="Posts" />
+            <Stat icon={<MessageSquare className="w-4 h-4 text-green-400" />} value={community.comments} label="Comments" />
+            <Stat icon={<Activity className="w-4 h-4 text-orange-400" />} value={community.activeUsersMonth} label="Active / month" />
+          </div>
+
+          {/* Description */}
+          {community.description && (
+            <p className="text-sm text-gray-300 mt-4 whitespace-pre-wrap line-clamp-6">
+              {community.description}
+            </p>
+          )}
+
+          {/* Moderators */}
+          {moderators.length > 0 && (
+            <div className="mt-4 pt-4 border-t border-white/10">
+              <h3 className="flex items-center gap-1.5 text-xs font-semibold text-gray-400 uppercase tracking-wider mb-2">
+                <Shield className="w-3.5 h-3.5" />
+                Moderators
+              </h3>
+              <div className="flex flex-wrap gap-2">
+                {moderators.slice(0, 10).map((mod) => (
+                  <span key={mod.id} className="flex items-center gap-1.5 px-2 py-1 rounded-full bg-white/5 text-xs text-gray-300">
+                    {mod.avatar ? (
+                      <ProxiedImage src={mod.avatar} sizes="1rem" className="w-4 h-4 rounded-full object-cover" />
+                    ) : (
+                      <span className="w-4 h-4 rounded-full bg-social/30 flex items-center justify-center text-[10px] font-bold">
+                        {mod.name[0].toUpperCase()}
+                      </span>
+                    )}
+                    {mod.displayName || mod.name}
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Sort options */}
+      <div className="glass-card p-2 flex flex-wrap items-center gap-1">
+        {SORT_OPTIONS.map(({ value, label, icon: Icon }) => (
+          <button
+            key={value}
+            onClick={() => setSortBy(value)}
+            className={`flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+              sortBy === value
+                ? 'bg-presearch/20 text-presearch'
+                : 'text-gray-400 hover:bg-white/5 hover:text-white'
+            }`}
+          >
+            <Icon className="w-4 h-4" />
+            {label}
+          </button>
+        ))}
+
+        {!community.postingRestrictedToMods && (
+          <Link
+            to={`/submit?community=${encodeURIComponent(community.handle || community.name)}`}
+            className="ml-auto flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium text-presearch hover:bg-presearch/10 transition-colors"
+          >
+            <PenSquare className="w-4 h-4" />
+            New post
+          </Link>
+        )}
+      </div>
+
+      {/* Stale data notice */}
+      {!loading && stale && <StaleNotice />}
+
+      {/* Posts */}
+      {loading ? (
+        <div className="space-y-4">
+          {[...Array(3)].map((_, i) => (
+            <PostSkeleton key={i} />
+          ))}
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {posts.length > 0 ? (
+            posts.map((post) => (
+              <PostCard key={post.id} post={post} />
+            ))
+          ) : (
+            <div className="glass-card p-8 text-center">
+              <p className="text-gray-400">No posts in this community yet</p>
+            </div>
+          )}
+
+          {hasMore && (
+            <button
+              onClick={loadMore}
+              disabled={loadingMore}
+              className="w-full glass-card py-3 text-sm text-presearch hover:bg-white/5 transition-colors flex items-center justify-center gap-2 disabled:opacity-50"
+            >
+              {loadingMore && <Loader2 className="w-4 h-4 animate-spin" />}
+              {loadingMore ? 'Loading...' : 'Load more posts'}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function Stat({ icon, value, label }) {
+  return (
+    <div className="rounded-lg bg-white/5 px-3 py-2">
+      <div className="flex items-center gap-1.5">
+        {icon}
+        <span className="text-sm font-semibold text-white">{formatNumber(value)}</span>
+      </div>
+      <p className="text-xs text-gray-500 mt-0.5">{label}</p>
+    </div>
+  );
+}
+
+function formatNumber(num) {
+  if (num >= 1000000) return `${(num / 1000000).toFixed(1)}M`;
+  if (num >= 1000) return `${(num / 1000).toFixed(1)}K`;
+  return num?.toString() || '0';
+}
+
+export default CommunityPage;
@@ -1,45 +1,127 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
 import { preSocialService } from '../services/preSocialService';
 import PostCard from '../components/PostCard';
 import PostSkeleton from '../components/PostSkeleton';
-import { TrendingUp, Clock, Flame } from 'lucide-react';
+import StaleNotice from '../components/StaleNotice';
+import { TrendingUp, Clock, Flame, Zap, Loader2 } from 'lucide-react';
+
+const TOP_PERIODS = [
+  { value: 'TopDay', label: 'Today' },
+  { value: 'TopWeek', label: 'This Week' },
+  { value: 'TopMonth', label: 'This Month' },
+  { value: 'TopAll', label: 'All Time' },
+];
+
+const PAGE_SIZE = 20;
 
 function FeedPage() {
   const [posts, setPosts] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
+  const [stale, setStale] = useState(false);
   const [sortBy, setSortBy] = useState('Hot');
+  const [topPeriod, setTopPeriod] = useState('TopDay');
+  const [page, setPage] = useState(1);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(true);
 
-  useEffect(() => {
-    loadPosts();
-  }, [sortBy]);
+  const sentinelRef = useRef(null);
+  // Ignore responses for a sort that is no longer selected
+  const requestIdRef = useRef(0);
 
-  const loadPosts = async () => {
+  const sort = sortBy === 'Top' ? topPeriod : sortBy;
+
+  const loadPosts = useCallback(async () => {
+    const requestId = ++requestIdRef.current;
     setLoading(true);
     setError(null);
 
     try {
-      // For now, load trending as the main feed
-      const data = await preSocialService.getTrending(20);
-      setPosts(data.trending || []);
+      const data = await preSocialService.getFeed({ sort, limit: PAGE_SIZE, page: 1 });
+      if (requestId !== requestIdRef.current) return;
+
+      setPosts(data.posts || []);
+      setStale(!!data.stale);
+      setPage(1);
+      setNextCursor(data.nextCursor || null);
+      setHasMore(!!data.hasMore);
     } catch (err) {
+      if (requestId !== requestIdRef.current) return;
       setError('Failed to load posts. Please try again.');
       console.error(err);
     } finally {
-      setLoading(false);
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+      }
+    }
+  }, [sort]);
+
+  const loadMore = useCallback(async () => {
+    if (loading || loadingMore || !hasMore) return;
+
+    const requestId = requestIdRef.current;
+    setLoadingMore(true);
+
+    try {
+      const data = await preSocialService.getFeed({
+        sort,
+        limit: PAGE_SIZE,
+        page: page + 1,
+        cursor: nextCursor,
+      });
+      if (requestId !== requestIdRef.current) return;
+
+      setPosts((prev) => {
+        const seen = new Set(prev.map((post) => post.id));
+        return [...prev, ...(data.posts || []).filter((post) => !seen.has(post.id))];
+      });
+      setPage((prev) => prev + 1);
+      setNextCursor(data.nextCursor || null);
+      setHasMore(!!data.hasMore);
+    } catch (err) {
+      console.error('Failed to load more posts:', err);
+      setHasMore(false);
+    } finally {
+      setLoadingMore(false);
     }
-  };
+  }, [sort, page, nextCursor, hasMore, loading, loadingMore]);
+
+  useEffect(() => {
+    loadPosts();
+  }, [loadPosts]);
+
+  // Load the next page when the sentinel below the list scrolls into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        loadMore();
+      }
+    }, { rootMargin: '400px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [loadMore]);
 
   return (
     <div className="space-y-4">
       {/* Sort options */}
-      <div className="glass-card p-2 flex items-center gap-1">
+      <div className="glass-card p-2 flex flex-wrap items-center gap-1">
         <SortButton
           active={sortBy === 'Hot'}
           onClick={() => setSortBy('Hot')}
           icon={<Flame className="w-4 h-4" />}
           label="Hot"
         />
+        <SortButton
+          active={sortBy === 'Active'}
+          onClick={() => setSortBy('Active')}
+          icon={<Zap className="w-4 h-4" />}
+          label="Active"
+        />
         <SortButton
           active={sortBy === 'New'}
           onClick={() => setSortBy('New')}
@@ -52,8 +134,25 @@ function FeedPage() {
           icon={<TrendingUp className="w-4 h-4" />}
           label="Top"
         />
+
+        {sortBy === 'Top' && (
+          <select
+            value={topPeriod}
+            onChange={(e) => setTopPeriod(e.target.value)}
+            className="glass-input ml-auto px-3 py-2 text-sm"
+          >
+            {TOP_PERIODS.map((period) => (
+              <option key={period.value} value={period.value} className="bg-dark-800">
+                {period.label}
+              </option>
+            ))}
+          </select>
+        )}
       </div>
 
+      {/* Stale data notice */}
+      {!loading && !error && stale && <StaleNotice />}
+
       {/* Error state */}
       {error && (
         <div className="glass-card p-4 text-center">
@@ -88,6 +187,17 @@ function FeedPage() {
               <p className="text-gray-400">No posts found</p>
             </div>
           )}
+
+          {/* Infinite scroll sentinel */}
+          {posts.length > 0 && hasMore && (
+            <div ref={sentinelRef} className="flex justify-center py-4">
+              {loadingMore && <Loader2 className="w-5 h-5 text-presearch animate-spin" />}
+            </div>
+          )}
+
+          {posts.length > 0 && !hasMore && (
+            <p className="text-center text-xs text-gray-500 py-4">You've reached the end</p>
+          )}
         </div>
       )}
     </div>
@@ -0,0 +1,309 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { preSocialService } from '../services/preSocialService';
+import PostCard from '../components/PostCard';
+import PostSkeleton from '../components/PostSkeleton';
+import StaleNotice from '../components/StaleNotice';
+import BlockButton from '../components/BlockButton';
+import CommentPreview from '../components/CommentPreview';
+import { formatDistanceToNow } from 'date-fns';
+import { ArrowLeft, FileText, MessageSquare, Calendar, Bot, ExternalLink, Flame, Clock, TrendingUp, Loader2 } from 'lucide-react';
+import ProxiedImage from '../components/ProxiedImage';
+
+const SORT_OPTIONS = [
+  { value: 'New', label: 'New', icon: Clock },
+  { value: 'Hot', label: 'Hot', icon: Flame },
+  { value: 'TopAll', label: 'Top', icon: TrendingUp },
+];
+
+const PAGE_SIZE = 20;
+
+function PersonPage() {
+  const { name } = useParams();
+  const [person, setPerson] = useState(null);
+  const [posts, setPosts] = useState([]);
+  const [comments, setComments] = useState([]);
+  const [tab, setTab] = useState('posts');
+  const [sortBy, setSortBy] = useState('New');
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+  const [stale, setStale] = useState(false);
+
+  // Ignore responses for a user or sort that is no longer shown
+  const requestIdRef = useRef(0);
+
+  const loadPerson = useCallback(async () => {
+    const requestId = ++requestIdRef.current;
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await preSocialService.getPerson(name, { sort: sortBy, limit: PAGE_SIZE });
+      if (requestId !== requestIdRef.current) return;
+
+      setPerson(data.person);
+      setPosts(data.posts || []);
+      setComments(data.comments || []);
+      setPage(1);
+      setHasMore(!!data.hasMore);
+      setStale(!!data.stale);
+    } catch (err) {
+      if (requestId !== requestIdRef.current) return;
+      setError(err.message === 'HTTP 404' ? 'User not found' : 'Failed to load user');
+      console.error(err);
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+      }
+    }
+  }, [name, sortBy]);
+
+  useEffect(() => {
+    loadPerson();
+  }, [loadPerson]);
+
+  const loadMore = async () => {
+    const requestId = requestIdRef.current;
+    setLoadingMore(true);
+
+    try {
+      const data = await preSocialService.getPerson(name, {
+        sort: sortBy,
+        limit: PAGE_SIZE,
+        page: page + 1,
+      });
+      if (requestId !== requestIdRef.current) return;
+
+      setPosts((prev) => {
+        const seen = new Set(prev.map((post) => post.id));
+        return [...prev, ...(data.posts || []).filter((post) => !seen.has(post.id))];
+      });
+      setComments((prev) => {
+        const seen = new Set(prev.map((comment) => comment.id));
+        return [...prev, ...(data.comments || []).filter((comment) => !seen.has(comment.id))];
+      });
+      setPage((prev) => prev + 1);
+      setHasMore(!!data.hasMore);
+    } catch (err) {
+      console.error('Failed to load more history:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  if (loading && !person) {
+    return (
+      <div className="space-y-4">
+        <div className="glass-card h-40 skeleton" />
+        {[...Array(3)].map((_, i) => (
+          <PostSkeleton key={i} />
+        ))}
+      </div>
+    );
+  }
+
+  if (error && !person) {
+    return (
+      <div className="glass-card p-8 text-center">
+        <p className="text-red-400 mb-3">{error}</p>
+        <Link to="/" className="btn-primary px-4 py-2 text-sm inline-flex items-center gap-2">
+          <ArrowLeft className="w-4 h-4" />
+          Back to Feed
+        </Link>
+      </div>
+    );
+  }
+
+  const joined = formatDistanceToNow(new Date(person.published), { addSuffix: true });
+
+  return (
+    <div className="space-y-4">
+      {/* Header */}
+      <div className="glass-card overflow-hidden">
+        {/* Banner */}
+        {person.banner ? (
+          <ProxiedImage src={person.banner} className="w-full h-32 sm:h-40 object-cover" />
+        ) : (
+          <div className="w-full h-24 bg-gradient-to-r from-presearch/40 to-social/40" />
+        )}
+
+        <div className="p-4">
+          <div className="flex items-end gap-4 -mt-12">
+            {/* Avatar */}
+            {person.avatar ? (
+              <ProxiedImage
+                src={person.avatar}
+                sizes="5rem"
+                className="w-20 h-20 rounded-full object-cover border-4 border-dark-800 flex-shrink-0"
+              />
+            ) : (
+              <div className="w-20 h-20 rounded-full bg-gradient-to-br from-presearch to-social border-4 border-dark-800 flex items-center justify-center flex-shrink-0">
+                <span className="text-2xl font-bold text-white">{person.name[0].toUpperCase()}</span>
+              </div>
+            )}
+
+            <div className="flex-1 min-w-0 pb-1">
+              <h1 className="text-xl font-bold text-white truncate">{person.displayName || person.name}</h1>
+              <p className="text-sm text-gray-400 truncate">u/{person.handle || person.name}</p>
+            </div>
+
+            <div className="pb-1">
+              <BlockButton type="author" handle={person.handle} />
+            </div>
+
+            <a
+              href={person.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="hidden sm:flex items-center gap-1 pb-1 text-xs text-gray-400 hover:text-white transition-colors"
+            >
+              View on Lemmy
+              <ExternalLink className="w-3 h-3" />
+            </a>
+          </div>
+
+          {/* Badges */}
+          {(person.isBot || person.banned) && (
+            <div className="flex gap-2 mt-3">
+              {person.isBot && (
+                <span className="flex items-center gap-1 px-2 py-0.5 rounded-full bg-white/10 text-xs text-gray-300">
+                  <Bot className="w-3 h-3" />
+                  Bot account
+                </span>
+              )}
+              {person.banned && (
+                <span className="px-2 py-0.5 rounded-full bg-red-500/20 text-xs text-red-400">
+                  Banned
+                </span>
+              )}
+            </div>
+          )}
+
+          {/* Stats */}
+          <div className="grid grid-cols-3 gap-3 mt-4">
+            <Stat icon={<FileText className="w-4 h-4 text-presearch" />} value={formatNumber(person.postCount)} label="Posts" />
+            <Stat icon={<MessageSquare className="w-4 h-4 text-green-400" />} value={formatNumber(person.commentCount)} label="Comments" />
+            <Stat icon={<Calendar className="w-4 h-4 text-social" />} value={joined} label="Joined" />
+          </div>
+
+          {/* Bio */}
+          {person.bio && (
+            <p className="text-sm text-gray-300 mt-4 whitespace-pre-wrap line-clamp-6">
+              {person.bio}
+            </p>
+          )}
+        </div>
+      </div>
+
+      {/* Tabs and sort options */}
+      <div className="glass-card p-2 flex flex-wrap items-center gap-1">
+        <TabButton active={tab === 'posts'} onClick={() => setTab('posts')} label="Posts" />
+        <TabButton active={tab === 'comments'} onClick={() => setTab('comments')} label="Comments" />
+
+        <div className="ml-auto flex items-center gap-1">
+          {SORT_OPTIONS.map(({ value, label, icon: Icon }) => (
+            <button
+              key={value}
+              onClick={() => setSortBy(value)}
+              className={`flex items-center gap-1.5 px-3 py-2 rounded-lg text-xs font-medium transition-colors ${
+                sortBy === value
+                  ? 'bg-presearch/20 text-presearch'
+                  : 'text-gray-400 hover:bg-white/5 hover:text-white'
+              }`}
+            >
+              <Icon className="w-3.5 h-3.5" />
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Stale data notice */}
+      {!loading && stale && <StaleNotice />}
+
+      {/* History */}
+      {loading ? (
+        <div className="space-y-4">
+          {[...Array(3)].map((_, i) => (
+            <PostSkeleton key={i} />
+          ))}
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {tab === 'posts' && (
+            posts.length > 0 ? (
+              posts.map((post) => (
+                <PostCard key={post.id} post={post} />
+              ))
+            ) : (
+              <div className="glass-card p-8 text-center">
+                <p className="text-gray-400">No posts yet</p>
+              </div>
+            )
+          )}
+
+          {tab === 'comments' && (
+            comments.length > 0 ? (
+              comments.map((comment) => (
+                <CommentPreview key={comment.id} comment={comment} />
+              ))
+            ) : (
+              <div className="glass-card p-8 text-center">
+                <p className="text-gray-400">No comments yet</p>
+              </div>
+            )
+          )}
+
+          {hasMore && (
+            <button
+              onClick={loadMore}
+              disabled={loadingMore}
+              className="w-full glass-card py-3 text-sm text-presearch hover:bg-white/5 transition-colors flex items-center justify-center gap-2 disabled:opacity-50"
+            >
+              {loadingMore && <Loader2 className="w-4 h-4 animate-spin" />}
+              {loadingMore ? 'Loading...' : 'Load more'}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function TabButton({ active, onClick, label }) {
+  return (
+    <button
+      onClick={onClick}
+      className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+        active
+          ? 'bg-white/10 text-white'
+          : 'text-gray-400 hover:bg-white/5 hover:text-white'
+      }`}
+    >
+      {label}
+    </button>
+  );
+}
+
+function Stat({ icon, value, label }) {
+  return (
+    <div className="rounded-lg bg-white/5 px-3 py-2 min-w-0">
+      <div className="flex items-center gap-1.5">
+        {icon}
+        <span className="text-sm font-semibold text-white truncate">{value}</span>
+      </div>
+      <p className="text-xs text-gray-500 mt-0.5">{label}</p>
+    </div>
+  );
+}
+
+function formatNumber(num) {
+  if (num >= 1000000) return `${(num / 1000000).toFixed(1)}M`;
+  if (num >= 1000) return `${(num / 1000).toFixed(1)}K`;
+  return num?.toString() || '0';
+}
+
+export default PersonPage;
@@ -1,81 +1,99 @@
-import { useState, useEffect, useMemo, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { useParams, Link } from 'react-router-dom';
 import { preSocialService } from '../services/preSocialService';
 import PostCard from '../components/PostCard';
 import CommentForm from '../components/CommentForm';
-import { ArrowLeft, MessageSquare, ArrowBigUp, ChevronDown, ChevronUp, Reply } from 'lucide-react';
+import ReportButton from '../components/ReportButton';
+import Markdown from '../components/Markdown';
+import { ArrowLeft, MessageSquare, ArrowBigUp, ChevronDown, ChevronUp, Reply, Loader2, CornerDownRight, Pencil, Trash2 } from 'lucide-react';
 import { formatDistanceToNow } from 'date-fns';
 import { useAuth } from '../context/AuthContext';
 
+const COMMENT_SORTS = [
+  { value: 'Top', label: 'Top' },
+  { value: 'Hot', label: 'Hot' },
+  { value: 'New', label: 'New' },
+  { value: 'Old', label: 'Old' },
+  { value: 'Controversial', label: 'Controversial' },
+];
+
 /**
- * Build a nested comment tree from flat comments
- * Lemmy returns comments with path like "0.123.456.789" where each number is a comment ID
+ * Append newly fetched threads to the loaded tree, skipping ones we already have
  */
-function buildCommentTree(flatComments) {
-  if (!flatComments || flatComments.length === 0) return [];
+function mergeThreads(existing, incoming) {
+  const seen = new Set(existing.map(comment => comment.id));
+  return [...existing, ...incoming.filter(comment => !seen.has(comment.id))];
+}
 
-  // Create a map for quick lookup
-  const commentMap = new Map();
-  flatComments.forEach(comment => {
-    commentMap.set(comment.id, { ...comment, replies: [] });
+/**
+ * Attach a fetched replies tree below the comment it belongs to
+ */
+function attachReplies(tree, commentId, replies) {
+  return tree.map(comment => {
+    if (comment.id === commentId) {
+      return { ...comment, replies: mergeThreads(comment.replies || [], replies) };
+    }
+    if (!comment.replies || comment.replies.length === 0) {
+      return comment;
+    }
+    return { ...comment, replies: attachReplies(comment.replies, commentId, replies) };
   });
+}
 
-  const rootComments = [];
-
-  // Build the tree based on parentId
-  flatComments.forEach(comment => {
-    const commentWithReplies = commentMap.get(comment.id);
-
-    if (comment.parentId && commentMap.has(comment.parentId)) {
-      // Has a parent in our list - add as reply
-      const parent = commentMap.get(comment.parentId);
-      parent.replies.push(commentWithReplies);
-    } else if (comment.depth === 1 || !comment.parentId) {
-      // Root level comment
-      rootComments.push(commentWithReplies);
-    } else {
-      // Parent not in our list (could be deeper nesting) - treat as root
-      rootComments.push(commentWithReplies);
+/**
+ * Replace a comment in the tree with an updated copy, keeping its loaded replies
+ */
+function updateComment(tree, updated) {
+  return tree.map(comment => {
+    if (comment.id === updated.id) {
+      return { ...comment, ...updated, replies: comment.replies };
+    }
+    if (!comment.replies || comment.replies.length === 0) {
+      return comment;
     }
+    return { ...comment, replies: updateComment(comment.replies, updated) };
   });
+}
 
-  // Sort by score (highest first)
-  const sortByScore = (a, b) => b.score - a.score;
-  rootComments.sort(sortByScore);
-
-  // Recursively sort replies
-  const sortReplies = (comments) => {
-    comments.forEach(comment => {
-      if (comment.replies && comment.replies.length > 0) {
-        comment.replies.sort(sortByScore);
-        sortReplies(comment.replies);
-      }
-    });
-  };
-  sortReplies(rootComments);
+// Footer the API appends to comments posted via the bot (re-added on edit)
+const ATTRIBUTION_FOOTER = /\n\n---\n\*Posted via \[PreSocial\]\([^)]*\) by .*\*$/;
 
-  return rootComments;
+/**
+ * Count the replies loaded below a comment (at any depth)
+ */
+function countLoadedReplies(comment) {
+  if (!comment.replies) return 0;
+  return comment.replies.reduce((total, reply) => total + 1 + countLoadedReplies(reply), 0);
 }
 
 function PostPage() {
   const { id } = useParams();
   const [post, setPost] = useState(null);
   const [comments, setComments] = useState([]);
+  const [commentSort, setCommentSort] = useState('Top');
+  const [loadingComments, setLoadingComments] = useState(false);
+  const [commentsPage, setCommentsPage] = useState(1);
+  const [hasMoreComments, setHasMoreComments] = useState(false);
+  const [loadingMoreComments, setLoadingMoreComments] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [ownCommentIds, setOwnCommentIds] = useState(new Set());
   const { isAuthenticated } = useAuth();
 
-  // Build comment tree from flat comments
-  const commentTree = useMemo(() => buildCommentTree(comments), [comments]);
+  // Ignore comment pages for a sort that is no longer selected
+  const sortRef = useRef(commentSort);
+  sortRef.current = commentSort;
 
   const loadPost = useCallback(async (postId) => {
     setLoading(true);
     setError(null);
 
     try {
-      const data = await preSocialService.getPost(postId);
+      const data = await preSocialService.getPost(postId, sortRef.current);
       setPost(data.post);
       setComments(data.comments || []);
+      setCommentsPage(data.commentsPage || 1);
+      setHasMoreComments(!!data.hasMoreComments);
     } catch (err) {
       setError('Failed to load post');
       console.error(err);
@@ -90,8 +108,75 @@ function PostPage() {
     }
   }, [id, loadPost]);
 
+  // Find which comments the user wrote, to show edit and delete controls
+  useEffect(() => {
+    if (!id || !isAuthenticated) {
+      setOwnCommentIds(new Set());
+      return;
+    }
+
+    preSocialService.getMyCommentIds(id)
+      .then(data => setOwnCommentIds(new Set(data.commentIds || [])))
+      .catch(err => console.error('Failed to load own comments:', err));
+  }, [id, isAuthenticated]);
+
+  // Apply an edit or deletion to the loaded tree
+  const handleCommentUpdated = useCallback((updated) => {
+    setComments(prev => updateComment(prev, updated));
+  }, []);
+
+  // Reload the first page of threads when the sort changes
+  const changeCommentSort = async (sort) => {
+    if (sort === commentSort) return;
+
+    setCommentSort(sort);
+    setLoadingComments(true);
+    try {
+      const data = await preSocialService.getComments(id, 1, sort);
+      if (sort !== sortRef.current) return;
+
+      setComments(data.comments || []);
+      setCommentsPage(data.page);
+      setHasMoreComments(!!data.hasMore);
+    } catch (err) {
+      console.error('Failed to load comments:', err);
+    } finally {
+      if (sort === sortRef.current) {
+        setLoadingComments(false);
+      }
+    }
+  };
+
+  // Load the next page of top-level threads
+  const loadMoreComments = async () => {
+    const sort = commentSort;
+    setLoadingMoreComments(true);
+    try {
+      const data = await preSocialService.getComments(id, commentsPage + 1, sort);
+      if (sort !== sortRef.current) return;
+
+      setComments(prev => mergeThreads(prev, data.comments || []));
+      setCommentsPage(data.page);
+      setHasMoreComments(!!data.hasMore);
+    } catch (err) {
+      console.error('Failed to load more comments:', err);
+    } finally {
+      setLoadingMoreComments(false);
+    }
+  };
+
+  // Load replies that were cut off below a comment
+  const loadReplies = useCallback(async (commentId) => {
+    const data = await preSocialService.getCommentReplies(commentId, sortRef.current);
+    setComments(prev => attachReplies(prev, commentId, data.comments || []));
+  }, []);
+
   // Handle when a new comment is posted
   const handleCommentPosted = useCallback((newComment) => {
+    if (newComment) {
+      setOwnCommentIds(prev => new Set(prev).add(newComment.id));
+    }
+
     // Refresh comments from server to get proper nesting
     if (id) {
       // Small delay to allow Lemmy to process
@@ -138,7 +223,7 @@ function PostPage() {
       </Link>
 
       {/* Post */}
-      <PostCard post={post} />
+      <PostCard post={post} full />
 
       {/* Add Comment */}
       <div className="glass-card p-4">
@@ -154,20 +239,53 @@ function PostPage() {
         <div className="flex items-center gap-2 mb-4 pb-4 border-b border-white/10">
           <MessageSquare className="w-5 h-5 text-presearch" />
           <h2 className="font-semibold text-white">
-            {comments.length} Comment{comments.length !== 1 ? 's' : ''}
+            {post.commentCount} Comment{post.commentCount !== 1 ? 's' : ''}
           </h2>
+
+          <select
+            value={commentSort}
+            onChange={(e) => changeCommentSort(e.target.value)}
+            className="glass-input ml-auto px-3 py-1.5 text-sm"
+            aria-label="Sort comments"
+          >
+            {COMMENT_SORTS.map((sort) => (
+              <option key={sort.value} value={sort.value} className="bg-dark-800">
+                {sort.label}
+              </option>
+            ))}
+          </select>
         </div>
 
-        {commentTree.length > 0 ? (
+        {loadingComments ? (
+          <div className="space-y-4">
+            {[...Array(3)].map((_, i) => (
+              <div key={i} className="h-16 skeleton rounded" />
+            ))}
+          </div>
+        ) : comments.length > 0 ? (
           <div className="space-y-1">
-            {commentTree.map((comment) => (
+            {comments.map((comment) => (
               <Comment
                 key={comment.id}
                 comment={comment}
                 postId={parseInt(id)}
                 onReplyPosted={handleCommentPosted}
+                onLoadReplies={loadReplies}
+                ownCommentIds={ownCommentIds}
+                onCommentUpdated={handleCommentUpdated}
               />
             ))}
+
+            {hasMoreComments && (
+              <button
+                onClick={loadMoreComments}
+                disabled={loadingMoreComments}
+                className="w-full mt-3 py-2 rounded-lg text-sm text-presearch hover:bg-white/5 transition-colors flex items-center justify-center gap-2 disabled:opacity-50"
+              >
+                {loadingMoreComments && <Loader2 className="w-4 h-4 animate-spin" />}
+                {loadingMoreComments ? 'Loading...' : 'Load more comments'}
+              </button>
+            )}
           </div>
         ) : (
           <div className="text-center py-8">
@@ -181,13 +299,41 @@ function PostPage() {
   );
 }
 
-function Comment({ comment, depth = 0, postId, onReplyPosted }) {
+function Comment({ comment, depth = 0, postId, onReplyPosted, onLoadReplies, ownCommentIds, onCommentUpdated }) {
   const [collapsed, setCollapsed] = useState(false);
   const [showReplyForm, setShowReplyForm] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [editContent, setEditContent] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [actionError, setActionError] = useState(null);
+  const [continued, setContinued] = useState(false);
+  const [loadingReplies, setLoadingReplies] = useState(false);
   const { isAuthenticated } = useAuth();
   const maxDepth = 6;
   const formattedDate = formatDistanceToNow(new Date(comment.timestamp), { addSuffix: true });
   const hasReplies = comment.replies && comment.replies.length > 0;
+  const missingReplies = Math.max(0, (comment.childCount || 0) - countLoadedReplies(comment));
+  const hasMoreThread = hasReplies || missingReplies > 0;
+
+  const handleLoadReplies = async () => {
+    if (!onLoadReplies) return;
+    setLoadingReplies(true);
+    try {
+      await onLoadReplies(comment.id);
+    } catch (err) {
+      console.error('Failed to load replies:', err);
+    } finally {
+      setLoadingReplies(false);
+    }
+  };
+
+  // Past max depth, continue the thread inline in a fresh, un-indented block
+  const handleContinueThread = () => {
+    setContinued(true);
+    if (missingReplies > 0) {
+      handleLoadReplies();
+    }
+  };
 
   // Color coding for depth levels
   const depthColors = [
@@ -199,6 +345,43 @@ function Comment({ comment, depth = 0, postId, onReplyPosted }) {
     'border-pink-500/50',
   ];
 
+  const isOwn = ownCommentIds?.has(comment.id) && !comment.deleted;
+
+  const startEditing = () => {
+    setEditContent(comment.content.replace(ATTRIBUTION_FOOTER, ''));
+    setActionError(null);
+    setEditing(true);
+  };
+
+  const handleSaveEdit = async () => {
+    setSaving(true);
+    setActionError(null);
+    try {
+      const data = await preSocialService.editComment(comment.id, editContent.trim());
+      onCommentUpdated(data.comment);
+      setEditing(false);
+    } catch (err) {
+      setActionError(err.message || 'Failed to edit comment');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete this comment? This cannot be undone.')) return;
+
+    setSaving(true);
+    setActionError(null);
+    try {
+      const data = await preSocialService.deleteComment(comment.id);
+      onCommentUpdated(data.comment);
+    } catch (err) {
+      setActionError(err.message || 'Failed to delete comment');
+    } finally {
+      setSaving(false);
+    }
+  };
+
   const handleReplyPosted = (newComment) => {
     setShowReplyForm(false);
     if (onReplyPosted) {
@@ -212,9 +395,12 @@ function Comment({ comment, depth = 0, postId, onReplyPosted }) {
         {/* Comment header */}
         <div className="flex items-center gap-2 text-xs mb-1.5">
           {/* Author */}
-          <span className="font-semibold text-presearch hover:underline cursor-pointer">
+          <Link
+            to={`/u/${comment.authorHandle || comment.author}`}
+            className="font-semibold text-presearch hover:underline"
+          >
             {comment.author}
-          </span>
+          </Link>
 
           {/* Score */}
           <span className={`flex items-center gap-0.5 ${
@@ -249,19 +435,81 @@ function Comment({ comment, depth = 0, postId, onReplyPosted }) {
         {/* Comment content */}
         {!collapsed && (
           <>
-            <div className="text-sm text-gray-200 whitespace-pre-wrap leading-relaxed">
-              {comment.content}
-            </div>
+            {editing ? (
+              <div className="space-y-2">
+                <textarea
+                  value={editContent}
+                  onChange={(e) => setEditContent(e.target.value)}
+                  disabled={saving}
+                  rows={3}
+                  className="w-full px-3 py-2 bg-dark-700/50 border border-white/10 rounded-lg text-sm text-white focus:outline-none focus:border-presearch/50 resize-y disabled:opacity-50"
+                />
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={handleSaveEdit}
+                    disabled={saving || !editContent.trim()}
+                    className="flex items-center gap-1 px-3 py-1 rounded-lg bg-presearch/20 text-presearch text-xs font-medium hover:bg-presearch/30 transition-colors disabled:opacity-50"
+                  >
+                    {saving && <Loader2 className="w-3 h-3 animate-spin" />}
+                    Save
+                  </button>
+                  <button
+                    onClick={() => setEditing(false)}
+                    disabled={saving}
+                    className="px-3 py-1 text-xs text-gray-400 hover:text-white transition-colors"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            ) : comment.deleted ? (
+              <div className="text-sm text-gray-500 italic">[deleted]</div>
+            ) : (
+              <Markdown source={comment.content} className="text-sm text-gray-200" />
+            )}
 
-            {/* Reply button */}
-            {isAuthenticated && depth < maxDepth && (
-              <button
-                onClick={() => setShowReplyForm(!showReplyForm)}
-                className="flex items-center gap-1 mt-2 text-xs text-gray-500 hover:text-presearch transition-colors"
-              >
-                <Reply className="w-3 h-3" />
-                {showReplyForm ? 'Cancel' : 'Reply'}
-              </button>
+            {/* Actions */}
+            {!editing && (
+              <div className="flex items-center gap-3 mt-2">
+                {isAuthenticated && depth < maxDepth && (
+                  <button
+                    onClick={() => setShowReplyForm(!showReplyForm)}
+                    className="flex items-center gap-1 text-xs text-gray-500 hover:text-presearch transition-colors"
+                  >
+                    <Reply className="w-3 h-3" />
+                    {showReplyForm ? 'Cancel' : 'Reply'}
+                  </button>
+                )}
+
+                {isOwn && (
+                  <>
+                    <button
+                      onClick={startEditing}
+                      disabled={saving}
+                      className="flex items-center gap-1 text-xs text-gray-500 hover:text-presearch transition-colors disabled:opacity-50"
+                    >
+                      <Pencil className="w-3 h-3" />
+                      Edit
+                    </button>
+                    <button
+                      onClick={handleDelete}
+                      disabled={saving}
+                      className="flex items-center gap-1 text-xs text-gray-500 hover:text-red-400 transition-colors disabled:opacity-50"
+                    >
+                      <Trash2 className="w-3 h-3" />
+                      Delete
+                    </button>
+                  </>
+                )}
+
+                {!isOwn && !comment.deleted && (
+                  <ReportButton targetType="comment" targetId={comment.id} compact />
+                )}
+              </div>
+            )}
+
+            {actionError && (
+              <p className="mt-1 text-xs text-red-400">{actionError}</p>
             )}
 
             {/* Reply form */}
@@ -290,21 +538,58 @@ function Comment({ comment, depth = 0, postId, onReplyPosted }) {
               depth={depth + 1}
               postId={postId}
               onReplyPosted={onReplyPosted}
+              onLoadReplies={onLoadReplies}
+              ownCommentIds={ownCommentIds}
+              onCommentUpdated={onCommentUpdated}
             />
           ))}
         </div>
       )}
 
-      {/* Show continuation message if max depth reached */}
-      {!collapsed && hasReplies && depth >= maxDepth && (
-        <a
-          href={`https://lemmy.world/comment/${comment.id}`}
-          target="_blank"
-          rel="noopener noreferrer"
+      {/* Replies Lemmy didn't send with the thread */}
+      {!collapsed && depth < maxDepth && missingReplies > 0 && (
+        <button
+          onClick={handleLoadReplies}
+          disabled={loadingReplies}
+          className="flex items-center gap-1 ml-3 pl-3 py-1.5 text-xs text-presearch hover:underline disabled:opacity-50"
+        >
+          {loadingReplies ? (
+            <Loader2 className="w-3 h-3 animate-spin" />
+          ) : (
+            <CornerDownRight className="w-3 h-3" />
+          )}
+          Load {missingReplies} more repl{missingReplies !== 1 ? 'ies' : 'y'}
+        </button>
+      )}
+
+      {/* Continue the thread inline once max depth is reached */}
+      {!collapsed && depth >= maxDepth && hasMoreThread && !continued && (
+        <button
+          onClick={handleContinueThread}
           className="block ml-3 pl-3 py-2 text-xs text-presearch hover:underline border-l-2 border-gray-600"
         >
-          Continue this thread on Lemmy →
-        </a>
+          Continue this thread →
+        </button>
+      )}
+
+      {!collapsed && depth >= maxDepth && continued && (
+        <div className="mt-2 p-3 rounded-lg bg-white/5 border border-white/10">
+          {loadingReplies && !hasReplies && (
+            <Loader2 className="w-4 h-4 text-presearch animate-spin" />
+          )}
+          {hasReplies && comment.replies.map((reply) => (
+            <Comment
+              key={reply.id}
+              comment={reply}
+              depth={0}
+              postId={postId}
+              onReplyPosted={onReplyPosted}
+              onLoadReplies={onLoadReplies}
+              ownCommentIds={ownCommentIds}
+              onCommentUpdated={onCommentUpdated}
+            />
+          ))}
+        </div>
       )}
     </div>
   );
@@ -3,6 +3,9 @@ import { useParams, Link } from 'react-router-dom';
 import { User, ThumbsUp, Bookmark, Edit2, Save, X, LogIn } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 import { preSocialService } from '../services/preSocialService';
+import LemmyAccountCard from '../components/LemmyAccountCard';
+import ContentFiltersCard from '../components/ContentFiltersCard';
+import ProxiedImage from '../components/ProxiedImage';
 
 function ProfilePage() {
   const { userId } = useParams();
@@ -119,8 +122,9 @@ function ProfilePage() {
           {/* Avatar */}
           <div className="w-24 h-24 rounded-full bg-gradient-to-br from-social to-presearch flex items-center justify-center text-white text-3xl font-bold flex-shrink-0">
             {profile?.avatarUrl ? (
-              <img
+              <ProxiedImage
                 src={profile.avatarUrl}
+                sizes="6rem"
                 alt={displayName}
                 className="w-full h-full rounded-full object-cover"
               />
@@ -219,6 +223,20 @@ function ProfilePage() {
           </div>
         </div>
 
+        {/* Linked Lemmy account */}
+        {isOwnProfile && (
+          <div className="mt-8 pt-6 border-t border-white/10">
+            <LemmyAccountCard />
+          </div>
+        )}
+
+        {/* Content filters */}
+        {isOwnProfile && (
+          <div className="mt-8 pt-6 border-t border-white/10">
+            <ContentFiltersCard />
+          </div>
+        )}
+
         {/* Sign in prompt for non-authenticated users */}
         {!isAuthenticated && (
           <div className="mt-8 pt-6 border-t border-white/10 text-center">
@@ -0,0 +1,48 @@
+import { useState, useEffect } from 'react';
+import { useSearchParams, useNavigate, Link } from 'react-router-dom';
+import { ArrowLeft } from 'lucide-react';
+import { preSocialService } from '../services/preSocialService';
+
+/**
+ * Open a post by its ActivityPub ID
+ * Posts seen elsewhere in the instance pool have a different ID on the primary instance,
+ * which post pages are served from, so it's looked up before redirecting.
+ */
+function ResolvePostPage() {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const [error, setError] = useState(null);
+  const apId = searchParams.get('apId');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    preSocialService.resolvePost(apId)
+      .then((data) => {
+        if (!cancelled) navigate(`/post/${data.id}`, { replace: true });
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Post not found');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [apId, navigate]);
+
+  if (error) {
+    return (
+      <div className="glass-card p-8 text-center">
+        <p className="text-red-400 mb-3">{error}</p>
+        <Link to="/" className="btn-primary px-4 py-2 text-sm inline-flex items-center gap-2">
+          <ArrowLeft className="w-4 h-4" />
+          Back to Feed
+        </Link>
+      </div>
+    );
+  }
+
+  return <div className="glass-card p-4 h-48 skeleton" />;
+}
+
+export default ResolvePostPage;
@@ -82,7 +82,7 @@ function SavedPage() {
       ) : (
         <div className="space-y-4">
           {savedPosts.map((post) => (
-            <PostCard key={post.id} post={post} />
+            <PostCard key={post.apId} post={post} />
           ))}
         </div>
       )}
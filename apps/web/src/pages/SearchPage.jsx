@@ -1,39 +1,129 @@
-import { useState, useEffect } from 'react';
-import { useSearchParams } from 'react-router-dom';
+import { useState, useEffect, useCallback } from 'react';
+import { useSearchParams, Link } from 'react-router-dom';
 import { preSocialService } from '../services/preSocialService';
 import PostCard from '../components/PostCard';
 import PostSkeleton from '../components/PostSkeleton';
-import { Search, Filter } from 'lucide-react';
+import StaleNotice from '../components/StaleNotice';
+import CommentPreview from '../components/CommentPreview';
+import ProxiedImage from '../components/ProxiedImage';
+import { Search, Filter, Bot, X } from 'lucide-react';
+
+const RESULT_TABS = [
+  { type: 'All', label: 'All' },
+  { type: 'Posts', label: 'Posts' },
+  { type: 'Comments', label: 'Comments' },
+  { type: 'Communities', label: 'Communities' },
+  { type: 'Users', label: 'Users' },
+  { type: 'Url', label: 'Links' },
+];
+
+const SORT_OPTIONS = [
+  { value: 'relevance', label: 'Relevance' },
+  { value: 'TopAll', label: 'Top' },
+  { value: 'Hot', label: 'Hot' },
+  { value: 'New', label: 'New' },
+  { value: 'TopDay', label: 'Top today' },
+  { value: 'TopWeek', label: 'Top this week' },
+  { value: 'TopMonth', label: 'Top this month' },
+  { value: 'TopYear', label: 'Top this year' },
+];
+
+// Search params that make up the filter panel (everything except q and type)
+const FILTER_KEYS = ['sort', 'listingType', 'instance', 'from', 'to', 'minScore'];
+
+const EMPTY_RESULTS = { posts: [], comments: [], communities: [], users: [] };
+
+// Query operators, in the order they're written back into the query
+const QUERY_OPERATORS = ['community', 'author', 'after', 'before'];
+
+/**
+ * Write a parsed query (as returned by the API) back into query syntax
+ */
+function buildQuery(parsed) {
+  return [
+    ...parsed.terms,
+    ...parsed.phrases.map((phrase) => `"${phrase}"`),
+    ...parsed.exclude.map((term) => (/\s/.test(term) ? `-"${term}"` : `-${term}`)),
+    ...QUERY_OPERATORS.filter((op) => parsed[op]).map((op) => `${op}:${parsed[op]}`),
+  ].join(' ');
+}
 
 function SearchPage() {
-  const [searchParams] = useSearchParams();
+  const [searchParams, setSearchParams] = useSearchParams();
   const query = searchParams.get('q') || '';
+  const type = searchParams.get('type') || 'All';
+  const filterValues = Object.fromEntries(FILTER_KEYS.map((key) => [key, searchParams.get(key) || '']));
+  const activeFilterCount = FILTER_KEYS.filter((key) => filterValues[key]).length;
 
-  const [posts, setPosts] = useState([]);
-  const [communities, setCommunities] = useState([]);
+  const [results, setResults] = useState(EMPTY_RESULTS);
+  const [parsed, setParsed] = useState(null);
+  const [instances, setInstances] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [stale, setStale] = useState(false);
+  const [showFilters, setShowFilters] = useState(activeFilterCount > 0);
 
-  useEffect(() => {
-    if (query) {
-      performSearch(query);
-    }
-  }, [query]);
+  const performSearch = useCallback(async () => {
+    const q = searchParams.get('q');
+    if (!q) return;
 
-  const performSearch = async (searchQuery) => {
     setLoading(true);
     setError(null);
 
+    const options = Object.fromEntries(FILTER_KEYS.map((key) => [key, searchParams.get(key)]));
+
     try {
-      const data = await preSocialService.search(searchQuery, { limit: 25 });
-      setPosts(data.posts || []);
-      setCommunities(data.communities || []);
+      const data = await preSocialService.search(q, {
+        ...options,
+        limit: 25,
+        type: searchParams.get('type'),
+        // Include the whole last day of the range
+        to: options.to && `${options.to}T23:59:59.999Z`,
+      });
+      setResults({
+        posts: data.posts || [],
+        comments: data.comments || [],
+        communities: data.communities || [],
+        users: data.users || [],
+      });
+      setParsed(data.parsed || null);
+      setInstances(data.meta?.instances || []);
+      setStale(!!data.stale);
     } catch (err) {
-      setError('Failed to search. Please try again.');
+      setParsed(null);
+      setError(err.message || 'Failed to search. Please try again.');
       console.error(err);
     } finally {
       setLoading(false);
     }
+  }, [searchParams]);
+
+  useEffect(() => {
+    performSearch();
+  }, [performSearch]);
+
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    for (const [key, value] of Object.entries(changes)) {
+      if (value && !(key === 'type' && value === 'All')) {
+        next.set(key, value);
+      } else {
+        next.delete(key);
+      }
+    }
+    setSearchParams(next);
+  };
+
+  // Drop one phrase, exclusion or operator from the query
+  const removeFromQuery = (key, value) => {
+    const next = Array.isArray(parsed[key])
+      ? { ...parsed, [key]: parsed[key].filter((item) => item !== value) }
+      : { ...parsed, [key]: undefined };
+    updateParams({ q: buildQuery(next) });
+  };
+
+  const clearFilters = () => {
+    updateParams(Object.fromEntries(FILTER_KEYS.map((key) => [key, ''])));
   };
 
   if (!query) {
@@ -46,51 +136,72 @@ function SearchPage() {
     );
   }
 
+  const { posts, comments, communities, users } = results;
+  const total = posts.length + comments.length + communities.length + users.length;
+
   return (
     <div className="space-y-4">
       {/* Search header */}
       <div className="glass-card p-4">
         <div className="flex items-center gap-3">
           <Search className="w-5 h-5 text-presearch" />
-          <div>
+          <div className="flex-1 min-w-0">
             <p className="text-sm text-gray-400">Search results for</p>
-            <h1 className="text-lg font-bold text-white">"{query}"</h1>
+            <h1 className="text-lg font-bold text-white truncate">"{query}"</h1>
           </div>
+          <button
+            onClick={() => setShowFilters(!showFilters)}
+            className={`flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm transition-colors ${
+              showFilters || activeFilterCount > 0
+                ? 'bg-presearch/20 text-presearch'
+                : 'text-gray-400 hover:bg-white/10 hover:text-white'
+            }`}
+          >
+            <Filter className="w-4 h-4" />
+            Filters
+            {activeFilterCount > 0 && <span className="text-xs">({activeFilterCount})</span>}
+          </button>
         </div>
+
+        {/* Query syntax chips */}
+        {parsed && <QueryChips parsed={parsed} onRemove={removeFromQuery} />}
+
+        {/* Filter panel */}
+        {showFilters && (
+          <SearchFilters
+            values={filterValues}
+            instances={instances}
+            onChange={updateParams}
+            onClear={activeFilterCount > 0 ? clearFilters : null}
+          />
+        )}
       </div>
 
-      {/* Related communities */}
-      {!loading && communities.length > 0 && (
-        <div className="glass-card p-4">
-          <h3 className="text-sm font-semibold text-white mb-3">Related Communities</h3>
-          <div className="flex flex-wrap gap-2">
-            {communities.slice(0, 5).map((community) => (
-              <a
-                key={community.id}
-                href={community.url}
-                target="_blank"
-                rel="noopener noreferrer"
-                className="flex items-center gap-2 px-3 py-1.5 rounded-full bg-white/5 hover:bg-white/10 transition-colors"
-              >
-                {community.icon ? (
-                  <img src={community.icon} alt="" className="w-5 h-5 rounded-full" />
-                ) : (
-                  <div className="w-5 h-5 rounded-full bg-social/30 flex items-center justify-center">
-                    <span className="text-xs font-bold">{community.name[0]}</span>
-                  </div>
-                )}
-                <span className="text-sm text-gray-300">c/{community.name}</span>
-              </a>
-            ))}
-          </div>
-        </div>
-      )}
+      {/* Result type tabs */}
+      <div className="glass-card p-2 flex flex-wrap gap-1">
+        {RESULT_TABS.map((tab) => (
+          <button
+            key={tab.type}
+            onClick={() => updateParams({ type: tab.type })}
+            className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+              type === tab.type
+                ? 'bg-white/10 text-white'
+                : 'text-gray-400 hover:bg-white/5 hover:text-white'
+            }`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Stale data notice */}
+      {!loading && !error && stale && <StaleNotice />}
 
       {/* Error state */}
       {error && (
         <div className="glass-card p-4 text-center">
           <p className="text-red-400 mb-3">{error}</p>
-          <button onClick={() => performSearch(query)} className="btn-primary px-4 py-2 text-sm">
+          <button onClick={performSearch} className="btn-primary px-4 py-2 text-sm">
             Try Again
           </button>
         </div>
@@ -107,26 +218,281 @@ function SearchPage() {
 
       {/* Results */}
       {!loading && !error && (
-        <>
-          {posts.length > 0 ? (
-            <div className="space-y-4">
-              <p className="text-sm text-gray-400 px-1">
-                Found {posts.length} discussion{posts.length !== 1 ? 's' : ''}
-              </p>
-              {posts.map((post) => (
-                <PostCard key={post.id} post={post} />
-              ))}
-            </div>
-          ) : (
-            <div className="glass-card p-8 text-center">
-              <p className="text-gray-400">No discussions found for "{query}"</p>
-              <p className="text-sm text-gray-500 mt-2">Try different keywords or browse communities</p>
-            </div>
+        total === 0 ? (
+          <div className="glass-card p-8 text-center">
+            <p className="text-gray-400">No results found for "{query}"</p>
+            <p className="text-sm text-gray-500 mt-2">Try different keywords, another result type or fewer filters</p>
+          </div>
+        ) : (
+          <>
+            {/* Communities: compact chips alongside other results, full cards on their own tab */}
+            {communities.length > 0 && (
+              type === 'Communities' ? (
+                <ResultSection label="community" pluralLabel="communities" count={communities.length}>
+                  {communities.map((community) => (
+                    <CommunityResult key={community.url} community={community} />
+                  ))}
+                </ResultSection>
+              ) : (
+                <div className="glass-card p-4">
+                  <h3 className="text-sm font-semibold text-white mb-3">Related Communities</h3>
+                  <div className="flex flex-wrap gap-2">
+                    {communities.slice(0, 5).map((community) => (
+                      <Link
+                        key={community.url}
+                        to={`/c/${community.handle || community.name}`}
+                        className="flex items-center gap-2 px-3 py-1.5 rounded-full bg-white/5 hover:bg-white/10 transition-colors"
+                      >
+                        {community.icon ? (
+                          <ProxiedImage src={community.icon} sizes="1.25rem" className="w-5 h-5 rounded-full" />
+                        ) : (
+                          <div className="w-5 h-5 rounded-full bg-social/30 flex items-center justify-center">
+                            <span className="text-xs font-bold">{community.name[0]}</span>
+                          </div>
+                        )}
+                        <span className="text-sm text-gray-300">c/{community.name}</span>
+                      </Link>
+                    ))}
+                  </div>
+                </div>
+              )
+            )}
+
+            {users.length > 0 && (
+              <ResultSection label="user" pluralLabel="users" count={users.length}>
+                {users.map((user) => (
+                  <UserResult key={user.url} user={user} />
+                ))}
+              </ResultSection>
+            )}
+
+            {posts.length > 0 && (
+              <ResultSection label="discussion" pluralLabel="discussions" count={posts.length}>
+                {posts.map((post) => (
+                  <PostCard key={post.apId || post.id} post={post} />
+                ))}
+              </ResultSection>
+            )}
+
+            {comments.length > 0 && (
+              <ResultSection label="comment" pluralLabel="comments" count={comments.length}>
+                {comments.map((comment) => (
+                  <CommentPreview key={comment.apId || comment.id} comment={comment} showAuthor />
+                ))}
+              </ResultSection>
+            )}
+          </>
+        )
+      )}
+    </div>
+  );
+}
+
+/**
+ * The phrases, exclusions and operators recognised in the query
+ * Removing the last phrase from a phrase-only query would leave nothing to search, so it can't be removed.
+ */
+function QueryChips({ parsed, onRemove }) {
+  const chips = [
+    ...parsed.phrases.map((phrase) => ({ key: 'phrases', value: phrase, label: `"${phrase}"` })),
+    ...parsed.exclude.map((term) => ({ key: 'exclude', value: term, label: `not ${term}`, negative: true })),
+    ...QUERY_OPERATORS.filter((op) => parsed[op]).map((op) => ({ key: op, value: parsed[op], label: `${op}: ${parsed[op]}` })),
+  ];
+
+  if (chips.length === 0) return null;
+
+  const canRemove = (chip) => chip.key !== 'phrases' || parsed.terms.length > 0 || parsed.phrases.length > 1;
+
+  return (
+    <div className="flex flex-wrap gap-2 mt-3">
+      {chips.map((chip) => (
+        <span
+          key={`${chip.key}:${chip.value}`}
+          className={`flex items-center gap-1 pl-2.5 pr-1 py-1 rounded-full text-xs ${
+            chip.negative ? 'bg-red-500/15 text-red-300' : 'bg-presearch/15 text-presearch'
+          }`}
+        >
+          {chip.label}
+          {canRemove(chip) && (
+            <button
+              onClick={() => onRemove(chip.key, chip.value)}
+              className="p-0.5 rounded-full hover:bg-white/10 hover:text-white"
+              title="Remove from search"
+            >
+              <X className="w-3 h-3" />
+            </button>
           )}
-        </>
+        </span>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Sort, listing type, instance, date range and minimum score
+ */
+function SearchFilters({ values, instances, onChange, onClear }) {
+  const [minScore, setMinScore] = useState(values.minScore);
+
+  useEffect(() => {
+    setMinScore(values.minScore);
+  }, [values.minScore]);
+
+  return (
+    <div className="mt-4 pt-4 border-t border-white/10 grid grid-cols-2 sm:grid-cols-3 gap-3">
+      <FilterField label="Sort">
+        <select
+          value={values.sort || 'relevance'}
+          onChange={(e) => onChange({ sort: e.target.value === 'relevance' ? '' : e.target.value })}
+          className="glass-input w-full px-2 py-1.5 text-sm"
+        >
+          {SORT_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </FilterField>
+
+      <FilterField label="Listing">
+        <select
+          value={values.listingType || 'All'}
+          onChange={(e) => onChange({ listingType: e.target.value === 'All' ? '' : e.target.value })}
+          className="glass-input w-full px-2 py-1.5 text-sm"
+        >
+          <option value="All">All (federated)</option>
+          <option value="Local">Local to instance</option>
+        </select>
+      </FilterField>
+
+      <FilterField label="Instance">
+        <select
+          value={values.instance}
+          onChange={(e) => onChange({ instance: e.target.value })}
+          className="glass-input w-full px-2 py-1.5 text-sm"
+        >
+          <option value="">All instances</option>
+          {instances.map((instance) => (
+            <option key={instance} value={instance}>{instance}</option>
+          ))}
+        </select>
+      </FilterField>
+
+      <FilterField label="From">
+        <input
+          type="date"
+          value={values.from}
+          max={values.to || undefined}
+          onChange={(e) => onChange({ from: e.target.value })}
+          className="glass-input w-full px-2 py-1.5 text-sm"
+        />
+      </FilterField>
+
+      <FilterField label="To">
+        <input
+          type="date"
+          value={values.to}
+          min={values.from || undefined}
+          onChange={(e) => onChange({ to: e.target.value })}
+          className="glass-input w-full px-2 py-1.5 text-sm"
+        />
+      </FilterField>
+
+      <FilterField label="Minimum score">
+        <input
+          type="number"
+          value={minScore}
+          placeholder="Any"
+          onChange={(e) => setMinScore(e.target.value)}
+          onBlur={() => minScore !== values.minScore && onChange({ minScore })}
+          onKeyDown={(e) => e.key === 'Enter' && onChange({ minScore })}
+          className="glass-input w-full px-2 py-1.5 text-sm"
+        />
+      </FilterField>
+
+      <p className="col-span-full text-xs text-gray-500">
+        Search syntax: <code>"exact phrase"</code>, <code>-exclude</code>, <code>community:name</code>,{' '}
+        <code>author:name</code>, <code>after:YYYY-MM-DD</code>, <code>before:YYYY-MM-DD</code>
+      </p>
+
+      {onClear && (
+        <button
+          onClick={onClear}
+          className="col-span-full justify-self-start flex items-center gap-1 text-xs text-gray-400 hover:text-white"
+        >
+          <X className="w-3 h-3" />
+          Clear filters
+        </button>
       )}
     </div>
   );
 }
 
+function FilterField({ label, children }) {
+  return (
+    <label className="block">
+      <span className="block text-xs text-gray-500 mb-1">{label}</span>
+      {children}
+    </label>
+  );
+}
+
+function ResultSection({ label, pluralLabel, count, children }) {
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-400 px-1">
+        Found {count} {count !== 1 ? pluralLabel : label}
+      </p>
+      {children}
+    </div>
+  );
+}
+
+function CommunityResult({ community }) {
+  return (
+    <Link
+      to={`/c/${community.handle || community.name}`}
+      className="glass-card glass-card-hover p-4 flex items-center gap-3"
+    >
+      {community.icon ? (
+        <ProxiedImage src={community.icon} sizes="2.5rem" className="w-10 h-10 rounded-full object-cover flex-shrink-0" />
+      ) : (
+        <div className="w-10 h-10 rounded-full bg-gradient-to-br from-social/50 to-presearch/50 flex items-center justify-center flex-shrink-0">
+          <span className="font-bold text-white">{community.name[0].toUpperCase()}</span>
+        </div>
+      )}
+      <div className="min-w-0">
+        <p className="font-semibold text-white truncate">{community.title}</p>
+        <p className="text-xs text-gray-400 truncate">
+          c/{community.handle || community.name} • {community.subscribers.toLocaleString()} subscribers
+        </p>
+      </div>
+    </Link>
+  );
+}
+
+function UserResult({ user }) {
+  return (
+    <Link
+      to={`/u/${user.handle}`}
+      className="glass-card glass-card-hover p-4 flex items-center gap-3"
+    >
+      {user.avatar ? (
+        <ProxiedImage src={user.avatar} sizes="2.5rem" className="w-10 h-10 rounded-full object-cover flex-shrink-0" />
+      ) : (
+        <div className="w-10 h-10 rounded-full bg-gradient-to-br from-presearch to-social flex items-center justify-center flex-shrink-0">
+          <span className="font-bold text-white">{user.name[0].toUpperCase()}</span>
+        </div>
+      )}
+      <div className="min-w-0">
+        <p className="font-semibold text-white truncate flex items-center gap-1.5">
+          {user.displayName || user.name}
+          {user.isBot && <Bot className="w-3.5 h-3.5 text-gray-400" />}
+        </p>
+        <p className="text-xs text-gray-400 truncate">
+          u/{user.handle} • {user.postCount.toLocaleString()} posts • {user.commentCount.toLocaleString()} comments
+        </p>
+      </div>
+    </Link>
+  );
+}
+
 export default SearchPage;
@@ -0,0 +1,282 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { Send, Loader2, AlertCircle, LogIn, Link as LinkIcon, Users, X } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { getToken } from '../services/authService';
+import { preSocialService } from '../services/preSocialService';
+import ProxiedImage from '../components/ProxiedImage';
+
+const API_URL = import.meta.env.PROD
+  ? 'https://presocial.presuite.eu/api/social'
+  : '/api/social';
+
+function SubmitPage() {
+  const { isAuthenticated, user } = useAuth();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+
+  const [community, setCommunity] = useState(searchParams.get('community') || '');
+  const [title, setTitle] = useState('');
+  const [url, setUrl] = useState('');
+  const [body, setBody] = useState('');
+  const [nsfw, setNsfw] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!community || !title.trim()) return;
+
+    const token = getToken();
+    if (!token) {
+      setError('Please sign in to post');
+      return;
+    }
+
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`${API_URL}/post`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify({
+          community,
+          title: title.trim(),
+          url: url.trim() || undefined,
+          body: body.trim() || undefined,
+          nsfw,
+        }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || data.message || 'Failed to create post');
+      }
+
+      navigate(`/post/${data.post.id}`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Not authenticated - show sign in prompt
+  if (!isAuthenticated) {
+    return (
+      <div className="glass-card p-8 text-center">
+        <p className="text-gray-400 text-sm mb-3">Sign in to start a discussion</p>
+        <Link
+          to="/login"
+          className="inline-flex items-center gap-2 px-4 py-2 rounded-lg bg-gradient-to-r from-social to-presearch text-white text-sm font-medium hover:opacity-90 transition-opacity"
+        >
+          <LogIn className="w-4 h-4" />
+          Sign In
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="glass-card p-4">
+      <h1 className="text-lg font-semibold text-white mb-4">New post</h1>
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        {/* Community */}
+        <CommunityPicker value={community} onChange={setCommunity} disabled={submitting} />
+
+        {/* Title */}
+        <div>
+          <label className="block text-xs font-medium text-gray-400 mb-1.5">Title</label>
+          <input
+            type="text"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            maxLength={200}
+            disabled={submitting}
+            placeholder="What do you want to discuss?"
+            className="w-full px-4 py-2.5 bg-dark-700/50 border border-white/10 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-presearch/50 focus:ring-1 focus:ring-presearch/50 disabled:opacity-50"
+          />
+          <p className="text-right text-xs text-gray-500 mt-1">{title.length}/200</p>
+        </div>
+
+        {/* URL */}
+        <div>
+          <label className="block text-xs font-medium text-gray-400 mb-1.5">Link (optional)</label>
+          <div className="relative">
+            <LinkIcon className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-500" />
+            <input
+              type="url"
+              value={url}
+              onChange={(e) => setUrl(e.target.value)}
+              disabled={submitting}
+              placeholder="https://"
+              className="w-full pl-10 pr-4 py-2.5 bg-dark-700/50 border border-white/10 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-presearch/50 focus:ring-1 focus:ring-presearch/50 disabled:opacity-50"
+            />
+          </div>
+        </div>
+
+        {/* Body */}
+        <div>
+          <label className="block text-xs font-medium text-gray-400 mb-1.5">Body (optional, markdown)</label>
+          <textarea
+            value={body}
+            onChange={(e) => setBody(e.target.value)}
+            disabled={submitting}
+            rows={8}
+            placeholder="Add some context..."
+            className="w-full px-4 py-3 bg-dark-700/50 border border-white/10 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-presearch/50 focus:ring-1 focus:ring-presearch/50 resize-y disabled:opacity-50"
+          />
+        </div>
+
+        {/* NSFW */}
+        <label className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={nsfw}
+            onChange={(e) => setNsfw(e.target.checked)}
+            disabled={submitting}
+            className="rounded border-white/20 bg-dark-700"
+          />
+          Mark as NSFW
+        </label>
+
+        {error && (
+          <div className="flex items-center gap-2 text-red-400 text-sm">
+            <AlertCircle className="w-4 h-4" />
+            {error}
+          </div>
+        )}
+
+        <div className="flex items-center justify-between pt-2 border-t border-white/10">
+          <p className="text-xs text-gray-500">
+            Posted to Lemmy via PreSocial{user && <> as <span className="text-presearch">{user.name || user.email}</span></>}
+          </p>
+          <button
+            type="submit"
+            disabled={submitting || !community || title.trim().length < 3}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg bg-gradient-to-r from-social to-presearch text-white text-sm font-medium hover:opacity-90 transition-opacity disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {submitting ? (
+              <>
+                <Loader2 className="w-4 h-4 animate-spin" />
+                Posting...
+              </>
+            ) : (
+              <>
+                <Send className="w-4 h-4" />
+                Post
+              </>
+            )}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+/**
+ * Pick the target community by searching communities by name
+ */
+function CommunityPicker({ value, onChange, disabled }) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const debounceRef = useRef(null);
+
+  useEffect(() => {
+    clearTimeout(debounceRef.current);
+
+    if (query.trim().length < 2) {
+      setResults([]);
+      return;
+    }
+
+    debounceRef.current = setTimeout(async () => {
+      setSearching(true);
+      try {
+        const data = await preSocialService.getCommunities(8, query.trim());
+        setResults(data.communities || []);
+      } catch (err) {
+        console.error('Community search failed:', err);
+      } finally {
+        setSearching(false);
+      }
+    }, 300);
+
+    return () => clearTimeout(debounceRef.current);
+  }, [query]);
+
+  const select = (community) => {
+    onChange(community.handle || community.name);
+    setQuery('');
+    setResults([]);
+  };
+
+  return (
+    <div>
+      <label className="block text-xs font-medium text-gray-400 mb-1.5">Community</label>
+
+      {value ? (
+        <div className="flex items-center justify-between px-4 py-2.5 bg-dark-700/50 border border-white/10 rounded-lg">
+          <span className="flex items-center gap-2 text-sm text-white">
+            <Users className="w-4 h-4 text-social" />
+            c/{value}
+          </span>
+          {!disabled && (
+            <button type="button" onClick={() => onChange('')} className="text-gray-400 hover:text-white" title="Change community">
+              <X className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+      ) : (
+        <div className="relative">
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            disabled={disabled}
+            placeholder="Search communities..."
+            className="w-full px-4 py-2.5 bg-dark-700/50 border border-white/10 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-presearch/50 focus:ring-1 focus:ring-presearch/50 disabled:opacity-50"
+          />
+          {searching && (
+            <Loader2 className="absolute right-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-500 animate-spin" />
+          )}
+
+          {results.length > 0 && (
+            <div className="absolute z-10 mt-1 w-full glass-card p-1 max-h-64 overflow-y-auto">
+              {results.map((community) => (
+                <button
+                  key={community.id}
+                  type="button"
+                  onClick={() => select(community)}
+                  className="w-full flex items-center gap-3 px-3 py-2 rounded-lg text-left hover:bg-white/5 transition-colors"
+                >
+                  {community.icon ? (
+                    <ProxiedImage src={community.icon} sizes="1.5rem" className="w-6 h-6 rounded-full object-cover" />
+                  ) : (
+                    <div className="w-6 h-6 rounded-full bg-social/30 flex items-center justify-center text-xs font-bold text-white">
+                      {community.name[0].toUpperCase()}
+                    </div>
+                  )}
+                  <div className="min-w-0">
+                    <p className="text-sm text-white truncate">{community.title || community.name}</p>
+                    <p className="text-xs text-gray-500 truncate">c/{community.handle || community.name}</p>
+                  </div>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SubmitPage;
@@ -1,25 +1,48 @@
 import { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { preSocialService } from '../services/preSocialService';
 import PostCard from '../components/PostCard';
 import PostSkeleton from '../components/PostSkeleton';
-import { TrendingUp } from 'lucide-react';
+import StaleNotice from '../components/StaleNotice';
+import { TrendingUp, ArrowUpRight, ArrowDownRight } from 'lucide-react';
+
+const WINDOWS = [
+  { value: '1h', label: 'Past hour' },
+  { value: '24h', label: 'Past day' },
+  { value: '7d', label: 'Past week' },
+];
+
+const DEFAULT_WINDOW = '24h';
 
 function TrendingPage() {
+  const [searchParams, setSearchParams] = useSearchParams();
   const [posts, setPosts] = useState([]);
+  const [source, setSource] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [stale, setStale] = useState(false);
+
+  const timeWindow = WINDOWS.some((w) => w.value === searchParams.get('window'))
+    ? searchParams.get('window')
+    : DEFAULT_WINDOW;
 
   useEffect(() => {
     loadTrending();
-  }, []);
+  }, [timeWindow]);
+
+  const selectWindow = (value) => {
+    setSearchParams(value === DEFAULT_WINDOW ? {} : { window: value });
+  };
 
   const loadTrending = async () => {
     setLoading(true);
     setError(null);
 
     try {
-      const data = await preSocialService.getTrending(25);
+      const data = await preSocialService.getTrending(25, { window: timeWindow });
       setPosts(data.trending || []);
+      setSource(data.source);
+      setStale(!!data.stale);
     } catch (err) {
       setError('Failed to load trending posts');
       console.error(err);
@@ -38,11 +61,38 @@ function TrendingPage() {
           </div>
           <div>
             <h1 className="text-lg font-bold text-white">Trending</h1>
-            <p className="text-sm text-gray-400">Hot discussions across all communities</p>
+            <p className="text-sm text-gray-400">Fastest growing discussions across all communities</p>
           </div>
         </div>
       </div>
 
+      {/* Window selector */}
+      <div className="glass-card p-2 flex flex-wrap gap-1">
+        {WINDOWS.map((w) => (
+          <button
+            key={w.value}
+            onClick={() => selectWindow(w.value)}
+            className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+              timeWindow === w.value
+                ? 'bg-white/10 text-white'
+                : 'text-gray-400 hover:bg-white/5 hover:text-white'
+            }`}
+          >
+            {w.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Stale data notice */}
+      {!loading && !error && stale && <StaleNotice />}
+
+      {/* Not enough snapshots yet to measure growth */}
+      {!loading && !error && source === 'hot' && (
+        <p className="text-sm text-gray-400 px-1">
+          Still collecting trend data, so these are the hot posts for now.
+        </p>
+      )}
+
       {/* Error state */}
       {error && (
         <div className="glass-card p-4 text-center">
@@ -71,6 +121,7 @@ function TrendingPage() {
               <div className="absolute -left-3 top-4 w-6 h-6 rounded-full bg-gradient-to-br from-orange-500 to-red-500 flex items-center justify-center text-xs font-bold text-white z-10 shadow-lg">
                 {index + 1}
               </div>
+              {post.velocity && <TrendBadge velocity={post.velocity} direction={post.direction} />}
               <PostCard post={post} />
             </div>
           ))}
@@ -80,4 +131,31 @@ function TrendingPage() {
   );
 }
 
+/**
+ * Arrow below the rank badge showing whether a post is speeding up or slowing down,
+ * with its growth per hour on hover
+ */
+function TrendBadge({ velocity, direction }) {
+  if (direction !== 'rising' && direction !== 'falling') return null;
+
+  const rising = direction === 'rising';
+  const Icon = rising ? ArrowUpRight : ArrowDownRight;
+
+  return (
+    <div
+      className={`absolute -left-3 top-11 w-6 h-6 rounded-full bg-dark-800 border border-white/10 flex items-center justify-center z-10 shadow-lg ${
+        rising ? 'text-green-400' : 'text-red-400'
+      }`}
+      title={`${rising ? 'Rising' : 'Slowing down'}: ${formatRate(velocity.score)} points and ${formatRate(velocity.comments)} comments per hour`}
+    >
+      <Icon className="w-3.5 h-3.5" />
+    </div>
+  );
+}
+
+function formatRate(value) {
+  const sign = value > 0 ? '+' : '';
+  return Math.abs(value) >= 10 ? `${sign}${Math.round(value)}` : `${sign}${value.toFixed(1)}`;
+}
+
 export default TrendingPage;
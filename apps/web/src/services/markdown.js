@@ -0,0 +1,129 @@
+/**
+ * Markdown Service
+ * Renders Lemmy-flavoured markdown to sanitized HTML
+ */
+
+import MarkdownIt from 'markdown-it';
+import markdownItContainer from 'markdown-it-container';
+import markdownItSub from 'markdown-it-sub';
+import markdownItSup from 'markdown-it-sup';
+import DOMPurify from 'dompurify';
+import { mediaUrl, mediaSrcSet } from './media';
+
+// !community@instance and @user@instance, not preceded by a word, path or another handle
+const MENTION_PATTERN = /(^|[^\w/@!.])([!@])([a-zA-Z0-9_]{1,100})@([a-zA-Z0-9-]+(?:\.[a-zA-Z0-9-]+)+)/g;
+
+const SPOILER_PATTERN = /^spoiler\s+(.*)$/;
+
+// Same options as Lemmy's own UI: raw HTML is never passed through
+const md = new MarkdownIt({
+  html: false,
+  linkify: true,
+  typographer: true,
+});
+
+md.use(markdownItSub);
+md.use(markdownItSup);
+
+// ::: spoiler Title ... ::: blocks become collapsed <details>
+md.use(markdownItContainer, 'spoiler', {
+  validate: (params) => SPOILER_PATTERN.test(params.trim()),
+  render: (tokens, idx) => {
+    if (tokens[idx].nesting === -1) {
+      return '</details>\n';
+    }
+    const [, title] = tokens[idx].info.trim().match(SPOILER_PATTERN);
+    return `<details class="spoiler"><summary>${md.renderInline(title)}</summary>\n`;
+  },
+});
+
+/**
+ * Turn community and user mentions into in-app links
+ * Runs before linkify so "@user@lemmy.world" isn't picked up as an email address
+ */
+md.core.ruler.before('linkify', 'mentions', (state) => {
+  for (const blockToken of state.tokens) {
+    if (blockToken.type !== 'inline' || !blockToken.children) continue;
+
+    const children = [];
+    let linkDepth = 0;
+
+    for (const token of blockToken.children) {
+      if (token.type === 'link_open') linkDepth++;
+      if (token.type === 'link_close') linkDepth--;
+
+      if (token.type !== 'text' || linkDepth > 0 || !/[!@]/.test(token.content)) {
+        children.push(token);
+        continue;
+      }
+
+      let lastIndex = 0;
+
+      for (const match of token.content.matchAll(MENTION_PATTERN)) {
+        const [, prefix, sigil, name, host] = match;
+        const start = match.index + prefix.length;
+
+        children.push(textToken(state, token.content.slice(lastIndex, start)));
+
+        const open = new state.Token('link_open', 'a', 1);
+        open.attrs = [
+          ['href', `/${sigil === '!' ? 'c' : 'u'}/${name}@${host}`],
+          ['class', 'mention'],
+        ];
+        children.push(open);
+        children.push(textToken(state, `${sigil}${name}@${host}`));
+        children.push(new state.Token('link_close', 'a', -1));
+
+        lastIndex = match.index + match[0].length;
+      }
+
+      children.push(textToken(state, token.content.slice(lastIndex)));
+    }
+
+    blockToken.children = children.filter((token) => token.type !== 'text' || token.content);
+  }
+});
+
+function textToken(state, content) {
+  const token = new state.Token('text', '', 0);
+  token.content = content;
+  return token;
+}
+
+// External links open in a new tab without passing on the referrer
+const defaultLinkOpen = md.renderer.rules.link_open
+  || ((tokens, idx, options, env, self) => self.renderToken(tokens, idx, options));
+
+md.renderer.rules.link_open = (tokens, idx, options, env, self) => {
+  const href = tokens[idx].attrGet('href') || '';
+  if (/^https?:\/\//i.test(href)) {
+    tokens[idx].attrSet('target', '_blank');
+    tokens[idx].attrSet('rel', 'nofollow noopener noreferrer');
+  }
+  return defaultLinkOpen(tokens, idx, options, env, self);
+};
+
+// Images load through the media proxy, lazily and without a referrer
+const defaultImage = md.renderer.rules.image;
+
+md.renderer.rules.image = (tokens, idx, options, env, self) => {
+  const src = tokens[idx].attrGet('src');
+  const srcset = mediaSrcSet(src);
+  if (srcset) {
+    tokens[idx].attrSet('src', mediaUrl(src));
+    tokens[idx].attrSet('srcset', srcset);
+    tokens[idx].attrSet('sizes', '(min-width: 768px) 640px, 100vw');
+  }
+  tokens[idx].attrSet('loading', 'lazy');
+  tokens[idx].attrSet('referrerpolicy', 'no-referrer');
+  return defaultImage(tokens, idx, options, env, self);
+};
+
+/**
+ * Render markdown to HTML that is safe to insert into the page
+ */
+export function renderMarkdown(source) {
+  return DOMPurify.sanitize(md.render(source || ''), {
+    ADD_ATTR: ['target', 'loading', 'referrerpolicy', 'sizes'],
+  });
+}
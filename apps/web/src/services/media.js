@@ -0,0 +1,26 @@
+/**
+ * Media Service
+ * Builds URLs for the PreSocial image proxy, so third-party hosts never see our users' IPs
+ */
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || '/api/social';
+
+// Must match the widths the API resizes to
+export const MEDIA_WIDTHS = [160, 320, 640, 1280];
+
+/**
+ * Proxied URL for a remote image at the given width
+ * Relative and data: URLs don't leave our origin and are returned unchanged.
+ */
+export function mediaUrl(url, width = 640) {
+  if (!url || !/^https?:\/\//i.test(url)) return url;
+  return `${API_BASE_URL}/media?url=${encodeURIComponent(url)}&w=${width}`;
+}
+
+/**
+ * srcset listing the proxied image at each width
+ */
+export function mediaSrcSet(url, widths = MEDIA_WIDTHS) {
+  if (!url || !/^https?:\/\//i.test(url)) return undefined;
+  return widths.map((width) => `${mediaUrl(url, width)} ${width}w`).join(', ');
+}
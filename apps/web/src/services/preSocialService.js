@@ -39,24 +39,86 @@ class PreSocialService {
   }
 
   /**
-   * Search for posts
+   * Authorization header for the signed-in user, if any
+   * Listing endpoints use it to apply the user's content filters
+   */
+  optionalAuthHeaders() {
+    const token = localStorage.getItem('presuite_token');
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }
+
+  /**
+   * Search posts, comments, communities and users
    */
   async search(query, options = {}) {
     const params = new URLSearchParams({
       q: query,
       limit: options.limit || 20,
+      ...(options.type && { type: options.type }),
       ...(options.sort && { sort: options.sort }),
       ...(options.community && { community: options.community }),
+      ...(options.listingType && { listingType: options.listingType }),
+      ...(options.instance && { instance: options.instance }),
+      ...(options.from && { from: options.from }),
+      ...(options.to && { to: options.to }),
+      ...(options.minScore != null && options.minScore !== '' && { minScore: options.minScore }),
+    });
+
+    return this.request(`/search?${params}`, { headers: this.optionalAuthHeaders() });
+  }
+
+  /**
+   * Get typeahead suggestions: matching communities, popular and recent searches
+   */
+  async suggest(query, limit = 5) {
+    const params = new URLSearchParams({ q: query, limit });
+    return this.request(`/suggest?${params}`, { headers: this.optionalAuthHeaders() });
+  }
+
+  /**
+   * Forget one of the signed-in user's recent searches, or all of them
+   */
+  async clearRecentSearches(query) {
+    const token = localStorage.getItem('presuite_token');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+    const params = query ? `?${new URLSearchParams({ q: query })}` : '';
+    return this.request(`/search/recent${params}`, {
+      method: 'DELETE',
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+  }
+
+  /**
+   * Get trending posts over a window (1h, 24h or 7d), optionally within one community
+   */
+  async getTrending(limit = 10, options = {}) {
+    const params = new URLSearchParams({
+      limit,
+      ...(options.window && { window: options.window }),
+      ...(options.community && { community: options.community }),
     });
 
-    return this.request(`/search?${params}`);
+    return this.request(`/trending?${params}`, { headers: this.optionalAuthHeaders() });
   }
 
   /**
-   * Get trending posts
+   * Get a page of the main feed
+   * Pass the previous response's nextCursor to load the following page
    */
-  async getTrending(limit = 10) {
-    return this.request(`/trending?limit=${limit}`);
+  async getFeed(options = {}) {
+    const params = new URLSearchParams({
+      sort: options.sort || 'Hot',
+      limit: options.limit || 20,
+      ...(options.type && { type: options.type }),
+      ...(options.page && { page: options.page }),
+      ...(options.cursor && { cursor: options.cursor }),
+    });
+
+    return this.request(`/feed?${params}`, { headers: this.optionalAuthHeaders() });
   }
 
   /**
@@ -65,14 +127,66 @@ class PreSocialService {
   async getCommunities(limit = 20, query = '') {
     const params = new URLSearchParams({ limit });
     if (query) params.append('q', query);
-    return this.request(`/communities?${params}`);
+    return this.request(`/communities?${params}`, { headers: this.optionalAuthHeaders() });
   }
 
   /**
-   * Get single post with comments
+   * Get a community's details, moderators and a page of its posts
    */
-  async getPost(postId) {
-    return this.request(`/post/${postId}`);
+  async getCommunity(name, options = {}) {
+    const params = new URLSearchParams({
+      sort: options.sort || 'Hot',
+      limit: options.limit || 20,
+      ...(options.page && { page: options.page }),
+      ...(options.cursor && { cursor: options.cursor }),
+    });
+
+    return this.request(`/community/${encodeURIComponent(name)}?${params}`, { headers: this.optionalAuthHeaders() });
+  }
+
+  /**
+   * Get a Lemmy user's profile and a page of their posts and comments
+   */
+  async getPerson(name, options = {}) {
+    const params = new URLSearchParams({
+      sort: options.sort || 'New',
+      limit: options.limit || 20,
+      ...(options.page && { page: options.page }),
+    });
+
+    return this.request(`/person/${encodeURIComponent(name)}?${params}`, { headers: this.optionalAuthHeaders() });
+  }
+
+  /**
+   * Get single post with its first page of comment threads
+   */
+  async getPost(postId, commentSort = 'Top') {
+    const params = new URLSearchParams({ commentSort });
+    return this.request(`/post/${postId}?${params}`, { headers: this.optionalAuthHeaders() });
+  }
+
+  /**
+   * Find a post's ID on the primary instance by its ActivityPub ID
+   */
+  async resolvePost(apId) {
+    const params = new URLSearchParams({ apId });
+    return this.request(`/post/resolve?${params}`);
+  }
+
+  /**
+   * Get a page of a post's top-level comment threads
+   */
+  async getComments(postId, page = 2, commentSort = 'Top') {
+    const params = new URLSearchParams({ page, commentSort });
+    return this.request(`/post/${postId}/comments?${params}`, { headers: this.optionalAuthHeaders() });
+  }
+
+  /**
+   * Get the replies below a comment, as a tree
+   */
+  async getCommentReplies(commentId, commentSort = 'Top') {
+    const params = new URLSearchParams({ commentSort });
+    return this.request(`/comment/${commentId}/replies?${params}`, { headers: this.optionalAuthHeaders() });
   }
 
   /**
@@ -107,6 +221,343 @@ class PreSocialService {
       body: JSON.stringify(data),
     });
   }
+
+  /**
+   * Get the IDs of the signed-in user's own comments on a post
+   */
+  async getMyCommentIds(postId) {
+    const token = localStorage.getItem('presuite_token');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+    return this.request(`/post/${postId}/my-comments`, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+  }
+
+  /**
+   * Edit one of the signed-in user's comments
+   */
+  async editComment(commentId, content) {
+    const token = localStorage.getItem('presuite_token');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+    return this.request(`/comment/${commentId}`, {
+      method: 'PATCH',
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ content }),
+    });
+  }
+
+  /**
+   * Delete one of the signed-in user's comments
+   */
+  async deleteComment(commentId) {
+    const token = localStorage.getItem('presuite_token');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+    return this.request(`/comment/${commentId}`, {
+      method: 'DELETE',
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+  }
+
+  /**
+   * Report a post or comment
+   * Posts from other instances need their apId and instance as well as their ID.
+   */
+  async report({ targetType, targetId, apId, instance }, reason, forwardToLemmy = false) {
+    const token = localStorage.getItem('presuite_token');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+    return this.request('/report', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ targetType, targetId, apId, instance, reason, forwardToLemmy }),
+    });
+  }
+
+  /**
+   * Get the admin report queue
+   */
+  async getReports(status = 'open') {
+    const token = localStorage.getItem('presuite_token');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+    return this.request(`/admin/reports?status=${status}`, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+  }
+
+  /**
+   * Close a report as 'resolved' or 'dismissed' (admin only)
+   */
+  async resolveReport(reportId, status, note) {
+    const token = localStorage.getItem('presuite_token');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+    return this.request(`/admin/reports/${reportId}/resolve`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ status, ...(note && { note }) }),
+    });
+  }
+
+  /**
+   * Get the signed-in user's PreSocial role and standing
+   */
+  async getMe() {
+    const token = localStorage.getItem('presuite_token');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+    return this.request('/me', {
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+  }
+
+  /**
+   * Get posts and communities hidden from PreSocial (admin only)
+   */
+  async getHiddenContent() {
+    const token = localStorage.getItem('presuite_token');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+    return this.request('/admin/hidden', {
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+  }
+
+  /**
+   * Hide a post from every PreSocial listing (admin only)
+   */
+  async hidePost(postId, reason) {
+    const token = localStorage.getItem('presuite_token');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+    return this.request('/admin/hidden/posts', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ postId, ...(reason && { reason }) }),
+    });
+  }
+
+  /**
+   * Show a hidden post again (admin only)
+   */
+  async unhidePost(postId) {
+    const token = localStorage.getItem('presuite_token');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+    return this.request(`/admin/hidden/posts/${postId}`, {
+      method: 'DELETE',
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+  }
+
+  /**
+   * Hide a community and its posts from every PreSocial listing (admin only)
+   */
+  async hideCommunity(community, reason) {
+    const token = localStorage.getItem('presuite_token');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+    return this.request('/admin/hidden/communities', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ community, ...(reason && { reason }) }),
+    });
+  }
+
+  /**
+   * Show a hidden community again (admin only)
+   */
+  async unhideCommunity(handle) {
+    const token = localStorage.getItem('presuite_token');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+    return this.request(`/admin/hidden/communities/${encodeURIComponent(handle)}`, {
+      method: 'DELETE',
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+  }
+
+  /**
+   * Get users banned from commenting and posting (admin only)
+   */
+  async getBans() {
+    const token = localStorage.getItem('presuite_token');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+    return this.request('/admin/bans', {
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+  }
+
+  /**
+   * Ban a PreSuite user from commenting and posting (admin only)
+   */
+  async banUser(userId, reason) {
+    const token = localStorage.getItem('presuite_token');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+    return this.request('/admin/bans', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ userId, ...(reason && { reason }) }),
+    });
+  }
+
+  /**
+   * Lift a user's ban (admin only)
+   */
+  async unbanUser(userId) {
+    const token = localStorage.getItem('presuite_token');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+    return this.request(`/admin/bans/${encodeURIComponent(userId)}`, {
+      method: 'DELETE',
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+  }
+
+  /**
+   * Get storage, cache and upstream statistics (admin only)
+   */
+  async getAdminStats() {
+    const token = localStorage.getItem('presuite_token');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+    return this.request('/admin/stats', {
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+  }
+
+  /**
+   * Get the signed-in user's content filters
+   */
+  async getFilters() {
+    const token = localStorage.getItem('presuite_token');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+    return this.request('/filters', {
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+  }
+
+  /**
+   * Update content filters; lists passed replace the stored ones
+   */
+  async updateFilters(filters) {
+    const token = localStorage.getItem('presuite_token');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+    return this.request('/filters', {
+      method: 'PATCH',
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify(filters),
+    });
+  }
+
+  /**
+   * Get the Lemmy account linked to the signed-in user
+   */
+  async getLemmyAccount() {
+    const token = localStorage.getItem('presuite_token');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+    return this.request('/account/lemmy', {
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+  }
+
+  /**
+   * Link a Lemmy account, with { username, password, totpToken? } or { jwt }
+   */
+  async linkLemmyAccount(credentials) {
+    const token = localStorage.getItem('presuite_token');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+    return this.request('/account/lemmy', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify(credentials),
+    });
+  }
+
+  /**
+   * Unlink the signed-in user's Lemmy account
+   */
+  async unlinkLemmyAccount() {
+    const token = localStorage.getItem('presuite_token');
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+    return this.request('/account/lemmy', {
+      method: 'DELETE',
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+  }
 }
 
 // Export singleton instance